@@ -90,7 +90,8 @@ export const login = async (req, res, next) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        location: user.location
       }
     });
   } catch (error) {
@@ -114,7 +115,8 @@ export const getMe = async (req, res, next) => {
         lastName: req.user.lastName,
         email: req.user.email,
         phone: req.user.phone,
-        role: req.user.role
+        role: req.user.role,
+        location: req.user.location
       }
     });
   } catch (error) {
@@ -232,7 +234,8 @@ export const updateProfile = async (req, res, next) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        location: user.location
       }
     });
   } catch (error) {
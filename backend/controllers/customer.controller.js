@@ -0,0 +1,460 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.model.js';
+import Sale from '../models/Sale.model.js';
+import CustomerPayment from '../models/CustomerPayment.model.js';
+import Shift from '../models/Shift.model.js';
+import { generatePaymentNumber } from '../utils/generatePaymentNumber.js';
+import { createError } from '../utils/createError.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { OPEN_RECEIVABLE_FILTER, getDaysOverdue, getAgingBucket } from '../utils/customerCredit.js';
+
+/**
+ * Find another customer already using the phone number or TIN
+ * @param {Object} fields - { phone, tinNumber }
+ * @param {string} [excludeId] - Customer being updated
+ */
+const findDuplicateCustomer = async ({ phone, tinNumber }, excludeId = null) => {
+  const conditions = [];
+  if (phone) conditions.push({ phone });
+  if (tinNumber) conditions.push({ tinNumber });
+  if (conditions.length === 0) return null;
+
+  const filter = { $or: conditions };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Customer.findOne(filter);
+};
+
+/**
+ * Only administrators can grant credit, change payment terms or assign a price list
+ */
+const isChangingCreditTerms = (req) =>
+  req.user.role !== 'admin' && (
+    req.body.creditLimit !== undefined || req.body.paymentTermsDays !== undefined || req.body.priceList !== undefined
+  );
+
+/**
+ * @desc    Get all customers, optionally filtered by a search term for type-ahead lookups
+ * @route   GET /api/customers
+ * @access  Private
+ */
+export const getCustomers = async (req, res, next) => {
+  try {
+    const { search, isActive, limit } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { phone: { $regex: pattern } },
+        { tinNumber: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    let query = Customer.find(filter).sort({ name: 1 });
+    if (limit) {
+      query = query.limit(parseInt(limit));
+    }
+    const customers = await query;
+
+    res.json({
+      success: true,
+      count: customers.length,
+      data: customers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single customer
+ * @route   GET /api/customers/:id
+ * @access  Private
+ */
+export const getCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a customer's purchase history and lifetime spend
+ * @route   GET /api/customers/:id/history
+ * @access  Private
+ */
+export const getCustomerHistory = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const filter = { customer: customer._id, isVoid: false, isHeld: { $ne: true } };
+    const [sales, summaryResult] = await Promise.all([
+      Sale.find(filter)
+        .populate('cashier', 'username')
+        .populate('items.product', 'name')
+        .sort({ createdAt: -1 }),
+      Sale.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            saleCount: { $sum: 1 },
+            totalPurchases: { $sum: '$total' },
+            totalReturns: { $sum: { $ifNull: ['$returnedTotal', 0] } },
+            firstPurchase: { $min: '$createdAt' },
+            lastPurchase: { $max: '$createdAt' }
+          }
+        }
+      ])
+    ]);
+
+    const summary = summaryResult[0] || {
+      saleCount: 0,
+      totalPurchases: 0,
+      totalReturns: 0,
+      firstPurchase: null,
+      lastPurchase: null
+    };
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        summary: {
+          saleCount: summary.saleCount,
+          totalPurchases: summary.totalPurchases,
+          totalReturns: summary.totalReturns,
+          lifetimeSpend: summary.totalPurchases - summary.totalReturns,
+          firstPurchase: summary.firstPurchase,
+          lastPurchase: summary.lastPurchase
+        },
+        sales
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a customer's credit account: limit, open charges with aging, and collections
+ * @route   GET /api/customers/:id/account
+ * @access  Private
+ */
+export const getCustomerAccount = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const [openSales, payments] = await Promise.all([
+      Sale.find({ ...OPEN_RECEIVABLE_FILTER, customer: customer._id })
+        .select('saleNumber createdAt dueDate total chargedAmount balanceDue creditLimitOverride')
+        .sort({ dueDate: 1, createdAt: 1 })
+        .lean(),
+      CustomerPayment.find({ customer: customer._id })
+        .populate('receivedBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(50)
+    ]);
+
+    const asOf = new Date();
+    const openCharges = openSales.map(sale => {
+      const daysOverdue = getDaysOverdue(sale.dueDate, asOf);
+      return { ...sale, daysOverdue, agingBucket: getAgingBucket(daysOverdue) };
+    });
+    const outstanding = roundCurrency(openCharges.reduce((sum, sale) => sum + sale.balanceDue, 0));
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        creditLimit: customer.creditLimit,
+        paymentTermsDays: customer.paymentTermsDays,
+        outstanding,
+        availableCredit: roundCurrency(Math.max(customer.creditLimit - outstanding, 0)),
+        overdue: roundCurrency(openCharges
+          .filter(sale => sale.daysOverdue > 0)
+          .reduce((sum, sale) => sum + sale.balanceDue, 0)),
+        openCharges,
+        payments
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a payment collected against a customer's open charges
+ * @route   POST /api/customers/:id/payments
+ * @access  Private/Supplier/Staff
+ */
+export const createCustomerPayment = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { method, reference, notes, allocations } = req.body;
+    const amount = roundCurrency(parseFloat(req.body.amount));
+    let payment;
+
+    await session.withTransaction(async () => {
+      const customer = await Customer.findById(req.params.id).session(session);
+      if (!customer) {
+        throw createError(404, 'Customer not found');
+      }
+
+      // Oldest due first, so automatic allocation settles the most overdue charges
+      const openSales = await Sale.find({ ...OPEN_RECEIVABLE_FILTER, customer: customer._id })
+        .sort({ dueDate: 1, createdAt: 1 })
+        .session(session);
+      const outstanding = roundCurrency(openSales.reduce((sum, sale) => sum + sale.balanceDue, 0));
+
+      if (amount > outstanding) {
+        throw createError(400, `Payment exceeds the outstanding balance of ${outstanding.toFixed(2)}`);
+      }
+
+      let applied;
+      if (allocations?.length) {
+        const saleMap = new Map(openSales.map(sale => [sale._id.toString(), sale]));
+        applied = allocations.map(allocation => {
+          const sale = saleMap.get(allocation.sale.toString());
+          if (!sale) {
+            throw createError(400, 'Payments can only be applied to this customer\'s open charges');
+          }
+          const allocated = roundCurrency(parseFloat(allocation.amount));
+          if (allocated > sale.balanceDue) {
+            throw createError(400, `Only ${sale.balanceDue.toFixed(2)} is owed on ${sale.saleNumber}`);
+          }
+          return { sale, amount: allocated };
+        });
+
+        const allocatedTotal = roundCurrency(applied.reduce((sum, allocation) => sum + allocation.amount, 0));
+        if (allocatedTotal !== amount) {
+          throw createError(400, `Allocations total ${allocatedTotal.toFixed(2)} but the payment is ${amount.toFixed(2)}`);
+        }
+      } else {
+        let remaining = amount;
+        applied = [];
+        for (const sale of openSales) {
+          if (remaining <= 0) break;
+          const allocated = Math.min(remaining, sale.balanceDue);
+          applied.push({ sale, amount: allocated });
+          remaining = roundCurrency(remaining - allocated);
+        }
+      }
+
+      // Each balance is only updated if it has not changed since it was read,
+      // so two cashiers cannot collect the same charge twice
+      for (const allocation of applied) {
+        const result = await Sale.updateOne(
+          { _id: allocation.sale._id, balanceDue: allocation.sale.balanceDue },
+          { $set: { balanceDue: roundCurrency(allocation.sale.balanceDue - allocation.amount) } },
+          { session }
+        );
+        if (result.modifiedCount === 0) {
+          throw createError(409, `The balance on ${allocation.sale.saleNumber} changed while recording the payment, please try again`);
+        }
+      }
+
+      const paymentNumber = await generatePaymentNumber(session);
+
+      // Collections taken at a register count towards the receiver's open shift
+      const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).session(session);
+
+      [payment] = await CustomerPayment.create([{
+        paymentNumber,
+        customer: customer._id,
+        amount,
+        method,
+        reference: method !== 'cash' ? reference : undefined,
+        allocations: applied.map(allocation => ({
+          sale: allocation.sale._id,
+          saleNumber: allocation.sale.saleNumber,
+          amount: allocation.amount
+        })),
+        notes,
+        receivedBy: req.user._id,
+        shift: shift?._id
+      }], { session });
+    });
+
+    await payment.populate('receivedBy', 'username');
+
+    res.status(201).json({
+      success: true,
+      message: `Payment ${payment.paymentNumber} recorded`,
+      data: payment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Create new customer
+ * @route   POST /api/customers
+ * @access  Private/Supplier/Staff
+ */
+export const createCustomer = async (req, res, next) => {
+  try {
+    const { name, phone, email, tinNumber, address, notes, creditLimit, paymentTermsDays, priceList, isActive } = req.body;
+
+    if (isChangingCreditTerms(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can set credit limits, payment terms and price lists'
+      });
+    }
+
+    const duplicate = await findDuplicateCustomer({ phone, tinNumber });
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: `Customer ${duplicate.name} already uses this phone number or TIN`
+      });
+    }
+
+    const customer = await Customer.create({
+      name,
+      phone,
+      email,
+      tinNumber,
+      address,
+      notes,
+      creditLimit,
+      paymentTermsDays,
+      priceList: priceList || null,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    res.status(201).json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update customer
+ * @route   PUT /api/customers/:id
+ * @access  Private/Supplier/Staff
+ */
+export const updateCustomer = async (req, res, next) => {
+  try {
+    if (isChangingCreditTerms(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can set credit limits, payment terms and price lists'
+      });
+    }
+
+    const duplicate = await findDuplicateCustomer(req.body, req.params.id);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: `Customer ${duplicate.name} already uses this phone number or TIN`
+      });
+    }
+
+    // A blank price list puts the customer back on default pricing
+    if (req.body.priceList === '') {
+      req.body.priceList = null;
+    }
+
+    const customer = await Customer.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete customer
+ * @route   DELETE /api/customers/:id
+ * @access  Private/Admin
+ */
+export const deleteCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Keep the purchase history intact; customers with sales can only be deactivated
+    const hasSales = await Sale.exists({ customer: customer._id });
+    if (hasSales) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has purchase history and cannot be deleted. Deactivate the customer instead.'
+      });
+    }
+
+    await Customer.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Customer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,465 @@
+import mongoose from 'mongoose';
+import CycleCount from '../models/CycleCount.model.js';
+import StockAdjustment from '../models/StockAdjustment.model.js';
+import Product from '../models/Product.model.js';
+import Settings from '../models/Settings.model.js';
+import { createError } from '../utils/createError.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { generateCycleCountNumber } from '../utils/generateCycleCountNumber.js';
+import { generateAdjustmentNumber } from '../utils/generateAdjustmentNumber.js';
+import { roundQuantity, hasValidPrecision, getQuantityPrecision, describePrecision, formatQuantity } from '../utils/unitOfMeasure.js';
+import { getUnitCost } from '../utils/landedCost.js';
+import { postStockAdjustment } from '../utils/stockAdjustments.js';
+import { resolveLocation, getLocationQuantity } from '../utils/locations.js';
+import { normalizeSerialNumbers } from '../utils/stockTracking.js';
+import { jsPDF } from 'jspdf';
+import { format } from 'date-fns';
+
+/**
+ * Count lines with their variance against the expected quantity and its value at current cost
+ * Uncounted lines have no variance yet.
+ */
+const withVariances = (cycleCount) => {
+  const lines = cycleCount.lines.map(line => {
+    const counted = line.countedQuantity !== null && line.countedQuantity !== undefined;
+    const variance = counted ? roundQuantity(line.countedQuantity - line.expectedQuantity) : null;
+    const unitCost = line.product?._id ? getUnitCost(line.product) : 0;
+    return {
+      ...line.toObject(),
+      variance,
+      varianceValue: variance !== null ? roundCurrency(variance * unitCost) : null
+    };
+  });
+
+  const counted = lines.filter(line => line.variance !== null);
+  const withVariance = counted.filter(line => line.variance !== 0);
+
+  return {
+    ...cycleCount.toObject(),
+    lines,
+    summary: {
+      lineCount: lines.length,
+      countedCount: counted.length,
+      varianceCount: withVariance.length,
+      shortageValue: roundCurrency(withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum + line.varianceValue, 0)),
+      overageValue: roundCurrency(withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.varianceValue, 0))
+    }
+  };
+};
+
+/**
+ * @desc    Get cycle counts
+ * @route   GET /api/cycle-counts
+ * @access  Private/Admin
+ */
+export const getCycleCounts = async (req, res, next) => {
+  try {
+    const { status, location } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (location) filter.location = location;
+
+    const cycleCounts = await CycleCount.find(filter)
+      .populate('location', 'name code')
+      .populate('createdBy', 'username')
+      .populate('postedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: cycleCounts.length,
+      data: cycleCounts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single cycle count with its variances
+ * @route   GET /api/cycle-counts/:id
+ * @access  Private/Admin
+ */
+export const getCycleCount = async (req, res, next) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id)
+      .populate('location', 'name code')
+      .populate('createdBy', 'username')
+      .populate('postedBy', 'username')
+      .populate('lines.product', 'name sku unit quantityPrecision price averageCost tracking');
+
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withVariances(cycleCount)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Generate a count sheet for a category, or every active product
+ * The stock on hand is snapshotted as each line's expected quantity.
+ * Once locations are set up a sheet counts one location (the default unless chosen).
+ * @route   POST /api/cycle-counts
+ * @access  Private/Admin
+ */
+export const createCycleCount = async (req, res, next) => {
+  try {
+    const { category, notes } = req.body;
+    const filter = { isActive: true };
+
+    if (category) filter.category = category;
+
+    const location = await resolveLocation(req.body.location);
+    const products = await Product.find(filter).select('name unit stockQuantity locationStock').sort({ name: 1 });
+
+    if (products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: category ? `No active products in ${category}` : 'No active products to count'
+      });
+    }
+
+    const cycleCount = await CycleCount.create({
+      countNumber: await generateCycleCountNumber(),
+      category: category || undefined,
+      location: location?._id,
+      notes,
+      lines: products.map(product => ({
+        product: product._id,
+        productName: product.name,
+        unit: product.unit,
+        expectedQuantity: location ? getLocationQuantity(product, location._id) : product.stockQuantity
+      })),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Count sheet ${cycleCount.countNumber} generated with ${cycleCount.lines.length} product(s)${location ? ` at ${location.name}` : ''}`,
+      data: cycleCount
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Enter counted quantities
+ * Lines not in the body are left as they are; a null count clears a line.
+ * Serialized lines with a variance also list the serial numbers missing or found.
+ * @route   PUT /api/cycle-counts/:id/counts
+ * @access  Private/Admin
+ */
+export const updateCycleCountLines = async (req, res, next) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id)
+      .populate('lines.product', 'name sku unit quantityPrecision price averageCost tracking');
+
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    if (cycleCount.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${cycleCount.status} count`
+      });
+    }
+
+    for (const entry of req.body.lines) {
+      const line = cycleCount.lines.id(entry.lineId);
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${entry.lineId} is not on this count sheet`
+        });
+      }
+
+      if (entry.countedQuantity === null || entry.countedQuantity === '') {
+        line.countedQuantity = null;
+      } else if (entry.countedQuantity !== undefined) {
+        const counted = roundQuantity(parseFloat(entry.countedQuantity));
+        const precision = getQuantityPrecision(line.product || {});
+        if (!hasValidPrecision(counted, precision)) {
+          return res.status(400).json({
+            success: false,
+            message: `${line.productName} is counted in ${describePrecision(precision)}`
+          });
+        }
+        line.countedQuantity = counted;
+      }
+
+      if (entry.serialNumbers !== undefined) {
+        const serialNumbers = normalizeSerialNumbers(entry.serialNumbers);
+        line.serialNumbers = serialNumbers.length > 0 ? serialNumbers : undefined;
+      }
+
+      if (entry.varianceReason !== undefined) {
+        line.varianceReason = entry.varianceReason || null;
+      }
+    }
+
+    await cycleCount.save();
+    await cycleCount.populate('createdBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Counts saved',
+      data: withVariances(cycleCount)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Post a count: every counted line with a variance becomes a posted stock adjustment
+ * The variance is applied as a change, so sales made while counting are not undone.
+ * Lines that were not counted are left out.
+ * @route   POST /api/cycle-counts/:id/post
+ * @access  Private/Admin
+ */
+export const postCycleCount = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const settings = await Settings.getSettings();
+    let cycleCount;
+    let adjustmentCount = 0;
+
+    await session.withTransaction(async () => {
+      cycleCount = await CycleCount.findById(req.params.id).session(session);
+      if (!cycleCount) {
+        throw createError(404, 'Cycle count not found');
+      }
+      if (cycleCount.status !== 'counting') {
+        throw createError(400, `Count is already ${cycleCount.status}`);
+      }
+
+      const counted = cycleCount.lines.filter(line => line.countedQuantity !== null && line.countedQuantity !== undefined);
+      if (counted.length === 0) {
+        throw createError(400, 'Enter at least one counted quantity before posting');
+      }
+
+      adjustmentCount = 0;
+      for (const line of counted) {
+        const variance = roundQuantity(line.countedQuantity - line.expectedQuantity);
+        if (variance === 0) continue;
+
+        const adjustmentNumber = await generateAdjustmentNumber(session);
+        const [adjustment] = await StockAdjustment.create([{
+          adjustmentNumber,
+          product: line.product,
+          productName: line.productName,
+          quantity: variance,
+          reason: line.varianceReason || 'count_variance',
+          notes: `Cycle count ${cycleCount.countNumber}`,
+          serialNumbers: line.serialNumbers?.length ? line.serialNumbers : undefined,
+          location: cycleCount.location,
+          status: 'pending',
+          cycleCount: cycleCount._id,
+          requestedBy: req.user._id,
+          reviewedBy: req.user._id,
+          reviewedAt: new Date()
+        }], { session });
+
+        await postStockAdjustment(adjustment, { settings, userId: req.user._id, cycleCount, session });
+        adjustmentCount += 1;
+      }
+
+      cycleCount.status = 'posted';
+      cycleCount.postedBy = req.user._id;
+      cycleCount.postedAt = new Date();
+      await cycleCount.save({ session });
+    });
+
+    res.json({
+      success: true,
+      message: adjustmentCount > 0
+        ? `Count ${cycleCount.countNumber} posted with ${adjustmentCount} adjustment(s)`
+        : `Count ${cycleCount.countNumber} posted with no variances`,
+      data: cycleCount
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Cancel a count that has not been posted
+ * @route   POST /api/cycle-counts/:id/cancel
+ * @access  Private/Admin
+ */
+export const cancelCycleCount = async (req, res, next) => {
+  try {
+    const cycleCount = await CycleCount.findOneAndUpdate(
+      { _id: req.params.id, status: 'counting' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cycleCount) {
+      const existing = await CycleCount.findById(req.params.id).select('status');
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? `Count is already ${existing.status}` : 'Cycle count not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Count ${cycleCount.countNumber} cancelled`,
+      data: cycleCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export count sheet as PDF
+ * Pass blind=true to leave the system quantity off, so counters are not led by it.
+ * @route   GET /api/cycle-counts/:id/pdf
+ * @access  Private/Admin
+ */
+export const exportCountSheetPDF = async (req, res, next) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id)
+      .populate('location', 'name')
+      .populate('createdBy', 'username')
+      .populate('lines.product', 'sku');
+
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    const blind = req.query.blind === 'true';
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    let yPosition = margin;
+
+    const col1 = margin;
+    const col2 = margin + 10;
+    const col3 = pageWidth - margin - 85;
+    const col4 = pageWidth - margin - 60;
+    const col5 = pageWidth - margin - 30;
+    const col6 = pageWidth - margin;
+
+    const tableHeader = () => {
+      doc.setFont(undefined, 'bold');
+      doc.text('#', col1, yPosition);
+      doc.text('Product', col2, yPosition);
+      doc.text('Unit', col3, yPosition);
+      if (!blind) doc.text('System Qty', col4 + 15, yPosition, { align: 'right' });
+      doc.text('Counted', col5, yPosition);
+      doc.text('Initials', col6, yPosition, { align: 'right' });
+      yPosition += 3;
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 6;
+      doc.setFont(undefined, 'normal');
+    };
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text('Cycle Count Sheet', pageWidth / 2, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    doc.setFontSize(9);
+    doc.text(`Count: ${cycleCount.countNumber}`, margin, yPosition);
+    doc.text(`Generated: ${format(new Date(cycleCount.createdAt), 'MMM dd, yyyy HH:mm')}`, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 6;
+    const scope = cycleCount.category || 'All products';
+    doc.text(`Scope: ${cycleCount.location ? `${scope} at ${cycleCount.location.name}` : scope}`, margin, yPosition);
+    doc.text(`Prepared by: ${cycleCount.createdBy?.username || 'N/A'}`, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 8;
+
+    tableHeader();
+    cycleCount.lines.forEach((line, index) => {
+      if (yPosition + 8 > pageHeight - margin) {
+        doc.addPage();
+        yPosition = margin;
+        tableHeader();
+      }
+      const name = line.product?.sku ? `${line.productName} (${line.product.sku})` : line.productName;
+      doc.text(String(index + 1), col1, yPosition);
+      doc.text(doc.splitTextToSize(name, col3 - col2 - 4)[0], col2, yPosition);
+      doc.text(line.unit || '-', col3, yPosition);
+      if (!blind) doc.text(formatQuantity(line.expectedQuantity), col4 + 15, yPosition, { align: 'right' });
+      if (line.countedQuantity !== null && line.countedQuantity !== undefined) {
+        doc.text(formatQuantity(line.countedQuantity), col5, yPosition);
+      } else {
+        doc.line(col5, yPosition + 1, col5 + 22, yPosition + 1);
+      }
+      doc.line(col6 - 15, yPosition + 1, col6, yPosition + 1);
+      yPosition += 8;
+    });
+
+    if (yPosition + 20 > pageHeight - margin) {
+      doc.addPage();
+      yPosition = margin;
+    }
+    yPosition += 12;
+    doc.line(margin, yPosition, margin + 60, yPosition);
+    doc.line(pageWidth - margin - 60, yPosition, pageWidth - margin, yPosition);
+    yPosition += 5;
+    doc.text('Counted by', margin, yPosition);
+    doc.text('Checked by', pageWidth - margin - 60, yPosition);
+
+    // Generate PDF buffer
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    // Set response headers
+    const fileName = `${cycleCount.countNumber}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    // Send PDF
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,26 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.model.js';
 import StockHistory from '../models/StockHistory.model.js';
+import StockMovement from '../models/StockMovement.model.js';
 import Settings from '../models/Settings.model.js';
-import crypto from 'crypto';
+import { resolveUnit, getBaseQuantity, assertQuantityPrecision, roundQuantity } from '../utils/unitOfMeasure.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { createError } from '../utils/createError.js';
+import { generateStockTransactionId } from '../utils/generateStockTransactionId.js';
+import { calculateLandedCost, receiveStockUpdate } from '../utils/landedCost.js';
+import { applyStockChange, recordStockMovements } from '../utils/stockLedger.js';
+import { resolveLocation, getLocationQuantity } from '../utils/locations.js';
+import { normalizeSerialNumbers, assertReceiptTracking, registerSerialNumbers } from '../utils/stockTracking.js';
+import { isExpired, getExpiryWindowEnd, getDaysToExpiry } from '../utils/expiry.js';
+
+/**
+ * Products with the stock held at one location as locationQuantity
+ * Low and out of stock are judged on that quantity rather than the product total.
+ */
+const withLocationQuantity = (products, locationId) => products.map(product => ({
+  ...product.toObject(),
+  locationQuantity: getLocationQuantity(product, locationId)
+}));
 
 /**
  * @desc    Get inventory status
@@ -10,20 +29,28 @@ import crypto from 'crypto';
  */
 export const getInventory = async (req, res, next) => {
   try {
-    const { lowStock } = req.query;
+    const { lowStock, location } = req.query;
     const filter = { isActive: true };
 
-    if (lowStock === 'true') {
+    if (lowStock === 'true' && !location) {
       filter.$expr = { $lte: ['$stockQuantity', '$lowStockThreshold'] };
     }
 
-    const products = await Product.find(filter)
+    let products = await Product.find(filter)
       .populate('supplier', 'companyName')
       .sort({ stockQuantity: 1 });
 
+    // At a location, stock is what that location holds
+    const getStock = (product) => (location ? product.locationQuantity : product.stockQuantity);
+    if (location) {
+      products = withLocationQuantity(products, location)
+        .filter(product => lowStock !== 'true' || product.locationQuantity <= product.lowStockThreshold)
+        .sort((a, b) => a.locationQuantity - b.locationQuantity);
+    }
+
     const totalProducts = products.length;
-    const lowStockProducts = products.filter(p => p.stockQuantity <= p.lowStockThreshold).length;
-    const outOfStockProducts = products.filter(p => p.stockQuantity === 0).length;
+    const lowStockProducts = products.filter(p => getStock(p) <= p.lowStockThreshold).length;
+    const outOfStockProducts = products.filter(p => getStock(p) === 0).length;
 
     res.json({
       success: true,
@@ -42,21 +69,24 @@ export const getInventory = async (req, res, next) => {
 
 /**
  * @desc    Update product stock
+ * Stock, the delivery's StockHistory layer, its serials and the ledger entry are written in one transaction
  * @route   PUT /api/inventory/:id/stock
  * @access  Private/Admin
  */
 export const updateStock = async (req, res, next) => {
+  const session = await mongoose.startSession();
   try {
-    const product = await Product.findById(req.params.id);
-    
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
-
-    const { quantity, dateDelivered } = req.body;
+    const {
+      quantity,
+      uom: uomName,
+      dateDelivered,
+      unitCost,
+      freight,
+      otherCharges,
+      location: locationId,
+      lotNumber,
+      expiryDate
+    } = req.body;
 
     if (!quantity || quantity <= 0) {
       return res.status(400).json({
@@ -72,41 +102,115 @@ export const updateStock = async (req, res, next) => {
       });
     }
 
-    // Add stock quantity
-    product.stockQuantity += parseInt(quantity);
-
-    await product.save();
-    await product.populate('supplier', 'companyName');
+    if ([unitCost, freight, otherCharges].some(value => value !== undefined && value !== null && value < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Costs cannot be negative'
+      });
+    }
 
-    // Calculate and track cost of goods (base price × quantity)
-    // Base price is what company pays supplier
-    const costOfGoods = product.price * parseInt(quantity);
-    
-    // Update total cost of goods in settings
     const settings = await Settings.getSettings();
-    settings.totalCostOfGoods += costOfGoods;
-    await settings.save();
-
-    // Create stock history entry
-    const randomString = crypto.randomBytes(4).toString('hex').toUpperCase();
-    const transactionId = `STK-${Date.now()}-${randomString}`;
-    await StockHistory.create({
-      transactionId,
-      product: product._id,
-      productName: product.name,
-      stockQuantity: parseInt(quantity),
-      dateDelivered: new Date(dateDelivered),
-      totalCost: costOfGoods,
-      addedBy: req.user._id
+    let updatedProduct;
+
+    await session.withTransaction(async () => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) {
+        throw createError(404, 'Product not found');
+      }
+
+      // Deliveries can be counted in any of the product's units; stock is kept in the base unit
+      const deliveredQuantity = parseFloat(quantity);
+      const serialNumbers = normalizeSerialNumbers(req.body.serialNumbers);
+      const unit = resolveUnit(product, uomName);
+      assertQuantityPrecision(product, deliveredQuantity, unit);
+      const location = await resolveLocation(locationId, session);
+      const baseQuantity = getBaseQuantity({ quantity: deliveredQuantity, unitFactor: unit.unitFactor });
+      // Serials and lots are checked before any stock moves
+      await assertReceiptTracking(product, { baseQuantity, serialNumbers, lotNumber, session });
+
+      // Landed cost is what we paid for this delivery; without an invoiced unit cost, the base price stands in
+      const deliveryUnitCost = unitCost !== undefined && unitCost !== null
+        ? parseFloat(unitCost)
+        : roundCurrency(product.price * unit.unitFactor);
+      const landedCost = calculateLandedCost({
+        quantity: deliveredQuantity,
+        baseQuantity,
+        unitCost: deliveryUnitCost,
+        freight: parseFloat(freight) || 0,
+        otherCharges: parseFloat(otherCharges) || 0
+      });
+
+      // Add stock quantity and re-weight the average landed cost
+      const change = await applyStockChange({
+        productId: product._id,
+        quantity: baseQuantity,
+        location: location?._id,
+        update: receiveStockUpdate(baseQuantity, landedCost.totalCost),
+        session
+      });
+
+      // Update total cost of goods in settings
+      await Settings.updateOne(
+        { _id: settings._id },
+        [{ $set: { totalCostOfGoods: { $round: [{ $add: ['$totalCostOfGoods', landedCost.totalCost] }, 2] } } }],
+        { session }
+      );
+
+      // Create stock history entry
+      const [stockHistory] = await StockHistory.create([{
+        transactionId: generateStockTransactionId(),
+        product: product._id,
+        productName: product.name,
+        stockQuantity: baseQuantity,
+        uom: unit.uom,
+        uomQuantity: unit.uom ? deliveredQuantity : undefined,
+        dateDelivered: new Date(dateDelivered),
+        unitCost: deliveryUnitCost,
+        freight: parseFloat(freight) || 0,
+        otherCharges: parseFloat(otherCharges) || 0,
+        totalCost: landedCost.totalCost,
+        landedUnitCost: landedCost.landedUnitCost,
+        remainingQuantity: baseQuantity,
+        lotNumber: product.tracking === 'lot' ? lotNumber.trim() : undefined,
+        expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+        location: location?._id,
+        locationRemaining: location ? [{ location: location._id, quantity: baseQuantity }] : [],
+        addedBy: req.user._id
+      }], { session });
+
+      await registerSerialNumbers({ product, serialNumbers, stockHistory, userId: req.user._id, session });
+
+      await recordStockMovements([{
+        ...change,
+        type: 'receipt',
+        unitCost: landedCost.landedUnitCost,
+        value: landedCost.totalCost,
+        sourceModel: 'StockHistory',
+        source: stockHistory._id,
+        sourceNumber: stockHistory.transactionId,
+        createdBy: req.user._id
+      }], session);
+
+      updatedProduct = await Product.findById(product._id)
+        .populate('supplier', 'companyName')
+        .session(session);
     });
 
     res.json({
       success: true,
-      data: product,
+      data: updatedProduct,
       message: 'Stock added successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -211,7 +315,8 @@ export const getStockHistory = async (req, res, next) => {
     if (search) {
       filter.$or = [
         { productName: { $regex: search, $options: 'i' } },
-        { transactionId: { $regex: search, $options: 'i' } }
+        { transactionId: { $regex: search, $options: 'i' } },
+        { lotNumber: { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -241,6 +346,8 @@ export const getStockHistory = async (req, res, next) => {
 
     const stockHistory = await StockHistory.find(filter)
       .populate('product', 'name')
+      .populate('purchaseOrder', 'poNumber')
+      .populate('location', 'name code')
       .populate('addedBy', 'username firstName lastName')
       .sort(sortOptions);
 
@@ -254,6 +361,133 @@ export const getStockHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get a product's stock card: every ledger movement in a date range with its running balance
+ * The opening balance is the stock on hand just before the range, taken from the ledger itself.
+ * @route   GET /api/inventory/:id/stock-card
+ * @access  Private
+ */
+export const getStockCard = async (req, res, next) => {
+  try {
+    const { startDate, endDate, type, location } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name sku unit stockQuantity locationStock');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // A location's card follows that location's own balance; transfers show up on it
+    const scope = { product: product._id };
+    if (location) scope.location = location;
+    const balanceBefore = (movement) => (location ? movement.locationBalanceBefore : movement.balanceBefore);
+    const balanceAfter = (movement) => (location ? movement.locationBalanceAfter : movement.balanceAfter);
+
+    const filter = { ...scope };
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) {
+        filter.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        // Set to end of day
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const movements = await StockMovement.find(filter)
+      .populate('createdBy', 'username')
+      .populate('location', 'name code')
+      .sort({ createdAt: 1, _id: 1 });
+
+    // Balance before the range: the last movement before it, or the first movement after it
+    // when the range is empty; a product with no ledger yet just shows what is on hand
+    let openingBalance;
+    if (movements.length > 0) {
+      openingBalance = balanceBefore(movements[0]);
+    } else {
+      const before = filter.createdAt?.$gte
+        ? await StockMovement.findOne({ ...scope, createdAt: { $lt: filter.createdAt.$gte } }).sort({ createdAt: -1, _id: -1 })
+        : null;
+      const after = !before && filter.createdAt?.$lte
+        ? await StockMovement.findOne({ ...scope, createdAt: { $gt: filter.createdAt.$lte } }).sort({ createdAt: 1, _id: 1 })
+        : null;
+      openingBalance = before
+        ? balanceAfter(before)
+        : after
+          ? balanceBefore(after)
+          : location ? getLocationQuantity(product, location) : product.stockQuantity;
+    }
+
+    // In and out are measured on the balance, so a transfer between locations nets to nothing overall
+    const entries = type ? movements.filter(movement => movement.type === type) : movements;
+    const changes = entries.map(movement => balanceAfter(movement) - balanceBefore(movement));
+    const totalIn = changes.filter(change => change > 0).reduce((sum, change) => sum + change, 0);
+    const totalOut = changes.filter(change => change < 0).reduce((sum, change) => sum - change, 0);
+
+    res.json({
+      success: true,
+      product,
+      summary: {
+        openingBalance,
+        totalIn: roundQuantity(totalIn),
+        totalOut: roundQuantity(totalOut),
+        closingBalance: movements.length > 0 ? balanceAfter(movements[movements.length - 1]) : openingBalance
+      },
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the lots and expiry-dated deliveries of a product still on hand, in the order sales take them (earliest expiry first)
+ * Each lists what is left of it at every location.
+ * @route   GET /api/inventory/:id/lots
+ * @access  Private
+ */
+export const getProductLots = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku unit tracking');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const lots = await StockHistory.find({
+      product: product._id,
+      $or: [{ lotNumber: { $exists: true } }, { expiryDate: { $exists: true } }],
+      remainingQuantity: { $gt: 0 }
+    })
+      .select('transactionId lotNumber expiryDate dateDelivered stockQuantity remainingQuantity purchaseOrder location locationRemaining')
+      .populate('purchaseOrder', 'poNumber')
+      .populate('location', 'name code')
+      .populate('locationRemaining.location', 'name code')
+      .sort({ dateDelivered: 1, createdAt: 1 });
+
+    // Same order as issueStockCost: lots without an expiry date come last
+    const expiresAt = lot => lot.expiryDate?.getTime() ?? Infinity;
+    lots.sort((a, b) => expiresAt(a) - expiresAt(b));
+
+    res.json({
+      success: true,
+      product,
+      count: lots.length,
+      data: lots
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get low stock alerts
  * @route   GET /api/inventory/alerts
@@ -261,15 +495,23 @@ export const getStockHistory = async (req, res, next) => {
  */
 export const getLowStockAlerts = async (req, res, next) => {
   try {
-    const filter = {
-      isActive: true,
-      $expr: { $lte: ['$stockQuantity', '$lowStockThreshold'] }
-    };
+    const { location } = req.query;
+    const filter = { isActive: true };
 
-    const products = await Product.find(filter)
+    if (!location) {
+      filter.$expr = { $lte: ['$stockQuantity', '$lowStockThreshold'] };
+    }
+
+    let products = await Product.find(filter)
       .populate('supplier', 'companyName')
       .sort({ stockQuantity: 1 });
 
+    if (location) {
+      products = withLocationQuantity(products, location)
+        .filter(product => product.locationQuantity <= product.lowStockThreshold)
+        .sort((a, b) => a.locationQuantity - b.locationQuantity);
+    }
+
     res.json({
       success: true,
       count: products.length,
@@ -280,3 +522,64 @@ export const getLowStockAlerts = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get expiry alerts: deliveries already expired and those expiring within the warning window, with stock left
+ * The window defaults to Settings.expiryWarningDays; `days` picks another one.
+ * @route   GET /api/inventory/expiry-alerts
+ * @access  Private
+ */
+export const getExpiryAlerts = async (req, res, next) => {
+  try {
+    const { location } = req.query;
+    const settings = await Settings.getSettings();
+    const days = req.query.days ? parseInt(req.query.days) : settings.expiryWarningDays;
+
+    const filter = {
+      expiryDate: { $lte: getExpiryWindowEnd(days) },
+      remainingQuantity: { $gt: 0 }
+    };
+    // A delivery is judged by what is left of it at the location now, wherever it was received
+    if (location) {
+      filter.locationRemaining = { $elemMatch: { location, quantity: { $gt: 0 } } };
+    }
+
+    const deliveries = await StockHistory.find(filter)
+      .select('transactionId product productName lotNumber expiryDate dateDelivered remainingQuantity locationRemaining landedUnitCost purchaseOrder location')
+      .populate('product', 'name sku unit stockQuantity isActive')
+      .populate('purchaseOrder', 'poNumber')
+      .populate('location', 'name code')
+      .sort({ expiryDate: 1 });
+
+    // Only stock still on hand matters; products sold out or removed since are skipped.
+    // For one location the remaining quantity and value are that location's share.
+    const alerts = deliveries
+      .filter(delivery => delivery.product?.isActive && delivery.product.stockQuantity > 0)
+      .map(delivery => {
+        const remainingQuantity = location
+          ? getLocationQuantity(delivery, location, 'locationRemaining')
+          : delivery.remainingQuantity;
+        return {
+          ...delivery.toObject(),
+          remainingQuantity,
+          status: isExpired(delivery.expiryDate) ? 'expired' : 'expiring',
+          daysToExpiry: getDaysToExpiry(delivery.expiryDate),
+          value: roundCurrency(remainingQuantity * (delivery.landedUnitCost || 0))
+        };
+      });
+    const expired = alerts.filter(alert => alert.status === 'expired');
+
+    res.json({
+      success: true,
+      summary: {
+        days,
+        expired: expired.length,
+        expiring: alerts.length - expired.length,
+        expiredValue: roundCurrency(expired.reduce((sum, alert) => sum + alert.value, 0))
+      },
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,204 @@
+import Location from '../models/Location.model.js';
+import Product from '../models/Product.model.js';
+import User from '../models/User.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import { assignUnlocatedStock } from '../utils/locations.js';
+
+/**
+ * @desc    Get all locations
+ * @route   GET /api/locations
+ * @access  Private
+ */
+export const getLocations = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const locations = await Location.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single location
+ * @route   GET /api/locations/:id
+ * @access  Private
+ */
+export const getLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new location
+ * The first location becomes the default and takes over all stock counted so far.
+ * @route   POST /api/locations
+ * @access  Private/Admin
+ */
+export const createLocation = async (req, res, next) => {
+  try {
+    const { name, code, type, address } = req.body;
+    const hasDefault = await Location.exists({ isDefault: true });
+    const isDefault = !hasDefault || req.body.isDefault === true;
+
+    if (isDefault && hasDefault) {
+      await Location.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    }
+
+    const location = await Location.create({ name, code, type, address, isDefault });
+
+    let message = `Location ${location.name} created`;
+    if (!hasDefault) {
+      const assigned = await assignUnlocatedStock(location._id);
+      message = `Location ${location.name} created as the default; stock of ${assigned} product(s) assigned to it`;
+    }
+
+    res.status(201).json({
+      success: true,
+      message,
+      data: location
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location name or code already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update location
+ * @route   PUT /api/locations/:id
+ * @access  Private/Admin
+ */
+export const updateLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const { name, code, type, address, isActive, isDefault } = req.body;
+
+    if (location.isDefault && (isActive === false || isDefault === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another location the default first'
+      });
+    }
+
+    if (isDefault === true && !location.isDefault) {
+      if (isActive === false || (!location.isActive && isActive !== true)) {
+        return res.status(400).json({
+          success: false,
+          message: 'An inactive location cannot be the default'
+        });
+      }
+      await Location.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+      location.isDefault = true;
+    }
+
+    if (name !== undefined) location.name = name;
+    if (code !== undefined) location.code = code;
+    if (type !== undefined) location.type = type;
+    if (address !== undefined) location.address = address;
+    if (isActive !== undefined) location.isActive = isActive;
+
+    await location.save();
+
+    res.json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location name or code already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete location
+ * Only a location that never held stock can be deleted; others are deactivated instead.
+ * @route   DELETE /api/locations/:id
+ * @access  Private/Admin
+ */
+export const deleteLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    if (location.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the default location. Make another location the default first.'
+      });
+    }
+
+    const [hasStock, hasMovements] = await Promise.all([
+      Product.exists({ locationStock: { $elemMatch: { location: location._id, quantity: { $gt: 0 } } } }),
+      StockMovement.exists({ location: location._id })
+    ]);
+
+    if (hasStock || hasMovements) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a location that has held stock. Deactivate it instead.'
+      });
+    }
+
+    await Product.updateMany({}, { $pull: { locationStock: { location: location._id } } });
+    await User.updateMany({ location: location._id }, { $unset: { location: 1 } });
+    await Location.findByIdAndDelete(location._id);
+
+    res.json({
+      success: true,
+      message: 'Location deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,239 @@
+import PriceList from '../models/PriceList.model.js';
+import Product from '../models/Product.model.js';
+import Customer from '../models/Customer.model.js';
+
+/**
+ * Check the product overrides of a create/update body and normalize them
+ * Each product/UOM pair can appear once, the UOM must be one the product is sold in,
+ * and quantity breaks are sorted by minimum quantity
+ * @returns {Promise<string|null>} Error message, or null when the overrides are acceptable
+ */
+const prepareItems = async (body) => {
+  if (!Array.isArray(body.items)) return null;
+
+  const productIds = [...new Set(body.items.map(item => item.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('name unit uoms');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const seen = new Set();
+  for (const item of body.items) {
+    const product = productMap.get(item.product.toString());
+    if (!product) {
+      return `Product with ID ${item.product} not found`;
+    }
+
+    // The product's own unit is its base unit
+    let uom = item.uom?.trim() || '';
+    if (uom && uom.toLowerCase() === product.unit?.toLowerCase()) {
+      uom = '';
+    }
+    if (uom) {
+      const match = product.uoms?.find(u => u.name.toLowerCase() === uom.toLowerCase());
+      if (!match) {
+        return `${product.name} is not sold by ${uom}`;
+      }
+      uom = match.name;
+    }
+    item.uom = uom;
+
+    const key = `${product._id}:${uom.toLowerCase()}`;
+    if (seen.has(key)) {
+      return `${product.name}${uom ? ` (${uom})` : ''} is listed more than once`;
+    }
+    seen.add(key);
+
+    const hasPrice = item.price !== undefined && item.price !== null && item.price !== '';
+    const hasMarkup = item.markupPercentage !== undefined && item.markupPercentage !== null && item.markupPercentage !== '';
+    if (!hasPrice && !hasMarkup && !(item.quantityBreaks?.length > 0)) {
+      return `Set a price, a markup or quantity breaks for ${product.name}`;
+    }
+    if (!hasPrice) delete item.price;
+    if (!hasMarkup) delete item.markupPercentage;
+
+    const breaks = (item.quantityBreaks || []).map(b => ({ minQuantity: parseFloat(b.minQuantity), price: parseFloat(b.price) }));
+    if (new Set(breaks.map(b => b.minQuantity)).size !== breaks.length) {
+      return `${product.name} has two quantity breaks at the same quantity`;
+    }
+    item.quantityBreaks = breaks.sort((a, b) => a.minQuantity - b.minQuantity);
+  }
+
+  return null;
+};
+
+/**
+ * Only one active list can be the default; setting a new default clears the old one
+ */
+const clearOtherDefaults = async (priceList) => {
+  if (priceList.isDefault) {
+    await PriceList.updateMany({ _id: { $ne: priceList._id }, isDefault: true }, { isDefault: false });
+  }
+};
+
+/**
+ * @desc    Get all price lists
+ * @route   GET /api/price-lists
+ * @access  Private
+ */
+export const getPriceLists = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const priceLists = await PriceList.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: priceLists.length,
+      data: priceLists
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single price list with its product overrides
+ * @route   GET /api/price-lists/:id
+ * @access  Private
+ */
+export const getPriceList = async (req, res, next) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id)
+      .populate('items.product', 'name sku unit uoms price markupPercentage');
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    const customerCount = await Customer.countDocuments({ priceList: priceList._id });
+
+    res.json({
+      success: true,
+      data: priceList,
+      customerCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new price list
+ * @route   POST /api/price-lists
+ * @access  Private/Admin
+ */
+export const createPriceList = async (req, res, next) => {
+  try {
+    const itemsError = await prepareItems(req.body);
+    if (itemsError) {
+      return res.status(400).json({
+        success: false,
+        message: itemsError
+      });
+    }
+
+    const priceList = await PriceList.create(req.body);
+    await clearOtherDefaults(priceList);
+
+    res.status(201).json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price list name already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update price list
+ * @route   PUT /api/price-lists/:id
+ * @access  Private/Admin
+ */
+export const updatePriceList = async (req, res, next) => {
+  try {
+    const itemsError = await prepareItems(req.body);
+    if (itemsError) {
+      return res.status(400).json({
+        success: false,
+        message: itemsError
+      });
+    }
+
+    const priceList = await PriceList.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    await clearOtherDefaults(priceList);
+
+    res.json({
+      success: true,
+      data: priceList
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price list name already exists'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete price list
+ * @route   DELETE /api/price-lists/:id
+ * @access  Private/Admin
+ */
+export const deletePriceList = async (req, res, next) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    // Sale lines keep the list name, but customers would silently lose their pricing
+    const customerCount = await Customer.countDocuments({ priceList: priceList._id });
+    if (customerCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete price list. It is assigned to ${customerCount} customer(s). Reassign them or deactivate the list instead.`
+      });
+    }
+
+    await PriceList.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Price list deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,49 @@
 import Product from '../models/Product.model.js';
 import Supplier from '../models/Supplier.model.js';
+import { isValidBarcode, detectBarcodeType, encodeBarcode } from '../utils/barcode.js';
+import { generateInternalBarcode } from '../utils/generateInternalBarcode.js';
+import { validateUoms, roundQuantity, hasValidPrecision, getQuantityPrecision, describePrecision } from '../utils/unitOfMeasure.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { getUnitCost } from '../utils/landedCost.js';
+import { recordStockMovements } from '../utils/stockLedger.js';
+import { resolveLocation } from '../utils/locations.js';
+import { jsPDF } from 'jspdf';
+import { format } from 'date-fns';
+
+/**
+ * Validate the barcode in a create/update body and fill in its symbology
+ * A blank barcode clears it; the type is detected when not given
+ * @returns {Promise<string|null>} Error message, or null when the barcode is acceptable
+ */
+const prepareBarcode = async (body, productId = null) => {
+  if (!('barcode' in body)) return null;
+
+  const barcode = typeof body.barcode === 'string' ? body.barcode.trim() : body.barcode;
+  if (!barcode) {
+    delete body.barcode;
+    delete body.barcodeType;
+    if (productId) {
+      body.$unset = { barcode: 1, barcodeType: 1 };
+    }
+    return null;
+  }
+
+  const barcodeType = body.barcodeType || detectBarcodeType(barcode);
+  if (!isValidBarcode(barcode, barcodeType)) {
+    return barcodeType === 'code128'
+      ? 'Code 128 barcodes must be 1-48 printable characters'
+      : `Invalid ${barcodeType === 'ean13' ? 'EAN-13' : 'UPC-A'} barcode. Check the length and check digit.`;
+  }
+
+  const existing = await Product.findOne({ barcode, _id: { $ne: productId } }).select('name');
+  if (existing) {
+    return `Barcode ${barcode} is already assigned to ${existing.name}`;
+  }
+
+  body.barcode = barcode;
+  body.barcodeType = barcodeType;
+  return null;
+};
 
 /**
  * @desc    Get all products
@@ -60,6 +104,42 @@ export const getProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Look up a product by exact barcode or SKU (scanner input)
+ * @route   GET /api/products/lookup/:code
+ * @access  Private
+ */
+export const lookupProduct = async (req, res, next) => {
+  try {
+    const code = req.params.code.trim();
+
+    // A barcode match wins over an SKU that happens to hold the same value
+    const product = await Product.findOne({ barcode: code }).populate('supplier', 'companyName')
+      || await Product.findOne({ sku: code }).populate('supplier', 'companyName');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `No product found with barcode or SKU ${code}`
+      });
+    }
+
+    if (!product.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} is inactive`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create new product
  * @route   POST /api/products
@@ -83,6 +163,22 @@ export const createProduct = async (req, res, next) => {
       supplier: supplierId
     };
 
+    const barcodeError = await prepareBarcode(productData);
+    if (barcodeError) {
+      return res.status(400).json({
+        success: false,
+        message: barcodeError
+      });
+    }
+
+    const uomError = validateUoms(productData.uoms, productData.unit);
+    if (uomError) {
+      return res.status(400).json({
+        success: false,
+        message: uomError
+      });
+    }
+
     // Set default values for optional fields if not provided
     // This ensures they don't trigger validation errors
     if (!('price' in req.body) || productData.price === undefined || productData.price === null || productData.price === '') {
@@ -95,6 +191,30 @@ export const createProduct = async (req, res, next) => {
       productData.stockQuantity = 0;
     }
 
+    // Opening stock is in the base unit and must respect its precision
+    productData.stockQuantity = roundQuantity(parseFloat(productData.stockQuantity) || 0);
+    const precision = getQuantityPrecision(productData);
+    if (!hasValidPrecision(productData.stockQuantity, precision)) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock quantity for this unit must be in ${describePrecision(precision)}`
+      });
+    }
+
+    // Opening stock has no serial numbers on record, so serialized products start empty and are received
+    if (productData.tracking === 'serial' && productData.stockQuantity > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Serialized products start with no stock. Receive the units through Update Stock so each serial number is recorded.'
+      });
+    }
+
+    // Opening stock is placed at the default location
+    const location = await resolveLocation(null);
+    productData.locationStock = location && productData.stockQuantity > 0
+      ? [{ location: location._id, quantity: productData.stockQuantity }]
+      : [];
+
     // Add initial pricing history entry
     productData.pricingHistory = [{
       basePrice: productData.price,
@@ -105,6 +225,27 @@ export const createProduct = async (req, res, next) => {
     const product = await Product.create(productData);
     await product.populate('supplier', 'companyName');
 
+    // Opening stock starts the product's ledger so its running balance adds up from day one
+    if (product.stockQuantity > 0) {
+      const unitCost = getUnitCost(product);
+      await recordStockMovements([{
+        product: product._id,
+        productName: product.name,
+        type: 'opening',
+        quantity: product.stockQuantity,
+        balanceBefore: 0,
+        balanceAfter: product.stockQuantity,
+        ...(location && {
+          location: location._id,
+          locationBalanceBefore: 0,
+          locationBalanceAfter: product.stockQuantity
+        }),
+        unitCost,
+        value: roundCurrency(unitCost * product.stockQuantity),
+        createdBy: req.user._id
+      }]);
+    }
+
     res.status(201).json({
       success: true,
       data: product
@@ -141,6 +282,43 @@ export const updateProduct = async (req, res, next) => {
       }
     }
 
+    const barcodeError = await prepareBarcode(req.body, product._id);
+    if (barcodeError) {
+      return res.status(400).json({
+        success: false,
+        message: barcodeError
+      });
+    }
+
+    const uomError = validateUoms(req.body.uoms || product.uoms, req.body.unit ?? product.unit);
+    if (uomError) {
+      return res.status(400).json({
+        success: false,
+        message: uomError
+      });
+    }
+
+    // Stock only moves through deliveries, sales, returns and adjustments, so every change has a reason on record
+    if (req.body.stockQuantity !== undefined && req.body.stockQuantity !== '') {
+      if (roundQuantity(parseFloat(req.body.stockQuantity) || 0) !== product.stockQuantity) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stock cannot be edited directly. Record a stock adjustment or a cycle count instead.'
+        });
+      }
+    }
+    // Units already on hand have no serial numbers, so they could never be picked at the POS
+    if (req.body.tracking === 'serial' && product.tracking !== 'serial' && product.stockQuantity > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Serial tracking can only be turned on while the product has no stock'
+      });
+    }
+
+    delete req.body.stockQuantity;
+    delete req.body.locationStock;
+    delete req.body.averageCost;
+
     // Check if price or markupPercentage has changed
     const oldPrice = product.price || 0;
     const oldMarkupPercentage = product.markupPercentage || 0;
@@ -211,3 +389,121 @@ export const deleteProduct = async (req, res, next) => {
   }
 };
 
+
+// Label sheet layout: A4, 3 columns x 8 rows
+const LABEL_COLUMNS = 3;
+const LABEL_ROWS = 8;
+const LABEL_MARGIN_X = 7;
+const LABEL_MARGIN_Y = 12;
+
+/**
+ * Draw a barcode's modules as filled bars
+ */
+const drawBarcode = (doc, modules, x, y, width, height) => {
+  const moduleWidth = width / modules.length;
+  let runStart = -1;
+  for (let i = 0; i <= modules.length; i++) {
+    if (modules[i] === '1' && runStart === -1) {
+      runStart = i;
+    } else if (modules[i] !== '1' && runStart !== -1) {
+      doc.rect(x + runStart * moduleWidth, y, (i - runStart) * moduleWidth, height, 'F');
+      runStart = -1;
+    }
+  }
+};
+
+/**
+ * @desc    Generate a PDF sheet of shelf/bin labels with barcodes
+ * @route   POST /api/products/labels
+ * @access  Private/Admin/Supplier/Staff
+ */
+export const printLabels = async (req, res, next) => {
+  try {
+    const { items } = req.body;
+    const productIds = items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const labels = [];
+    for (const item of items) {
+      const product = productMap.get(item.product.toString());
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: `Product with ID ${item.product} not found`
+        });
+      }
+
+      // Products without a manufacturer barcode are labelled with their SKU, or get an
+      // in-store EAN-13 so the printed label scans back to the product
+      if (!product.barcode && !(product.sku && isValidBarcode(product.sku, 'code128'))) {
+        product.barcode = await generateInternalBarcode();
+        product.barcodeType = 'ean13';
+        await product.save();
+      }
+
+      const code = product.barcode || product.sku;
+      const type = product.barcode ? product.barcodeType || detectBarcodeType(product.barcode) : 'code128';
+      const copies = parseInt(item.copies) || 1;
+      for (let i = 0; i < copies; i++) {
+        labels.push({ product, code, type });
+      }
+    }
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const labelWidth = (pageWidth - LABEL_MARGIN_X * 2) / LABEL_COLUMNS;
+    const labelHeight = (pageHeight - LABEL_MARGIN_Y * 2) / LABEL_ROWS;
+    const labelsPerPage = LABEL_COLUMNS * LABEL_ROWS;
+
+    labels.forEach((label, index) => {
+      const position = index % labelsPerPage;
+      if (index > 0 && position === 0) {
+        doc.addPage();
+      }
+
+      const x = LABEL_MARGIN_X + (position % LABEL_COLUMNS) * labelWidth;
+      const y = LABEL_MARGIN_Y + Math.floor(position / LABEL_COLUMNS) * labelHeight;
+      const centerX = x + labelWidth / 2;
+
+      // Cut guide
+      doc.setDrawColor(200, 200, 200);
+      doc.setLineWidth(0.1);
+      doc.rect(x, y, labelWidth, labelHeight);
+
+      // Product name (one line) and selling price
+      doc.setTextColor(0, 0, 0);
+      doc.setFontSize(8);
+      doc.setFont(undefined, 'bold');
+      const [name] = doc.splitTextToSize(label.product.name, labelWidth - 4);
+      doc.text(name, centerX, y + 4.5, { align: 'center' });
+
+      doc.setFontSize(10);
+      doc.text(`PHP ${(label.product.totalPrice || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, centerX, y + 9, { align: 'center' });
+
+      // Barcode with quiet zones on both sides
+      const barcodeWidth = labelWidth - 10;
+      doc.setFillColor(0, 0, 0);
+      drawBarcode(doc, encodeBarcode(label.code, label.type), x + 5, y + 11, barcodeWidth, labelHeight - 18);
+
+      doc.setFontSize(7);
+      doc.setFont(undefined, 'normal');
+      doc.text(label.code, centerX, y + labelHeight - 3.5, { align: 'center' });
+    });
+
+    // Generate PDF buffer
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    // Set response headers
+    const fileName = `Labels_${format(new Date(), 'yyyy-MM-dd')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    // Send PDF
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
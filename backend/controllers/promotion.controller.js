@@ -0,0 +1,270 @@
+import Promotion from '../models/Promotion.model.js';
+import Product from '../models/Product.model.js';
+import Supplier from '../models/Supplier.model.js';
+import Sale from '../models/Sale.model.js';
+import { findRunningPromotions } from '../utils/promotions.js';
+
+// Target list each scope reads from
+const SCOPE_FIELDS = {
+  product: 'products',
+  category: 'categories',
+  subcategory: 'subCategories',
+  supplier: 'suppliers'
+};
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight, or the last millisecond of that day
+ */
+const parseLocalDate = (value, endOfDay = false) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, day, 23, 59, 59, 999)
+      : new Date(year, month - 1, day, 0, 0, 0, 0);
+  }
+  return new Date(value);
+};
+
+/**
+ * Check a create/update body against the promotion it changes and normalize it
+ * The mechanics must fit the type, the scope needs at least one target, and the dates must be in order.
+ * @param {Object} body - Request body, normalized in place
+ * @param {Object} [existing] - Promotion being updated
+ * @returns {Promise<string|null>} Error message, or null when the promotion is acceptable
+ */
+const preparePromotion = async (body, existing = null) => {
+  if (body.startDate) body.startDate = parseLocalDate(body.startDate);
+  if (body.endDate) body.endDate = parseLocalDate(body.endDate, true);
+
+  const merged = { ...(existing ? existing.toObject() : {}), ...body };
+
+  if (merged.startDate && merged.endDate && merged.endDate < merged.startDate) {
+    return 'End date cannot be before the start date';
+  }
+
+  if (merged.type === 'percentage' && !(merged.value > 0 && merged.value <= 100)) {
+    return 'Percentage off must be between 0 and 100';
+  }
+  if (merged.type === 'fixed_price' && (merged.value === undefined || merged.value === null || merged.value === '')) {
+    return 'Promo price is required';
+  }
+  if (merged.type === 'buy_x_get_y' && !(merged.buyQuantity >= 1 && merged.getQuantity >= 1)) {
+    return 'Buy and free quantities are required';
+  }
+
+  const field = SCOPE_FIELDS[merged.scope];
+  if (!field) return null;
+  const targets = (merged[field] || []).map(target => (typeof target === 'string' ? target.trim() : target)).filter(Boolean);
+  if (targets.length === 0) {
+    return `Choose at least one ${merged.scope === 'subcategory' ? 'subcategory' : merged.scope} for this promotion`;
+  }
+
+  if (merged.scope === 'product' && body.products) {
+    const count = await Product.countDocuments({ _id: { $in: targets } });
+    if (count !== new Set(targets.map(String)).size) {
+      return 'One or more selected products were not found';
+    }
+  }
+  if (merged.scope === 'supplier' && body.suppliers) {
+    const count = await Supplier.countDocuments({ _id: { $in: targets } });
+    if (count !== new Set(targets.map(String)).size) {
+      return 'One or more selected suppliers were not found';
+    }
+  }
+
+  // Only the list for the chosen scope is kept
+  if (body.scope) {
+    Object.values(SCOPE_FIELDS).forEach(otherField => {
+      body[otherField] = otherField === field ? [...new Set(targets.map(String))] : [];
+    });
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get all promotions
+ * @route   GET /api/promotions
+ * @access  Private
+ */
+export const getPromotions = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    const filter = {};
+
+    // running/scheduled/expired follow the dates of active promotions
+    if (status === 'running') {
+      Object.assign(filter, { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } });
+    } else if (status === 'scheduled') {
+      Object.assign(filter, { isActive: true, startDate: { $gt: now } });
+    } else if (status === 'expired') {
+      filter.endDate = { $lt: now };
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    }
+
+    const promotions = await Promotion.find(filter)
+      .populate('products', 'name sku')
+      .populate('suppliers', 'companyName')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get promotions running now, for pricing the POS cart
+ * @route   GET /api/promotions/active
+ * @access  Private
+ */
+export const getRunningPromotions = async (req, res, next) => {
+  try {
+    const promotions = await findRunningPromotions();
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single promotion
+ * @route   GET /api/promotions/:id
+ * @access  Private
+ */
+export const getPromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('products', 'name sku')
+      .populate('suppliers', 'companyName');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new promotion
+ * @route   POST /api/promotions
+ * @access  Private/Admin
+ */
+export const createPromotion = async (req, res, next) => {
+  try {
+    const promotionError = await preparePromotion(req.body);
+    if (promotionError) {
+      return res.status(400).json({
+        success: false,
+        message: promotionError
+      });
+    }
+
+    const promotion = await Promotion.create({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/promotions/:id
+ * @access  Private/Admin
+ */
+export const updatePromotion = async (req, res, next) => {
+  try {
+    const existing = await Promotion.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const promotionError = await preparePromotion(req.body, existing);
+    if (promotionError) {
+      return res.status(400).json({
+        success: false,
+        message: promotionError
+      });
+    }
+
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete promotion
+ * @route   DELETE /api/promotions/:id
+ * @access  Private/Admin
+ */
+export const deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // The uptake report reads the promotion's type and dates, so used promotions are kept
+    const saleCount = await Sale.countDocuments({ 'items.promotion': promotion._id });
+    if (saleCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete promotion. It was applied to ${saleCount} sale(s). Deactivate it instead.`
+      });
+    }
+
+    await Promotion.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,891 @@
+import mongoose from 'mongoose';
+import PurchaseOrder, { RECEIVABLE_STATUSES } from '../models/PurchaseOrder.model.js';
+import Product from '../models/Product.model.js';
+import Supplier from '../models/Supplier.model.js';
+import StockHistory from '../models/StockHistory.model.js';
+import Settings from '../models/Settings.model.js';
+import { createError } from '../utils/createError.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { generatePurchaseOrderNumber } from '../utils/generatePurchaseOrderNumber.js';
+import { generateStockTransactionId } from '../utils/generateStockTransactionId.js';
+import { resolveUnit, getBaseQuantity, assertQuantityPrecision, roundQuantity, formatQuantity } from '../utils/unitOfMeasure.js';
+import { calculateLandedCost, allocateCharge, receiveStockUpdate } from '../utils/landedCost.js';
+import { applyStockChange, recordStockMovements } from '../utils/stockLedger.js';
+import { normalizeSerialNumbers, assertReceiptTracking, registerSerialNumbers } from '../utils/stockTracking.js';
+import { resolveLocation } from '../utils/locations.js';
+import { calculateReorderPoints, groupSuggestionsBySupplier } from '../utils/reorder.js';
+import { jsPDF } from 'jspdf';
+import { format } from 'date-fns';
+
+/**
+ * Build purchase order lines from a create/update body
+ * Every product must come from the order's supplier and be orderable in the given unit.
+ * The agreed unit cost defaults to the product's base price in that unit.
+ * @returns {Promise<{ lines: Array<Object>, total: number }>}
+ * @throws 400/404 when a line cannot be ordered
+ */
+const buildOrderLines = async (lines, supplierId) => {
+  const productIds = [...new Set(lines.map(line => line.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const orderLines = lines.map(line => {
+    const product = productMap.get(line.product.toString());
+    if (!product) {
+      throw createError(404, `Product with ID ${line.product} not found`);
+    }
+    if (product.supplier.toString() !== supplierId.toString()) {
+      throw createError(400, `${product.name} is not supplied by this supplier`);
+    }
+
+    const unit = resolveUnit(product, line.uom);
+    assertQuantityPrecision(product, line.orderedQuantity, unit);
+    const hasCost = line.unitCost !== undefined && line.unitCost !== null && line.unitCost !== '';
+
+    return {
+      product: product._id,
+      productName: product.name,
+      uom: unit.uom,
+      unitFactor: unit.unitFactor,
+      orderedQuantity: roundQuantity(line.orderedQuantity),
+      unitCost: roundCurrency(hasCost ? parseFloat(line.unitCost) : product.price * unit.unitFactor)
+    };
+  });
+
+  const total = roundCurrency(orderLines.reduce((sum, line) => sum + line.unitCost * line.orderedQuantity, 0));
+  return { lines: orderLines, total };
+};
+
+/**
+ * Format currency for PDF
+ */
+const formatCurrency = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Reorder parameters from the query string, falling back to the saved settings
+ * @returns {Promise<Object>} { lookbackDays, safetyStockFactor, coverDays }
+ */
+const getReorderParams = async (query) => {
+  const settings = await Settings.getSettings();
+  return {
+    lookbackDays: query.lookbackDays ? parseInt(query.lookbackDays) : settings.reorderLookbackDays,
+    safetyStockFactor: query.safetyStockFactor !== undefined && query.safetyStockFactor !== ''
+      ? parseFloat(query.safetyStockFactor)
+      : settings.safetyStockFactor,
+    coverDays: query.coverDays ? parseInt(query.coverDays) : settings.reorderCoverDays
+  };
+};
+
+/**
+ * @desc    Get all purchase orders
+ * @route   GET /api/purchase-orders
+ * @access  Private/Admin
+ */
+export const getPurchaseOrders = async (req, res, next) => {
+  try {
+    const { status, supplier, location } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (supplier) filter.supplier = supplier;
+    if (location) filter.location = location;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate('supplier', 'companyName')
+      .populate('location', 'name code')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: purchaseOrders.length,
+      data: purchaseOrders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single purchase order with its deliveries
+ * @route   GET /api/purchase-orders/:id
+ * @access  Private/Admin
+ */
+export const getPurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('location', 'name code')
+      .populate('createdBy', 'username')
+      .populate('lines.product', 'name sku unit uoms quantityPrecision price tracking');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const deliveries = await StockHistory.find({ purchaseOrder: purchaseOrder._id })
+      .populate('addedBy', 'username')
+      .populate('location', 'name code')
+      .sort({ dateDelivered: -1 });
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create purchase order (as a draft)
+ * @route   POST /api/purchase-orders
+ * @access  Private/Admin
+ */
+export const createPurchaseOrder = async (req, res, next) => {
+  try {
+    const { supplier: supplierId, lines, expectedDate, notes, location: locationId } = req.body;
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const order = await buildOrderLines(lines, supplier._id);
+    const location = await resolveLocation(locationId);
+    const poNumber = await generatePurchaseOrderNumber();
+
+    const purchaseOrder = await PurchaseOrder.create({
+      poNumber,
+      supplier: supplier._id,
+      lines: order.lines,
+      total: order.total,
+      expectedDate: expectedDate || undefined,
+      location: location?._id,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await purchaseOrder.populate('supplier', 'companyName');
+    await purchaseOrder.populate('location', 'name code');
+
+    res.status(201).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update purchase order
+ * Lines can only change while the order is a draft; the expected date and notes until it is closed
+ * @route   PUT /api/purchase-orders/:id
+ * @access  Private/Admin
+ */
+export const updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a ${purchaseOrder.status} purchase order`
+      });
+    }
+
+    const { lines, expectedDate, notes, location: locationId } = req.body;
+
+    if (lines !== undefined) {
+      if (purchaseOrder.status !== 'draft') {
+        return res.status(400).json({
+          success: false,
+          message: 'Lines can only be changed while the purchase order is a draft'
+        });
+      }
+      const order = await buildOrderLines(lines, purchaseOrder.supplier);
+      purchaseOrder.lines = order.lines;
+      purchaseOrder.total = order.total;
+    }
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate || undefined;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    if (locationId !== undefined) purchaseOrder.location = (await resolveLocation(locationId))?._id;
+
+    await purchaseOrder.save();
+    await purchaseOrder.populate('supplier', 'companyName');
+    await purchaseOrder.populate('location', 'name code');
+
+    res.json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a draft purchase order as sent to the supplier
+ * @route   POST /api/purchase-orders/:id/send
+ * @access  Private/Admin
+ */
+export const sendPurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: 'draft' },
+      { status: 'sent', sentAt: new Date() },
+      { new: true }
+    ).populate('supplier', 'companyName');
+
+    if (!purchaseOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be sent'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: `Purchase order ${purchaseOrder.poNumber} marked as sent`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive a delivery against a purchase order
+ * Receives the given lines, or everything still outstanding when no lines are given.
+ * Each line received adds stock and a StockHistory entry linked to the order, costed at the
+ * agreed unit cost plus its share of the delivery's freight and other charges.
+ * Lines received above the ordered quantity are flagged over-delivered; closing an order
+ * short flags the lines below it as under-delivered. Serialized lines need a serial per unit
+ * and lot-tracked lines a lot number, so those products cannot be received without lines.
+ * @route   POST /api/purchase-orders/:id/receive
+ * @access  Private/Admin
+ */
+export const receivePurchaseOrder = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { lines: receivedLines, dateDelivered, closeShort, freight, otherCharges, location: locationId } = req.body;
+    const settings = await Settings.getSettings();
+    let purchaseOrder;
+    let receivedCount = 0;
+
+    // Stock, stock history and the order move together
+    await session.withTransaction(async () => {
+      purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!purchaseOrder) {
+        throw createError(404, 'Purchase order not found');
+      }
+      if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+        throw createError(400, purchaseOrder.status === 'draft'
+          ? 'Send the purchase order before receiving against it'
+          : `Cannot receive against a ${purchaseOrder.status} purchase order`);
+      }
+
+      const receipts = receivedLines?.length
+        ? receivedLines
+        : purchaseOrder.lines
+          .filter(line => line.receivedQuantity < line.orderedQuantity)
+          .map(line => ({ lineId: line._id, quantity: roundQuantity(line.orderedQuantity - line.receivedQuantity) }));
+
+      // Received into the location given, else where the order was meant to be delivered
+      const location = await resolveLocation(locationId || purchaseOrder.location, session);
+
+      const products = await Product.find({ _id: { $in: purchaseOrder.lines.map(line => line.product) } }).session(session);
+      const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+      const deliveries = [];
+      for (const receipt of receipts) {
+        const quantity = roundQuantity(parseFloat(receipt.quantity) || 0);
+        if (quantity <= 0) continue;
+
+        const line = purchaseOrder.lines.id(receipt.lineId);
+        if (!line) {
+          throw createError(400, `Line ${receipt.lineId} is not on this purchase order`);
+        }
+        const product = productMap.get(line.product.toString());
+        if (!product) {
+          throw createError(404, `${line.productName} no longer exists`);
+        }
+        assertQuantityPrecision(product, quantity, resolveUnit(product, line.uom));
+
+        // Serialized and lot-tracked products need their serials or lot entered for each line received;
+        // any line can carry an expiry date
+        const baseQuantity = getBaseQuantity({ quantity, unitFactor: line.unitFactor });
+        const serialNumbers = normalizeSerialNumbers(receipt.serialNumbers);
+        await assertReceiptTracking(product, { baseQuantity, serialNumbers, lotNumber: receipt.lotNumber, session });
+        if (product.tracking === 'serial') {
+          const repeated = deliveries.flatMap(delivery => delivery.product._id.equals(product._id) ? delivery.serialNumbers : [])
+            .find(serial => serialNumbers.includes(serial));
+          if (repeated) {
+            throw createError(400, `Serial number ${repeated} is entered more than once`);
+          }
+        }
+
+        deliveries.push({
+          line,
+          product,
+          quantity,
+          baseQuantity,
+          purchaseCost: roundCurrency(line.unitCost * quantity),
+          serialNumbers,
+          lotNumber: product.tracking === 'lot' ? receipt.lotNumber.trim() : undefined,
+          expiryDate: receipt.expiryDate ? new Date(receipt.expiryDate) : undefined
+        });
+      }
+
+      if (deliveries.length === 0 && (freight > 0 || otherCharges > 0)) {
+        throw createError(400, 'Freight and other charges need at least one line received');
+      }
+
+      // The delivery's freight and other charges are landed on its lines by value
+      const purchaseCosts = deliveries.map(delivery => delivery.purchaseCost);
+      const freightShares = allocateCharge(freight || 0, purchaseCosts);
+      const otherChargeShares = allocateCharge(otherCharges || 0, purchaseCosts);
+      let costReceived = 0;
+      const movements = [];
+      receivedCount = 0;
+
+      for (const [index, delivery] of deliveries.entries()) {
+        const { line, product, quantity, baseQuantity, serialNumbers, lotNumber, expiryDate } = delivery;
+        const landedCost = calculateLandedCost({
+          quantity,
+          baseQuantity,
+          unitCost: line.unitCost,
+          freight: freightShares[index],
+          otherCharges: otherChargeShares[index]
+        });
+
+        const change = await applyStockChange({
+          productId: product._id,
+          quantity: baseQuantity,
+          location: location?._id,
+          update: receiveStockUpdate(baseQuantity, landedCost.totalCost),
+          session
+        });
+        const [stockHistory] = await StockHistory.create([{
+          transactionId: generateStockTransactionId(),
+          product: product._id,
+          productName: product.name,
+          stockQuantity: baseQuantity,
+          uom: line.uom || undefined,
+          uomQuantity: line.uom ? quantity : undefined,
+          dateDelivered: new Date(dateDelivered),
+          unitCost: line.unitCost,
+          freight: freightShares[index],
+          otherCharges: otherChargeShares[index],
+          totalCost: landedCost.totalCost,
+          landedUnitCost: landedCost.landedUnitCost,
+          remainingQuantity: baseQuantity,
+          lotNumber,
+          expiryDate,
+          purchaseOrder: purchaseOrder._id,
+          location: location?._id,
+          locationRemaining: location ? [{ location: location._id, quantity: baseQuantity }] : [],
+          addedBy: req.user._id
+        }], { session });
+        await registerSerialNumbers({ product, serialNumbers, stockHistory, userId: req.user._id, session });
+        movements.push({
+          ...change,
+          type: 'receipt',
+          unitCost: landedCost.landedUnitCost,
+          value: landedCost.totalCost,
+          sourceModel: 'PurchaseOrder',
+          source: purchaseOrder._id,
+          sourceNumber: purchaseOrder.poNumber,
+          createdBy: req.user._id
+        });
+
+        line.receivedQuantity = roundQuantity(line.receivedQuantity + quantity);
+        costReceived = roundCurrency(costReceived + landedCost.totalCost);
+        receivedCount += 1;
+      }
+
+      if (receivedCount === 0 && !closeShort) {
+        throw createError(400, 'Enter a received quantity for at least one line');
+      }
+      await recordStockMovements(movements, session);
+
+      // Fully received, or closed short by the buyer
+      const fullyReceived = purchaseOrder.lines.every(line => line.receivedQuantity >= line.orderedQuantity);
+      const isClosing = fullyReceived || !!closeShort;
+
+      purchaseOrder.lines.forEach(line => {
+        if (line.receivedQuantity > line.orderedQuantity) {
+          line.deliveryFlag = 'over';
+        } else if (isClosing && line.receivedQuantity < line.orderedQuantity) {
+          line.deliveryFlag = 'under';
+        } else {
+          line.deliveryFlag = null;
+        }
+      });
+
+      if (isClosing) {
+        purchaseOrder.status = 'received';
+        purchaseOrder.receivedAt = new Date();
+      } else {
+        purchaseOrder.status = 'partially_received';
+      }
+      await purchaseOrder.save({ session });
+
+      if (costReceived > 0) {
+        await Settings.updateOne(
+          { _id: settings._id },
+          [{ $set: { totalCostOfGoods: { $round: [{ $add: ['$totalCostOfGoods', costReceived] }, 2] } } }],
+          { session }
+        );
+      }
+    });
+
+    await purchaseOrder.populate('supplier', 'companyName');
+
+    const over = purchaseOrder.lines.filter(line => line.deliveryFlag === 'over');
+    const under = purchaseOrder.lines.filter(line => line.deliveryFlag === 'under');
+    const flags = [
+      ...over.map(line => `${line.productName} over by ${formatQuantity(roundQuantity(line.receivedQuantity - line.orderedQuantity))}`),
+      ...under.map(line => `${line.productName} short by ${formatQuantity(roundQuantity(line.orderedQuantity - line.receivedQuantity))}`)
+    ];
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: `Received ${receivedCount} line(s) on ${purchaseOrder.poNumber}${flags.length ? `. ${flags.join('; ')}` : ''}`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Cancel a purchase order nothing has been received against
+ * @route   POST /api/purchase-orders/:id/cancel
+ * @access  Private/Admin
+ */
+export const cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['draft', 'sent'] } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    ).populate('supplier', 'companyName');
+
+    if (!purchaseOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft or sent purchase orders can be cancelled. Close a partially received order short instead.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: `Purchase order ${purchaseOrder.poNumber} cancelled`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a draft purchase order
+ * @route   DELETE /api/purchase-orders/:id
+ * @access  Private/Admin
+ */
+export const deletePurchaseOrder = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be deleted. Cancel it instead.'
+      });
+    }
+
+    await PurchaseOrder.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export purchase order as PDF for sending to the supplier
+ * @route   GET /api/purchase-orders/:id/pdf
+ * @access  Private/Admin
+ */
+export const exportPurchaseOrderPDF = async (req, res, next) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('location', 'name address')
+      .populate('createdBy', 'username');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    let yPosition = margin;
+
+    const ensureSpace = (needed) => {
+      if (yPosition + needed > pageHeight - margin) {
+        doc.addPage();
+        yPosition = margin;
+      }
+    };
+
+    const row = (label, value) => {
+      doc.setFont(undefined, 'bold');
+      doc.text(label, margin, yPosition);
+      doc.setFont(undefined, 'normal');
+      doc.text(value, margin + 35, yPosition);
+      yPosition += 6;
+    };
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text('Purchase Order', pageWidth / 2, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Order and supplier details
+    doc.setFontSize(9);
+    const supplier = purchaseOrder.supplier;
+    row('PO Number:', purchaseOrder.poNumber);
+    row('Order Date:', format(new Date(purchaseOrder.sentAt || purchaseOrder.createdAt), 'MMMM dd, yyyy'));
+    if (purchaseOrder.expectedDate) {
+      row('Expected By:', format(new Date(purchaseOrder.expectedDate), 'MMMM dd, yyyy'));
+    }
+    row('Status:', purchaseOrder.status.replace('_', ' ').toUpperCase());
+    if (purchaseOrder.location) {
+      row('Deliver To:', [purchaseOrder.location.name, purchaseOrder.location.address].filter(Boolean).join(', '));
+    }
+    yPosition += 2;
+    if (supplier) {
+      row('Supplier:', supplier.companyName);
+      row('Attention:', `${supplier.firstName} ${supplier.lastName}${supplier.contactPosition ? `, ${supplier.contactPosition}` : ''}`);
+      row('Contact:', [supplier.contactDetails, supplier.contactEmail || supplier.companyEmail].filter(Boolean).join(' / '));
+      if (supplier.address) {
+        const address = [supplier.address.brgy, supplier.address.town, supplier.address.city, supplier.address.province]
+          .filter(Boolean)
+          .join(', ');
+        row('Address:', address);
+      }
+    }
+    yPosition += 4;
+
+    // Line table
+    const col1 = margin;
+    const col2 = pageWidth - margin - 95;
+    const col3 = pageWidth - margin - 65;
+    const col4 = pageWidth - margin - 32;
+    const col5 = pageWidth - margin;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 6;
+    doc.setFont(undefined, 'bold');
+    doc.text('Item', col1, yPosition);
+    doc.text('Qty', col2, yPosition, { align: 'right' });
+    doc.text('Unit', col3, yPosition);
+    doc.text('Unit Cost', col4, yPosition, { align: 'right' });
+    doc.text('Amount', col5, yPosition, { align: 'right' });
+    yPosition += 3;
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 6;
+
+    doc.setFont(undefined, 'normal');
+    purchaseOrder.lines.forEach(line => {
+      ensureSpace(8);
+      const nameLines = doc.splitTextToSize(line.productName, col2 - col1 - 20);
+      doc.text(nameLines[0], col1, yPosition);
+      doc.text(formatQuantity(line.orderedQuantity), col2, yPosition, { align: 'right' });
+      doc.text(line.uom || 'Base unit', col3, yPosition);
+      doc.text(formatCurrency(line.unitCost), col4, yPosition, { align: 'right' });
+      doc.text(formatCurrency(line.unitCost * line.orderedQuantity), col5, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+
+    ensureSpace(16);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 7;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(10);
+    doc.text('Total:', col4, yPosition, { align: 'right' });
+    doc.text(formatCurrency(purchaseOrder.total), col5, yPosition, { align: 'right' });
+    doc.setFontSize(9);
+    yPosition += 10;
+
+    if (purchaseOrder.notes) {
+      ensureSpace(12);
+      doc.setFont(undefined, 'bold');
+      doc.text('Notes', margin, yPosition);
+      yPosition += 6;
+      doc.setFont(undefined, 'normal');
+      const lines = doc.splitTextToSize(purchaseOrder.notes, pageWidth - margin * 2);
+      ensureSpace(lines.length * 5);
+      doc.text(lines, margin, yPosition);
+      yPosition += lines.length * 5 + 4;
+    }
+
+    ensureSpace(20);
+    yPosition += 10;
+    doc.line(margin, yPosition, margin + 60, yPosition);
+    yPosition += 5;
+    doc.text(`Prepared by: ${purchaseOrder.createdBy?.username || 'N/A'}`, margin, yPosition);
+
+    // Generate PDF buffer
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    // Set response headers
+    const fileName = `${purchaseOrder.poNumber}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    // Send PDF
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get products due for reordering, grouped by supplier with suggested quantities
+ * @route   GET /api/purchase-orders/reorder-suggestions
+ * @access  Private/Admin
+ */
+export const getReorderSuggestions = async (req, res, next) => {
+  try {
+    const params = await getReorderParams(req.query);
+    const reorderPoints = await calculateReorderPoints({ ...params, supplier: req.query.supplier });
+    const suggestions = groupSuggestionsBySupplier(reorderPoints);
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions,
+      summary: {
+        ...params,
+        products: suggestions.reduce((sum, group) => sum + group.items.length, 0),
+        totalValue: roundCurrency(suggestions.reduce((sum, group) => sum + group.totalValue, 0))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export a supplier's suggested reorder list as an order sheet PDF
+ * @route   GET /api/purchase-orders/reorder-suggestions/:supplierId/pdf
+ * @access  Private/Admin
+ */
+export const exportReorderSheetPDF = async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findById(req.params.supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const params = await getReorderParams(req.query);
+    const reorderPoints = await calculateReorderPoints({ ...params, supplier: supplier._id });
+    const [suggestion] = groupSuggestionsBySupplier(reorderPoints);
+    if (!suggestion) {
+      return res.status(404).json({
+        success: false,
+        message: `Nothing from ${supplier.companyName} is due for reordering`
+      });
+    }
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    let yPosition = margin;
+
+    const ensureSpace = (needed) => {
+      if (yPosition + needed > pageHeight - margin) {
+        doc.addPage();
+        yPosition = margin;
+      }
+    };
+
+    const row = (label, value) => {
+      doc.setFont(undefined, 'bold');
+      doc.text(label, margin, yPosition);
+      doc.setFont(undefined, 'normal');
+      doc.text(value, margin + 35, yPosition);
+      yPosition += 6;
+    };
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text('Reorder Sheet', pageWidth / 2, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Supplier and basis of the suggestions
+    doc.setFontSize(9);
+    row('Date:', format(new Date(), 'MMMM dd, yyyy'));
+    row('Supplier:', supplier.companyName);
+    row('Attention:', `${supplier.firstName} ${supplier.lastName}${supplier.contactPosition ? `, ${supplier.contactPosition}` : ''}`);
+    row('Contact:', [supplier.contactDetails, supplier.contactEmail || supplier.companyEmail].filter(Boolean).join(' / '));
+    row('Lead Time:', `${supplier.leadTimeDays} days`);
+    row('Basis:', `${params.lookbackDays}-day sales, ${params.safetyStockFactor}x safety stock, ${params.coverDays} days cover`);
+    yPosition += 4;
+
+    // Item table
+    const col1 = margin;
+    const col2 = pageWidth - margin - 125;
+    const col3 = pageWidth - margin - 105;
+    const col4 = pageWidth - margin - 85;
+    const col5 = pageWidth - margin - 62;
+    const col6 = pageWidth - margin - 32;
+    const col7 = pageWidth - margin;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 6;
+    doc.setFont(undefined, 'bold');
+    doc.text('Item', col1, yPosition);
+    doc.text('Stock', col2, yPosition, { align: 'right' });
+    doc.text('On Order', col3, yPosition, { align: 'right' });
+    doc.text('Reorder Pt', col4, yPosition, { align: 'right' });
+    doc.text('Order Qty', col5, yPosition, { align: 'right' });
+    doc.text('Unit Cost', col6, yPosition, { align: 'right' });
+    doc.text('Amount', col7, yPosition, { align: 'right' });
+    yPosition += 3;
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 6;
+
+    doc.setFont(undefined, 'normal');
+    suggestion.items.forEach(item => {
+      ensureSpace(8);
+      const nameLines = doc.splitTextToSize(item.product.name, col2 - col1 - 14);
+      doc.text(nameLines[0], col1, yPosition);
+      doc.text(formatQuantity(item.stockQuantity), col2, yPosition, { align: 'right' });
+      doc.text(formatQuantity(item.onOrder), col3, yPosition, { align: 'right' });
+      doc.text(formatQuantity(item.reorderPoint), col4, yPosition, { align: 'right' });
+      doc.text(`${formatQuantity(item.suggestedQuantity)} ${item.product.unit}`, col5, yPosition, { align: 'right' });
+      doc.text(formatCurrency(item.unitCost), col6, yPosition, { align: 'right' });
+      doc.text(formatCurrency(item.suggestedValue), col7, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+
+    ensureSpace(16);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 7;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(10);
+    doc.text('Estimated Total:', col6, yPosition, { align: 'right' });
+    doc.text(formatCurrency(suggestion.totalValue), col7, yPosition, { align: 'right' });
+    doc.setFontSize(9);
+    yPosition += 10;
+
+    ensureSpace(20);
+    yPosition += 10;
+    doc.line(margin, yPosition, margin + 60, yPosition);
+    yPosition += 5;
+    doc.setFont(undefined, 'normal');
+    doc.text(`Prepared by: ${req.user?.username || 'N/A'}`, margin, yPosition);
+
+    // Generate PDF buffer
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    // Set response headers
+    const fileName = `Reorder-${supplier.companyName.replace(/[^a-z0-9]+/gi, '-')}-${format(new Date(), 'yyyy-MM-dd')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    // Send PDF
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,47 @@
+import mongoose from 'mongoose';
 import Sale from '../models/Sale.model.js';
 import Product from '../models/Product.model.js';
+import Return from '../models/Return.model.js';
+import Settings from '../models/Settings.model.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { OPEN_RECEIVABLE_FILTER, AGING_BUCKETS, getDaysOverdue, getAgingBucket } from '../utils/customerCredit.js';
+import { getBaseQuantity, roundQuantity, QUANTITY_DECIMALS } from '../utils/unitOfMeasure.js';
+import { getUnitCost } from '../utils/landedCost.js';
+import { getStockValues } from '../utils/costing.js';
+import { getLocationQuantity } from '../utils/locations.js';
+import { FORECAST_METHODS, forecastSeries, backtestForecast } from '../utils/forecast.js';
+import { startOfWeek, subWeeks, addWeeks, addDays, subDays, differenceInCalendarDays, parseISO, format } from 'date-fns';
+import { classifyABC, classifyXYZ } from '../utils/stockAnalysis.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Match condition limiting sales and returns to one branch; empty for all branches
+ * @param {string} [location] - Location ID from the query string
+ * @returns {Object}
+ */
+const locationMatch = (location) => (location ? { location: new mongoose.Types.ObjectId(location) } : {});
+
+/**
+ * Stock quantity and value of each product, for all locations or one
+ * A location's stock takes its share of the product's value; stock in transit belongs to no location.
+ * @param {Array<Object>} products - Product documents
+ * @param {string} costingMethod - Settings.costingMethod
+ * @param {string} [location] - Location ID from the query string
+ * @returns {Promise<{ quantityOf: Function, valueOf: Function }>}
+ */
+const getStockValuation = async (products, costingMethod, location) => {
+  const stockValues = await getStockValues(products, costingMethod);
+
+  const quantityOf = (product) => (location ? getLocationQuantity(product, location) : product.stockQuantity);
+  const valueOf = (product) => {
+    const value = stockValues.get(product._id.toString());
+    if (!location) return value;
+    return product.stockQuantity > 0 ? roundCurrency(value * quantityOf(product) / product.stockQuantity) : 0;
+  };
+
+  return { quantityOf, valueOf };
+};
 
 /**
  * @desc    Get sales report
@@ -8,7 +50,7 @@ import Product from '../models/Product.model.js';
  */
 export const getSalesReport = async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, location } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -21,33 +63,107 @@ export const getSalesReport = async (req, res, next) => {
     const end = new Date(endDate);
     end.setHours(23, 59, 59, 999);
 
+    // A branch's report only counts the sales (and returns) made there
+    const locationFilter = locationMatch(location);
+    const saleFilter = {
+      createdAt: { $gte: start, $lte: end },
+      isVoid: false,
+      isHeld: { $ne: true },
+      ...locationFilter
+    };
+
     // Use aggregation pipeline for better performance
-    const [summaryResult, salesByDateResult, sales] = await Promise.all([
+    const [summaryResult, discountsResult, tendersResult, salesByDateResult, costResult, sales, returns] = await Promise.all([
       // Calculate summary statistics
       Sale.aggregate([
         {
-          $match: {
-            createdAt: { $gte: start, $lte: end },
-            isVoid: false
-          }
+          $match: saleFilter
         },
         {
           $group: {
             _id: null,
             totalSales: { $sum: 1 },
             totalRevenue: { $sum: '$total' },
-            totalVAT: { $sum: '$tax' }
+            totalVAT: { $sum: '$tax' },
+            totalDiscount: { $sum: '$discount' },
+            vatableSales: { $sum: '$vatBreakdown.vatableSales' },
+            vatExemptSales: { $sum: '$vatBreakdown.vatExemptSales' },
+            zeroRatedSales: { $sum: '$vatBreakdown.zeroRatedSales' }
           }
         }
       ]),
-      // Group by date (using local timezone to match frontend display)
+      // Discounts grouped by reason code (line discounts and whole-sale discounts)
       Sale.aggregate([
         {
           $match: {
-            createdAt: { $gte: start, $lte: end },
-            isVoid: false
+            ...saleFilter,
+            discount: { $gt: 0 }
+          }
+        },
+        {
+          $project: {
+            discounts: {
+              $concatArrays: [
+                {
+                  $map: {
+                    input: { $filter: { input: '$items', as: 'item', cond: { $gt: ['$$item.discountAmount', 0] } } },
+                    as: 'item',
+                    in: { reasonCode: '$$item.discount.reasonCode', amount: '$$item.discountAmount' }
+                  }
+                },
+                {
+                  $cond: [
+                    { $gt: ['$saleDiscount.amount', 0] },
+                    [{ reasonCode: '$saleDiscount.reasonCode', amount: '$saleDiscount.amount' }],
+                    []
+                  ]
+                }
+              ]
+            }
+          }
+        },
+        { $unwind: '$discounts' },
+        {
+          $group: {
+            _id: '$discounts.reasonCode',
+            count: { $sum: 1 },
+            amount: { $sum: '$discounts.amount' }
+          }
+        },
+        { $sort: { amount: -1 } }
+      ]),
+      // Totals per tender; sales recorded before split tenders count their full total
+      // against their single payment method
+      Sale.aggregate([
+        {
+          $match: saleFilter
+        },
+        {
+          $project: {
+            payments: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+                '$payments',
+                [{ method: '$paymentMethod', amount: '$total' }]
+              ]
+            }
+          }
+        },
+        { $unwind: '$payments' },
+        {
+          $group: {
+            _id: '$payments.method',
+            count: { $sum: 1 },
+            amount: { $sum: '$payments.amount' }
           }
         },
+        { $sort: { amount: -1 } }
+      ]),
+      // Group by date (using local timezone to match frontend display)
+      Sale.aggregate([
+        {
+          $match: saleFilter
+        },
         {
           $addFields: {
             // Convert UTC date to local date string for grouping
@@ -71,71 +187,122 @@ export const getSalesReport = async (req, res, next) => {
           $sort: { _id: 1 }
         }
       ]),
+      // Cost of every line sold in the period: captured costs in one group, and lines
+      // sold before costs were captured grouped by product so they can be costed below
+      Sale.aggregate([
+        {
+          $match: saleFilter
+        },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { $cond: [{ $eq: [{ $type: '$items.costOfGoods' }, 'missing'] }, '$items.product', null] },
+            costOfGoods: { $sum: { $ifNull: ['$items.costOfGoods', 0] } },
+            baseQuantity: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.unitFactor', 1] }] } }
+          }
+        }
+      ]),
       // Get sales data with populated fields (limit to recent for performance)
-      Sale.find({
-        createdAt: { $gte: start, $lte: end },
-        isVoid: false
-      })
+      Sale.find(saleFilter)
         .populate('cashier', 'username')
         .populate('items.product', 'name')
         .sort({ createdAt: -1 })
-        .limit(100) // Limit to prevent memory issues
+        .limit(100), // Limit to prevent memory issues
+      // Returns processed in the period, netted out of revenue and COGS below
+      Return.find({ createdAt: { $gte: start, $lte: end }, ...locationFilter })
+        .select('items.product items.quantity items.unitFactor items.disposition items.costOfGoods total vatAmount')
+        .lean()
     ]);
 
-    const summary = summaryResult[0] || { totalSales: 0, totalRevenue: 0, totalVAT: 0 };
+    const summary = summaryResult[0] || {
+      totalSales: 0,
+      totalRevenue: 0,
+      totalVAT: 0,
+      totalDiscount: 0,
+      vatableSales: 0,
+      vatExemptSales: 0,
+      zeroRatedSales: 0
+    };
+    const discountsByReason = {};
+    discountsResult.forEach(item => {
+      discountsByReason[item._id] = { count: item.count, amount: item.amount };
+    });
+    const salesByTender = {};
+    tendersResult.forEach(item => {
+      salesByTender[item._id] = { count: item.count, amount: item.amount };
+    });
     const salesByDate = {};
     salesByDateResult.forEach(item => {
       salesByDate[item._id] = { count: item.count, revenue: item.revenue };
     });
 
     // Calculate Cost of Goods Sold (COGS) for the period
-    // COGS = sum of (base price × quantity) for all items sold in the period
+    // COGS = the cost captured on each line at the time of sale; lines sold before
+    // costs were captured fall back to the product's current landed cost
     let totalCOGS = 0;
-    if (sales.length > 0) {
-      // Get all product IDs from sales items
-      const productIds = [];
-      sales.forEach(sale => {
-        sale.items.forEach(item => {
-          const productId = item.product?._id || item.product;
-          if (productId && !productIds.includes(productId.toString())) {
-            productIds.push(productId.toString());
-          }
-        });
+    let writeOffCost = 0;
+    const legacyProductIds = new Set();
+    costResult.forEach(group => {
+      if (group._id) legacyProductIds.add(group._id.toString());
+    });
+    returns.forEach(creditMemo => {
+      creditMemo.items.forEach(item => {
+        if (item.costOfGoods === undefined && item.product) legacyProductIds.add(item.product.toString());
       });
+    });
+    const legacyProducts = legacyProductIds.size > 0
+      ? await Product.find({ _id: { $in: [...legacyProductIds] } }).select('price averageCost').lean()
+      : [];
+    const productMap = new Map(legacyProducts.map(p => [p._id.toString(), p]));
 
-      // Fetch products to get base prices
-      if (productIds.length > 0) {
-        const products = await Product.find({ _id: { $in: productIds } });
-        const productMap = new Map(products.map(p => [p._id.toString(), p]));
-
-        // Calculate COGS for each sale
-        sales.forEach(sale => {
-          sale.items.forEach(item => {
-            const productId = (item.product?._id || item.product)?.toString();
-            const product = productMap.get(productId);
-            if (product) {
-              // Base price is the price field (what company paid supplier)
-              totalCOGS += product.price * item.quantity;
-            }
-          });
-        });
-      }
-    }
+    costResult.forEach(group => {
+      const cost = group._id
+        ? getUnitCost(productMap.get(group._id.toString())) * group.baseQuantity
+        : group.costOfGoods;
+      totalCOGS = roundCurrency(totalCOGS + cost);
+    });
+
+    // Returned units come out of COGS; the cost of written-off units is a loss
+    returns.forEach(creditMemo => {
+      creditMemo.items.forEach(item => {
+        const cost = item.costOfGoods !== undefined
+          ? item.costOfGoods
+          : getUnitCost(productMap.get(item.product?.toString())) * getBaseQuantity(item);
+        totalCOGS = roundCurrency(totalCOGS - cost);
+        if (item.disposition === 'write_off') {
+          writeOffCost = roundCurrency(writeOffCost + cost);
+        }
+      });
+    });
 
-    // Calculate profit = Revenue - COGS
-    const profit = summary.totalRevenue - totalCOGS;
+    const totalReturns = returns.reduce((sum, creditMemo) => sum + creditMemo.total, 0);
+    const returnedVAT = returns.reduce((sum, creditMemo) => sum + (creditMemo.vatAmount || 0), 0);
+    const netRevenue = summary.totalRevenue - totalReturns;
+
+    // Calculate profit = Net revenue - COGS - write-offs
+    const profit = netRevenue - totalCOGS - writeOffCost;
 
     res.json({
       success: true,
       period: { startDate, endDate },
       summary: {
         totalSales: summary.totalSales,
-        totalRevenue: summary.totalRevenue,
-        totalVAT: summary.totalVAT,
+        grossRevenue: summary.totalRevenue,
+        totalReturns,
+        returnCount: returns.length,
+        totalRevenue: netRevenue,
+        totalVAT: summary.totalVAT - returnedVAT,
+        totalDiscount: summary.totalDiscount,
+        vatableSales: summary.vatableSales,
+        vatExemptSales: summary.vatExemptSales,
+        zeroRatedSales: summary.zeroRatedSales,
         totalCOGS: totalCOGS,
+        writeOffCost,
         profit: profit
       },
       salesByDate,
+      discountsByReason,
+      salesByTender,
       data: sales
     });
   } catch (error) {
@@ -150,14 +317,19 @@ export const getSalesReport = async (req, res, next) => {
  */
 export const getInventoryReport = async (req, res, next) => {
   try {
+    const { location } = req.query;
     const products = await Product.find({ isActive: true })
       .populate('supplier', 'companyName')
       .sort({ category: 1, name: 1 });
 
+    // Stock is valued with the same costing method the sales are costed with
+    const settings = await Settings.getSettings();
+    const { quantityOf, valueOf } = await getStockValuation(products, settings.costingMethod, location);
+
     const totalProducts = products.length;
-    const totalStockValue = products.reduce((sum, p) => sum + (p.price * p.stockQuantity), 0);
-    const lowStockProducts = products.filter(p => p.stockQuantity <= p.lowStockThreshold);
-    const outOfStockProducts = products.filter(p => p.stockQuantity === 0);
+    const totalStockValue = roundCurrency(products.reduce((sum, p) => sum + valueOf(p), 0));
+    const lowStockProducts = products.filter(p => quantityOf(p) <= p.lowStockThreshold);
+    const outOfStockProducts = products.filter(p => quantityOf(p) === 0);
 
     // Group by category
     const byCategory = {};
@@ -167,7 +339,7 @@ export const getInventoryReport = async (req, res, next) => {
         byCategory[category] = { count: 0, totalValue: 0 };
       }
       byCategory[category].count += 1;
-      byCategory[category].totalValue += product.price * product.stockQuantity;
+      byCategory[category].totalValue = roundCurrency(byCategory[category].totalValue + valueOf(product));
     });
 
     res.json({
@@ -175,6 +347,7 @@ export const getInventoryReport = async (req, res, next) => {
       summary: {
         totalProducts,
         totalStockValue,
+        costingMethod: settings.costingMethod,
         lowStockCount: lowStockProducts.length,
         outOfStockCount: outOfStockProducts.length
       },
@@ -182,7 +355,7 @@ export const getInventoryReport = async (req, res, next) => {
       lowStockProducts: lowStockProducts.map(p => ({
         id: p._id,
         name: p.name,
-        stockQuantity: p.stockQuantity,
+        stockQuantity: quantityOf(p),
         lowStockThreshold: p.lowStockThreshold,
         supplier: p.supplier
       })),
@@ -198,6 +371,201 @@ export const getInventoryReport = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get dead stock, slow movers and ABC/XYZ classes with days on hand and turnover
+ * Revenue, cost of goods and weekly demand cover the last `days` days. Turnover is that cost of goods,
+ * annualised, over the current stock value; days on hand is the stock over the average daily units sold.
+ * Dead stock has not sold in `deadDays` days; slow movers still sell but hold more than `slowDays` days of stock.
+ * @route   GET /api/reports/stock-analysis
+ * @access  Private/Admin
+ */
+export const getStockAnalysis = async (req, res, next) => {
+  try {
+    const { location } = req.query;
+    const days = parseInt(req.query.days) || 365;
+    const deadDays = parseInt(req.query.deadDays) || 90;
+    const slowDays = parseInt(req.query.slowDays) || 180;
+
+    const now = new Date();
+    const periodStart = new Date(now.getTime() - days * DAY_MS);
+    const deadSince = new Date(now.getTime() - deadDays * DAY_MS);
+    const weeks = Math.ceil(days / 7);
+    const saleMatch = { isVoid: false, isHeld: { $ne: true }, ...locationMatch(location) };
+    const keptQuantity = {
+      $multiply: [
+        { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+        { $ifNull: ['$items.unitFactor', 1] }
+      ]
+    };
+
+    const [products, settings, salesByProduct, weeklyDemand, lastSales] = await Promise.all([
+      Product.find({ isActive: true })
+        .populate('supplier', 'companyName')
+        .sort({ category: 1, name: 1 }),
+      Settings.getSettings(),
+      Sale.aggregate([
+        { $match: { ...saleMatch, createdAt: { $gte: periodStart } } },
+        { $unwind: '$items' },
+        {
+          $addFields: {
+            'items.keptRatio': {
+              $subtract: [1, { $divide: [{ $ifNull: ['$items.returnedQuantity', 0] }, '$items.quantity'] }]
+            }
+          }
+        },
+        {
+          // Lines sold before costs were captured fall back to the product's landed cost
+          $group: {
+            _id: '$items.product',
+            unitsSold: { $sum: keptQuantity },
+            revenue: { $sum: { $multiply: ['$items.subtotal', '$items.keptRatio'] } },
+            capturedCost: { $sum: { $multiply: [{ $ifNull: ['$items.costOfGoods', 0] }, '$items.keptRatio'] } },
+            uncostedBaseQuantity: {
+              $sum: { $cond: [{ $eq: [{ $type: '$items.costOfGoods' }, 'missing'] }, keptQuantity, 0] }
+            }
+          }
+        }
+      ]),
+      Sale.aggregate([
+        { $match: { ...saleMatch, createdAt: { $gte: periodStart } } },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: {
+              product: '$items.product',
+              week: { $floor: { $divide: [{ $subtract: ['$createdAt', periodStart] }, 7 * DAY_MS] } }
+            },
+            quantity: { $sum: keptQuantity }
+          }
+        }
+      ]),
+      // Last sale of each product ever, not just in the period; fully returned lines do not count
+      Sale.aggregate([
+        { $match: saleMatch },
+        { $unwind: '$items' },
+        { $match: { $expr: { $gt: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] } } },
+        { $group: { _id: '$items.product', lastSoldAt: { $max: '$createdAt' } } }
+      ])
+    ]);
+
+    const { quantityOf, valueOf } = await getStockValuation(products, settings.costingMethod, location);
+    const salesMap = new Map(salesByProduct.map(entry => [entry._id.toString(), entry]));
+    const lastSoldMap = new Map(lastSales.map(entry => [entry._id.toString(), entry.lastSoldAt]));
+    const demandMap = new Map();
+    weeklyDemand.forEach(entry => {
+      const id = entry._id.product.toString();
+      if (!demandMap.has(id)) demandMap.set(id, Array(weeks).fill(0));
+      const week = Math.min(entry._id.week, weeks - 1);
+      demandMap.get(id)[week] += entry.quantity;
+    });
+
+    // Cost of goods over the period, annualised, per unit of stock value
+    const turnoverOf = (cogs, stockValue) => (stockValue > 0 ? Math.round(cogs * (365 / days) / stockValue * 100) / 100 : null);
+
+    const rows = products.map(product => {
+      const id = product._id.toString();
+      const sales = salesMap.get(id);
+      const stockQuantity = quantityOf(product);
+      const stockValue = valueOf(product);
+      const unitsSold = roundQuantity(Math.max(0, sales?.unitsSold || 0));
+      const revenue = roundCurrency(sales?.revenue || 0);
+      const cogs = roundCurrency((sales?.capturedCost || 0) + (sales?.uncostedBaseQuantity || 0) * getUnitCost(product));
+      const dailyUnits = unitsSold / days;
+      const lastSoldAt = lastSoldMap.get(id) || null;
+      const daysOnHand = dailyUnits > 0 ? Math.round(stockQuantity / dailyUnits) : null;
+      const isDead = stockQuantity > 0 && (!lastSoldAt || lastSoldAt < deadSince);
+
+      return {
+        id: product._id,
+        name: product.name,
+        sku: product.sku,
+        unit: product.unit,
+        category: product.category || 'Uncategorized',
+        supplier: product.supplier,
+        stockQuantity,
+        stockValue,
+        unitsSold,
+        revenue,
+        cogs,
+        lastSoldAt,
+        daysSinceLastSale: lastSoldAt ? Math.floor((now - lastSoldAt) / DAY_MS) : null,
+        daysOnHand,
+        turnover: turnoverOf(cogs, stockValue),
+        ...classifyXYZ(demandMap.get(id) || []),
+        isDead,
+        isSlowMover: !isDead && stockQuantity > 0 && daysOnHand !== null && daysOnHand > slowDays
+      };
+    });
+
+    const abcClasses = classifyABC(rows);
+    rows.forEach(row => {
+      row.abcClass = abcClasses.get(row);
+    });
+
+    // Days on hand of a group is its stock value over the average daily cost of goods sold
+    const rollUp = (keyOf) => {
+      const groups = new Map();
+      rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) {
+          groups.set(key, { name: key, products: 0, stockValue: 0, revenue: 0, cogs: 0, deadCount: 0, deadStockValue: 0, slowCount: 0 });
+        }
+        const group = groups.get(key);
+        group.products += 1;
+        group.stockValue = roundCurrency(group.stockValue + row.stockValue);
+        group.revenue = roundCurrency(group.revenue + row.revenue);
+        group.cogs = roundCurrency(group.cogs + row.cogs);
+        if (row.isDead) {
+          group.deadCount += 1;
+          group.deadStockValue = roundCurrency(group.deadStockValue + row.stockValue);
+        }
+        if (row.isSlowMover) group.slowCount += 1;
+      });
+
+      return [...groups.values()]
+        .map(group => ({
+          ...group,
+          turnover: turnoverOf(group.cogs, group.stockValue),
+          daysOnHand: group.cogs > 0 ? Math.round(group.stockValue / (group.cogs / days)) : null
+        }))
+        .sort((a, b) => b.stockValue - a.stockValue);
+    };
+
+    const totals = rollUp(() => 'All products')[0];
+    const countBy = (keyOf) => rows.reduce((counts, row) => {
+      const key = keyOf(row);
+      if (key) counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      params: { days, deadDays, slowDays, location: location || null },
+      summary: {
+        totalProducts: rows.length,
+        totalStockValue: totals?.stockValue || 0,
+        revenue: totals?.revenue || 0,
+        cogs: totals?.cogs || 0,
+        turnover: totals?.turnover ?? null,
+        daysOnHand: totals?.daysOnHand ?? null,
+        deadCount: totals?.deadCount || 0,
+        deadStockValue: totals?.deadStockValue || 0,
+        slowCount: totals?.slowCount || 0,
+        slowStockValue: roundCurrency(rows.filter(row => row.isSlowMover).reduce((sum, row) => sum + row.stockValue, 0)),
+        abc: countBy(row => row.abcClass),
+        xyz: countBy(row => row.xyzClass),
+        // Products per combined class, e.g. AX (top earner, steady demand) or CZ (little revenue, erratic)
+        matrix: countBy(row => (row.xyzClass ? `${row.abcClass}${row.xyzClass}` : null))
+      },
+      byCategory: rollUp(row => row.category),
+      bySupplier: rollUp(row => row.supplier?.companyName || 'No supplier'),
+      data: rows.sort((a, b) => b.stockValue - a.stockValue)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get top selling products
  * @route   GET /api/reports/top-products
@@ -205,9 +573,9 @@ export const getInventoryReport = async (req, res, next) => {
  */
 export const getTopProducts = async (req, res, next) => {
   try {
-    const { startDate, endDate, limit = 10 } = req.query;
+    const { startDate, endDate, limit = 10, location } = req.query;
 
-    const matchFilter = { isVoid: false };
+    const matchFilter = { isVoid: false, isHeld: { $ne: true }, ...locationMatch(location) };
     if (startDate && endDate) {
       const start = new Date(startDate);
       const end = new Date(endDate);
@@ -228,10 +596,26 @@ export const getTopProducts = async (req, res, next) => {
         $unwind: '$items'
       },
       {
+        // Returned units are netted out of quantity and revenue
+        $addFields: {
+          'items.keptRatio': {
+            $subtract: [1, { $divide: [{ $ifNull: ['$items.returnedQuantity', 0] }, '$items.quantity'] }]
+          }
+        }
+      },
+      {
+        // Quantities are summed in the product's base unit, whatever unit each line was sold in
         $group: {
           _id: '$items.product',
-          totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.subtotal' },
+          totalQuantity: {
+            $sum: {
+              $multiply: [
+                { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+                { $ifNull: ['$items.unitFactor', 1] }
+              ]
+            }
+          },
+          totalRevenue: { $sum: { $multiply: ['$items.subtotal', '$items.keptRatio'] } },
           saleCount: { $sum: 1 }
         }
       },
@@ -250,7 +634,8 @@ export const getTopProducts = async (req, res, next) => {
         $project: {
           productId: '$_id',
           productName: '$product.name',
-          totalQuantity: 1,
+          unit: '$product.unit',
+          totalQuantity: { $round: ['$totalQuantity', QUANTITY_DECIMALS] },
           totalRevenue: 1,
           saleCount: 1
         }
@@ -273,6 +658,191 @@ export const getTopProducts = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get promotion uptake and margin impact
+ * @route   GET /api/reports/promotions
+ * @access  Private/Admin
+ */
+export const getPromotionReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const matchFilter = { isVoid: false, isHeld: { $ne: true } };
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Include full end date
+
+      matchFilter.createdAt = {
+        $gte: start,
+        $lte: end
+      };
+    }
+
+    // Returned units are netted out of quantity, revenue and the discount given
+    const keptRatioStage = {
+      $addFields: {
+        'items.keptRatio': {
+          $subtract: [1, { $divide: [{ $ifNull: ['$items.returnedQuantity', 0] }, '$items.quantity'] }]
+        }
+      }
+    };
+
+    const [promotionResults, totalsResult] = await Promise.all([
+      Sale.aggregate([
+        { $match: matchFilter },
+        { $unwind: '$items' },
+        { $match: { 'items.promotion': { $ne: null } } },
+        keptRatioStage,
+        {
+          // Per promotion and product first, so lines sold before costs were captured
+          // can fall back to each product's landed cost
+          $group: {
+            _id: { promotion: '$items.promotion', product: '$items.product' },
+            promotionName: { $last: '$items.promotionName' },
+            capturedCost: { $sum: { $multiply: [{ $ifNull: ['$items.costOfGoods', 0] }, '$items.keptRatio'] } },
+            uncostedBaseQuantity: {
+              $sum: {
+                $cond: [
+                  { $eq: [{ $type: '$items.costOfGoods' }, 'missing'] },
+                  {
+                    $multiply: [
+                      { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+                      { $ifNull: ['$items.unitFactor', 1] }
+                    ]
+                  },
+                  0
+                ]
+              }
+            },
+            revenue: { $sum: { $multiply: ['$items.subtotal', '$items.keptRatio'] } },
+            discountGiven: { $sum: { $multiply: [{ $ifNull: ['$items.promotionDiscount', 0] }, '$items.keptRatio'] } },
+            sales: { $addToSet: '$_id' },
+            lineCount: { $sum: 1 }
+          }
+        },
+        {
+          $lookup: {
+            from: 'products',
+            localField: '_id.product',
+            foreignField: '_id',
+            as: 'product'
+          }
+        },
+        {
+          $unwind: { path: '$product', preserveNullAndEmptyArrays: true }
+        },
+        {
+          $group: {
+            _id: '$_id.promotion',
+            promotionName: { $last: '$promotionName' },
+            revenue: { $sum: '$revenue' },
+            discountGiven: { $sum: '$discountGiven' },
+            cost: {
+              $sum: {
+                $add: [
+                  '$capturedCost',
+                  { $multiply: ['$uncostedBaseQuantity', { $ifNull: ['$product.averageCost', { $ifNull: ['$product.price', 0] }] }] }
+                ]
+              }
+            },
+            sales: { $push: '$sales' },
+            lineCount: { $sum: '$lineCount' },
+            productCount: { $sum: 1 }
+          }
+        },
+        {
+          $lookup: {
+            from: 'promotions',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'promotion'
+          }
+        },
+        {
+          $unwind: { path: '$promotion', preserveNullAndEmptyArrays: true }
+        },
+        {
+          $project: {
+            promotionId: '$_id',
+            promotionName: 1,
+            type: '$promotion.type',
+            startDate: '$promotion.startDate',
+            endDate: '$promotion.endDate',
+            revenue: 1,
+            discountGiven: 1,
+            cost: 1,
+            lineCount: 1,
+            productCount: 1,
+            // A sale with several promoted lines counts once
+            saleCount: {
+              $size: { $reduce: { input: '$sales', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+            }
+          }
+        },
+        { $sort: { revenue: -1 } }
+      ]),
+      Sale.aggregate([
+        { $match: matchFilter },
+        { $unwind: '$items' },
+        keptRatioStage,
+        {
+          $group: {
+            _id: null,
+            revenue: { $sum: { $multiply: ['$items.subtotal', '$items.keptRatio'] } },
+            sales: { $addToSet: '$_id' }
+          }
+        },
+        {
+          $project: { revenue: 1, saleCount: { $size: '$sales' } }
+        }
+      ])
+    ]);
+
+    // Margin on promoted lines as sold, and as it would have been at the regular price
+    const promotions = promotionResults.map(promo => {
+      const revenue = roundCurrency(promo.revenue);
+      const discountGiven = roundCurrency(promo.discountGiven);
+      const cost = roundCurrency(promo.cost);
+      const regularRevenue = roundCurrency(revenue + discountGiven);
+      const grossProfit = roundCurrency(revenue - cost);
+      const marginPercentage = revenue > 0 ? roundCurrency((grossProfit / revenue) * 100) : 0;
+      const regularMarginPercentage = regularRevenue > 0 ? roundCurrency(((regularRevenue - cost) / regularRevenue) * 100) : 0;
+
+      return {
+        ...promo,
+        revenue,
+        discountGiven,
+        cost,
+        grossProfit,
+        marginPercentage,
+        regularMarginPercentage,
+        marginImpact: roundCurrency(marginPercentage - regularMarginPercentage)
+      };
+    });
+
+    const totals = totalsResult[0] || { revenue: 0, saleCount: 0 };
+    const promoRevenue = roundCurrency(promotions.reduce((sum, promo) => sum + promo.revenue, 0));
+    const totalRevenue = roundCurrency(totals.revenue);
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      summary: {
+        totalRevenue,
+        totalSales: totals.saleCount,
+        promoRevenue,
+        promoRevenueShare: totalRevenue > 0 ? roundCurrency((promoRevenue / totalRevenue) * 100) : 0,
+        discountGiven: roundCurrency(promotions.reduce((sum, promo) => sum + promo.discountGiven, 0)),
+        grossProfit: roundCurrency(promotions.reduce((sum, promo) => sum + promo.grossProfit, 0))
+      },
+      data: promotions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get revenue trends
  * @route   GET /api/reports/revenue-trends
@@ -280,7 +850,7 @@ export const getTopProducts = async (req, res, next) => {
  */
 export const getRevenueTrends = async (req, res, next) => {
   try {
-    const { startDate, endDate, groupBy = 'day' } = req.query;
+    const { startDate, endDate, groupBy = 'day', location } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -309,52 +879,273 @@ export const getRevenueTrends = async (req, res, next) => {
     const timezone = process.env.TZ || 'Asia/Manila';
 
     // Use aggregation pipeline for better performance
-    const trendData = await Sale.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: start, $lte: end },
-          isVoid: false
-        }
-      },
-      {
-        $addFields: {
-          // Convert UTC date to local date string for grouping
-          localDate: {
-            $dateToString: {
-              format: dateFormat,
-              date: '$createdAt',
-              timezone: timezone
+    const [trendData, returnsByDate] = await Promise.all([
+      Sale.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            isVoid: false,
+            isHeld: { $ne: true },
+            ...locationMatch(location)
+          }
+        },
+        {
+          $addFields: {
+            // Convert UTC date to local date string for grouping
+            localDate: {
+              $dateToString: {
+                format: dateFormat,
+                date: '$createdAt',
+                timezone: timezone
+              }
             }
           }
+        },
+        {
+          $group: {
+            _id: '$localDate',
+            revenue: { $sum: '$total' },
+            sales: { $sum: 1 }
+          }
+        },
+        {
+          $project: {
+            date: '$_id',
+            revenue: 1,
+            sales: 1,
+            _id: 0
+          }
+        },
+        {
+          $sort: { date: 1 }
         }
-      },
-      {
-        $group: {
-          _id: '$localDate',
-          revenue: { $sum: '$total' },
-          sales: { $sum: 1 }
+      ]),
+      // Refunds are netted out of revenue on the day the return was processed
+      Return.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: start, $lte: end },
+            ...locationMatch(location)
+          }
+        },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: dateFormat,
+                date: '$createdAt',
+                timezone: timezone
+              }
+            },
+            returns: { $sum: '$total' }
+          }
         }
-      },
+      ])
+    ]);
+
+    const returnsMap = new Map(returnsByDate.map(item => [item._id, item.returns]));
+    const data = trendData.map(item => ({
+      ...item,
+      returns: returnsMap.get(item.date) || 0,
+      revenue: item.revenue - (returnsMap.get(item.date) || 0)
+    }));
+    // Days with returns but no sales still show the refund
+    returnsMap.forEach((returns, date) => {
+      if (!data.some(item => item.date === date)) {
+        data.push({ date, revenue: -returns, sales: 0, returns });
+      }
+    });
+    data.sort((a, b) => a.date.localeCompare(b.date));
+
+    res.json({
+      success: true,
+      period: { startDate, endDate, groupBy },
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Forecast weekly unit demand for a product or category
+ * Sales are bucketed into Monday-to-Sunday weeks of base units net of returns; the current, partial week is left out.
+ * Each method is backtested on the last weeks of history and the one with the smaller average miss is recommended.
+ * @route   GET /api/reports/demand-forecast
+ * @access  Private/Admin
+ */
+export const getDemandForecast = async (req, res, next) => {
+  try {
+    const { product: productId, category, location } = req.query;
+    const weeks = parseInt(req.query.weeks) || 8;
+    const historyWeeks = parseInt(req.query.historyWeeks) || 104;
+    const window = parseInt(req.query.window) || 4;
+
+    if (!productId && !category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a product or a category to forecast'
+      });
+    }
+
+    let productIds;
+    let scope;
+    if (productId) {
+      const product = await Product.findById(productId).select('name sku unit');
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      productIds = [product._id];
+      scope = { product: { _id: product._id, name: product.name, sku: product.sku, unit: product.unit } };
+    } else {
+      const products = await Product.find({ category }).select('_id');
+      productIds = products.map(product => product._id);
+      scope = { category };
+    }
+
+    // Weeks are calendar weeks in the report timezone, the same one the sales are bucketed by,
+    // whatever timezone the server runs in
+    const timezone = process.env.TZ || 'Asia/Manila';
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+    const historyEnd = startOfWeek(parseISO(today), { weekStartsOn: 1 });
+    const historyStart = subWeeks(historyEnd, historyWeeks);
+
+    const dailySales = await Sale.aggregate([
       {
-        $project: {
-          date: '$_id',
-          revenue: 1,
-          sales: 1,
-          _id: 0
+        $match: {
+          // A day wider on each side to cover any timezone; days outside the history are dropped when bucketing
+          createdAt: { $gte: subDays(historyStart, 1), $lt: addDays(historyEnd, 1) },
+          isVoid: false,
+          isHeld: { $ne: true },
+          'items.product': { $in: productIds },
+          ...locationMatch(location)
         }
       },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: productIds } } },
       {
-        $sort: { date: 1 }
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } },
+          quantity: {
+            $sum: {
+              $multiply: [
+                { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+                { $ifNull: ['$items.unitFactor', 1] }
+              ]
+            }
+          }
+        }
       }
     ]);
 
+    // Bucket the days into weeks, then drop the weeks before the first sale so a product added
+    // recently is not treated as having sold nothing for the rest of the history
+    const series = Array(historyWeeks).fill(0);
+    dailySales.forEach(day => {
+      const week = Math.floor(differenceInCalendarDays(parseISO(day._id), historyStart) / 7);
+      if (week >= 0 && week < historyWeeks) series[week] += day.quantity;
+    });
+    const firstWeek = series.findIndex(quantity => quantity !== 0);
+    const startWeek = firstWeek === -1 ? historyWeeks : firstWeek;
+    const history = series.slice(startWeek).map(quantity => roundQuantity(quantity));
+    const weekStart = (index) => format(addWeeks(historyStart, startWeek + index), 'yyyy-MM-dd');
+
+    const forecasts = Object.fromEntries(
+      FORECAST_METHODS.map(method => [method, forecastSeries(method, history, weeks, window)])
+    );
+    const accuracy = Object.fromEntries(
+      FORECAST_METHODS.map(method => [method, backtestForecast(method, history, weeks, window)])
+    );
+    const recommendedMethod = FORECAST_METHODS
+      .filter(method => accuracy[method])
+      .sort((a, b) => accuracy[a].mae - accuracy[b].mae)[0] || null;
+
+    const forecast = Array.from({ length: weeks }, (_, index) => ({
+      weekStart: weekStart(history.length + index),
+      ...Object.fromEntries(FORECAST_METHODS.map(method => [method, forecasts[method][index]]))
+    }));
+    const forecastTotal = recommendedMethod
+      ? roundQuantity(forecasts[recommendedMethod].reduce((sum, quantity) => sum + (quantity ?? 0), 0))
+      : null;
+
     res.json({
       success: true,
-      period: { startDate, endDate, groupBy },
-      data: trendData
+      params: { weeks, historyWeeks, window, location: location || null, ...scope },
+      data: {
+        history: history.map((quantity, index) => ({ weekStart: weekStart(index), quantity })),
+        forecast
+      },
+      accuracy,
+      recommendedMethod,
+      summary: {
+        historyWeeks: history.length,
+        averageWeekly: history.length
+          ? roundQuantity(history.reduce((sum, quantity) => sum + quantity, 0) / history.length)
+          : 0,
+        forecastTotal
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Get accounts receivable aging (current, 1-30, 31-60, 61-90 and 90+ days past due)
+ * @route   GET /api/reports/receivables-aging
+ * @access  Private/Admin
+ */
+export const getReceivablesAging = async (req, res, next) => {
+  try {
+    // Balances are current, so the report always ages as of today
+    const asOf = new Date();
+
+    const openSales = await Sale.find(OPEN_RECEIVABLE_FILTER)
+      .populate('customer', 'name phone creditLimit paymentTermsDays')
+      .select('saleNumber customer customerName createdAt dueDate balanceDue')
+      .sort({ dueDate: 1 })
+      .lean();
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+    const totals = { ...emptyBuckets(), total: 0 };
+    const byCustomer = new Map();
+
+    openSales.forEach(sale => {
+      const bucket = getAgingBucket(getDaysOverdue(sale.dueDate, asOf));
+      const key = sale.customer?._id?.toString() || 'unassigned';
+
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          customer: sale.customer || null,
+          name: sale.customer?.name || sale.customerName || 'Unassigned',
+          ...emptyBuckets(),
+          total: 0,
+          openCharges: 0,
+          oldestDueDate: sale.dueDate
+        });
+      }
+
+      const row = byCustomer.get(key);
+      row[bucket] = roundCurrency(row[bucket] + sale.balanceDue);
+      row.total = roundCurrency(row.total + sale.balanceDue);
+      row.openCharges += 1;
+      totals[bucket] = roundCurrency(totals[bucket] + sale.balanceDue);
+      totals.total = roundCurrency(totals.total + sale.balanceDue);
+    });
+
+    const customers = Array.from(byCustomer.values()).sort((a, b) => b.total - a.total);
+
+    res.json({
+      success: true,
+      asOf,
+      summary: totals,
+      count: customers.length,
+      data: customers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,305 @@
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.model.js';
+import Product, { MAX_QUANTITY_PRECISION } from '../models/Product.model.js';
+import Return from '../models/Return.model.js';
+import Settings from '../models/Settings.model.js';
+import Shift from '../models/Shift.model.js';
+import { generateCreditMemoNumber } from '../utils/generateCreditMemoNumber.js';
+import { createError } from '../utils/createError.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { getBaseQuantity, roundQuantity, hasValidPrecision, formatQuantity } from '../utils/unitOfMeasure.js';
+import { receiveStockUpdate } from '../utils/landedCost.js';
+import { applyStockChange, recordStockMovements } from '../utils/stockLedger.js';
+import { resolveLocation } from '../utils/locations.js';
+import { restoreLots, getLotShare } from '../utils/costing.js';
+import { normalizeSerialNumbers, releaseSerialNumbers } from '../utils/stockTracking.js';
+
+/**
+ * Amount the customer actually paid for a sale line: the line subtotal less its
+ * share of the whole-sale discount, plus VAT when prices are VAT-exclusive
+ * @param {Object} sale - Sale document
+ * @param {Object} item - Line from sale.items
+ * @returns {Object} { amount, vatAmount }
+ */
+const getLinePaidAmount = (sale, item) => {
+  // Sales recorded before the tax engine added 12% VAT on top of the subtotal
+  const vatRate = sale.vatBreakdown?.vatRate ?? 12;
+  const pricesIncludeVat = sale.vatBreakdown?.pricesIncludeVat ?? false;
+  const rate = vatRate / 100;
+
+  const linesTotal = sale.items.reduce((sum, line) => sum + line.subtotal, 0);
+  const saleDiscountShare = sale.saleDiscount?.amount && linesTotal > 0
+    ? sale.saleDiscount.amount * (item.subtotal / linesTotal)
+    : 0;
+
+  let amount = item.subtotal - saleDiscountShare;
+  let vatAmount = 0;
+  if (item.taxClass === 'vatable') {
+    if (!pricesIncludeVat) {
+      amount *= 1 + rate;
+    }
+    vatAmount = amount - amount / (1 + rate);
+  }
+
+  return { amount, vatAmount };
+};
+
+/**
+ * @desc    Get returns (credit memos) for a sale
+ * @route   GET /api/sales/:id/returns
+ * @access  Private
+ */
+export const getSaleReturns = async (req, res, next) => {
+  try {
+    const returns = await Return.find({ sale: req.params.id })
+      .populate('processedBy', 'username')
+      .populate('items.product', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Return some or all items of a sale and issue a credit memo
+ * @route   POST /api/sales/:id/returns
+ * @access  Private/Admin/Staff
+ */
+export const createReturn = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { items, refundMethod, refundReference, reason, superAdminCode } = req.body;
+
+    // Refunds move money out of the drawer, so they need the SuperAdmin code like voids
+    const settings = await Settings.getSettings();
+
+    if (!settings.superAdminCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'SuperAdmin code has not been set. Please contact an administrator.'
+      });
+    }
+
+    if (!superAdminCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'SuperAdmin code is required to process a return'
+      });
+    }
+
+    const isValidCode = await settings.verifySuperAdminCode(superAdminCode);
+
+    if (!isValidCode) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid SuperAdmin code'
+      });
+    }
+
+    let creditMemo;
+
+    // Returned quantities on the sale, restocking and the credit memo are written together
+    await session.withTransaction(async () => {
+      const sale = await Sale.findById(req.params.id).session(session);
+
+      if (!sale) {
+        throw createError(404, 'Sale not found');
+      }
+
+      if (sale.isVoid) {
+        throw createError(400, 'Cannot return items from a voided sale');
+      }
+
+      if (sale.isHeld) {
+        throw createError(400, 'Cannot return items from a parked sale');
+      }
+
+      const seenLines = new Set();
+      const returnItems = items.map(({ lineIndex, quantity: requestedQuantity, disposition, serialNumbers: returnedSerials }) => {
+        const index = parseInt(lineIndex);
+        const quantity = roundQuantity(requestedQuantity);
+        const item = sale.items[index];
+
+        if (!item) {
+          throw createError(400, `Sale has no line ${index + 1}`);
+        }
+
+        if (seenLines.has(index)) {
+          throw createError(400, 'Each sale line can only appear once in a return');
+        }
+        seenLines.add(index);
+
+        if (!hasValidPrecision(quantity, MAX_QUANTITY_PRECISION)) {
+          throw createError(400, `Return quantity for line ${index + 1} allows at most ${MAX_QUANTITY_PRECISION} decimal places`);
+        }
+
+        const alreadyReturned = item.returnedQuantity || 0;
+        const returnable = roundQuantity(item.quantity - alreadyReturned);
+        if (quantity > returnable) {
+          throw createError(400, `Only ${formatQuantity(returnable)} ${item.uom || 'unit(s)'} of line ${index + 1} can still be returned`);
+        }
+
+        // Serialized lines name the units coming back, from the ones sold on the line
+        let serialNumbers;
+        if (item.serialNumbers?.length) {
+          serialNumbers = normalizeSerialNumbers(returnedSerials);
+          const units = getBaseQuantity({ quantity, unitFactor: item.unitFactor });
+          if (serialNumbers.length !== units || new Set(serialNumbers).size !== units) {
+            throw createError(400, `Pick the ${formatQuantity(units)} serial number(s) returned on line ${index + 1}`);
+          }
+          const notSold = serialNumbers.find(serial => !item.serialNumbers.includes(serial));
+          if (notSold) {
+            throw createError(400, `Serial number ${notSold} was not sold on line ${index + 1}`);
+          }
+        }
+
+        // Refund the difference between what the returned units are worth cumulatively,
+        // so returning a line in several parts never adds up to more than was paid
+        const paid = getLinePaidAmount(sale, item);
+        const shareOf = (value, units) => roundCurrency(value * units / item.quantity);
+        const amount = shareOf(paid.amount, alreadyReturned + quantity) - shareOf(paid.amount, alreadyReturned);
+        const vatAmount = shareOf(paid.vatAmount, alreadyReturned + quantity) - shareOf(paid.vatAmount, alreadyReturned);
+
+        item.returnedQuantity = roundQuantity(alreadyReturned + quantity);
+
+        return {
+          lineIndex: index,
+          product: item.product,
+          quantity,
+          uom: item.uom,
+          unitFactor: item.unitFactor || 1,
+          price: item.price,
+          taxClass: item.taxClass,
+          amount: roundCurrency(amount),
+          vatAmount: roundCurrency(vatAmount),
+          costOfGoods: item.costOfGoods !== undefined
+            ? roundCurrency(shareOf(item.costOfGoods, alreadyReturned + quantity) - shareOf(item.costOfGoods, alreadyReturned))
+            : undefined,
+          disposition,
+          serialNumbers
+        };
+      });
+
+      const total = roundCurrency(Math.min(
+        returnItems.reduce((sum, item) => sum + item.amount, 0),
+        sale.total - (sale.returnedTotal || 0)
+      ));
+      const vatAmount = roundCurrency(returnItems.reduce((sum, item) => sum + item.vatAmount, 0));
+
+      sale.returnedTotal = roundCurrency((sale.returnedTotal || 0) + total);
+
+      // A refund first clears what the customer still owes on the charge; only the rest,
+      // which the customer has actually paid, goes back to them in the refund tender
+      const accountCredit = roundCurrency(Math.min(total, sale.balanceDue || 0));
+      const payout = roundCurrency(total - accountCredit);
+      if (refundMethod === 'charge' && payout > 0) {
+        throw createError(400, `Only ${accountCredit.toFixed(2)} is still owed on this sale. Refund the rest in another tender.`);
+      }
+      sale.balanceDue = roundCurrency((sale.balanceDue || 0) - accountCredit);
+      await sale.save({ session });
+
+      // Only goods in sellable condition go back into stock; write-offs stay out
+      const restockItems = returnItems.filter(item => item.disposition === 'restock');
+      const movements = []; // ledger entries, written once the credit memo has its number
+      // Returned goods go back to the branch they were sold from
+      const location = restockItems.length > 0
+        ? sale.location || (await resolveLocation(null, session))?._id
+        : null;
+      for (const item of restockItems) {
+        const baseQuantity = getBaseQuantity(item);
+        const change = await applyStockChange({
+          productId: item.product,
+          quantity: baseQuantity,
+          location,
+          // Restocked units come back at the cost they were sold at
+          update: item.costOfGoods !== undefined ? receiveStockUpdate(baseQuantity, item.costOfGoods) : null,
+          session
+        });
+
+        if (!change) {
+          throw createError(404, 'One or more products not found');
+        }
+
+        // The units go back into the lots they were sold from, so expiry stays right
+        const saleItem = sale.items[item.lineIndex];
+        await restoreLots(getLotShare(saleItem, roundQuantity(saleItem.returnedQuantity - item.quantity), saleItem.returnedQuantity), location, session);
+
+        movements.push({
+          ...change,
+          type: 'return',
+          unitCost: item.costOfGoods !== undefined ? Number((item.costOfGoods / baseQuantity).toFixed(4)) : 0,
+          value: item.costOfGoods || 0,
+          reason
+        });
+      }
+
+      const creditMemoNumber = await generateCreditMemoNumber(session);
+
+      // Refunds paid out of a drawer count against the processor's open shift
+      const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).session(session);
+
+      [creditMemo] = await Return.create([{
+        creditMemoNumber,
+        sale: sale._id,
+        saleNumber: sale.saleNumber,
+        items: returnItems,
+        total,
+        vatAmount,
+        accountCredit,
+        // With nothing left to pay out, the whole refund went to the account
+        refundMethod: payout > 0 ? refundMethod : 'charge',
+        refundReference: payout > 0 && refundMethod !== 'cash' ? refundReference : undefined,
+        reason,
+        processedBy: req.user._id,
+        shift: shift?._id,
+        location: sale.location
+      }], { session });
+
+      // Restocked serials can be sold again; damaged units are written off
+      for (const item of returnItems) {
+        await releaseSerialNumbers({
+          product: item.product,
+          serialNumbers: item.serialNumbers,
+          sale: sale._id,
+          status: item.disposition === 'restock' ? 'in_stock' : 'written_off',
+          creditMemo,
+          location,
+          session
+        });
+      }
+
+      await recordStockMovements(movements.map(movement => ({
+        ...movement,
+        sourceModel: 'Return',
+        source: creditMemo._id,
+        sourceNumber: creditMemo.creditMemoNumber,
+        createdBy: req.user._id
+      })), session);
+    });
+
+    await creditMemo.populate('processedBy', 'username');
+    await creditMemo.populate('items.product', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: `Return processed. Credit memo ${creditMemo.creditMemoNumber} issued.`,
+      data: creditMemo
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
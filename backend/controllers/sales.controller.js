@@ -1,7 +1,26 @@
+import mongoose from 'mongoose';
 import Sale from '../models/Sale.model.js';
 import Product from '../models/Product.model.js';
 import Settings from '../models/Settings.model.js';
+import Category from '../models/Category.model.js';
+import Return from '../models/Return.model.js';
+import Customer from '../models/Customer.model.js';
+import Shift from '../models/Shift.model.js';
 import { generateSaleNumber } from '../utils/generateSaleNumber.js';
+import { createError } from '../utils/createError.js';
+import { calculateSaleTaxes, findDiscountsOverThreshold } from '../utils/taxCalculator.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { getReservedQuantities } from '../utils/stockReservations.js';
+import { issueStockCost, restoreLots } from '../utils/costing.js';
+import { receiveStockUpdate } from '../utils/landedCost.js';
+import { applyStockChange, recordStockMovements } from '../utils/stockLedger.js';
+import { resolveLocation, getLocationQuantity } from '../utils/locations.js';
+import { normalizeSerialNumbers, assertSerialsInStock, markSerialsSold, releaseSerialNumbers } from '../utils/stockTracking.js';
+import { isExpired } from '../utils/expiry.js';
+import { getOutstandingBalance } from '../utils/customerCredit.js';
+import { findSalePriceList, resolveListPrice } from '../utils/priceList.js';
+import { findRunningPromotions, applyPromotion } from '../utils/promotions.js';
+import { resolveUnit, getBaseQuantity, assertQuantityPrecision, roundQuantity, formatQuantity } from '../utils/unitOfMeasure.js';
 import { jsPDF } from 'jspdf';
 import { format } from 'date-fns';
 
@@ -12,7 +31,7 @@ import { format } from 'date-fns';
  */
 export const getSales = async (req, res, next) => {
   try {
-    const { startDate, endDate, cashier, isVoid, page = 1, limit = 50 } = req.query;
+    const { startDate, endDate, cashier, isVoid, isHeld, page = 1, limit = 50 } = req.query;
     const filter = {};
 
     if (startDate || endDate) {
@@ -38,6 +57,9 @@ export const getSales = async (req, res, next) => {
       filter.isVoid = isVoid === 'true' || isVoid === true;
     }
 
+    // Parked carts are only listed when asked for
+    filter.isHeld = isHeld === 'true' || isHeld === true ? true : { $ne: true };
+
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
@@ -46,7 +68,7 @@ export const getSales = async (req, res, next) => {
     const [sales, total] = await Promise.all([
       Sale.find(filter)
         .populate('cashier', 'username')
-        .populate('items.product', 'name price')
+        .populate('items.product', 'name price unit')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum),
@@ -93,106 +115,813 @@ export const getSale = async (req, res, next) => {
   }
 };
 
+/**
+ * Build a discount record from the request, or undefined when no discount was given
+ * The peso amount is filled in once the tax engine has computed it
+ * The cashier is the approver until approveDiscounts records the SuperAdmin for discounts over the threshold
+ * @param {Object} discount - Requested discount ({ type, value, reasonCode })
+ * @param {ObjectId} userId - User applying the discount
+ */
+const buildDiscount = (discount, userId) => {
+  if (!discount || !parseFloat(discount.value)) {
+    return undefined;
+  }
+
+  if (!discount.reasonCode) {
+    throw createError(400, 'A reason code is required for every discount');
+  }
+
+  if (discount.type === 'percentage' && parseFloat(discount.value) > 100) {
+    throw createError(400, 'Percentage discount cannot exceed 100%');
+  }
+
+  return {
+    type: discount.type,
+    value: parseFloat(discount.value),
+    amount: 0,
+    reasonCode: discount.reasonCode,
+    approvedBy: userId,
+    superAdminApproved: false
+  };
+};
+
+/**
+ * Record the SuperAdmin as the approver of discounts let through with their code
+ * @param {Array<Object>} discounts - Discount records from buildDiscount (undefined entries are skipped)
+ * @param {Object} settings - Settings document, naming the admin who holds the code
+ */
+const approveDiscounts = (discounts, settings) => {
+  discounts.filter(Boolean).forEach(discount => {
+    discount.approvedBy = settings.superAdminCodeSetBy || undefined;
+    discount.superAdminApproved = true;
+  });
+};
+
+/**
+ * Apply the tenders to the sale total
+ * Non-cash tenders (including charges to account) are taken at face value and cannot
+ * exceed the total; cash covers the rest and is the only tender that gives change
+ * @param {Array} payments - Requested tenders ([{ method, amount, reference }])
+ * @param {number} total - Sale total
+ * @returns {Object} { payments, paymentMethod, cashRendered, change, chargedAmount }
+ */
+const settlePayments = (payments, total) => {
+  const nonCashTotal = roundCurrency(payments
+    .filter(payment => payment.method !== 'cash')
+    .reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
+  const cashTendered = roundCurrency(payments
+    .filter(payment => payment.method === 'cash')
+    .reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
+
+  if (nonCashTotal > total) {
+    throw createError(400, 'Non-cash payments cannot exceed the sale total');
+  }
+
+  if (roundCurrency(nonCashTotal + cashTendered) < total) {
+    throw createError(400, `Payments do not cover the sale total of ${total.toFixed(2)}`);
+  }
+
+  let cashDue = roundCurrency(total - nonCashTotal);
+  const settled = payments.map(payment => {
+    const amount = parseFloat(payment.amount);
+    if (payment.method !== 'cash') {
+      return { method: payment.method, amount, reference: payment.reference || undefined };
+    }
+
+    const applied = Math.min(amount, cashDue);
+    cashDue = roundCurrency(cashDue - applied);
+    return { method: 'cash', amount: applied, tendered: amount };
+  });
+
+  const methods = new Set(settled.map(payment => payment.method));
+
+  return {
+    payments: settled,
+    paymentMethod: methods.size === 1 ? settled[0].method : 'split',
+    cashRendered: cashTendered > 0 ? cashTendered : undefined,
+    change: roundCurrency(nonCashTotal + cashTendered - total),
+    chargedAmount: roundCurrency(settled
+      .filter(payment => payment.method === 'charge')
+      .reduce((sum, payment) => sum + payment.amount, 0))
+  };
+};
+
+/**
+ * Resolve the customer a sale is linked to
+ * A selected customer fills any contact details left blank on the sale; with saveCustomer
+ * a walk-in's details are matched to an existing record by phone/TIN or saved as a new one
+ * @returns {Object} { customer, customerName, customerEmail, customerPhone, tinNumber }
+ */
+const resolveSaleCustomer = async (details, session) => {
+  const { customer: customerId, saveCustomer, customerName, customerEmail, customerPhone, tinNumber } = details;
+  let customer = null;
+
+  if (customerId) {
+    customer = await Customer.findById(customerId).session(session);
+    if (!customer) {
+      throw createError(404, 'Customer not found');
+    }
+  } else if (saveCustomer && customerName) {
+    const conditions = [];
+    if (customerPhone) conditions.push({ phone: customerPhone });
+    if (tinNumber) conditions.push({ tinNumber });
+    if (conditions.length > 0) {
+      customer = await Customer.findOne({ $or: conditions }).session(session);
+    }
+    if (!customer) {
+      [customer] = await Customer.create([{
+        name: customerName,
+        phone: customerPhone || undefined,
+        email: customerEmail || undefined,
+        tinNumber: tinNumber || undefined
+      }], { session });
+    }
+  }
+
+  // The sale keeps its own copy of the contact details as printed on the receipt
+  return {
+    customer: customer?._id,
+    customerName: customerName || customer?.name,
+    customerEmail: customerEmail || customer?.email,
+    customerPhone: customerPhone || customer?.phone,
+    tinNumber: tinNumber || customer?.tinNumber
+  };
+};
+
+/**
+ * Check a charge to account against the customer's credit limit
+ * Charging needs an active customer with a credit limit; going over the limit needs the SuperAdmin code
+ * @returns {Promise<Object>} { dueDate, creditLimitOverride }
+ */
+const verifyCreditCharge = async ({ customerId, chargedAmount, settings, superAdminCode, session }) => {
+  if (!customerId) {
+    throw createError(400, 'Select a customer to charge this sale to their account');
+  }
+
+  // Writing to the customer makes concurrent charges conflict; the retried transaction
+  // then checks the limit against the balance the other charge left
+  const customer = await Customer.findByIdAndUpdate(customerId, { $inc: { chargeVersion: 1 } }, { new: true, session });
+  if (!customer) {
+    throw createError(404, 'Customer not found');
+  }
+  if (!customer.isActive) {
+    throw createError(400, `${customer.name} is inactive and cannot charge to account`);
+  }
+  if (!customer.creditLimit) {
+    throw createError(400, `${customer.name} does not have a credit account`);
+  }
+
+  const outstanding = await getOutstandingBalance(customer._id, session);
+  const available = roundCurrency(customer.creditLimit - outstanding);
+  let creditLimitOverride = false;
+
+  if (chargedAmount > available) {
+    if (!settings.superAdminCode) {
+      throw createError(400, 'SuperAdmin code has not been set. Please contact an administrator.');
+    }
+    if (!superAdminCode) {
+      throw createError(403, `Charging ${chargedAmount.toFixed(2)} exceeds ${customer.name}'s available credit of ${Math.max(available, 0).toFixed(2)}. The SuperAdmin code is required to override the limit.`);
+    }
+    const isValidCode = await settings.verifySuperAdminCode(superAdminCode);
+    if (!isValidCode) {
+      throw createError(401, 'Invalid SuperAdmin code');
+    }
+    creditLimitOverride = true;
+  }
+
+  const dueDate = new Date();
+  dueDate.setDate(dueDate.getDate() + (customer.paymentTermsDays || 0));
+
+  return { dueDate, creditLimitOverride };
+};
+
+/**
+ * Verify the SuperAdmin code for a discount above the approval threshold
+ * Throws an error with a status code when the code is missing or invalid
+ */
+const verifyDiscountApproval = async (settings, superAdminCode) => {
+  if (!settings.superAdminCode) {
+    throw createError(400, 'SuperAdmin code has not been set. Please contact an administrator.');
+  }
+
+  if (!superAdminCode) {
+    throw createError(403, `Discounts above ${settings.discountApprovalThreshold}% require the SuperAdmin code`);
+  }
+
+  const isValidCode = await settings.verifySuperAdminCode(superAdminCode);
+  if (!isValidCode) {
+    throw createError(401, 'Invalid SuperAdmin code');
+  }
+};
+
+/**
+ * Verify the SuperAdmin code for selling stock past its expiry date
+ * Throws an error with a status code when the code is missing or invalid
+ * @param {Object} settings - Settings document
+ * @param {string} superAdminCode
+ * @param {Array<string>} expiredStock - The expired lots on the sale, as shown to the cashier
+ */
+const verifyExpiredStockOverride = async (settings, superAdminCode, expiredStock) => {
+  if (!settings.superAdminCode) {
+    throw createError(400, 'SuperAdmin code has not been set. Please contact an administrator.');
+  }
+
+  if (!superAdminCode) {
+    throw createError(403, `Expired stock cannot be sold without the SuperAdmin code: ${expiredStock.join('; ')}`);
+  }
+
+  const isValidCode = await settings.verifySuperAdminCode(superAdminCode);
+  if (!isValidCode) {
+    throw createError(401, 'Invalid SuperAdmin code');
+  }
+};
+
+/**
+ * @desc    Price a cart and work out its discounts and VAT with the same rules as createSale
+ * The POS shows these figures while the cart is built: each line is priced from the price list
+ * and running promotions here, so the counter never prices a line itself.
+ * discountApprovalRequired says whether any discount is above the SuperAdmin approval threshold.
+ * @route   POST /api/sales/quote
+ * @access  Private
+ */
+export const quoteSale = async (req, res, next) => {
+  try {
+    const { lines, saleDiscount, zeroRated, customer, priceList: priceListId } = req.body;
+    const settings = await Settings.getSettings();
+
+    const productIds = [...new Set(lines.map(line => line.product))];
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    // VAT-exempt categories make every product in them VAT-exempt
+    const exemptCategories = await Category.find({ vatExempt: true }).select('name');
+    const exemptCategoryNames = new Set(exemptCategories.map(c => c.name));
+
+    const customerRecord = customer ? await Customer.findById(customer).select('priceList') : null;
+    const priceList = await findSalePriceList({ priceListId, customer: customerRecord });
+    const promotions = await findRunningPromotions();
+
+    const pricedLines = lines.map(line => {
+      const product = productMap.get(line.product);
+      if (!product) {
+        throw createError(404, `Product with ID ${line.product} not found`);
+      }
+
+      const unit = resolveUnit(product, line.uom);
+      const quantity = roundQuantity(line.quantity);
+      const { price, priceListName } = resolveListPrice(priceList, product, unit, quantity);
+      const { promotionName, promotionDiscount } = applyPromotion(promotions, product, unit, quantity, price);
+      return {
+        price,
+        priceListName,
+        promotionName,
+        promotionDiscount,
+        grossAmount: roundCurrency(price * quantity - promotionDiscount),
+        vatExempt: product.vatExempt || exemptCategoryNames.has(product.category),
+        discount: line.discount
+      };
+    });
+    const taxes = calculateSaleTaxes({
+      lines: pricedLines,
+      saleDiscount,
+      vatRate: settings.vatRate,
+      pricesIncludeVat: settings.pricesIncludeVat,
+      zeroRated: !!zeroRated
+    });
+    const discountsOverThreshold = findDiscountsOverThreshold({
+      lines: pricedLines,
+      saleDiscount,
+      taxes,
+      threshold: settings.discountApprovalThreshold
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...taxes,
+        lines: taxes.lines.map((result, index) => {
+          const { price, priceListName, promotionName, promotionDiscount } = pricedLines[index];
+          return { ...result, price, priceListName, promotionName, promotionDiscount };
+        }),
+        priceListName: priceList?.name,
+        discountApprovalRequired: discountsOverThreshold.length > 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create new sale
  * @route   POST /api/sales
  * @access  Private/Supplier/Staff
  */
 export const createSale = async (req, res, next) => {
+  const session = await mongoose.startSession();
   try {
-    const { items, paymentMethod, customerName, customerEmail, customerPhone, tinNumber, cashRendered } = req.body;
+    const {
+      items,
+      payments,
+      paymentMethod,
+      cashRendered,
+      saleDiscount,
+      superAdminCode,
+      zeroRated,
+      zeroRatedReason,
+      zeroRatedReference,
+      heldSaleId,
+      priceList: priceListId
+    } = req.body;
+    const settings = await Settings.getSettings();
+    let sale;
 
-    // Fetch all products at once to avoid N+1 query problem
-    const productIds = items.map(item => item.product);
-    const products = await Product.find({ _id: { $in: productIds } });
+    // Stock decrements and the sale document are written in one transaction,
+    // so either everything is committed or nothing is
+    await session.withTransaction(async () => {
+      // Every sale is rung up against the cashier's open drawer shift
+      const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).session(session);
+      if (!shift) {
+        throw createError(400, 'Open a shift before processing sales');
+      }
 
-    // Validate all products exist
-    if (products.length !== items.length) {
-      const foundIds = products.map(p => p._id.toString());
-      const missingId = productIds.find(id => !foundIds.includes(id.toString()));
-      return res.status(404).json({
-        success: false,
-        message: `Product with ID ${missingId} not found`
-      });
-    }
+      // Stock comes out of the cashier's branch (the default location when none is assigned)
+      const location = await resolveLocation(req.user.location, session);
 
-    // Create a map for quick lookup
-    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+      // Fetch all products at once to avoid N+1 query problem
+      // (a product can appear on several lines when sold in different units)
+      const productIds = [...new Set(items.map(item => item.product.toString()))];
+      const products = await Product.find({ _id: { $in: productIds } }).session(session);
 
-    // Validate stock and calculate totals
-    let subtotal = 0;
-    const saleItems = [];
+      // Validate all products exist
+      if (products.length !== productIds.length) {
+        const foundIds = products.map(p => p._id.toString());
+        const missingId = productIds.find(id => !foundIds.includes(id));
+        throw createError(404, `Product with ID ${missingId} not found`);
+      }
 
-    for (const item of items) {
-      const product = productMap.get(item.product.toString());
-      
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`
+      // Create a map for quick lookup
+      const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+      // Stock soft-reserved by other parked carts is not available to this sale
+      const reservedMap = await getReservedQuantities(productIds, { excludeSaleId: heldSaleId, session });
+
+      // VAT-exempt categories make every product in them VAT-exempt
+      const exemptCategories = await Category.find({ vatExempt: true }).select('name').session(session);
+      const exemptCategoryNames = new Set(exemptCategories.map(c => c.name));
+
+      // Prices are resolved here from the price list, never taken from the client
+      const customerRecord = req.body.customer
+        ? await Customer.findById(req.body.customer).select('priceList').session(session)
+        : null;
+      const priceList = await findSalePriceList({ priceListId, customer: customerRecord, session });
+      const promotions = await findRunningPromotions({ session });
+
+      // Validate stock and collect sale lines
+      const lines = [];
+      const movements = []; // ledger entries, written once the sale has its number
+      const requestedMap = new Map(); // base units taken so far by earlier lines of the same product
+      const pickedSerials = new Set(); // product:serial picked by earlier lines
+      const expiredStock = []; // expired lots the sale would take
+
+      for (const item of items) {
+        const product = productMap.get(item.product.toString());
+
+        if (!product) {
+          throw createError(404, `Product with ID ${item.product} not found`);
+        }
+
+        // Price per unit sold and the stock it takes, in the product's base unit
+        const unit = resolveUnit(product, item.uom);
+        const { uom, unitFactor } = unit;
+        assertQuantityPrecision(product, item.quantity, unit);
+        const quantity = roundQuantity(item.quantity);
+        const { price, priceList: linePriceList, priceListName } = resolveListPrice(priceList, product, unit, quantity);
+        const { promotion, promotionName, promotionDiscount } = applyPromotion(promotions, product, unit, quantity, price);
+        const baseQuantity = getBaseQuantity({ quantity, unitFactor });
+        const productId = product._id.toString();
+        const alreadyRequested = requestedMap.get(productId) || 0;
+        requestedMap.set(productId, roundQuantity(alreadyRequested + baseQuantity));
+
+        const reserved = reservedMap.get(productId) || 0;
+        const onHand = location
+          ? Math.min(getLocationQuantity(product, location._id), product.stockQuantity - reserved)
+          : product.stockQuantity - reserved;
+        const available = roundQuantity(onHand - alreadyRequested);
+        if (available < baseQuantity) {
+          const reservedNote = reserved > 0 ? ` (${formatQuantity(reserved)} reserved by parked sales)` : '';
+          const unitNote = product.unit ? ` ${product.unit}` : '';
+          const locationNote = location ? ` at ${location.name}` : '';
+          throw createError(400, `Insufficient stock for ${product.name}${locationNote}. Available: ${formatQuantity(available)}${unitNote}${reservedNote}, Requested: ${formatQuantity(baseQuantity)}${unitNote}`);
+        }
+
+        // Serialized products are sold unit by unit: the cashier picks which serials leave the store
+        let serialNumbers;
+        if (product.tracking === 'serial') {
+          serialNumbers = normalizeSerialNumbers(item.serialNumbers);
+          await assertSerialsInStock(product, serialNumbers, baseQuantity, location, session);
+          serialNumbers.forEach(serial => {
+            const key = `${productId}:${serial}`;
+            if (pickedSerials.has(key)) {
+              throw createError(400, `Serial number ${serial} is on more than one line`);
+            }
+            pickedSerials.add(key);
+          });
+        }
+
+        lines.push({
+          product: product._id,
+          quantity,
+          uom,
+          unitFactor,
+          price,
+          priceList: linePriceList,
+          priceListName,
+          promotion,
+          promotionName,
+          promotionDiscount,
+          grossAmount: roundCurrency(price * quantity - promotionDiscount),
+          vatExempt: product.vatExempt || exemptCategoryNames.has(product.category),
+          discount: buildDiscount(item.discount, req.user._id),
+          serialNumbers
         });
-      }
 
-      if (product.stockQuantity < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}`
+        // Conditional decrement - only matches while enough stock is left (at the branch too),
+        // so a concurrent sale of the last unit cannot push stock below zero
+        const change = await applyStockChange({
+          productId: product._id,
+          quantity: -baseQuantity,
+          location: location?._id,
+          filter: { stockQuantity: { $gte: roundQuantity(baseQuantity + reserved) } },
+          session
         });
+
+        if (!change) {
+          throw createError(409, `Insufficient stock for ${product.name}. Stock changed while processing the sale, please try again`);
+        }
+
+        // Cost is fixed on the line now, so later price changes cannot rewrite its profit;
+        // lots and dated deliveries the units came from are recorded too (earliest expiry first)
+        const { cost: costOfGoods, lots } = await issueStockCost({
+          product,
+          baseQuantity,
+          onHand: roundQuantity((location ? getLocationQuantity(product, location._id) : product.stockQuantity) - alreadyRequested),
+          method: settings.costingMethod,
+          location: location?._id,
+          session
+        });
+        lines[lines.length - 1].costOfGoods = costOfGoods;
+        lines[lines.length - 1].lots = lots.length > 0 ? lots : undefined;
+        lots.filter(lot => isExpired(lot.expiryDate)).forEach(lot => {
+          const lotNote = lot.lotNumber ? `lot ${lot.lotNumber}, ` : '';
+          expiredStock.push(`${product.name} (${lotNote}expired ${format(lot.expiryDate, 'yyyy-MM-dd')})`);
+        });
+        movements.push({
+          ...change,
+          type: 'sale',
+          unitCost: Number((costOfGoods / baseQuantity).toFixed(4)),
+          value: -costOfGoods
+        });
+      }
+
+      // Expired stock goes out first (FEFO), so it is caught here before it reaches a customer
+      if (expiredStock.length > 0) {
+        await verifyExpiredStockOverride(settings, superAdminCode, expiredStock);
       }
 
-      // Selling price = base price + (base price * markup percentage / 100)
-      // Total cost = base price + (base price * markup percentage)
-      const basePrice = product.price || 0;
-      const markupPercentage = product.markupPercentage || 0;
-      const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
-      const itemSubtotal = sellingPrice * item.quantity;
-      subtotal += itemSubtotal;
-
-      saleItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        price: sellingPrice,
-        subtotal: itemSubtotal
+      // Discounts and VAT breakdown from the configured tax settings
+      const wholeSaleDiscount = buildDiscount(saleDiscount, req.user._id);
+      const taxes = calculateSaleTaxes({
+        lines,
+        saleDiscount: wholeSaleDiscount,
+        vatRate: settings.vatRate,
+        pricesIncludeVat: settings.pricesIncludeVat,
+        zeroRated: !!zeroRated
       });
 
-      // Update product stock in memory
-      product.stockQuantity -= item.quantity;
-    }
+      const saleItems = lines.map((line, index) => {
+        const lineTax = taxes.lines[index];
+        if (line.discount) line.discount.amount = lineTax.discountAmount;
+        return {
+          product: line.product,
+          quantity: line.quantity,
+          uom: line.uom,
+          unitFactor: line.unitFactor,
+          price: line.price,
+          priceList: line.priceList,
+          priceListName: line.priceListName,
+          promotion: line.promotion,
+          promotionName: line.promotionName,
+          promotionDiscount: line.promotionDiscount,
+          taxClass: lineTax.taxClass,
+          discount: line.discount,
+          discountAmount: lineTax.discountAmount,
+          subtotal: lineTax.netAmount,
+          unitCost: Number((line.costOfGoods / line.quantity).toFixed(4)),
+          costOfGoods: line.costOfGoods,
+          serialNumbers: line.serialNumbers,
+          lots: line.lots
+        };
+      });
+      if (wholeSaleDiscount) wholeSaleDiscount.amount = taxes.saleDiscountAmount;
+
+      // Older clients send a single paymentMethod with cashRendered instead of a payments array
+      const tenders = payments?.length
+        ? payments
+        : [{ method: paymentMethod, amount: paymentMethod === 'cash' && cashRendered ? cashRendered : taxes.total }];
+      const settlement = settlePayments(tenders, taxes.total);
+
+      // Any single discount above the configured threshold needs the SuperAdmin code
+      const discountsOverThreshold = findDiscountsOverThreshold({
+        lines,
+        saleDiscount: wholeSaleDiscount,
+        taxes,
+        threshold: settings.discountApprovalThreshold
+      });
+      if (discountsOverThreshold.length > 0) {
+        await verifyDiscountApproval(settings, superAdminCode);
+        approveDiscounts(discountsOverThreshold, settings);
+      }
+
+      // Completing a parked cart removes it; the delete only matches once,
+      // so the same cart cannot be checked out on two terminals
+      if (heldSaleId) {
+        const held = await Sale.deleteOne({ _id: heldSaleId, isHeld: true }, { session });
+        if (held.deletedCount === 0) {
+          throw createError(409, 'This parked sale was already completed or discarded');
+        }
+      }
+
+      const customerDetails = await resolveSaleCustomer(req.body, session);
 
-    // Bulk update all products at once
-    await Promise.all(products.map(product => product.save()));
+      // Charges to account open a receivable against the customer's credit limit
+      const credit = settlement.chargedAmount > 0
+        ? await verifyCreditCharge({
+          customerId: customerDetails.customer,
+          chargedAmount: settlement.chargedAmount,
+          settings,
+          superAdminCode,
+          session
+        })
+        : null;
 
-    // Calculate VAT (12%)
-    const vatRate = 0.12;
-    const discount = 0; // No discount
-    const tax = subtotal * vatRate;
-    const total = subtotal + tax;
+      const saleNumber = await generateSaleNumber(session);
+
+      [sale] = await Sale.create([{
+        saleNumber,
+        ...customerDetails,
+        items: saleItems,
+        priceList: priceList?._id,
+        subtotal: taxes.subtotal,
+        discount: taxes.discount,
+        saleDiscount: wholeSaleDiscount,
+        tax: taxes.vatAmount,
+        total: taxes.total,
+        vatBreakdown: {
+          vatRate: settings.vatRate,
+          pricesIncludeVat: settings.pricesIncludeVat,
+          vatableSales: taxes.vatableSales,
+          vatExemptSales: taxes.vatExemptSales,
+          zeroRatedSales: taxes.zeroRatedSales,
+          vatAmount: taxes.vatAmount,
+          lessVat: taxes.lessVat
+        },
+        zeroRated: !!zeroRated,
+        zeroRatedReason: zeroRated ? zeroRatedReason : undefined,
+        zeroRatedReference: zeroRated ? zeroRatedReference : undefined,
+        paymentMethod: settlement.paymentMethod,
+        payments: settlement.payments,
+        cashRendered: settlement.cashRendered,
+        change: settlement.change,
+        chargedAmount: settlement.chargedAmount,
+        balanceDue: settlement.chargedAmount,
+        dueDate: credit?.dueDate,
+        creditLimitOverride: credit?.creditLimitOverride || false,
+        expiredStockOverride: expiredStock.length > 0,
+        cashier: req.user._id,
+        shift: shift._id,
+        location: location?._id,
+        receiptGenerated: true
+      }], { session });
+
+      await markSerialsSold(sale, session);
+
+      await recordStockMovements(movements.map(movement => ({
+        ...movement,
+        sourceModel: 'Sale',
+        source: sale._id,
+        sourceNumber: sale.saleNumber,
+        createdBy: req.user._id
+      })), session);
+    });
+
+    await sale.populate('cashier', 'username');
+    await sale.populate('items.product', 'name price unit');
+
+    res.status(201).json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Get parked (held) sales
+ * @route   GET /api/sales/held
+ * @access  Private
+ */
+export const getHeldSales = async (req, res, next) => {
+  try {
+    const heldSales = await Sale.find({ isHeld: true })
+      .populate('cashier', 'username')
+      .populate('customer', 'name phone email tinNumber priceList')
+      .populate('items.product', 'name price markupPercentage stockQuantity unit quantityPrecision uoms tracking')
+      .sort({ createdAt: -1 });
 
-    const saleNumber = await generateSaleNumber();
+    res.json({
+      success: true,
+      count: heldSales.length,
+      data: heldSales
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const sale = await Sale.create({
-      saleNumber,
+/**
+ * @desc    Park a cart as a held sale, optionally soft-reserving its stock
+ * @route   POST /api/sales/held
+ * @access  Private/Supplier/Staff
+ */
+export const holdSale = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const {
+      label,
+      items,
+      customer,
       customerName,
-      customerEmail,
       customerPhone,
       tinNumber,
-      items: saleItems,
-      subtotal,
-      discount: 0, // No discount
-      tax, // 12% VAT
-      total,
-      paymentMethod,
-      cashRendered: paymentMethod === 'cash' ? cashRendered : undefined,
-      cashier: req.user._id,
-      receiptGenerated: true
+      saleDiscount,
+      reserveStock,
+      reserveMinutes = 30,
+      heldSaleId,
+      priceList: priceListId
+    } = req.body;
+    let heldSale;
+
+    await session.withTransaction(async () => {
+      const productIds = [...new Set(items.map(item => item.product.toString()))];
+      const products = await Product.find({ _id: { $in: productIds } }).session(session);
+
+      if (products.length !== productIds.length) {
+        const foundIds = products.map(p => p._id.toString());
+        const missingId = productIds.find(id => !foundIds.includes(id));
+        throw createError(404, `Product with ID ${missingId} not found`);
+      }
+
+      const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+      const customerRecord = customer
+        ? await Customer.findById(customer).select('priceList').session(session)
+        : null;
+      const priceList = await findSalePriceList({ priceListId, customer: customerRecord, session });
+      const promotions = await findRunningPromotions({ session });
+
+      const saleItems = items.map(item => {
+        const product = productMap.get(item.product.toString());
+        const unit = resolveUnit(product, item.uom);
+        const { uom, unitFactor } = unit;
+        assertQuantityPrecision(product, item.quantity, unit);
+        const quantity = roundQuantity(item.quantity);
+        const { price, priceList: linePriceList, priceListName } = resolveListPrice(priceList, product, unit, quantity);
+        const { promotion, promotionName, promotionDiscount } = applyPromotion(promotions, product, unit, quantity, price);
+        return {
+          product: product._id,
+          quantity,
+          uom,
+          unitFactor,
+          price,
+          priceList: linePriceList,
+          priceListName,
+          promotion,
+          promotionName,
+          promotionDiscount,
+          discount: buildDiscount(item.discount, req.user._id),
+          subtotal: roundCurrency(price * quantity - promotionDiscount),
+          // Serials picked so far are kept with the cart; they are checked again at checkout
+          serialNumbers: product.tracking === 'serial' ? normalizeSerialNumbers(item.serialNumbers) : undefined
+        };
+      });
+
+      // Re-parking a resumed cart keeps its own reservation out of the availability check
+      if (reserveStock) {
+        const reservedMap = await getReservedQuantities(productIds, { excludeSaleId: heldSaleId, session });
+        const requestedMap = new Map();
+        saleItems.forEach(item => {
+          const productId = item.product.toString();
+          requestedMap.set(productId, roundQuantity((requestedMap.get(productId) || 0) + getBaseQuantity(item)));
+        });
+        for (const [productId, requested] of requestedMap) {
+          const product = productMap.get(productId);
+          const reserved = reservedMap.get(productId) || 0;
+          const available = roundQuantity(product.stockQuantity - reserved);
+          if (available < requested) {
+            throw createError(400, `Cannot reserve ${product.name}. Available: ${formatQuantity(available)}, Requested: ${formatQuantity(requested)}`);
+          }
+
+          // Conditional write - only matches while the stock not held by other carts still covers this one.
+          // Writing the product also makes a concurrent sale or reservation of it retry against this cart.
+          const claimed = await Product.updateOne(
+            { _id: product._id, stockQuantity: { $gte: roundQuantity(requested + reserved) } },
+            { $set: { updatedAt: new Date() } },
+            { session }
+          );
+          if (claimed.matchedCount === 0) {
+            throw createError(409, `Cannot reserve ${product.name}. Stock changed while parking the sale, please try again`);
+          }
+        }
+      }
+      const subtotal = roundCurrency(saleItems.reduce((sum, item) => sum + item.subtotal, 0));
+
+      if (heldSaleId) {
+        const previous = await Sale.deleteOne({ _id: heldSaleId, isHeld: true }, { session });
+        if (previous.deletedCount === 0) {
+          throw createError(409, 'This parked sale was already completed or discarded');
+        }
+      }
+
+      const saleNumber = await generateSaleNumber(session, 'HOLD');
+
+      [heldSale] = await Sale.create([{
+        saleNumber,
+        isHeld: true,
+        heldLabel: label,
+        customer: customer || undefined,
+        customerName,
+        customerPhone,
+        tinNumber,
+        items: saleItems,
+        priceList: priceList?._id,
+        subtotal,
+        saleDiscount: buildDiscount(saleDiscount, req.user._id),
+        total: subtotal,
+        cashier: req.user._id,
+        reservedUntil: reserveStock ? new Date(Date.now() + parseInt(reserveMinutes) * 60 * 1000) : undefined
+      }], { session });
     });
 
-    await sale.populate('cashier', 'username');
-    await sale.populate('items.product', 'name price');
+    await heldSale.populate('cashier', 'username');
+    await heldSale.populate('items.product', 'name price markupPercentage stockQuantity unit quantityPrecision uoms tracking');
 
     res.status(201).json({
       success: true,
-      data: sale
+      message: `Sale parked as ${heldSale.heldLabel || heldSale.saleNumber}`,
+      data: heldSale
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Discard a parked sale and release its reservation
+ * @route   DELETE /api/sales/held/:id
+ * @access  Private/Supplier/Staff
+ */
+export const deleteHeldSale = async (req, res, next) => {
+  try {
+    const heldSale = await Sale.findOneAndDelete({ _id: req.params.id, isHeld: true });
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parked sale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Parked sale discarded'
     });
   } catch (error) {
     next(error);
@@ -205,6 +934,7 @@ export const createSale = async (req, res, next) => {
  * @access  Private/Admin/Staff
  */
 export const voidSale = async (req, res, next) => {
+  const session = await mongoose.startSession();
   try {
     const { superAdminCode } = req.body;
 
@@ -234,62 +964,87 @@ export const voidSale = async (req, res, next) => {
       });
     }
 
-    const sale = await Sale.findById(req.params.id)
-      .populate('items.product', 'name stockQuantity');
+    let sale;
 
-    if (!sale) {
-      return res.status(404).json({
-        success: false,
-        message: 'Sale not found'
-      });
-    }
+    // Marking the sale void and restoring stock happen in one transaction
+    await session.withTransaction(async () => {
+      // Any cash handed back comes out of the voiding user's drawer, so the void counts in their open shift
+      const voidingShift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).select('_id').session(session);
 
-    if (sale.isVoid) {
-      return res.status(400).json({
-        success: false,
-        message: 'Sale is already voided'
-      });
-    }
+      // Flip isVoid only if it is still false, so two concurrent voids
+      // cannot both restore stock. Returned units were already restocked or
+      // written off, so a sale with returns cannot be voided as a whole. A charge
+      // sale can only be voided while nothing has been collected against it
+      sale = await Sale.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          isVoid: false,
+          isHeld: { $ne: true },
+          returnedTotal: { $not: { $gt: 0 } },
+          $expr: { $gte: [{ $ifNull: ['$balanceDue', 0] }, { $ifNull: ['$chargedAmount', 0] }] }
+        },
+        { $set: { isVoid: true, voidedAt: new Date(), voidedBy: req.user._id, voidedShift: voidingShift?._id, balanceDue: 0 } },
+        { new: true, session }
+      );
 
-    // Revert stock quantities for all products in the sale (bulk operation)
-    const productIds = sale.items.map(item => {
-      return item.product._id || item.product;
-    });
-    
-    const products = await Product.find({ _id: { $in: productIds } });
-    
-    if (products.length !== productIds.length) {
-      return res.status(404).json({
-        success: false,
-        message: 'One or more products not found'
-      });
-    }
-
-    // Create a map for quick lookup
-    const productMap = new Map(products.map(p => [p._id.toString(), p]));
-    
-    // Update stock quantities in memory
-    for (const item of sale.items) {
-      const productId = (item.product._id || item.product).toString();
-      const product = productMap.get(productId);
-      
-      if (product) {
-        product.stockQuantity += item.quantity;
+      if (!sale) {
+        const existing = await Sale.findById(req.params.id).select('isVoid isHeld returnedTotal').session(session);
+        if (!existing) {
+          throw createError(404, 'Sale not found');
+        }
+        if (existing.isHeld) {
+          throw createError(400, 'Parked sales cannot be voided. Discard the parked sale instead.');
+        }
+        if (existing.isVoid) {
+          throw createError(400, 'Sale is already voided');
+        }
+        if (existing.returnedTotal > 0) {
+          throw createError(400, 'Sale has returns and cannot be voided. Process a return for the remaining items instead.');
+        }
+        throw createError(400, 'Payments have been collected against this charge sale, so it cannot be voided. Process a return instead.');
       }
-    }
 
-    // Bulk update all products at once
-    await Promise.all(products.map(product => product.save()));
+      // Revert stock quantities for all products in the sale, one line at a time so each
+      // ledger entry has its balance; the units come back at the cost they went out at
+      // Sales made before locations were set up go back to the default location
+      const location = sale.location || (await resolveLocation(null, session))?._id;
+      const movements = [];
+      for (const item of sale.items) {
+        const baseQuantity = getBaseQuantity(item);
+        const change = await applyStockChange({
+          productId: item.product,
+          quantity: baseQuantity,
+          location,
+          update: item.costOfGoods !== undefined ? receiveStockUpdate(baseQuantity, item.costOfGoods) : null,
+          session
+        });
+
+        if (!change) {
+          throw createError(404, 'One or more products not found');
+        }
+
+        // Serials go back on the shelf and lots get their units back, so expiry stays right
+        await releaseSerialNumbers({ product: item.product, serialNumbers: item.serialNumbers, sale: sale._id, location, session });
+        await restoreLots(item.lots, location, session);
 
-    // Mark sale as void
-    sale.isVoid = true;
-    sale.voidedAt = new Date();
-    sale.voidedBy = req.user._id;
-    await sale.save();
+        movements.push({
+          ...change,
+          type: 'void',
+          unitCost: item.costOfGoods !== undefined ? Number((item.costOfGoods / baseQuantity).toFixed(4)) : 0,
+          value: item.costOfGoods || 0,
+          sourceModel: 'Sale',
+          source: sale._id,
+          sourceNumber: sale.saleNumber,
+          createdBy: req.user._id
+        });
+      }
+
+      await recordStockMovements(movements, session);
+    });
 
     await sale.populate('cashier', 'username');
     await sale.populate('voidedBy', 'username');
-    await sale.populate('items.product', 'name price');
+    await sale.populate('items.product', 'name price unit');
 
     res.json({
       success: true,
@@ -297,7 +1052,15 @@ export const voidSale = async (req, res, next) => {
       data: sale
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -317,11 +1080,34 @@ const formatPaymentMethod = (method) => {
     cash: 'Cash',
     card: 'Card',
     mobile_payment: 'Mobile Payment',
-    other: 'Other'
+    other: 'Other',
+    charge: 'Charge to Account',
+    split: 'Split Tender'
   };
   return methods[method] || method;
 };
 
+/**
+ * Format discount reason code
+ */
+const formatDiscountReason = (reasonCode) => {
+  const reasons = {
+    senior_citizen: 'Senior Citizen',
+    pwd: 'PWD',
+    contractor: 'Contractor',
+    damaged_box: 'Damaged Box'
+  };
+  return reasons[reasonCode] || reasonCode;
+};
+
+/**
+ * Format discount label, e.g. "Senior Citizen (20%)"
+ */
+const formatDiscountLabel = (discount) => {
+  const value = discount.type === 'percentage' ? `${discount.value}%` : formatCurrency(discount.value);
+  return `${formatDiscountReason(discount.reasonCode)} (${value})`;
+};
+
 /**
  * @desc    Export sale receipt as PDF
  * @route   GET /api/sales/:id/pdf
@@ -340,6 +1126,10 @@ export const exportSalePDF = async (req, res, next) => {
       });
     }
 
+    const returns = await Return.find({ sale: sale._id })
+      .populate('items.product', 'name')
+      .sort({ createdAt: 1 });
+
     const doc = new jsPDF();
     const pageWidth = doc.internal.pageSize.getWidth();
     const margin = 14;
@@ -376,7 +1166,16 @@ export const exportSalePDF = async (req, res, next) => {
     const dateValue = transactionDate.toLocaleString();
     doc.text(dateLabel, margin, yPosition);
     doc.text(dateValue, pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 10;
+    yPosition += 6;
+
+    // Sales priced off retail name the price list used
+    const priceListName = sale.items.find(item => item.priceListName)?.priceListName;
+    if (priceListName) {
+      doc.text('Price List:', margin, yPosition);
+      doc.text(priceListName, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    }
+    yPosition += 4;
 
     // Customer Details Section
     doc.setLineWidth(0.2);
@@ -492,12 +1291,46 @@ export const exportSalePDF = async (req, res, next) => {
       }
       
       doc.text(displayName, col1, yPosition);
-      doc.text(quantity.toString(), col2, yPosition, { align: 'center' });
+      // Lines sold in another unit show it next to the quantity (e.g., "2 Box")
+      doc.text(item.uom ? `${formatQuantity(quantity)} ${item.uom}` : formatQuantity(quantity), col2, yPosition, { align: 'center' });
       doc.text(formatCurrency(price), col3, yPosition, { align: 'right' });
       doc.setFont(undefined, 'bold');
       doc.text(formatCurrency(subtotal), col4, yPosition, { align: 'right' });
       doc.setFont(undefined, 'normal');
       yPosition += 6;
+
+      // Promotion below the item
+      if (item.promotionName && item.promotionDiscount > 0) {
+        doc.setTextColor(100, 100, 100);
+        doc.text(`  Promo: ${item.promotionName}`, col1, yPosition);
+        doc.text(`-${formatCurrency(item.promotionDiscount)}`, col4, yPosition, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+        yPosition += 6;
+      }
+
+      // Line discount below the item
+      if (item.discount && item.discountAmount > 0) {
+        doc.setTextColor(100, 100, 100);
+        doc.text(`  Less: ${formatDiscountLabel(item.discount)}`, col1, yPosition);
+        doc.text(`-${formatCurrency(item.discountAmount)}`, col4, yPosition, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+        yPosition += 6;
+      }
+
+      // Serial numbers are printed for warranty claims; lots and expiry dates for recalls
+      const tracking = item.serialNumbers?.length
+        ? `S/N: ${item.serialNumbers.join(', ')}`
+        : item.lots?.length
+          ? item.lots.map(lot => (lot.lotNumber ? `Lot ${lot.lotNumber}` : `Exp. ${format(lot.expiryDate, 'yyyy-MM-dd')}`)).join(', ')
+          : null;
+      if (tracking) {
+        doc.setTextColor(100, 100, 100);
+        doc.splitTextToSize(`  ${tracking}`, col4 - col1).forEach(text => {
+          doc.text(text, col1, yPosition);
+          yPosition += 6;
+        });
+        doc.setTextColor(0, 0, 0);
+      }
     });
 
     yPosition += 6;
@@ -513,14 +1346,55 @@ export const exportSalePDF = async (req, res, next) => {
     yPosition += 7;
     
     if (sale.discount > 0) {
-      doc.text('Discount:', margin, yPosition);
-      doc.text(formatCurrency(sale.discount), pageWidth - margin, yPosition, { align: 'right' });
+      const lineDiscounts = sale.items.reduce((sum, item) => sum + (item.discountAmount || 0), 0);
+      if (lineDiscounts > 0) {
+        doc.text('Item Discounts:', margin, yPosition);
+        doc.text(`-${formatCurrency(lineDiscounts)}`, pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 7;
+      }
+      if (sale.saleDiscount && sale.saleDiscount.amount > 0) {
+        doc.text(`Sale Discount - ${formatDiscountLabel(sale.saleDiscount)}:`, margin, yPosition);
+        doc.text(`-${formatCurrency(sale.saleDiscount.amount)}`, pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 7;
+      }
+      doc.text('Total Discount:', margin, yPosition);
+      doc.text(`-${formatCurrency(sale.discount)}`, pageWidth - margin, yPosition, { align: 'right' });
       yPosition += 7;
     }
     
-    doc.text('Tax (VAT):', margin, yPosition);
+    // VAT breakdown
+    const vatBreakdown = sale.vatBreakdown || {};
+    const vatRate = vatBreakdown.vatRate ?? 12;
+    if (vatBreakdown.lessVat > 0) {
+      doc.text('Less: VAT (Exempt/Zero-Rated):', margin, yPosition);
+      doc.text(`-${formatCurrency(vatBreakdown.lessVat)}`, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 7;
+    }
+
+    doc.setTextColor(100, 100, 100);
+    const vatRows = [
+      ['VATable Sales:', vatBreakdown.vatableSales],
+      ['VAT-Exempt Sales:', vatBreakdown.vatExemptSales],
+      ['Zero-Rated Sales:', vatBreakdown.zeroRatedSales]
+    ];
+    vatRows.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(formatCurrency(value || 0), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    doc.setTextColor(0, 0, 0);
+
+    doc.text(`VAT (${vatRate}%${vatBreakdown.pricesIncludeVat ? ', included' : ''}):`, margin, yPosition);
     doc.text(formatCurrency(sale.tax), pageWidth - margin, yPosition, { align: 'right' });
     yPosition += 7;
+
+    if (sale.zeroRated) {
+      const zeroRatedLabel = sale.zeroRatedReason === 'peza' ? 'PEZA' : 'Diplomatic';
+      doc.setTextColor(100, 100, 100);
+      doc.text(`Zero-rated sale (${zeroRatedLabel})${sale.zeroRatedReference ? ` - Ref: ${sale.zeroRatedReference}` : ''}`, margin, yPosition);
+      doc.setTextColor(0, 0, 0);
+      yPosition += 7;
+    }
     
     // Total with border-t style
     doc.setLineWidth(0.2);
@@ -533,8 +1407,34 @@ export const exportSalePDF = async (req, res, next) => {
     doc.text(formatCurrency(sale.total), pageWidth - margin, yPosition, { align: 'right' });
     yPosition += 10;
 
-    // Cash Rendered and Change (only for cash payments)
-    if (sale.paymentMethod === 'cash' && sale.cashRendered) {
+    // Tenders and change
+    if (sale.payments?.length) {
+      doc.setFont(undefined, 'normal');
+      doc.setFontSize(9);
+      sale.payments.forEach(payment => {
+        doc.text(`${formatPaymentMethod(payment.method)}:`, margin, yPosition);
+        doc.text(formatCurrency(payment.tendered ?? payment.amount), pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 6;
+        if (payment.reference) {
+          doc.setFontSize(8);
+          doc.setTextColor(100, 100, 100);
+          doc.text(`  Ref: ${payment.reference}`, margin, yPosition);
+          doc.setTextColor(0, 0, 0);
+          doc.setFontSize(9);
+          yPosition += 6;
+        }
+      });
+
+      if (sale.change > 0) {
+        doc.setFont(undefined, 'bold');
+        doc.text('Change:', margin, yPosition);
+        doc.text(formatCurrency(sale.change), pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 10;
+      } else {
+        yPosition += 4;
+      }
+    } else if (sale.paymentMethod === 'cash' && sale.cashRendered) {
+      // Sales recorded before split tenders only have cash rendered
       doc.setFont(undefined, 'normal');
       doc.setFontSize(9);
       doc.text('Cash Rendered:', margin, yPosition);
@@ -567,6 +1467,76 @@ export const exportSalePDF = async (req, res, next) => {
     doc.text(paymentMethod.charAt(0).toUpperCase() + paymentMethod.slice(1), pageWidth - margin, yPosition, { align: 'right' });
     yPosition += 10;
 
+    // Charge to account terms
+    if (sale.chargedAmount > 0) {
+      doc.setFont(undefined, 'bold');
+      doc.text('Balance Due:', margin, yPosition);
+      doc.setFont(undefined, 'normal');
+      doc.text(formatCurrency(sale.balanceDue), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+      if (sale.dueDate) {
+        doc.text('Due Date:', margin, yPosition);
+        doc.text(format(new Date(sale.dueDate), 'MMM dd, yyyy'), pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 6;
+      }
+      yPosition += 4;
+    }
+
+    // Returns (credit memos issued against this sale)
+    if (returns.length > 0) {
+      const pageHeight = doc.internal.pageSize.getHeight();
+      const ensureSpace = (needed) => {
+        if (yPosition + needed > pageHeight - margin) {
+          doc.addPage();
+          yPosition = margin;
+        }
+      };
+
+      doc.setLineWidth(0.2);
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 8;
+
+      doc.setFont(undefined, 'bold');
+      doc.setFontSize(10);
+      doc.text('Returns', margin, yPosition);
+      yPosition += 7;
+
+      returns.forEach(creditMemo => {
+        ensureSpace(14 + creditMemo.items.length * 6);
+        doc.setFont(undefined, 'bold');
+        doc.setFontSize(9);
+        doc.text(`Credit Memo ${creditMemo.creditMemoNumber}`, margin, yPosition);
+        doc.setFont(undefined, 'normal');
+        doc.text(format(new Date(creditMemo.createdAt), 'MMM dd, yyyy'), pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 6;
+
+        creditMemo.items.forEach(item => {
+          const disposition = item.disposition === 'write_off' ? 'Written off' : 'Restocked';
+          doc.text(`  ${formatQuantity(item.quantity)}${item.uom ? ` ${item.uom}` : ''} x ${item.product?.name || 'Unknown'} (${disposition})`, margin, yPosition);
+          doc.text(`-${formatCurrency(item.amount)}`, pageWidth - margin, yPosition, { align: 'right' });
+          yPosition += 6;
+        });
+
+        const refundReference = creditMemo.refundReference ? ` - Ref: ${creditMemo.refundReference}` : '';
+        doc.setTextColor(100, 100, 100);
+        const refunded = creditMemo.accountCredit > 0 && creditMemo.refundMethod !== 'charge'
+          ? `${formatCurrency(creditMemo.accountCredit)} credited to account, rest refunded`
+          : 'Refunded';
+        doc.text(`  ${refunded} via ${formatPaymentMethod(creditMemo.refundMethod)}${refundReference}`, margin, yPosition);
+        doc.setTextColor(0, 0, 0);
+        yPosition += 7;
+      });
+
+      ensureSpace(10);
+      doc.setFont(undefined, 'bold');
+      doc.text('Total Refunded:', margin, yPosition);
+      doc.text(`-${formatCurrency(sale.returnedTotal)}`, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+      doc.text('Net Total:', margin, yPosition);
+      doc.text(formatCurrency(sale.total - sale.returnedTotal), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 10;
+    }
+
     // Status (if voided)
     if (sale.isVoid) {
       doc.setLineWidth(0.2);
@@ -0,0 +1,71 @@
+import SerialNumber from '../models/SerialNumber.model.js';
+import { normalizeSerialNumbers } from '../utils/stockTracking.js';
+
+/**
+ * @desc    Get serial numbers, e.g. the units of a product in stock at a location for picking at the POS
+ * @route   GET /api/serial-numbers
+ * @access  Private
+ */
+export const getSerialNumbers = async (req, res, next) => {
+  try {
+    const { product, status, location, search } = req.query;
+    const filter = {};
+
+    if (product) filter.product = product;
+    if (status) filter.status = status;
+    if (location) filter.location = location;
+    if (search) {
+      filter.serialNumber = { $regex: search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const serialNumbers = await SerialNumber.find(filter)
+      .select('serialNumber product productName status location receivedAt saleNumber soldAt')
+      .populate('location', 'name code')
+      .sort({ receivedAt: 1, serialNumber: 1 })
+      .limit(500);
+
+    res.json({
+      success: true,
+      count: serialNumbers.length,
+      data: serialNumbers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Look up a serial number: the delivery it came in with, the sale it went out on and the customer
+ * The same serial can belong to products from different makers, so every match is returned.
+ * @route   GET /api/serial-numbers/lookup/:serialNumber
+ * @access  Private
+ */
+export const lookupSerialNumber = async (req, res, next) => {
+  try {
+    const [serialNumber] = normalizeSerialNumbers([req.params.serialNumber]);
+
+    const units = await SerialNumber.find({ serialNumber })
+      .populate('product', 'name sku brand')
+      .populate('stockHistory', 'transactionId dateDelivered unitCost landedUnitCost')
+      .populate({ path: 'purchaseOrder', select: 'poNumber supplier', populate: { path: 'supplier', select: 'companyName' } })
+      .populate('location', 'name code')
+      .populate({ path: 'sale', select: 'saleNumber createdAt total isVoid cashier location', populate: [{ path: 'cashier', select: 'username' }, { path: 'location', select: 'name code' }] })
+      .populate('customer', 'name phone email')
+      .populate('receivedBy', 'username');
+
+    if (units.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Serial number ${serialNumber} is not on record`
+      });
+    }
+
+    res.json({
+      success: true,
+      count: units.length,
+      data: units
+    });
+  } catch (error) {
+    next(error);
+  }
+};
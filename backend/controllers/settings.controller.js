@@ -1,5 +1,6 @@
 import Settings from '../models/Settings.model.js';
 import User from '../models/User.model.js';
+import Category from '../models/Category.model.js';
 
 /**
  * @desc    Get SuperAdmin code status
@@ -86,6 +87,7 @@ export const setSuperAdminCode = async (req, res, next) => {
 
       // Set the new code (will be hashed by pre-save hook)
       settings.superAdminCode = codeToSet;
+      settings.superAdminCodeSetBy = req.user._id;
       await settings.save();
 
       res.json({
@@ -126,6 +128,7 @@ export const setSuperAdminCode = async (req, res, next) => {
 
       // Set the code (will be hashed by pre-save hook)
       settings.superAdminCode = newCode;
+      settings.superAdminCodeSetBy = req.user._id;
       await settings.save();
 
       res.json({
@@ -243,6 +246,294 @@ export const setPasswordFormat = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get discount approval threshold
+ * @route   GET /api/settings/discount-threshold
+ * @access  Private
+ */
+export const getDiscountThreshold = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        threshold: settings.discountApprovalThreshold
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set discount approval threshold
+ * @route   POST /api/settings/discount-threshold
+ * @access  Private/Admin
+ */
+export const setDiscountThreshold = async (req, res, next) => {
+  try {
+    const { threshold } = req.body;
+
+    const settings = await Settings.getSettings();
+    settings.discountApprovalThreshold = parseFloat(threshold);
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Discount approval threshold has been updated successfully',
+      data: {
+        threshold: settings.discountApprovalThreshold
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get tax settings
+ * @route   GET /api/settings/tax
+ * @access  Private
+ */
+export const getTaxSettings = async (req, res, next) => {
+  try {
+    const [settings, exemptCategories] = await Promise.all([
+      Settings.getSettings(),
+      Category.find({ vatExempt: true }).select('name')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        vatRate: settings.vatRate,
+        pricesIncludeVat: settings.pricesIncludeVat,
+        exemptCategories: exemptCategories.map(c => c.name)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update tax settings
+ * @route   POST /api/settings/tax
+ * @access  Private/Admin
+ */
+export const setTaxSettings = async (req, res, next) => {
+  try {
+    const { vatRate, pricesIncludeVat } = req.body;
+
+    const settings = await Settings.getSettings();
+    if (vatRate !== undefined) {
+      settings.vatRate = parseFloat(vatRate);
+    }
+    if (pricesIncludeVat !== undefined) {
+      settings.pricesIncludeVat = pricesIncludeVat === true || pricesIncludeVat === 'true';
+    }
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Tax settings have been updated successfully',
+      data: {
+        vatRate: settings.vatRate,
+        pricesIncludeVat: settings.pricesIncludeVat
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get inventory costing method
+ * @route   GET /api/settings/costing
+ * @access  Private/Admin
+ */
+export const getCostingSettings = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        costingMethod: settings.costingMethod
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set inventory costing method
+ * Applies to sales made from now on; sales already made keep the cost captured on them
+ * @route   POST /api/settings/costing
+ * @access  Private/Admin
+ */
+export const setCostingSettings = async (req, res, next) => {
+  try {
+    const { costingMethod } = req.body;
+
+    const settings = await Settings.getSettings();
+    settings.costingMethod = costingMethod;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Costing method has been updated successfully',
+      data: {
+        costingMethod: settings.costingMethod
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get whether staff stock adjustments need approval
+ * @route   GET /api/settings/adjustment-approval
+ * @access  Private
+ */
+export const getAdjustmentApproval = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        requireApproval: settings.adjustmentsRequireApproval
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set whether staff stock adjustments need approval
+ * @route   POST /api/settings/adjustment-approval
+ * @access  Private/Admin
+ */
+export const setAdjustmentApproval = async (req, res, next) => {
+  try {
+    const { requireApproval } = req.body;
+
+    const settings = await Settings.getSettings();
+    settings.adjustmentsRequireApproval = requireApproval === true || requireApproval === 'true';
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Adjustment approval setting has been updated successfully',
+      data: {
+        requireApproval: settings.adjustmentsRequireApproval
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the near-expiry alert window
+ * @route   GET /api/settings/expiry-warning
+ * @access  Private
+ */
+export const getExpiryWarning = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        days: settings.expiryWarningDays
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the near-expiry alert window
+ * @route   POST /api/settings/expiry-warning
+ * @access  Private/Admin
+ */
+export const setExpiryWarning = async (req, res, next) => {
+  try {
+    const { days } = req.body;
+
+    const settings = await Settings.getSettings();
+    settings.expiryWarningDays = parseInt(days);
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Expiry warning window has been updated successfully',
+      data: {
+        days: settings.expiryWarningDays
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the reorder point settings
+ * @route   GET /api/settings/reorder
+ * @access  Private
+ */
+export const getReorderSettings = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        lookbackDays: settings.reorderLookbackDays,
+        safetyStockFactor: settings.safetyStockFactor,
+        coverDays: settings.reorderCoverDays
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the reorder point settings
+ * @route   POST /api/settings/reorder
+ * @access  Private/Admin
+ */
+export const setReorderSettings = async (req, res, next) => {
+  try {
+    const { lookbackDays, safetyStockFactor, coverDays } = req.body;
+
+    const settings = await Settings.getSettings();
+    settings.reorderLookbackDays = parseInt(lookbackDays);
+    settings.safetyStockFactor = parseFloat(safetyStockFactor);
+    settings.reorderCoverDays = parseInt(coverDays);
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Reorder settings have been updated successfully',
+      data: {
+        lookbackDays: settings.reorderLookbackDays,
+        safetyStockFactor: settings.safetyStockFactor,
+        coverDays: settings.reorderCoverDays
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Reset SuperAdmin code (requires admin password)
  * @route   DELETE /api/settings/superadmin-code
@@ -281,6 +572,7 @@ export const resetSuperAdminCode = async (req, res, next) => {
     // Get settings and clear the SuperAdmin code
     const settings = await Settings.getSettings();
     settings.superAdminCode = null;
+    settings.superAdminCodeSetBy = null;
     await settings.save();
 
     res.json({
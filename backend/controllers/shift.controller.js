@@ -0,0 +1,479 @@
+import Shift from '../models/Shift.model.js';
+import { generateShiftNumber } from '../utils/generateShiftNumber.js';
+import { buildShiftReading } from '../utils/shiftReading.js';
+import { roundCurrency } from '../utils/calculateDiscount.js';
+import { jsPDF } from 'jspdf';
+import { format } from 'date-fns';
+
+/**
+ * Cashiers can only work with their own shifts; admins can see and close any shift
+ */
+const canAccessShift = (req, shift) =>
+  req.user.role === 'admin' || shift.cashier._id.toString() === req.user._id.toString();
+
+/**
+ * Find a shift the current user may access, or send the error response
+ * @returns {Promise<Object|null>} Shift, or null when a response was already sent
+ */
+const findAccessibleShift = async (req, res) => {
+  const shift = await Shift.findById(req.params.id)
+    .populate('cashier', 'username')
+    .populate('closedBy', 'username');
+
+  if (!shift) {
+    res.status(404).json({
+      success: false,
+      message: 'Shift not found'
+    });
+    return null;
+  }
+
+  if (!canAccessShift(req, shift)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only access your own shifts'
+    });
+    return null;
+  }
+
+  return shift;
+};
+
+/**
+ * @desc    Get shifts (admins see every cashier's shifts)
+ * @route   GET /api/shifts
+ * @access  Private
+ */
+export const getShifts = async (req, res, next) => {
+  try {
+    const { status, cashier, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (req.user.role !== 'admin') {
+      filter.cashier = req.user._id;
+    } else if (cashier) {
+      filter.cashier = cashier;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (startDate || endDate) {
+      filter.openedAt = {};
+      if (startDate) {
+        const [year, month, day] = startDate.split('-').map(Number);
+        filter.openedAt.$gte = new Date(year, month - 1, day, 0, 0, 0, 0);
+      }
+      if (endDate) {
+        const [year, month, day] = endDate.split('-').map(Number);
+        filter.openedAt.$lte = new Date(year, month - 1, day, 23, 59, 59, 999);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [shifts, total] = await Promise.all([
+      Shift.find(filter)
+        .select('-zReading')
+        .populate('cashier', 'username')
+        .populate('closedBy', 'username')
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Shift.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      data: shifts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's open shift with a live X-reading
+ * @route   GET /api/shifts/current
+ * @access  Private
+ */
+export const getCurrentShift = async (req, res, next) => {
+  try {
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' })
+      .populate('cashier', 'username');
+
+    res.json({
+      success: true,
+      data: shift,
+      reading: shift ? await buildShiftReading(shift) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single shift
+ * @route   GET /api/shifts/:id
+ * @access  Private
+ */
+export const getShift = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    res.json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open a shift with an opening float
+ * @route   POST /api/shifts/open
+ * @access  Private/Supplier/Staff
+ */
+export const openShift = async (req, res, next) => {
+  try {
+    const existing = await Shift.findOne({ cashier: req.user._id, status: 'open' });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Shift ${existing.shiftNumber} is still open. Close it before opening a new one.`
+      });
+    }
+
+    const shiftNumber = await generateShiftNumber();
+    const shift = await Shift.create({
+      shiftNumber,
+      cashier: req.user._id,
+      openingFloat: roundCurrency(parseFloat(req.body.openingFloat)),
+      openedAt: new Date()
+    });
+
+    await shift.populate('cashier', 'username');
+
+    res.status(201).json({
+      success: true,
+      message: `Shift ${shift.shiftNumber} opened`,
+      data: shift
+    });
+  } catch (error) {
+    // The partial unique index rejects a second open shift opened at the same moment
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open shift'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record petty cash put into or taken out of the drawer
+ * @route   POST /api/shifts/:id/cash-movements
+ * @access  Private/Supplier/Staff
+ */
+export const addCashMovement = async (req, res, next) => {
+  try {
+    const { type, amount, reason } = req.body;
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash movements can only be recorded on an open shift'
+      });
+    }
+
+    shift.cashMovements.push({
+      type,
+      amount: roundCurrency(parseFloat(amount)),
+      reason,
+      recordedBy: req.user._id
+    });
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: type === 'cash_in' ? 'Cash in recorded' : 'Cash out recorded',
+      data: shift
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the X-reading of an open shift, or the Z-reading of a closed one
+ * @route   GET /api/shifts/:id/reading
+ * @access  Private
+ */
+export const getShiftReading = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    res.json({
+      success: true,
+      type: shift.status === 'closed' ? 'Z' : 'X',
+      data: shift.status === 'closed' && shift.zReading ? shift.zReading : await buildShiftReading(shift)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a shift with the counted cash and produce its Z-reading
+ * @route   POST /api/shifts/:id/close
+ * @access  Private/Supplier/Staff
+ */
+export const closeShift = async (req, res, next) => {
+  try {
+    const { countedCash, notes } = req.body;
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    // Flip the status first so no second close (or new sale lookup) sees it as open
+    const closed = await Shift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date(), closedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const reading = await buildShiftReading(closed);
+    const counted = roundCurrency(parseFloat(countedCash));
+    reading.cash.countedCash = counted;
+    reading.cash.overShort = roundCurrency(counted - reading.cash.expectedCash);
+
+    closed.expectedCash = reading.cash.expectedCash;
+    closed.countedCash = counted;
+    closed.overShort = reading.cash.overShort;
+    closed.closingNotes = notes;
+    closed.zReading = reading;
+    await closed.save();
+
+    await closed.populate('cashier', 'username');
+    await closed.populate('closedBy', 'username');
+
+    const overShortText = reading.cash.overShort === 0
+      ? 'Drawer balanced'
+      : `Drawer ${reading.cash.overShort > 0 ? 'over' : 'short'} by ${Math.abs(reading.cash.overShort).toFixed(2)}`;
+
+    res.json({
+      success: true,
+      message: `Shift ${closed.shiftNumber} closed. ${overShortText}.`,
+      data: closed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Format currency for PDF
+ */
+const formatCurrency = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Format payment method
+ */
+const formatPaymentMethod = (method) => {
+  const methods = {
+    cash: 'Cash',
+    card: 'Card',
+    mobile_payment: 'Mobile Payment',
+    other: 'Other',
+    charge: 'Charge to Account'
+  };
+  return methods[method] || method;
+};
+
+/**
+ * @desc    Export the shift's X-reading (open) or Z-reading (closed) as PDF
+ * @route   GET /api/shifts/:id/pdf
+ * @access  Private
+ */
+export const exportShiftPDF = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    const isClosed = shift.status === 'closed' && shift.zReading;
+    const reading = isClosed ? shift.zReading : await buildShiftReading(shift);
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    let yPosition = margin;
+
+    const ensureSpace = (needed) => {
+      if (yPosition + needed > pageHeight - margin) {
+        doc.addPage();
+        yPosition = margin;
+      }
+    };
+
+    const row = (label, value, { bold = false, indent = false } = {}) => {
+      ensureSpace(6);
+      doc.setFont(undefined, bold ? 'bold' : 'normal');
+      doc.text(indent ? `  ${label}` : label, margin, yPosition);
+      doc.text(value, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    };
+
+    const section = (title) => {
+      ensureSpace(16);
+      doc.setLineWidth(0.2);
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 8;
+      doc.setFont(undefined, 'bold');
+      doc.setFontSize(10);
+      doc.text(title, margin, yPosition);
+      doc.setFontSize(9);
+      yPosition += 7;
+    };
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text(isClosed ? 'Z-Reading (End of Shift)' : 'X-Reading (Shift in Progress)', pageWidth / 2, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Shift details
+    doc.setFontSize(9);
+    row('Shift Number:', shift.shiftNumber);
+    row('Cashier:', shift.cashier?.username || 'N/A');
+    row('Opened:', new Date(shift.openedAt).toLocaleString());
+    if (shift.closedAt) {
+      row('Closed:', new Date(shift.closedAt).toLocaleString());
+      row('Closed By:', shift.closedBy?.username || 'N/A');
+    }
+    row('Printed:', new Date().toLocaleString());
+    yPosition += 2;
+
+    // Sales
+    section('Sales');
+    row('Transactions:', String(reading.sales.count));
+    row('Gross Sales:', formatCurrency(reading.sales.grossSales));
+    row('Less: Discounts:', `-${formatCurrency(reading.sales.discounts)}`);
+    row('Sales Total:', formatCurrency(reading.sales.total));
+    row(`Less: Returns (${reading.returns.count}):`, `-${formatCurrency(reading.returns.amount)}`);
+    row('Net Sales:', formatCurrency(reading.sales.netSales), { bold: true });
+    row(`Voided Sales (${reading.voids.count}):`, formatCurrency(reading.voids.amount));
+
+    // Sales by tender
+    section('Sales by Tender');
+    const tenders = Object.entries(reading.salesByTender || {});
+    if (tenders.length === 0) {
+      row('No payments', '-');
+    }
+    tenders.forEach(([method, tender]) => {
+      row(`${formatPaymentMethod(method)} (${tender.count}):`, formatCurrency(tender.amount));
+    });
+
+    // Returns and collections
+    if (reading.returns.count > 0) {
+      section('Refunds by Method');
+      Object.entries(reading.returns.byMethod).forEach(([method, refund]) => {
+        row(`${formatPaymentMethod(method)} (${refund.count}):`, formatCurrency(refund.amount));
+      });
+    }
+
+    if (reading.collections.count > 0) {
+      section('Account Collections');
+      Object.entries(reading.collections.byMethod).forEach(([method, collection]) => {
+        row(`${formatPaymentMethod(method)} (${collection.count}):`, formatCurrency(collection.amount));
+      });
+    }
+
+    // VAT summary
+    section('VAT Summary');
+    row('VATable Sales:', formatCurrency(reading.vat.vatableSales));
+    row('VAT-Exempt Sales:', formatCurrency(reading.vat.vatExemptSales));
+    row('Zero-Rated Sales:', formatCurrency(reading.vat.zeroRatedSales));
+    row('VAT Amount:', formatCurrency(reading.vat.vatAmount));
+    row('Less: VAT on Returns:', `-${formatCurrency(reading.vat.refundedVat)}`);
+    row('Net VAT:', formatCurrency(reading.vat.netVat), { bold: true });
+
+    // Cash drawer
+    section('Cash Drawer');
+    row('Opening Float:', formatCurrency(reading.cash.openingFloat));
+    row('Cash Sales:', formatCurrency(reading.cash.cashSales));
+    row('Cash Collections:', formatCurrency(reading.cash.cashCollections));
+    row('Cash In:', formatCurrency(reading.cash.cashIn));
+    row('Cash Out:', `-${formatCurrency(reading.cash.cashOut)}`);
+    row('Cash Refunds:', `-${formatCurrency(reading.cash.cashRefunds)}`);
+    if (reading.cash.cashVoids > 0) {
+      row('Cash Voids:', `-${formatCurrency(reading.cash.cashVoids)}`);
+    }
+    row('Expected Cash:', formatCurrency(reading.cash.expectedCash), { bold: true });
+    if (reading.cash.countedCash !== undefined) {
+      row('Counted Cash:', formatCurrency(reading.cash.countedCash), { bold: true });
+      const overShort = reading.cash.overShort;
+      row(overShort > 0 ? 'Over:' : overShort < 0 ? 'Short:' : 'Over/Short:', formatCurrency(Math.abs(overShort)), { bold: true });
+    }
+
+    if (shift.cashMovements.length > 0) {
+      section('Cash In / Out');
+      shift.cashMovements.forEach(movement => {
+        const sign = movement.type === 'cash_in' ? '' : '-';
+        row(`${format(new Date(movement.recordedAt), 'hh:mm a')} ${movement.reason}`, `${sign}${formatCurrency(movement.amount)}`);
+      });
+    }
+
+    if (shift.closingNotes) {
+      section('Notes');
+      doc.setFont(undefined, 'normal');
+      const lines = doc.splitTextToSize(shift.closingNotes, pageWidth - margin * 2);
+      ensureSpace(lines.length * 5);
+      doc.text(lines, margin, yPosition);
+    }
+
+    // Generate PDF buffer
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    // Set response headers
+    const fileName = `${isClosed ? 'Z' : 'X'}-Reading_${shift.shiftNumber}_${format(new Date(), 'yyyy-MM-dd')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    // Send PDF
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
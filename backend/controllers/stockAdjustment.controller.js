@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import StockAdjustment, { STOCK_DECREASE_REASONS } from '../models/StockAdjustment.model.js';
+import Product from '../models/Product.model.js';
+import Settings from '../models/Settings.model.js';
+import { createError } from '../utils/createError.js';
+import { generateAdjustmentNumber } from '../utils/generateAdjustmentNumber.js';
+import { resolveUnit, getBaseQuantity, assertQuantityPrecision, roundQuantity } from '../utils/unitOfMeasure.js';
+import { postStockAdjustment } from '../utils/stockAdjustments.js';
+import { resolveLocation } from '../utils/locations.js';
+import { normalizeSerialNumbers, assertAdjustmentSerials } from '../utils/stockTracking.js';
+
+/**
+ * @desc    Get stock adjustments
+ * @route   GET /api/stock-adjustments
+ * @access  Private
+ */
+export const getStockAdjustments = async (req, res, next) => {
+  try {
+    const { status, reason, product, location } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+    if (product) filter.product = product;
+    if (location) filter.location = location;
+
+    const adjustments = await StockAdjustment.find(filter)
+      .populate('product', 'name unit sku')
+      .populate('requestedBy', 'username')
+      .populate('reviewedBy', 'username')
+      .populate('cycleCount', 'countNumber')
+      .populate('location', 'name code')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: adjustments.length,
+      data: adjustments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create stock adjustment
+ * Damage, theft, expiry and internal use take stock out; found stock adds it.
+ * Serialized products need the serial of every unit written off or found.
+ * Posted straight away unless approval is required and the user is not an admin.
+ * Without a location the user's own location (or the default) is adjusted.
+ * @route   POST /api/stock-adjustments
+ * @access  Private
+ */
+export const createStockAdjustment = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { product: productId, quantity, uom: uomName, reason, notes, location: locationId } = req.body;
+    const settings = await Settings.getSettings();
+    const needsApproval = settings.adjustmentsRequireApproval && req.user.role !== 'admin';
+    let adjustment;
+
+    await session.withTransaction(async () => {
+      const product = await Product.findById(productId).session(session);
+      if (!product) {
+        throw createError(404, 'Product not found');
+      }
+
+      const location = await resolveLocation(locationId || req.user.location, session);
+
+      // Adjustments can be counted in any of the product's units; stock is kept in the base unit
+      const enteredQuantity = roundQuantity(parseFloat(quantity));
+      const unit = resolveUnit(product, uomName);
+      assertQuantityPrecision(product, enteredQuantity, unit);
+      const baseQuantity = getBaseQuantity({ quantity: enteredQuantity, unitFactor: unit.unitFactor });
+      const signedQuantity = STOCK_DECREASE_REASONS.includes(reason) ? -baseQuantity : baseQuantity;
+
+      // Serialized products say which units are written off or found, checked now so pending adjustments are sound
+      let serialNumbers;
+      if (product.tracking === 'serial') {
+        serialNumbers = normalizeSerialNumbers(req.body.serialNumbers);
+        await assertAdjustmentSerials(product, serialNumbers, signedQuantity, location?._id, session);
+      }
+
+      const adjustmentNumber = await generateAdjustmentNumber(session);
+      [adjustment] = await StockAdjustment.create([{
+        adjustmentNumber,
+        product: product._id,
+        productName: product.name,
+        quantity: signedQuantity,
+        uom: unit.uom,
+        uomQuantity: unit.uom ? enteredQuantity : undefined,
+        reason,
+        notes,
+        serialNumbers,
+        location: location?._id,
+        status: 'pending',
+        requestedBy: req.user._id
+      }], { session });
+
+      if (!needsApproval) {
+        adjustment.reviewedBy = req.user._id;
+        adjustment.reviewedAt = new Date();
+        await postStockAdjustment(adjustment, { settings, userId: req.user._id, session });
+      }
+    });
+
+    await adjustment.populate('product', 'name unit sku');
+    await adjustment.populate('requestedBy', 'username');
+    await adjustment.populate('location', 'name code');
+
+    res.status(201).json({
+      success: true,
+      message: needsApproval
+        ? `Adjustment ${adjustment.adjustmentNumber} submitted for approval`
+        : `Adjustment ${adjustment.adjustmentNumber} posted`,
+      data: adjustment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Approve a pending stock adjustment and post it
+ * @route   POST /api/stock-adjustments/:id/approve
+ * @access  Private/Admin
+ */
+export const approveStockAdjustment = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const settings = await Settings.getSettings();
+    let adjustment;
+
+    await session.withTransaction(async () => {
+      adjustment = await StockAdjustment.findById(req.params.id).session(session);
+      if (!adjustment) {
+        throw createError(404, 'Stock adjustment not found');
+      }
+      if (adjustment.status !== 'pending') {
+        throw createError(400, `Adjustment is already ${adjustment.status}`);
+      }
+
+      adjustment.reviewedBy = req.user._id;
+      adjustment.reviewedAt = new Date();
+      await postStockAdjustment(adjustment, { settings, userId: req.user._id, session });
+    });
+
+    await adjustment.populate('product', 'name unit sku');
+    await adjustment.populate('requestedBy', 'username');
+    await adjustment.populate('location', 'name code');
+    await adjustment.populate('reviewedBy', 'username');
+
+    res.json({
+      success: true,
+      message: `Adjustment ${adjustment.adjustmentNumber} approved and posted`,
+      data: adjustment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Reject a pending stock adjustment
+ * @route   POST /api/stock-adjustments/:id/reject
+ * @access  Private/Admin
+ */
+export const rejectStockAdjustment = async (req, res, next) => {
+  try {
+    const adjustment = await StockAdjustment.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          rejectionReason: req.body.rejectionReason
+        }
+      },
+      { new: true, runValidators: true }
+    )
+      .populate('product', 'name unit sku')
+      .populate('requestedBy', 'username')
+      .populate('reviewedBy', 'username');
+
+    if (!adjustment) {
+      const existing = await StockAdjustment.findById(req.params.id).select('status');
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? `Adjustment is already ${existing.status}` : 'Stock adjustment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Adjustment ${adjustment.adjustmentNumber} rejected`,
+      data: adjustment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,324 @@
+import mongoose from 'mongoose';
+import StockTransfer from '../models/StockTransfer.model.js';
+import Product from '../models/Product.model.js';
+import { createError } from '../utils/createError.js';
+import { generateTransferNumber } from '../utils/generateTransferNumber.js';
+import { resolveUnit, getBaseQuantity, assertQuantityPrecision, roundQuantity, formatQuantity } from '../utils/unitOfMeasure.js';
+import { getUnitCost } from '../utils/landedCost.js';
+import { resolveLocation, getLocationQuantity } from '../utils/locations.js';
+import { applyStockChange, recordStockMovements } from '../utils/stockLedger.js';
+import { takeTransferLots, putTransferLots } from '../utils/costing.js';
+import { normalizeSerialNumbers, assertSerialsInStock, transferSerialNumbers } from '../utils/stockTracking.js';
+
+const populateTransfer = (query) => query
+  .populate('fromLocation', 'name code')
+  .populate('toLocation', 'name code')
+  .populate('lines.product', 'name sku unit')
+  .populate('dispatchedBy', 'username')
+  .populate('receivedBy', 'username')
+  .populate('cancelledBy', 'username');
+
+/**
+ * Move every line of a transfer in or out of one location and write the movements to the ledger
+ * Only the location's stock changes; the product total stays the same while goods are in transit.
+ * The lots and cost layers the units come from go with them: taken out of the source's share on
+ * dispatch (recorded on the line) and placed wherever the units are put back in. Serialized units
+ * are in transit in between.
+ * @param {Object} transfer - StockTransfer document; line lots are set on dispatch, for the caller to save
+ * @param {Object} params
+ * @param {Object} params.location - Location document the stock moves at
+ * @param {number} params.direction - 1 to put stock in, -1 to take it out
+ * @param {string} params.userId - User recording the move
+ * @param {ClientSession} params.session
+ * @throws 400 when a line has more than the location holds
+ */
+const moveTransferStock = async (transfer, { location, direction, userId, session }) => {
+  const movements = [];
+
+  for (const line of transfer.lines) {
+    const product = await Product.findById(line.product).select('name price averageCost locationStock tracking').session(session);
+    if (!product) {
+      throw createError(404, `${line.productName} no longer exists`);
+    }
+
+    const change = await applyStockChange({
+      productId: product._id,
+      quantity: direction * line.quantity,
+      location: location._id,
+      locationOnly: true,
+      session
+    });
+    if (!change) {
+      throw createError(400, `Not enough ${product.name} at ${location.name}: only ${formatQuantity(getLocationQuantity(product, location._id))} on hand`);
+    }
+
+    if (direction < 0) {
+      const lots = await takeTransferLots({ product, baseQuantity: line.quantity, location: location._id, session });
+      line.lots = lots.length > 0 ? lots : undefined;
+    } else {
+      await putTransferLots(line.lots, location._id, session);
+    }
+    await transferSerialNumbers({ product: product._id, serialNumbers: line.serialNumbers, location: location._id, direction, session });
+
+    movements.push({
+      ...change,
+      type: 'transfer',
+      unitCost: getUnitCost(product),
+      value: 0,
+      sourceModel: 'StockTransfer',
+      source: transfer._id,
+      sourceNumber: transfer.transferNumber,
+      createdBy: userId
+    });
+  }
+
+  await recordStockMovements(movements, session);
+};
+
+/**
+ * @desc    Get stock transfers
+ * @route   GET /api/stock-transfers
+ * @access  Private
+ */
+export const getStockTransfers = async (req, res, next) => {
+  try {
+    const { status, location } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (location) {
+      filter.$or = [{ fromLocation: location }, { toLocation: location }];
+    }
+
+    const transfers = await populateTransfer(StockTransfer.find(filter)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single stock transfer
+ * @route   GET /api/stock-transfers/:id
+ * @access  Private
+ */
+export const getStockTransfer = async (req, res, next) => {
+  try {
+    const transfer = await populateTransfer(StockTransfer.findById(req.params.id));
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dispatch stock from one location to another
+ * The stock leaves the source straight away and stays in transit until the destination receives it.
+ * @route   POST /api/stock-transfers
+ * @access  Private/Admin
+ */
+export const createStockTransfer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    const { fromLocation: fromId, toLocation: toId, lines, notes } = req.body;
+    let transfer;
+
+    if (fromId === toId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination must be different locations'
+      });
+    }
+
+    await session.withTransaction(async () => {
+      const fromLocation = await resolveLocation(fromId, session);
+      const toLocation = await resolveLocation(toId, session);
+
+      const transferLines = [];
+      const pickedSerials = new Set(); // product:serial picked by earlier lines
+      for (const item of lines) {
+        const product = await Product.findById(item.product).session(session);
+        if (!product) {
+          throw createError(404, `Product not found: ${item.product}`);
+        }
+
+        // Transfers can be sent in any of the product's units; stock is kept in the base unit
+        const enteredQuantity = roundQuantity(parseFloat(item.quantity));
+        const unit = resolveUnit(product, item.uom);
+        assertQuantityPrecision(product, enteredQuantity, unit);
+        const baseQuantity = getBaseQuantity({ quantity: enteredQuantity, unitFactor: unit.unitFactor });
+
+        // Serialized products are sent unit by unit, picked from what the source has in stock
+        let serialNumbers;
+        if (product.tracking === 'serial') {
+          serialNumbers = normalizeSerialNumbers(item.serialNumbers);
+          await assertSerialsInStock(product, serialNumbers, baseQuantity, fromLocation, session);
+          serialNumbers.forEach(serial => {
+            const key = `${product._id}:${serial}`;
+            if (pickedSerials.has(key)) {
+              throw createError(400, `Serial number ${serial} is on more than one line`);
+            }
+            pickedSerials.add(key);
+          });
+        }
+
+        transferLines.push({
+          product: product._id,
+          productName: product.name,
+          unit: product.unit,
+          quantity: baseQuantity,
+          uom: unit.uom,
+          uomQuantity: unit.uom ? enteredQuantity : undefined,
+          serialNumbers
+        });
+      }
+
+      [transfer] = await StockTransfer.create([{
+        transferNumber: await generateTransferNumber(session),
+        fromLocation: fromLocation._id,
+        toLocation: toLocation._id,
+        lines: transferLines,
+        notes,
+        dispatchedBy: req.user._id
+      }], { session });
+
+      await moveTransferStock(transfer, { location: fromLocation, direction: -1, userId: req.user._id, session });
+      await transfer.save({ session });
+    });
+
+    transfer = await populateTransfer(StockTransfer.findById(transfer._id));
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} dispatched to ${transfer.toLocation.name}`,
+      data: transfer
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Receive an in-transit transfer into its destination
+ * Staff can only receive transfers sent to their own location.
+ * @route   POST /api/stock-transfers/:id/receive
+ * @access  Private
+ */
+export const receiveStockTransfer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    let transfer;
+
+    await session.withTransaction(async () => {
+      transfer = await StockTransfer.findById(req.params.id).session(session);
+      if (!transfer) {
+        throw createError(404, 'Stock transfer not found');
+      }
+      if (transfer.status !== 'in_transit') {
+        throw createError(400, `Transfer is already ${transfer.status}`);
+      }
+      if (req.user.role !== 'admin' && req.user.location?.toString() !== transfer.toLocation.toString()) {
+        throw createError(403, 'Only the receiving location can receive this transfer');
+      }
+
+      const toLocation = await resolveLocation(transfer.toLocation, session);
+      await moveTransferStock(transfer, { location: toLocation, direction: 1, userId: req.user._id, session });
+
+      transfer.status = 'received';
+      transfer.receivedBy = req.user._id;
+      transfer.receivedAt = new Date();
+      await transfer.save({ session });
+    });
+
+    transfer = await populateTransfer(StockTransfer.findById(transfer._id));
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} received at ${transfer.toLocation.name}`,
+      data: transfer
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Cancel an in-transit transfer and put the stock back at its source
+ * @route   POST /api/stock-transfers/:id/cancel
+ * @access  Private/Admin
+ */
+export const cancelStockTransfer = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  try {
+    let transfer;
+
+    await session.withTransaction(async () => {
+      transfer = await StockTransfer.findById(req.params.id).populate('fromLocation', 'name').session(session);
+      if (!transfer) {
+        throw createError(404, 'Stock transfer not found');
+      }
+      if (transfer.status !== 'in_transit') {
+        throw createError(400, `Transfer is already ${transfer.status}`);
+      }
+
+      // The source may have been deactivated since; the stock still goes back to it
+      await moveTransferStock(transfer, { location: transfer.fromLocation, direction: 1, userId: req.user._id, session });
+
+      transfer.status = 'cancelled';
+      transfer.cancelledBy = req.user._id;
+      transfer.cancelledAt = new Date();
+      transfer.cancellationReason = req.body.reason;
+      await transfer.save({ session });
+    });
+
+    transfer = await populateTransfer(StockTransfer.findById(transfer._id));
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} cancelled; stock returned to ${transfer.fromLocation.name}`,
+      data: transfer
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  } finally {
+    await session.endSession();
+  }
+};
@@ -62,6 +62,7 @@ export const createSupplier = async (req, res, next) => {
       contactEmail,
       address,
       productSupplied,
+      leadTimeDays,
       isActive 
     } = req.body;
 
@@ -76,6 +77,7 @@ export const createSupplier = async (req, res, next) => {
       contactEmail,
       address,
       productSupplied,
+      leadTimeDays,
       isActive: isActive !== undefined ? isActive : true
     });
 
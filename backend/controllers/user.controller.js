@@ -9,7 +9,7 @@ import { generatePassword } from '../utils/generatePassword.js';
  */
 export const getUsers = async (req, res, next) => {
   try {
-    const users = await User.find().select('-password').sort({ createdAt: -1 });
+    const users = await User.find().select('-password').populate('location', 'name code').sort({ createdAt: -1 });
     
     res.json({
       success: true,
@@ -28,7 +28,7 @@ export const getUsers = async (req, res, next) => {
  */
 export const createUser = async (req, res, next) => {
   try {
-    const { username, firstName, lastName, email, phone, password, role } = req.body;
+    const { username, firstName, lastName, email, phone, password, role, location } = req.body;
 
     const userExists = await User.findOne({ $or: [{ username }, { email }] });
     if (userExists) {
@@ -83,6 +83,7 @@ export const createUser = async (req, res, next) => {
       phone, 
       password: userPassword, 
       role,
+      location: location || null,
       isActive: true // Default status to Active
     });
 
@@ -95,7 +96,8 @@ export const createUser = async (req, res, next) => {
         lastName: user.lastName,
         email: user.email,
         phone: user.phone,
-        role: user.role
+        role: user.role,
+        location: user.location
       }
     });
   } catch (error) {
@@ -118,7 +120,7 @@ export const updateUser = async (req, res, next) => {
       });
     }
 
-    const { firstName, lastName, email, phone, role, isActive } = req.body;
+    const { firstName, lastName, email, phone, role, isActive, location } = req.body;
     
     // Check if email is being updated and if it's already taken
     if (email && email !== user.email) {
@@ -137,6 +139,7 @@ export const updateUser = async (req, res, next) => {
     if (phone) user.phone = phone;
     if (role) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
+    if (location !== undefined) user.location = location || null;
 
     await user.save();
 
@@ -150,7 +153,8 @@ export const updateUser = async (req, res, next) => {
         email: user.email,
         phone: user.phone,
         role: user.role,
-        isActive: user.isActive
+        isActive: user.isActive,
+        location: user.location
       }
     });
   } catch (error) {
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Sale from './models/Sale.model.js';
+import Customer from './models/Customer.model.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Sales recorded before customer records existed only carry the contact details
+// typed at checkout. Group them by phone number (or TIN when there is no phone)
+// into customer records and link each sale to its customer.
+const migrateCustomers = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blcm');
+    console.log('Connected to MongoDB');
+
+    const groups = await Sale.aggregate([
+      {
+        $match: {
+          customer: { $exists: false },
+          isHeld: { $ne: true },
+          $or: [
+            { customerPhone: { $nin: [null, ''] } },
+            { tinNumber: { $nin: [null, ''] } }
+          ]
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: {
+            $cond: [
+              { $gt: [{ $strLenCP: { $ifNull: ['$customerPhone', ''] } }, 0] },
+              { phone: '$customerPhone' },
+              { tinNumber: '$tinNumber' }
+            ]
+          },
+          // Most recent details win
+          name: { $first: '$customerName' },
+          email: { $first: '$customerEmail' },
+          phone: { $first: '$customerPhone' },
+          tinNumber: { $first: '$tinNumber' },
+          saleIds: { $push: '$_id' }
+        }
+      }
+    ]);
+
+    let created = 0;
+    let linkedSales = 0;
+
+    for (const group of groups) {
+      const conditions = [];
+      if (group.phone) conditions.push({ phone: group.phone });
+      if (group.tinNumber) conditions.push({ tinNumber: group.tinNumber });
+
+      let customer = await Customer.findOne({ $or: conditions });
+      if (!customer) {
+        customer = await Customer.create({
+          name: (group.name || group.phone || group.tinNumber).slice(0, 100),
+          phone: /^\d{1,11}$/.test(group.phone || '') ? group.phone : undefined,
+          email: /^\S+@\S+\.\S+$/.test(group.email || '') ? group.email : undefined,
+          tinNumber: group.tinNumber || undefined
+        });
+        created++;
+      }
+
+      const result = await Sale.updateMany(
+        { _id: { $in: group.saleIds } },
+        { $set: { customer: customer._id } }
+      );
+      linkedSales += result.modifiedCount;
+    }
+
+    console.log(`✅ Migration complete: ${created} customer(s) created, ${linkedSales} sale(s) linked`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating customers:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateCustomers();
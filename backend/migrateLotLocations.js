@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import StockHistory from './models/StockHistory.model.js';
+import Location from './models/Location.model.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Deliveries received before lots were tracked by location only carry a remaining total.
+// Put what is left of each one at the location it was received into (or the default
+// location when it predates locations), so sales and transfers find it there.
+const migrateLotLocations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/blcm');
+    console.log('Connected to MongoDB');
+
+    const defaultLocation = await Location.findOne({ isDefault: true }).select('_id');
+    if (!defaultLocation) {
+      console.log('No locations are set up; nothing to migrate');
+      process.exit(0);
+    }
+
+    const result = await StockHistory.updateMany(
+      {
+        remainingQuantity: { $gt: 0 },
+        $or: [{ locationRemaining: { $exists: false } }, { locationRemaining: { $size: 0 } }]
+      },
+      [
+        { $set: { location: { $ifNull: ['$location', defaultLocation._id] } } },
+        { $set: { locationRemaining: [{ location: '$location', quantity: '$remainingQuantity' }] } }
+      ]
+    );
+
+    console.log(`✅ Migration complete: ${result.modifiedCount} delivery(ies) placed at their location`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating lot locations:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateLotLocations();
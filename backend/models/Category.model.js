@@ -31,6 +31,11 @@ const categorySchema = new mongoose.Schema({
       message: 'Sub-categories must be non-empty strings'
     }
   },
+  // Products in a VAT-exempt category are sold without VAT
+  vatExempt: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// A named sequence handed out one number at a time with an atomic $inc,
+// so concurrent requests never draw the same value
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Draw the next number of a sequence, creating the sequence on first use
+ * @param {string} name - Sequence name
+ * @param {Object} [options]
+ * @param {Function} [options.seed] - Async function returning the last number already used, read once when the sequence is created
+ * @returns {Promise<number>} Next number
+ */
+counterSchema.statics.next = async function(name, { seed } = {}) {
+  if (seed && !(await this.exists({ name }))) {
+    // $max never lowers the sequence, so a concurrent first use cannot rewind it
+    await this.updateOne({ name }, { $max: { seq: await seed() } }, { upsert: true });
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
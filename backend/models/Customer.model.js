@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\d{1,11}$/, 'Phone number must be maximum 11 digits']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  tinNumber: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Account customers can charge purchases up to this limit; 0 means cash only
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit limit cannot be negative']
+  },
+  // Days after the sale that a charged amount falls due
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Payment terms cannot be negative']
+  },
+  // Price list the customer buys at (e.g., contractor, wholesale); none means the default/retail pricing
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  // Bumped by every charge to account inside its transaction, so two charges to the same
+  // account write-conflict and cannot both pass the credit check on the same balance
+  chargeVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster lookups at checkout
+customerSchema.index({ name: 1 });
+customerSchema.index({ phone: 1 });
+customerSchema.index({ tinNumber: 1 });
+
+export default mongoose.model('Customer', customerSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Sale.model.js';
+
+// Tenders a collection can be received in; a charge cannot pay off another charge
+export const COLLECTION_METHODS = PAYMENT_METHODS.filter(method => method !== 'charge');
+
+const allocationSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocated amount must be greater than 0']
+  }
+}, { _id: false });
+
+const customerPaymentSchema = new mongoose.Schema({
+  paymentNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  method: {
+    type: String,
+    enum: COLLECTION_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  // Check number, card approval code or e-wallet reference
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Open charge sales this payment settled, oldest due first unless picked by the cashier
+  allocations: [allocationSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cash drawer shift the payment was received into
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+customerPaymentSchema.index({ customer: 1, createdAt: -1 });
+customerPaymentSchema.index({ 'allocations.sale': 1 });
+customerPaymentSchema.index({ shift: 1 });
+
+export default mongoose.model('CustomerPayment', customerPaymentSchema);
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { ADJUSTMENT_REASONS } from './StockAdjustment.model.js';
+
+// counting -> posted; a count can be cancelled while it is still being counted
+export const CYCLE_COUNT_STATUSES = ['counting', 'posted', 'cancelled'];
+
+const countLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Stock on hand when the count sheet was generated, in base units
+  expectedQuantity: {
+    type: Number,
+    required: true
+  },
+  // Unset until the line has been counted
+  countedQuantity: {
+    type: Number,
+    default: null,
+    min: [0, 'Counted quantity cannot be negative']
+  },
+  // Serialized products: the units missing (counted short) or found (counted over), one per unit of variance
+  serialNumbers: {
+    type: [String],
+    default: undefined
+  },
+  // Why the count differs from the expected quantity
+  varianceReason: {
+    type: String,
+    enum: [...ADJUSTMENT_REASONS, null],
+    default: null
+  }
+});
+
+const cycleCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // Category the sheet was generated for; unset means every active product
+  category: {
+    type: String,
+    trim: true
+  },
+  // Location being counted; expected quantities are that location's stock
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  lines: {
+    type: [countLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: 'A count sheet needs at least one product'
+    }
+  },
+  status: {
+    type: String,
+    enum: CYCLE_COUNT_STATUSES,
+    default: 'counting'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+cycleCountSchema.index({ status: 1, createdAt: -1 });
+cycleCountSchema.index({ createdAt: -1 });
+
+export default mongoose.model('CycleCount', cycleCountSchema);
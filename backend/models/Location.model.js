@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+export const LOCATION_TYPES = ['store', 'warehouse'];
+
+// A branch or stockroom that holds its own stock
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Location name must be at least 2 characters'],
+    maxlength: [50, 'Location name cannot exceed 50 characters']
+  },
+  // Short code printed on transfers and count sheets (e.g., MAIN, STK1)
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Location code cannot exceed 10 characters']
+  },
+  type: {
+    type: String,
+    enum: LOCATION_TYPES,
+    default: 'store'
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  // Stock that is received, sold or adjusted without a location goes here
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+locationSchema.index({ isActive: 1 });
+
+export default mongoose.model('Location', locationSchema);
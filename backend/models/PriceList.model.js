@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// How a list prices products it has no override for:
+// retail = the product's normal selling price, markup = base price + markup %, discount = selling price less %
+export const PRICE_LIST_RULES = ['retail', 'markup', 'discount'];
+
+// Lower unit price once a line reaches a quantity, e.g. 10+ bags of cement
+const quantityBreakSchema = new mongoose.Schema({
+  // Quantity in the unit of the override (base unit or its UOM)
+  minQuantity: {
+    type: Number,
+    required: [true, 'Minimum quantity is required'],
+    min: [0.0001, 'Minimum quantity must be greater than 0']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Break price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+// Product-specific pricing on a list; either a fixed price or a markup on the base price
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // UOM the override applies to; empty means the product's base unit
+  uom: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Fixed price per unit
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  // Markup on the product's base price, used when no fixed price is set
+  markupPercentage: {
+    type: Number,
+    min: [0, 'Markup percentage cannot be negative']
+  },
+  quantityBreaks: {
+    type: [quantityBreakSchema],
+    default: []
+  }
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Price list name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  rule: {
+    type: String,
+    enum: PRICE_LIST_RULES,
+    default: 'retail'
+  },
+  // Markup % for the markup rule, discount % for the discount rule
+  ruleValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rule value cannot be negative']
+  },
+  items: {
+    type: [priceListItemSchema],
+    default: []
+  },
+  // Applied to sales with no customer list and none picked at checkout
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+priceListSchema.index({ isActive: 1 });
+priceListSchema.index({ isDefault: 1 }); // For the fallback list at checkout
+
+export default mongoose.model('PriceList', priceListSchema);
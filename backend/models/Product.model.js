@@ -1,5 +1,56 @@
 import mongoose from 'mongoose';
 
+export const BARCODE_TYPES = ['ean13', 'upca', 'code128'];
+
+// How individual units are traced: a serial number per unit (power tools, generators),
+// or lot numbers with expiry dates per delivery (sealants, paints, adhesives)
+export const TRACKING_MODES = ['none', 'serial', 'lot'];
+
+// Most decimal places a product or UOM can be sold in
+export const MAX_QUANTITY_PRECISION = 3;
+
+// Alternate unit a product is bought or sold in, e.g. a Box holding 25 of the base unit
+const uomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Unit name is required'],
+    trim: true
+  },
+  // Base stock units in one of this unit
+  factor: {
+    type: Number,
+    required: [true, 'Conversion factor is required'],
+    min: [0.0001, 'Conversion factor must be greater than 0']
+  },
+  // Selling price per one of this unit
+  price: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Decimal places this unit can be sold in (0 = whole units only)
+  precision: {
+    type: Number,
+    default: 0,
+    min: [0, 'Precision cannot be negative'],
+    max: [MAX_QUANTITY_PRECISION, `Precision cannot exceed ${MAX_QUANTITY_PRECISION} decimal places`]
+  }
+});
+
+// Stock held at one location; entries are written by update pipelines, so they carry no _id
+const locationStockSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock quantity cannot be negative']
+  }
+}, { _id: false });
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -25,19 +76,40 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Markup percentage cannot be negative'],
     max: [100, 'Markup percentage cannot exceed 100%']
   },
+  // Landed cost per base unit of the stock on hand, averaged over deliveries; unset until the first costed delivery
+  averageCost: {
+    type: Number,
+    min: [0, 'Average cost cannot be negative']
+  },
+  // Total stock owned across every location, including stock in transit between them
   stockQuantity: {
     type: Number,
     default: 0,
     min: [0, 'Stock quantity cannot be negative']
   },
+  // Stock on hand at each location, in base units; empty until locations are set up
+  locationStock: [locationStockSchema],
   category: {
     type: String,
     trim: true
   },
+  // Base stock unit; stockQuantity, price and every UOM factor are expressed in it
   unit: {
     type: String,
     trim: true
   },
+  // Decimal places the base unit can be sold or received in; unset means the default for the unit (e.g., 3 for Kilogram)
+  quantityPrecision: {
+    type: Number,
+    min: [0, 'Precision cannot be negative'],
+    max: [MAX_QUANTITY_PRECISION, `Precision cannot exceed ${MAX_QUANTITY_PRECISION} decimal places`]
+  },
+  uoms: [uomSchema],
+  tracking: {
+    type: String,
+    enum: TRACKING_MODES,
+    default: 'none'
+  },
   subCategory: {
     type: String,
     trim: true
@@ -56,12 +128,27 @@ const productSchema = new mongoose.Schema({
     default: 10,
     min: [0, 'Low stock threshold cannot be negative']
   },
+  vatExempt: {
+    type: Boolean,
+    default: false
+  },
   sku: {
     type: String,
     unique: true,
     trim: true,
     sparse: true
   },
+  // Manufacturer barcode, or an in-store EAN-13 assigned when labels are printed
+  barcode: {
+    type: String,
+    unique: true,
+    trim: true,
+    sparse: true
+  },
+  barcodeType: {
+    type: String,
+    enum: BARCODE_TYPES
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// percentage = % off the line price, fixed_price = promo price per base unit,
+// buy_x_get_y = in every (buy + get) units of a line, get units are free
+export const PROMOTION_TYPES = ['percentage', 'fixed_price', 'buy_x_get_y'];
+
+// What a promotion covers; the matching list below holds the targets
+export const PROMOTION_SCOPES = ['product', 'category', 'subcategory', 'supplier'];
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: [true, 'Promotion type is required']
+  },
+  // Percent off for percentage promotions, price per base unit for fixed_price promotions
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promotion value cannot be negative']
+  },
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Free quantity must be at least 1']
+  },
+  scope: {
+    type: String,
+    enum: PROMOTION_SCOPES,
+    required: [true, 'Promotion scope is required']
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: {
+    type: [String],
+    default: []
+  },
+  subCategories: {
+    type: [String],
+    default: []
+  },
+  suppliers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  }],
+  // Runs from the start of startDate to the end of endDate
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 }); // For promotions running at checkout
+
+export default mongoose.model('Promotion', promotionSchema);
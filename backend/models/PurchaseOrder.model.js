@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+// draft -> sent -> partially_received -> received; draft or sent orders can be cancelled
+export const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Orders that can still take deliveries
+export const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Set on a line once it is received above the ordered quantity, or closed below it
+export const DELIVERY_FLAGS = ['over', 'under'];
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Unit the line is ordered in (e.g., 'Box'); empty means the product's base unit
+  uom: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Base stock units per unit ordered, as it was when the order was placed
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Unit factor must be greater than 0']
+  },
+  orderedQuantity: {
+    type: Number,
+    required: [true, 'Ordered quantity is required'],
+    min: [0.0001, 'Ordered quantity must be greater than 0']
+  },
+  // Agreed cost per unit ordered
+  unitCost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // Quantity received so far, in the unit ordered
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  deliveryFlag: {
+    type: String,
+    enum: [...DELIVERY_FLAGS, null],
+    default: null
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: 'A purchase order needs at least one line'
+    }
+  },
+  expectedDate: {
+    type: Date
+  },
+  // Location the supplier delivers to; deliveries can still be received elsewhere
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft'
+  },
+  // Sum of ordered quantity x unit cost
+  total: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total cannot be negative']
+  },
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 }); // For open orders due in
+purchaseOrderSchema.index({ createdAt: -1 });
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
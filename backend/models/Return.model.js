@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Sale.model.js';
+
+// What happens to returned goods: back on the shelf, or written off as damaged
+export const RETURN_DISPOSITIONS = ['restock', 'write_off'];
+
+const returnItemSchema = new mongoose.Schema({
+  // Position of the returned line in the sale's items array
+  lineIndex: {
+    type: Number,
+    required: true,
+    min: [0, 'Line index cannot be negative']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Returned quantity in the unit the sale line was sold in
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.0001, 'Quantity must be greater than 0']
+  },
+  uom: {
+    type: String,
+    trim: true
+  },
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Unit factor must be greater than 0']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  taxClass: {
+    type: String,
+    enum: ['vatable', 'exempt', 'zero_rated'],
+    default: 'vatable'
+  },
+  // Amount refunded for this line, including its share of discounts and VAT
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  // Share of the sale line's captured cost for the returned units
+  costOfGoods: {
+    type: Number,
+    min: [0, 'Cost of goods cannot be negative']
+  },
+  disposition: {
+    type: String,
+    enum: RETURN_DISPOSITIONS,
+    required: [true, 'Restock or write-off is required']
+  },
+  // Serial numbers of the units brought back, for serialized products
+  serialNumbers: {
+    type: [String],
+    default: undefined
+  }
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+  creditMemoNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Sale is required']
+  },
+  saleNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  items: [returnItemSchema],
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund total cannot be negative']
+  },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'VAT amount cannot be negative']
+  },
+  // Part of the total taken off the sale's unpaid charge balance; the rest is paid out via refundMethod
+  accountCredit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Account credit cannot be negative']
+  },
+  refundMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Refund method is required']
+  },
+  // Card reversal code or e-wallet reference for non-cash refunds
+  refundReference: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cash drawer shift the refund was paid out of
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Branch the original sale was made at
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+returnSchema.index({ sale: 1 });
+returnSchema.index({ createdAt: -1 });
+returnSchema.index({ shift: 1 });
+returnSchema.index({ location: 1, createdAt: -1 });
+
+export default mongoose.model('Return', returnSchema);
@@ -1,5 +1,91 @@
 import mongoose from 'mongoose';
 
+// Reason codes a cashier can pick when applying a discount
+export const DISCOUNT_REASON_CODES = ['senior_citizen', 'pwd', 'contractor', 'damaged_box'];
+
+// Tenders a sale can be paid with; 'charge' puts the amount on the customer's account
+export const PAYMENT_METHODS = ['cash', 'card', 'mobile_payment', 'other', 'charge'];
+
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount amount cannot be negative']
+  },
+  reasonCode: {
+    type: String,
+    enum: DISCOUNT_REASON_CODES,
+    required: [true, 'Discount reason is required']
+  },
+  // The cashier, or for discounts over the threshold the admin holding the SuperAdmin code
+  // (unknown for codes set before the holder was recorded)
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function () { return !this.superAdminApproved; }, 'Discount approver is required']
+  },
+  // True when the discount exceeded the approval threshold and the SuperAdmin code was entered
+  superAdminApproved: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  // Portion of the sale total settled by this tender
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0, 'Payment amount cannot be negative']
+  },
+  // Cash handed over by the customer; only cash tenders can exceed their amount
+  tendered: {
+    type: Number,
+    min: [0, 'Tendered amount cannot be negative']
+  },
+  // Card approval code or e-wallet reference number
+  reference: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Base units a sale line took from one lot or expiry-dated delivery (a StockHistory entry)
+const saleLotSchema = new mongoose.Schema({
+  stockHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockHistory',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  expiryDate: {
+    type: Date
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.0001, 'Quantity must be greater than 0']
+  }
+}, { _id: false });
+
 const saleItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,16 +95,91 @@ const saleItemSchema = new mongoose.Schema({
   quantity: {
     type: Number,
     required: true,
-    min: [1, 'Quantity must be at least 1']
+    min: [0.0001, 'Quantity must be greater than 0']
+  },
+  // Unit the line was sold in (e.g., 'Box'); empty means the product's base unit
+  uom: {
+    type: String,
+    trim: true
+  },
+  // Base stock units per unit sold; stock moves by quantity x unitFactor
+  unitFactor: {
+    type: Number,
+    default: 1,
+    min: [0.0001, 'Unit factor must be greater than 0']
   },
+  // Price per unit sold
   price: {
     type: Number,
     required: true,
     min: [0, 'Price cannot be negative']
   },
+  // Price list the line was priced with; the name is kept as it was at the time of sale
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  priceListName: {
+    type: String,
+    trim: true
+  },
+  // Promotion applied to the line and what it took off price x quantity; the name is kept as it was at the time of sale
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionName: {
+    type: String,
+    trim: true
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promotion discount cannot be negative']
+  },
+  discount: {
+    type: discountSchema,
+    default: undefined
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxClass: {
+    type: String,
+    enum: ['vatable', 'exempt', 'zero_rated'],
+    default: 'vatable'
+  },
+  // Line total after the promotion and the line discount
   subtotal: {
     type: Number,
     required: true
+  },
+  // Cost of the units sold, captured at the time of sale under the costing method then in use
+  unitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  costOfGoods: {
+    type: Number,
+    min: [0, 'Cost of goods cannot be negative']
+  },
+  // Units already brought back through returns
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  },
+  // Serial numbers of the units sold, for serialized products
+  serialNumbers: {
+    type: [String],
+    default: undefined
+  },
+  // Lots or dated deliveries the units were taken from, earliest expiry first
+  lots: {
+    type: [saleLotSchema],
+    default: undefined
   }
 }, { _id: false });
 
@@ -28,6 +189,12 @@ const saleSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // Customer record the sale is linked to; the name/phone/TIN fields below keep
+  // the details as printed on the receipt
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customerName: {
     type: String,
     trim: true
@@ -48,54 +215,175 @@ const saleSchema = new mongoose.Schema({
     trim: true
   },
   items: [saleItemSchema],
+  // Price list the sale was priced with: picked at checkout, else the customer's, else the default list
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   subtotal: {
     type: Number,
     required: true,
     min: [0, 'Subtotal cannot be negative']
   },
+  // Total of line discounts and the whole-sale discount
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  saleDiscount: {
+    type: discountSchema,
+    default: undefined
+  },
+  // VAT amount (same as vatBreakdown.vatAmount)
   tax: {
     type: Number,
     default: 0,
     min: [0, 'Tax cannot be negative']
   },
+  vatBreakdown: {
+    vatRate: {
+      type: Number,
+      default: 12
+    },
+    pricesIncludeVat: {
+      type: Boolean,
+      default: false
+    },
+    vatableSales: {
+      type: Number,
+      default: 0
+    },
+    vatExemptSales: {
+      type: Number,
+      default: 0
+    },
+    zeroRatedSales: {
+      type: Number,
+      default: 0
+    },
+    vatAmount: {
+      type: Number,
+      default: 0
+    },
+    // VAT taken out of VAT-inclusive prices on exempt and zero-rated lines
+    lessVat: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Zero-rated sales to PEZA-registered or diplomatic customers
+  zeroRated: {
+    type: Boolean,
+    default: false
+  },
+  zeroRatedReason: {
+    type: String,
+    enum: ['peza', 'diplomatic']
+  },
+  zeroRatedReference: {
+    type: String,
+    trim: true
+  },
   total: {
     type: Number,
     required: true,
     min: [0, 'Total cannot be negative']
   },
+  // Single tender method, or 'split' when the sale was paid with several tenders
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'mobile_payment', 'other'],
-    required: [true, 'Payment method is required']
+    enum: [...PAYMENT_METHODS, 'split'],
+    required: [function () { return !this.isHeld; }, 'Payment method is required']
   },
+  payments: [paymentSchema],
   cashRendered: {
     type: Number,
     min: [0, 'Cash rendered cannot be negative']
   },
+  change: {
+    type: Number,
+    default: 0,
+    min: [0, 'Change cannot be negative']
+  },
+  // Amount charged to the customer's account and the part of it still unpaid
+  chargedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Charged amount cannot be negative']
+  },
+  balanceDue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance due cannot be negative']
+  },
+  dueDate: {
+    type: Date
+  },
+  // True when the charge went over the customer's credit limit with the SuperAdmin code
+  creditLimitOverride: {
+    type: Boolean,
+    default: false
+  },
+  // True when expired stock was sold with the SuperAdmin code
+  expiredStockOverride: {
+    type: Boolean,
+    default: false
+  },
   cashier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Cash drawer shift the sale was rung up in
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Branch the stock was sold from
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   receiptGenerated: {
     type: Boolean,
     default: false
   },
+  // Total refunded through returns (credit memos)
+  returnedTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned total cannot be negative']
+  },
   isVoid: {
     type: Boolean,
     default: false
   },
+  // Parked cart waiting to be resumed; held sales are not part of revenue or stock
+  isHeld: {
+    type: Boolean,
+    default: false
+  },
+  heldLabel: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  // Stock on a held sale is soft-reserved until this time, then released automatically
+  reservedUntil: {
+    type: Date
+  },
   voidedAt: {
     type: Date
   },
   voidedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Open drawer shift of the user who voided the sale; the void counts in its X/Z reading
+  voidedShift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
   }
 }, {
   timestamps: true
@@ -108,6 +396,12 @@ saleSchema.index({ cashier: 1 });
 // Compound indexes for common query patterns
 saleSchema.index({ createdAt: -1, isVoid: 1 }); // For reports filtering by date and void status
 saleSchema.index({ cashier: 1, createdAt: -1 }); // For cashier-specific queries with date sorting
+saleSchema.index({ customer: 1, createdAt: -1 }); // For customer purchase history
+saleSchema.index({ isHeld: 1, reservedUntil: 1 }); // For parked carts and their stock reservations
+saleSchema.index({ customer: 1, balanceDue: 1, dueDate: 1 }); // For open receivables and aging
+saleSchema.index({ shift: 1 }); // For X/Z readings
+saleSchema.index({ voidedShift: 1 }, { sparse: true }); // For voids in X/Z readings
+saleSchema.index({ location: 1, createdAt: -1 }); // For branch reports
 
 export default mongoose.model('Sale', saleSchema);
 
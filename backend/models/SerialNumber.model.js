@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// in_stock -> sold -> in_stock again when the sale is voided or the unit is restocked from a return;
+// units returned as damaged, or adjusted out (damage, theft), are written off and back in stock if found;
+// transferred units are in_transit until the destination receives them
+export const SERIAL_STATUSES = ['in_stock', 'sold', 'written_off', 'in_transit'];
+
+const serialNumberSchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Serial number cannot exceed 50 characters']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: SERIAL_STATUSES,
+    default: 'in_stock'
+  },
+  // Delivery the unit came in with and the purchase order it was received against;
+  // location is where the unit is now (or was sent from, while in transit)
+  stockHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockHistory',
+    required: true
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  // Latest sale of the unit; the customer is kept for warranty claims
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  saleNumber: {
+    type: String,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    trim: true
+  },
+  soldAt: {
+    type: Date
+  },
+  // Credit memo the unit last came back on
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  creditMemoNumber: {
+    type: String,
+    trim: true
+  },
+  returnedAt: {
+    type: Date
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+serialNumberSchema.index({ product: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ serialNumber: 1 });
+serialNumberSchema.index({ product: 1, status: 1 }); // For picking units at the POS
+serialNumberSchema.index({ sale: 1 });
+
+export default mongoose.model('SerialNumber', serialNumberSchema);
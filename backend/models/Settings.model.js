@@ -1,12 +1,21 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// How the cost of goods sold and stock on hand are valued
+export const COSTING_METHODS = ['weighted_average', 'fifo'];
+
 const settingsSchema = new mongoose.Schema({
   superAdminCode: {
     type: String,
     default: null,
     trim: true
   },
+  // Admin who set the SuperAdmin code; overrides approved with the code are recorded against them
+  superAdminCodeSetBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   totalCostOfGoods: {
     type: Number,
     default: 0,
@@ -17,6 +26,62 @@ const settingsSchema = new mongoose.Schema({
     enum: ['easy', 'medium', 'hard'],
     default: 'medium',
     trim: true
+  },
+  // VAT rate as a percentage (e.g. 12 for 12%)
+  vatRate: {
+    type: Number,
+    default: 12,
+    min: [0, 'VAT rate cannot be negative'],
+    max: [100, 'VAT rate cannot exceed 100%']
+  },
+  // When true, product selling prices already include VAT
+  pricesIncludeVat: {
+    type: Boolean,
+    default: false
+  },
+  costingMethod: {
+    type: String,
+    enum: COSTING_METHODS,
+    default: 'weighted_average'
+  },
+  // When true, stock adjustments made by staff wait for an admin to approve them
+  adjustmentsRequireApproval: {
+    type: Boolean,
+    default: true
+  },
+  // Discounts above this percentage of the sale subtotal require the SuperAdmin code
+  discountApprovalThreshold: {
+    type: Number,
+    default: 20,
+    min: [0, 'Discount approval threshold cannot be negative'],
+    max: [100, 'Discount approval threshold cannot exceed 100%']
+  },
+  // Stock expiring within this many days shows up on the near-expiry alerts
+  expiryWarningDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Expiry warning window must be at least 1 day'],
+    max: [365, 'Expiry warning window cannot exceed 365 days']
+  },
+  // Reorder points: sales velocity is measured over the look-back window, safety stock is this
+  // fraction of the demand over the supplier's lead time, and suggestions cover this many days of demand
+  reorderLookbackDays: {
+    type: Number,
+    default: 90,
+    min: [7, 'Look-back window must be at least 7 days'],
+    max: [365, 'Look-back window cannot exceed 365 days']
+  },
+  safetyStockFactor: {
+    type: Number,
+    default: 0.5,
+    min: [0, 'Safety stock factor cannot be negative'],
+    max: [5, 'Safety stock factor cannot exceed 5']
+  },
+  reorderCoverDays: {
+    type: Number,
+    default: 30,
+    min: [1, 'Cover must be at least 1 day'],
+    max: [365, 'Cover cannot exceed 365 days']
   }
 }, {
   timestamps: true
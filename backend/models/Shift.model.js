@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// Petty cash put into or taken out of the drawer during a shift
+export const CASH_MOVEMENT_TYPES = ['cash_in', 'cash_out'];
+
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CASH_MOVEMENT_TYPES,
+    required: [true, 'Cash movement type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const shiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Cash in the drawer when the shift started
+  openingFloat: {
+    type: Number,
+    required: [true, 'Opening float is required'],
+    min: [0, 'Opening float cannot be negative']
+  },
+  cashMovements: [cashMovementSchema],
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Cash the drawer should hold at close, what was counted, and the difference
+  expectedCash: {
+    type: Number
+  },
+  countedCash: {
+    type: Number,
+    min: [0, 'Counted cash cannot be negative']
+  },
+  overShort: {
+    type: Number
+  },
+  closingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Z-reading as computed when the shift was closed
+  zReading: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+shiftSchema.index({ openedAt: -1 });
+shiftSchema.index({ cashier: 1, openedAt: -1 }); // For cashier-specific shift history
+// A cashier can only have one open shift at a time
+shiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+export default mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+export const ADJUSTMENT_REASONS = ['damage', 'theft', 'expiry', 'found', 'internal_use', 'count_variance'];
+
+// Reasons that can only take stock out; found stock only adds, count variances go either way
+export const STOCK_DECREASE_REASONS = ['damage', 'theft', 'expiry', 'internal_use'];
+
+// pending -> posted or rejected; adjustments that need no approval are posted straight away
+export const ADJUSTMENT_STATUSES = ['pending', 'posted', 'rejected'];
+
+const stockAdjustmentSchema = new mongoose.Schema({
+  adjustmentNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Change in base units: positive adds stock, negative removes it
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: (value) => value !== 0,
+      message: 'Adjustment quantity cannot be zero'
+    }
+  },
+  // Unit and quantity as entered (e.g., 2 Box), when adjusted in another UOM
+  uom: {
+    type: String,
+    trim: true
+  },
+  uomQuantity: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    enum: ADJUSTMENT_REASONS,
+    required: [true, 'Reason is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ADJUSTMENT_STATUSES,
+    default: 'pending'
+  },
+  // Cost per base unit and signed value at cost, set when posted
+  unitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  value: {
+    type: Number
+  },
+  // Units written off or found, for serialized products; one per base unit adjusted
+  serialNumbers: {
+    type: [String],
+    default: undefined
+  },
+  // Location whose stock is adjusted (null before locations are set up)
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Cycle count the adjustment was posted from
+  cycleCount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CycleCount'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Rejection reason cannot exceed 200 characters']
+  },
+  postedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+stockAdjustmentSchema.index({ status: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ product: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ reason: 1 });
+stockAdjustmentSchema.index({ cycleCount: 1 });
+stockAdjustmentSchema.index({ location: 1, createdAt: -1 });
+
+export default mongoose.model('StockAdjustment', stockAdjustmentSchema);
@@ -1,5 +1,19 @@
 import mongoose from 'mongoose';
 
+// What is left of a delivery at one location; entries are written by update pipelines, so they carry no _id
+const lotLocationSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Remaining quantity cannot be negative']
+  }
+}, { _id: false });
+
 const stockHistorySchema = new mongoose.Schema({
   transactionId: {
     type: String,
@@ -17,20 +31,79 @@ const stockHistorySchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Quantity added in the product's base unit
   stockQuantity: {
     type: Number,
     required: [true, 'Stock quantity is required'],
-    min: [1, 'Stock quantity must be at least 1']
+    min: [0.0001, 'Stock quantity must be greater than 0']
+  },
+  // Unit and quantity as delivered (e.g., 4 Box), when received in another UOM
+  uom: {
+    type: String,
+    trim: true
+  },
+  uomQuantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
   },
   dateDelivered: {
     type: Date,
     required: [true, 'Date delivered is required']
   },
+  // Cost per unit delivered, as invoiced by the supplier
+  unitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  freight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Freight cannot be negative']
+  },
+  // Handling, duties and other charges to land the delivery
+  otherCharges: {
+    type: Number,
+    default: 0,
+    min: [0, 'Other charges cannot be negative']
+  },
+  // Unit cost x quantity + freight + other charges
   totalCost: {
     type: Number,
     required: true,
     min: [0, 'Total cost cannot be negative']
   },
+  // Total cost per base unit received
+  landedUnitCost: {
+    type: Number,
+    min: [0, 'Landed unit cost cannot be negative']
+  },
+  // Base units of this delivery not yet sold; deliveries with stock remaining are the FIFO cost layers
+  remainingQuantity: {
+    type: Number,
+    min: [0, 'Remaining quantity cannot be negative']
+  },
+  // Lot or batch the delivery came in, for lot-tracked products; its remaining quantity is what is left of the lot
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  // Any delivery can carry an expiry date (paints, epoxies, cement, chemicals); dated stock is sold earliest expiry first
+  expiryDate: {
+    type: Date
+  },
+  // Purchase order the delivery was received against
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  // Location the delivery was received into
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Remaining quantity by location, in base units: sales and adjustments take from their own location and
+  // transfers move it between locations (units in transit are at neither). Empty until locations are set up.
+  locationRemaining: [lotLocationSchema],
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -46,6 +119,11 @@ stockHistorySchema.index({ product: 1 });
 stockHistorySchema.index({ dateDelivered: -1 });
 stockHistorySchema.index({ productName: 1 });
 stockHistorySchema.index({ createdAt: -1 });
+stockHistorySchema.index({ purchaseOrder: 1 });
+stockHistorySchema.index({ product: 1, remainingQuantity: 1, dateDelivered: 1 }); // For FIFO cost layers
+stockHistorySchema.index({ product: 1, lotNumber: 1 }); // For lot lookups
+stockHistorySchema.index({ expiryDate: 1, remainingQuantity: 1 }); // For expiry alerts
+stockHistorySchema.index({ product: 1, 'locationRemaining.location': 1 }); // For cost layers at a location
 
 export default mongoose.model('StockHistory', stockHistorySchema);
 
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Kinds of stock movement recorded in the ledger
+export const MOVEMENT_TYPES = ['opening', 'receipt', 'sale', 'void', 'return', 'adjustment', 'cycle_count', 'transfer'];
+
+// Documents a movement can point back to
+export const MOVEMENT_SOURCES = ['StockHistory', 'PurchaseOrder', 'Sale', 'Return', 'StockAdjustment', 'CycleCount', 'StockTransfer'];
+
+// Append-only ledger of stock movements; entries are never edited or deleted
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: [true, 'Movement type is required']
+  },
+  // Change in base units: positive into stock, negative out of it
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required']
+  },
+  // Stock on hand either side of the movement, in base units
+  balanceBefore: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Location the stock moved at, with its own balance either side; transfers move stock between
+  // locations without changing the product total
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  locationBalanceBefore: {
+    type: Number
+  },
+  locationBalanceAfter: {
+    type: Number
+  },
+  // Cost per base unit the movement was valued at
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // Signed value of the movement at cost
+  value: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Document that caused the movement, with its number as it was at the time
+  sourceModel: {
+    type: String,
+    enum: MOVEMENT_SOURCES
+  },
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceModel'
+  },
+  sourceNumber: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+stockMovementSchema.index({ product: 1, createdAt: 1 });
+stockMovementSchema.index({ product: 1, location: 1, createdAt: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+stockMovementSchema.index({ source: 1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+// in_transit -> received or cancelled; stock leaves the source when the transfer is dispatched
+export const TRANSFER_STATUSES = ['in_transit', 'received', 'cancelled'];
+
+// Base units a transfer line took from one delivery (a StockHistory cost layer or lot) at the source
+const transferLotSchema = new mongoose.Schema({
+  stockHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockHistory',
+    required: true
+  },
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  expiryDate: {
+    type: Date
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.0001, 'Quantity must be greater than 0']
+  }
+}, { _id: false });
+
+const transferLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity in base units
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Unit and quantity as entered (e.g., 2 Box), when sent in another UOM
+  uom: {
+    type: String,
+    trim: true
+  },
+  uomQuantity: {
+    type: Number
+  },
+  // Units sent, for serialized products; one per base unit
+  serialNumbers: {
+    type: [String],
+    default: undefined
+  },
+  // Deliveries the units were taken from at the source, placed at the destination on receipt
+  lots: {
+    type: [transferLotSchema],
+    default: undefined
+  }
+});
+
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Source location is required']
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: [true, 'Destination location is required']
+  },
+  lines: {
+    type: [transferLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: 'A transfer needs at least one product'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: 'in_transit'
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispatchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+stockTransferSchema.index({ fromLocation: 1, createdAt: -1 });
+stockTransferSchema.index({ toLocation: 1, createdAt: -1 });
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
@@ -72,6 +72,13 @@ const supplierSchema = new mongoose.Schema({
     required: [true, 'Product supplied is required'],
     trim: true
   },
+  // Days from placing an order to receiving it; drives the reorder points of the supplier's products
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Lead time cannot be negative'],
+    max: [365, 'Lead time cannot exceed 365 days']
+  },
   isActive: {
     type: Boolean,
     default: true
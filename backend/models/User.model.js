@@ -57,6 +57,12 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Branch the user works at; their sales take stock from it. Unset means the default location
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,109 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as customerController from '../controllers/customer.controller.js';
+import { COLLECTION_METHODS } from '../models/CustomerPayment.model.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/customers
+ * @desc    Get all customers (supports ?search= for type-ahead)
+ * @access  Private
+ */
+router.get('/', customerController.getCustomers);
+
+/**
+ * @route   GET /api/customers/:id/history
+ * @desc    Get customer purchase history and lifetime spend
+ * @access  Private
+ */
+router.get('/:id/history', customerController.getCustomerHistory);
+
+/**
+ * @route   GET /api/customers/:id/account
+ * @desc    Get credit account: limit, open charges with aging and collections
+ * @access  Private
+ */
+router.get('/:id/account', customerController.getCustomerAccount);
+
+/**
+ * @route   POST /api/customers/:id/payments
+ * @desc    Record a payment against open charges (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/payments', authorize('supplier', 'staff', 'admin'), [
+  body('amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('method').isIn(COLLECTION_METHODS).withMessage('Invalid payment method'),
+  body('reference').optional().trim(),
+  body('notes').optional().trim().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters'),
+  body('allocations').optional().isArray().withMessage('Allocations must be a list'),
+  body('allocations.*.sale').isMongoId().withMessage('Valid sale ID is required'),
+  body('allocations.*.amount').isFloat({ gt: 0 }).withMessage('Allocated amount must be greater than 0'),
+  handleValidationErrors
+], customerController.createCustomerPayment);
+
+/**
+ * @route   GET /api/customers/:id
+ * @desc    Get single customer
+ * @access  Private
+ */
+router.get('/:id', customerController.getCustomer);
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create new customer (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/', authorize('supplier', 'staff', 'admin'), [
+  body('name').trim().notEmpty().withMessage('Customer name is required'),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Please provide a valid email address'),
+  body('tinNumber').optional().trim(),
+  body('address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit cannot be negative'),
+  body('paymentTermsDays').optional().isInt({ min: 0 }).withMessage('Payment terms must be a whole number of days'),
+  body('priceList').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid price list'),
+  handleValidationErrors
+], customerController.createCustomer);
+
+/**
+ * @route   PUT /api/customers/:id
+ * @desc    Update customer (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.put('/:id', authorize('supplier', 'staff', 'admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Customer name cannot be empty'),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Please provide a valid email address'),
+  body('tinNumber').optional().trim(),
+  body('address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit cannot be negative'),
+  body('paymentTermsDays').optional().isInt({ min: 0 }).withMessage('Payment terms must be a whole number of days'),
+  body('priceList').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid price list'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+], customerController.updateCustomer);
+
+/**
+ * @route   DELETE /api/customers/:id
+ * @desc    Delete customer without purchase history (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), customerController.deleteCustomer);
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { ADJUSTMENT_REASONS } from '../models/StockAdjustment.model.js';
+import * as cycleCountController from '../controllers/cycleCount.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+/**
+ * @route   GET /api/cycle-counts
+ * @desc    Get cycle counts, optionally by status
+ * @access  Private/Admin
+ */
+router.get('/', cycleCountController.getCycleCounts);
+
+/**
+ * @route   GET /api/cycle-counts/:id
+ * @desc    Get single cycle count with its variances
+ * @access  Private/Admin
+ */
+router.get('/:id', cycleCountController.getCycleCount);
+
+/**
+ * @route   GET /api/cycle-counts/:id/pdf
+ * @desc    Export count sheet as PDF (blind=true hides system quantities)
+ * @access  Private/Admin
+ */
+router.get('/:id/pdf', cycleCountController.exportCountSheetPDF);
+
+/**
+ * @route   POST /api/cycle-counts
+ * @desc    Generate a count sheet for a category or all products
+ * @access  Private/Admin
+ */
+router.post('/', [
+  body('category').optional({ checkFalsy: true }).trim(),
+  body('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], cycleCountController.createCycleCount);
+
+/**
+ * @route   PUT /api/cycle-counts/:id/counts
+ * @desc    Enter counted quantities, variance reasons and the serials missing or found
+ * @access  Private/Admin
+ */
+router.put('/:id/counts', [
+  body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+  body('lines.*.lineId').isMongoId().withMessage('Valid line ID is required'),
+  body('lines.*.countedQuantity')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Counted quantity cannot be negative'),
+  body('lines.*.varianceReason')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(ADJUSTMENT_REASONS)
+    .withMessage('Invalid variance reason'),
+  body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('lines.*.serialNumbers.*').trim().isLength({ min: 1, max: 50 }).withMessage('Serial numbers must be 1 to 50 characters'),
+  handleValidationErrors
+], cycleCountController.updateCycleCountLines);
+
+/**
+ * @route   POST /api/cycle-counts/:id/post
+ * @desc    Post the count's variances as stock adjustments
+ * @access  Private/Admin
+ */
+router.post('/:id/post', cycleCountController.postCycleCount);
+
+/**
+ * @route   POST /api/cycle-counts/:id/cancel
+ * @desc    Cancel a count that has not been posted
+ * @access  Private/Admin
+ */
+router.post('/:id/cancel', cycleCountController.cancelCycleCount);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as inventoryController from '../controllers/inventory.controller.js';
@@ -11,7 +11,7 @@ router.use(protect);
 
 /**
  * @route   GET /api/inventory
- * @desc    Get inventory status
+ * @desc    Get inventory status, optionally with one location's stock
  * @access  Private
  */
 router.get('/', inventoryController.getInventory);
@@ -22,8 +22,17 @@ router.get('/', inventoryController.getInventory);
  * @access  Private/Admin/Supplier
  */
 router.put('/:id/stock', authorize('admin', 'supplier'), [
-  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('uom').optional({ checkFalsy: true }).trim(),
   body('dateDelivered').notEmpty().withMessage('Date delivered is required'),
+  body('unitCost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit cost cannot be negative').toFloat(),
+  body('freight').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Freight cannot be negative').toFloat(),
+  body('otherCharges').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Other charges cannot be negative').toFloat(),
+  body('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  body('serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('serialNumbers.*').trim().isLength({ min: 1, max: 50 }).withMessage('Serial numbers must be 1 to 50 characters'),
+  body('lotNumber').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Lot number cannot exceed 50 characters'),
+  body('expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expiry date is required'),
   handleValidationErrors
 ], inventoryController.updateStock);
 
@@ -45,6 +54,23 @@ router.put('/:id/price', authorize('admin'), [
  */
 router.get('/stock-history', inventoryController.getStockHistory);
 
+/**
+ * @route   GET /api/inventory/:id/stock-card
+ * @desc    Get a product's ledger movements with running balance, overall or at one location
+ * @access  Private
+ */
+router.get('/:id/stock-card', [
+  query('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getStockCard);
+
+/**
+ * @route   GET /api/inventory/:id/lots
+ * @desc    Get a product's lots and expiry-dated deliveries on hand, earliest expiry first
+ * @access  Private
+ */
+router.get('/:id/lots', inventoryController.getProductLots);
+
 /**
  * @route   GET /api/inventory/alerts
  * @desc    Get low stock alerts
@@ -52,5 +78,16 @@ router.get('/stock-history', inventoryController.getStockHistory);
  */
 router.get('/alerts', inventoryController.getLowStockAlerts);
 
+/**
+ * @route   GET /api/inventory/expiry-alerts
+ * @desc    Get stock already expired or expiring within the warning window (`days` overrides the setting)
+ * @access  Private
+ */
+router.get('/expiry-alerts', [
+  query('days').optional({ checkFalsy: true }).isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  query('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], inventoryController.getExpiryAlerts);
+
 export default router;
 
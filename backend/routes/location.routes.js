@@ -0,0 +1,67 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { LOCATION_TYPES } from '../models/Location.model.js';
+import * as locationController from '../controllers/location.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/locations
+ * @desc    Get all locations
+ * @access  Private
+ */
+router.get('/', locationController.getLocations);
+
+/**
+ * @route   GET /api/locations/:id
+ * @desc    Get single location
+ * @access  Private
+ */
+router.get('/:id', locationController.getLocation);
+
+/**
+ * @route   POST /api/locations
+ * @desc    Create new location (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Location name is required')
+    .isLength({ min: 2, max: 50 }).withMessage('Location name must be between 2 and 50 characters'),
+  body('code').trim().notEmpty().withMessage('Location code is required')
+    .isLength({ max: 10 }).withMessage('Location code cannot exceed 10 characters'),
+  body('type').optional().isIn(LOCATION_TYPES).withMessage(`Type must be one of: ${LOCATION_TYPES.join(', ')}`),
+  body('address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean(),
+  handleValidationErrors
+], locationController.createLocation);
+
+/**
+ * @route   PUT /api/locations/:id
+ * @desc    Update location (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Location name cannot be empty')
+    .isLength({ min: 2, max: 50 }).withMessage('Location name must be between 2 and 50 characters'),
+  body('code').optional().trim().notEmpty().withMessage('Location code cannot be empty')
+    .isLength({ max: 10 }).withMessage('Location code cannot exceed 10 characters'),
+  body('type').optional().isIn(LOCATION_TYPES).withMessage(`Type must be one of: ${LOCATION_TYPES.join(', ')}`),
+  body('address').optional().trim().isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean(),
+  handleValidationErrors
+], locationController.updateLocation);
+
+/**
+ * @route   DELETE /api/locations/:id
+ * @desc    Delete location that never held stock (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), locationController.deleteLocation);
+
+export default router;
@@ -0,0 +1,90 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as priceListController from '../controllers/priceList.controller.js';
+import { PRICE_LIST_RULES } from '../models/PriceList.model.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/price-lists
+ * @desc    Get all price lists
+ * @access  Private
+ */
+router.get('/', priceListController.getPriceLists);
+
+/**
+ * @route   GET /api/price-lists/:id
+ * @desc    Get single price list with product overrides
+ * @access  Private
+ */
+router.get('/:id', priceListController.getPriceList);
+
+/**
+ * @route   POST /api/price-lists
+ * @desc    Create new price list (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Price list name is required')
+    .isLength({ max: 50 }).withMessage('Price list name cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('rule').optional().isIn(PRICE_LIST_RULES).withMessage('Rule must be retail, markup or discount'),
+  body('ruleValue').optional().isFloat({ min: 0 }).withMessage('Rule value cannot be negative'),
+  body('ruleValue')
+    .if(body('rule').equals('discount'))
+    .optional()
+    .isFloat({ max: 100 }).withMessage('Discount cannot exceed 100%'),
+  body('items').optional().isArray().withMessage('Product prices must be a list'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.uom').optional({ checkFalsy: true }).trim(),
+  body('items.*.price').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+  body('items.*.markupPercentage').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Markup percentage cannot be negative'),
+  body('items.*.quantityBreaks').optional().isArray().withMessage('Quantity breaks must be a list'),
+  body('items.*.quantityBreaks.*.minQuantity').isFloat({ gt: 0 }).withMessage('Minimum quantity must be greater than 0'),
+  body('items.*.quantityBreaks.*.price').isFloat({ min: 0 }).withMessage('Break price cannot be negative'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+], priceListController.createPriceList);
+
+/**
+ * @route   PUT /api/price-lists/:id
+ * @desc    Update price list (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Price list name cannot be empty')
+    .isLength({ max: 50 }).withMessage('Price list name cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('rule').optional().isIn(PRICE_LIST_RULES).withMessage('Rule must be retail, markup or discount'),
+  body('ruleValue').optional().isFloat({ min: 0 }).withMessage('Rule value cannot be negative'),
+  body('ruleValue')
+    .if(body('rule').equals('discount'))
+    .optional()
+    .isFloat({ max: 100 }).withMessage('Discount cannot exceed 100%'),
+  body('items').optional().isArray().withMessage('Product prices must be a list'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.uom').optional({ checkFalsy: true }).trim(),
+  body('items.*.price').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+  body('items.*.markupPercentage').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Markup percentage cannot be negative'),
+  body('items.*.quantityBreaks').optional().isArray().withMessage('Quantity breaks must be a list'),
+  body('items.*.quantityBreaks.*.minQuantity').isFloat({ gt: 0 }).withMessage('Minimum quantity must be greater than 0'),
+  body('items.*.quantityBreaks.*.price').isFloat({ min: 0 }).withMessage('Break price cannot be negative'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+], priceListController.updatePriceList);
+
+/**
+ * @route   DELETE /api/price-lists/:id
+ * @desc    Delete price list not assigned to customers (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), priceListController.deletePriceList);
+
+export default router;
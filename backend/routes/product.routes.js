@@ -3,6 +3,7 @@ import { body } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as productController from '../controllers/product.controller.js';
+import { BARCODE_TYPES, MAX_QUANTITY_PRECISION, TRACKING_MODES } from '../models/Product.model.js';
 
 const router = express.Router();
 
@@ -16,6 +17,25 @@ router.use(protect);
  */
 router.get('/', productController.getProducts);
 
+/**
+ * @route   GET /api/products/lookup/:code
+ * @desc    Look up a product by exact barcode or SKU
+ * @access  Private
+ */
+router.get('/lookup/:code', productController.lookupProduct);
+
+/**
+ * @route   POST /api/products/labels
+ * @desc    Generate a PDF sheet of barcode shelf/bin labels (Admin, Supplier or Staff)
+ * @access  Private/Admin/Supplier/Staff
+ */
+router.post('/labels', authorize('admin', 'supplier', 'staff'), [
+  body('items').isArray({ min: 1 }).withMessage('Select at least one product'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.copies').optional().isInt({ min: 1, max: 100 }).withMessage('Copies must be between 1 and 100'),
+  handleValidationErrors
+], productController.printLabels);
+
 /**
  * @route   GET /api/products/:id
  * @desc    Get single product
@@ -32,8 +52,17 @@ router.post('/', authorize('admin', 'supplier'), [
   body('name').trim().notEmpty().withMessage('Product name is required'),
   body('price').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('markupPercentage').optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Markup percentage must be between 0 and 100'),
-  body('stockQuantity').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('stockQuantity').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Stock quantity cannot be negative'),
+  body('quantityPrecision').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_QUANTITY_PRECISION }).withMessage(`Quantity precision must be between 0 and ${MAX_QUANTITY_PRECISION} decimal places`),
   body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+  body('barcode').optional({ checkFalsy: true }).trim().isLength({ max: 48 }).withMessage('Barcode cannot exceed 48 characters'),
+  body('barcodeType').optional({ checkFalsy: true }).isIn(BARCODE_TYPES).withMessage('Barcode type must be EAN-13, UPC-A or Code 128'),
+  body('tracking').optional({ checkFalsy: true }).isIn(TRACKING_MODES).withMessage('Tracking must be none, serial or lot'),
+  body('uoms').optional().isArray().withMessage('Units of measure must be a list'),
+  body('uoms.*.name').trim().notEmpty().withMessage('Unit name is required'),
+  body('uoms.*.factor').isFloat({ gt: 0 }).withMessage('Conversion factor must be greater than 0'),
+  body('uoms.*.price').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('uoms.*.precision').optional().isInt({ min: 0, max: MAX_QUANTITY_PRECISION }).withMessage(`Unit precision must be between 0 and ${MAX_QUANTITY_PRECISION} decimal places`),
   handleValidationErrors
 ], productController.createProduct);
 
@@ -45,8 +74,17 @@ router.post('/', authorize('admin', 'supplier'), [
 router.put('/:id', authorize('admin', 'supplier'), [
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('markupPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Markup percentage must be between 0 and 100'),
-  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  body('stockQuantity').optional().isFloat({ min: 0 }).withMessage('Stock quantity cannot be negative'),
+  body('quantityPrecision').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_QUANTITY_PRECISION }).withMessage(`Quantity precision must be between 0 and ${MAX_QUANTITY_PRECISION} decimal places`),
   body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+  body('barcode').optional({ checkFalsy: true }).trim().isLength({ max: 48 }).withMessage('Barcode cannot exceed 48 characters'),
+  body('barcodeType').optional({ checkFalsy: true }).isIn(BARCODE_TYPES).withMessage('Barcode type must be EAN-13, UPC-A or Code 128'),
+  body('tracking').optional({ checkFalsy: true }).isIn(TRACKING_MODES).withMessage('Tracking must be none, serial or lot'),
+  body('uoms').optional().isArray().withMessage('Units of measure must be a list'),
+  body('uoms.*.name').trim().notEmpty().withMessage('Unit name is required'),
+  body('uoms.*.factor').isFloat({ gt: 0 }).withMessage('Conversion factor must be greater than 0'),
+  body('uoms.*.price').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('uoms.*.precision').optional().isInt({ min: 0, max: MAX_QUANTITY_PRECISION }).withMessage(`Unit precision must be between 0 and ${MAX_QUANTITY_PRECISION} decimal places`),
   handleValidationErrors
 ], productController.updateProduct);
 
@@ -0,0 +1,93 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as promotionController from '../controllers/promotion.controller.js';
+import { PROMOTION_TYPES, PROMOTION_SCOPES } from '../models/Promotion.model.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/promotions
+ * @desc    Get all promotions, optionally by status (running, scheduled, expired, inactive)
+ * @access  Private
+ */
+router.get('/', promotionController.getPromotions);
+
+/**
+ * @route   GET /api/promotions/active
+ * @desc    Get promotions running now
+ * @access  Private
+ */
+router.get('/active', promotionController.getRunningPromotions);
+
+/**
+ * @route   GET /api/promotions/:id
+ * @desc    Get single promotion
+ * @access  Private
+ */
+router.get('/:id', promotionController.getPromotion);
+
+/**
+ * @route   POST /api/promotions
+ * @desc    Create new promotion (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Promotion name is required')
+    .isLength({ max: 100 }).withMessage('Promotion name cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('type').isIn(PROMOTION_TYPES).withMessage('Type must be percentage, fixed_price or buy_x_get_y'),
+  body('value').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Promotion value cannot be negative').toFloat(),
+  body('buyQuantity').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1').toInt(),
+  body('getQuantity').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Free quantity must be at least 1').toInt(),
+  body('scope').isIn(PROMOTION_SCOPES).withMessage('Scope must be product, category, subcategory or supplier'),
+  body('products').optional().isArray().withMessage('Products must be a list'),
+  body('products.*').isMongoId().withMessage('Valid product ID is required'),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+  body('subCategories').optional().isArray().withMessage('Subcategories must be a list'),
+  body('suppliers').optional().isArray().withMessage('Suppliers must be a list'),
+  body('suppliers.*').isMongoId().withMessage('Valid supplier ID is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+], promotionController.createPromotion);
+
+/**
+ * @route   PUT /api/promotions/:id
+ * @desc    Update promotion (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Promotion name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Promotion name cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('type').optional().isIn(PROMOTION_TYPES).withMessage('Type must be percentage, fixed_price or buy_x_get_y'),
+  body('value').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Promotion value cannot be negative').toFloat(),
+  body('buyQuantity').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1').toInt(),
+  body('getQuantity').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Free quantity must be at least 1').toInt(),
+  body('scope').optional().isIn(PROMOTION_SCOPES).withMessage('Scope must be product, category, subcategory or supplier'),
+  body('products').optional().isArray().withMessage('Products must be a list'),
+  body('products.*').isMongoId().withMessage('Valid product ID is required'),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+  body('subCategories').optional().isArray().withMessage('Subcategories must be a list'),
+  body('suppliers').optional().isArray().withMessage('Suppliers must be a list'),
+  body('suppliers.*').isMongoId().withMessage('Valid supplier ID is required'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+], promotionController.updatePromotion);
+
+/**
+ * @route   DELETE /api/promotions/:id
+ * @desc    Delete promotion never applied to a sale (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), promotionController.deletePromotion);
+
+export default router;
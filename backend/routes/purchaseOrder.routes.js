@@ -0,0 +1,139 @@
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as purchaseOrderController from '../controllers/purchaseOrder.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+/**
+ * @route   GET /api/purchase-orders
+ * @desc    Get all purchase orders, optionally by status or supplier
+ * @access  Private/Admin
+ */
+router.get('/', purchaseOrderController.getPurchaseOrders);
+
+const reorderQueryValidators = [
+  query('lookbackDays').optional({ checkFalsy: true }).isInt({ min: 7, max: 365 }).withMessage('Look-back must be between 7 and 365 days'),
+  query('safetyStockFactor').optional({ checkFalsy: true }).isFloat({ min: 0, max: 5 }).withMessage('Safety stock factor must be between 0 and 5'),
+  query('coverDays').optional({ checkFalsy: true }).isInt({ min: 1, max: 365 }).withMessage('Cover must be between 1 and 365 days')
+];
+
+/**
+ * @route   GET /api/purchase-orders/reorder-suggestions
+ * @desc    Get products due for reordering grouped by supplier, optionally for one supplier
+ * @access  Private/Admin
+ */
+router.get('/reorder-suggestions', [
+  ...reorderQueryValidators,
+  query('supplier').optional({ checkFalsy: true }).isMongoId().withMessage('Valid supplier ID is required'),
+  handleValidationErrors
+], purchaseOrderController.getReorderSuggestions);
+
+/**
+ * @route   GET /api/purchase-orders/reorder-suggestions/:supplierId/pdf
+ * @desc    Export a supplier's suggested reorder list as an order sheet PDF
+ * @access  Private/Admin
+ */
+router.get('/reorder-suggestions/:supplierId/pdf', [
+  ...reorderQueryValidators,
+  param('supplierId').isMongoId().withMessage('Valid supplier ID is required'),
+  handleValidationErrors
+], purchaseOrderController.exportReorderSheetPDF);
+
+/**
+ * @route   GET /api/purchase-orders/:id
+ * @desc    Get single purchase order with its deliveries
+ * @access  Private/Admin
+ */
+router.get('/:id', purchaseOrderController.getPurchaseOrder);
+
+/**
+ * @route   GET /api/purchase-orders/:id/pdf
+ * @desc    Export purchase order as PDF
+ * @access  Private/Admin
+ */
+router.get('/:id/pdf', purchaseOrderController.exportPurchaseOrderPDF);
+
+/**
+ * @route   POST /api/purchase-orders
+ * @desc    Create purchase order as a draft
+ * @access  Private/Admin
+ */
+router.post('/', [
+  body('supplier').isMongoId().withMessage('Valid supplier ID is required'),
+  body('lines').isArray({ min: 1 }).withMessage('Add at least one line'),
+  body('lines.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('lines.*.uom').optional({ checkFalsy: true }).trim(),
+  body('lines.*.orderedQuantity').isFloat({ gt: 0 }).withMessage('Ordered quantity must be greater than 0').toFloat(),
+  body('lines.*.unitCost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Unit cost cannot be negative'),
+  body('expectedDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expected date is required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], purchaseOrderController.createPurchaseOrder);
+
+/**
+ * @route   PUT /api/purchase-orders/:id
+ * @desc    Update purchase order (lines only while a draft)
+ * @access  Private/Admin
+ */
+router.put('/:id', [
+  body('lines').optional().isArray({ min: 1 }).withMessage('Add at least one line'),
+  body('lines.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('lines.*.uom').optional({ checkFalsy: true }).trim(),
+  body('lines.*.orderedQuantity').isFloat({ gt: 0 }).withMessage('Ordered quantity must be greater than 0').toFloat(),
+  body('lines.*.unitCost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Unit cost cannot be negative'),
+  body('expectedDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expected date is required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * @route   POST /api/purchase-orders/:id/send
+ * @desc    Mark a draft purchase order as sent
+ * @access  Private/Admin
+ */
+router.post('/:id/send', purchaseOrderController.sendPurchaseOrder);
+
+/**
+ * @route   POST /api/purchase-orders/:id/receive
+ * @desc    Receive a delivery against a purchase order
+ * @access  Private/Admin
+ */
+router.post('/:id/receive', [
+  body('dateDelivered').notEmpty().withMessage('Date delivered is required'),
+  body('lines').optional().isArray().withMessage('Lines must be a list'),
+  body('lines.*.lineId').isMongoId().withMessage('Valid line ID is required'),
+  body('lines.*.quantity').isFloat({ min: 0 }).withMessage('Received quantity cannot be negative').toFloat(),
+  body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('lines.*.serialNumbers.*').trim().isLength({ min: 1, max: 50 }).withMessage('Serial numbers must be 1 to 50 characters'),
+  body('lines.*.lotNumber').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Lot number cannot exceed 50 characters'),
+  body('lines.*.expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expiry date is required'),
+  body('closeShort').optional().isBoolean().withMessage('closeShort must be true or false'),
+  body('freight').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Freight cannot be negative').toFloat(),
+  body('otherCharges').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Other charges cannot be negative').toFloat(),
+  body('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], purchaseOrderController.receivePurchaseOrder);
+
+/**
+ * @route   POST /api/purchase-orders/:id/cancel
+ * @desc    Cancel a draft or sent purchase order
+ * @access  Private/Admin
+ */
+router.post('/:id/cancel', purchaseOrderController.cancelPurchaseOrder);
+
+/**
+ * @route   DELETE /api/purchase-orders/:id
+ * @desc    Delete a draft purchase order
+ * @access  Private/Admin
+ */
+router.delete('/:id', purchaseOrderController.deletePurchaseOrder);
+
+export default router;
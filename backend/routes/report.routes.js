@@ -1,5 +1,7 @@
 import express from 'express';
+import { query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as reportController from '../controllers/report.controller.js';
 
 const router = express.Router();
@@ -8,33 +10,79 @@ const router = express.Router();
 router.use(protect);
 router.use(authorize('admin'));
 
+// Sales, stock and trend reports can be narrowed to one location
+const locationQuery = [
+  query('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+];
+
 /**
  * @route   GET /api/reports/sales
- * @desc    Get sales report
+ * @desc    Get sales report, optionally for one location
  * @access  Private/Admin
  */
-router.get('/sales', reportController.getSalesReport);
+router.get('/sales', locationQuery, reportController.getSalesReport);
 
 /**
  * @route   GET /api/reports/inventory
- * @desc    Get inventory report
+ * @desc    Get inventory report, optionally for one location
+ * @access  Private/Admin
+ */
+router.get('/inventory', locationQuery, reportController.getInventoryReport);
+
+/**
+ * @route   GET /api/reports/stock-analysis
+ * @desc    Get dead stock, slow movers and ABC/XYZ classes with days on hand and turnover
  * @access  Private/Admin
  */
-router.get('/inventory', reportController.getInventoryReport);
+router.get('/stock-analysis', [
+  query('days').optional({ checkFalsy: true }).isInt({ min: 28, max: 730 }).withMessage('Period must be between 28 and 730 days'),
+  query('deadDays').optional({ checkFalsy: true }).isInt({ min: 1, max: 730 }).withMessage('Dead stock threshold must be between 1 and 730 days'),
+  query('slowDays').optional({ checkFalsy: true }).isInt({ min: 1, max: 730 }).withMessage('Slow mover threshold must be between 1 and 730 days'),
+  ...locationQuery
+], reportController.getStockAnalysis);
 
 /**
  * @route   GET /api/reports/top-products
  * @desc    Get top selling products
  * @access  Private/Admin
  */
-router.get('/top-products', reportController.getTopProducts);
+router.get('/top-products', locationQuery, reportController.getTopProducts);
+
+/**
+ * @route   GET /api/reports/promotions
+ * @desc    Get promotion uptake and margin impact
+ * @access  Private/Admin
+ */
+router.get('/promotions', reportController.getPromotionReport);
 
 /**
  * @route   GET /api/reports/revenue-trends
  * @desc    Get revenue trends
  * @access  Private/Admin
  */
-router.get('/revenue-trends', reportController.getRevenueTrends);
+router.get('/revenue-trends', locationQuery, reportController.getRevenueTrends);
+
+/**
+ * @route   GET /api/reports/demand-forecast
+ * @desc    Forecast weekly unit demand for a product or category
+ * @access  Private/Admin
+ */
+router.get('/demand-forecast', [
+  query('product').optional({ checkFalsy: true }).isMongoId().withMessage('Valid product ID is required'),
+  query('category').optional({ checkFalsy: true }).trim(),
+  query('weeks').optional({ checkFalsy: true }).isInt({ min: 1, max: 26 }).withMessage('Forecast must be between 1 and 26 weeks'),
+  query('historyWeeks').optional({ checkFalsy: true }).isInt({ min: 8, max: 156 }).withMessage('History must be between 8 and 156 weeks'),
+  query('window').optional({ checkFalsy: true }).isInt({ min: 1, max: 26 }).withMessage('Moving average window must be between 1 and 26 weeks'),
+  ...locationQuery
+], reportController.getDemandForecast);
+
+/**
+ * @route   GET /api/reports/receivables-aging
+ * @desc    Get accounts receivable aging by customer
+ * @access  Private/Admin
+ */
+router.get('/receivables-aging', reportController.getReceivablesAging);
 
 export default router;
 
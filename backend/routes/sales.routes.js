@@ -3,6 +3,9 @@ import { body } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as salesController from '../controllers/sales.controller.js';
+import * as returnController from '../controllers/return.controller.js';
+import { DISCOUNT_REASON_CODES, PAYMENT_METHODS } from '../models/Sale.model.js';
+import { RETURN_DISPOSITIONS } from '../models/Return.model.js';
 
 const router = express.Router();
 
@@ -22,6 +25,8 @@ router.get('/', salesController.getSales);
  * @access  Private/Supplier/Staff
  */
 router.post('/', authorize('supplier', 'staff', 'admin'), [
+  body('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer'),
+  body('saveCustomer').optional().isBoolean().withMessage('Save customer must be true or false'),
   body('customerName').optional().trim(),
   body('customerEmail').optional().isEmail().withMessage('Please provide a valid email'),
   body('customerPhone')
@@ -31,13 +36,93 @@ router.post('/', authorize('supplier', 'staff', 'admin'), [
     .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('paymentMethod').isIn(['cash', 'card', 'mobile_payment', 'other']).withMessage('Invalid payment method'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.uom').optional({ checkFalsy: true }).trim(),
+  body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('payments').optional().isArray({ min: 1 }).withMessage('At least one payment is required'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('payments.*.reference').optional().trim(),
+  body('paymentMethod')
+    .if(body('payments').not().exists())
+    .isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('items.*.discount.type').optional().isIn(['fixed', 'percentage']).withMessage('Discount type must be fixed or percentage'),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('items.*.discount.reasonCode').optional().isIn(DISCOUNT_REASON_CODES).withMessage('Invalid discount reason'),
+  body('saleDiscount.type').optional().isIn(['fixed', 'percentage']).withMessage('Discount type must be fixed or percentage'),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.reasonCode').optional().isIn(DISCOUNT_REASON_CODES).withMessage('Invalid discount reason'),
+  body('zeroRated').optional().isBoolean().withMessage('Zero-rated must be true or false'),
+  body('zeroRatedReason')
+    .if(body('zeroRated').equals('true'))
+    .isIn(['peza', 'diplomatic']).withMessage('Zero-rated sales must be PEZA or diplomatic'),
+  body('heldSaleId').optional().isMongoId().withMessage('Invalid parked sale'),
+  body('priceList').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid price list'),
   body('discount').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
   body('tax').optional().isFloat({ min: 0 }).withMessage('Tax cannot be negative'),
   handleValidationErrors
 ], salesController.createSale);
 
+/**
+ * @route   POST /api/sales/quote
+ * @desc    Line prices, promotions, discounts and VAT breakdown of a cart, for the POS totals
+ * @access  Private
+ */
+router.post('/quote', [
+  body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+  body('lines.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('lines.*.quantity').isFloat({ min: 0 }).withMessage('Quantity cannot be negative').toFloat(),
+  body('lines.*.uom').optional({ checkFalsy: true }).trim(),
+  body('lines.*.discount.type').optional().isIn(['fixed', 'percentage']).withMessage('Discount type must be fixed or percentage'),
+  body('lines.*.discount.value').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.type').optional().isIn(['fixed', 'percentage']).withMessage('Discount type must be fixed or percentage'),
+  body('saleDiscount.value').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('zeroRated').optional().isBoolean().withMessage('Zero-rated must be true or false'),
+  body('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer'),
+  body('priceList').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid price list'),
+  handleValidationErrors
+], salesController.quoteSale);
+
+/**
+ * @route   GET /api/sales/held
+ * @desc    Get parked (held) sales
+ * @access  Private
+ */
+router.get('/held', salesController.getHeldSales);
+
+/**
+ * @route   POST /api/sales/held
+ * @desc    Park a cart as a held sale (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/held', authorize('supplier', 'staff', 'admin'), [
+  body('label').optional().trim().isLength({ max: 50 }).withMessage('Label cannot exceed 50 characters'),
+  body('customer').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid customer'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.uom').optional({ checkFalsy: true }).trim(),
+  body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('items.*.discount.type').optional().isIn(['fixed', 'percentage']).withMessage('Discount type must be fixed or percentage'),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('items.*.discount.reasonCode').optional().isIn(DISCOUNT_REASON_CODES).withMessage('Invalid discount reason'),
+  body('saleDiscount.type').optional().isIn(['fixed', 'percentage']).withMessage('Discount type must be fixed or percentage'),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.reasonCode').optional().isIn(DISCOUNT_REASON_CODES).withMessage('Invalid discount reason'),
+  body('reserveStock').optional().isBoolean().withMessage('Reserve stock must be true or false'),
+  body('reserveMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Reservation must be between 1 and 1440 minutes'),
+  body('heldSaleId').optional().isMongoId().withMessage('Invalid parked sale'),
+  body('priceList').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid price list'),
+  handleValidationErrors
+], salesController.holdSale);
+
+/**
+ * @route   DELETE /api/sales/held/:id
+ * @desc    Discard a parked sale (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.delete('/held/:id', authorize('supplier', 'staff', 'admin'), salesController.deleteHeldSale);
+
 /**
  * @route   PATCH /api/sales/:id/void
  * @desc    Void a sale (Admin/Staff)
@@ -51,6 +136,34 @@ router.patch('/:id/void', authorize('admin', 'staff'), [
   handleValidationErrors
 ], salesController.voidSale);
 
+/**
+ * @route   GET /api/sales/:id/returns
+ * @desc    Get returns (credit memos) for a sale
+ * @access  Private
+ */
+router.get('/:id/returns', returnController.getSaleReturns);
+
+/**
+ * @route   POST /api/sales/:id/returns
+ * @desc    Return items from a sale and issue a credit memo (Admin/Staff)
+ * @access  Private/Admin/Staff
+ */
+router.post('/:id/returns', authorize('admin', 'staff'), [
+  body('items').isArray({ min: 1 }).withMessage('At least one item to return is required'),
+  body('items.*.lineIndex').isInt({ min: 0 }).withMessage('Valid sale line is required').toInt(),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('items.*.disposition').isIn(RETURN_DISPOSITIONS).withMessage('Returned items must be restocked or written off'),
+  body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('refundMethod').isIn(PAYMENT_METHODS).withMessage('Invalid refund method'),
+  body('refundReference').optional().trim(),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  body('superAdminCode')
+    .trim()
+    .notEmpty()
+    .withMessage('SuperAdmin code is required'),
+  handleValidationErrors
+], returnController.createReturn);
+
 /**
  * @route   GET /api/sales/:id
  * @desc    Get single sale
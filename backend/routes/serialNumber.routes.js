@@ -0,0 +1,35 @@
+import express from 'express';
+import { query, param } from 'express-validator';
+import { protect } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as serialNumberController from '../controllers/serialNumber.controller.js';
+import { SERIAL_STATUSES } from '../models/SerialNumber.model.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/serial-numbers
+ * @desc    Get serial numbers, optionally by product, status, location or a partial serial
+ * @access  Private
+ */
+router.get('/', [
+  query('product').optional({ checkFalsy: true }).isMongoId().withMessage('Valid product ID is required'),
+  query('status').optional({ checkFalsy: true }).isIn(SERIAL_STATUSES).withMessage('Invalid serial number status'),
+  query('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  handleValidationErrors
+], serialNumberController.getSerialNumbers);
+
+/**
+ * @route   GET /api/serial-numbers/lookup/:serialNumber
+ * @desc    Look up a serial number's receipt, sale and customer
+ * @access  Private
+ */
+router.get('/lookup/:serialNumber', [
+  param('serialNumber').trim().isLength({ min: 1, max: 50 }).withMessage('Serial numbers must be 1 to 50 characters'),
+  handleValidationErrors
+], serialNumberController.lookupSerialNumber);
+
+export default router;
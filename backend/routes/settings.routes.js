@@ -3,6 +3,7 @@ import { body } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as settingsController from '../controllers/settings.controller.js';
+import { COSTING_METHODS } from '../models/Settings.model.js';
 
 const router = express.Router();
 
@@ -59,6 +60,123 @@ router.post('/password-format', authorize('admin'), [
   handleValidationErrors
 ], settingsController.setPasswordFormat);
 
+/**
+ * @route   GET /api/settings/discount-threshold
+ * @desc    Get discount approval threshold (used by the POS)
+ * @access  Private
+ */
+router.get('/discount-threshold', settingsController.getDiscountThreshold);
+
+/**
+ * @route   POST /api/settings/discount-threshold
+ * @desc    Set discount approval threshold
+ * @access  Private/Admin
+ */
+router.post('/discount-threshold', authorize('admin'), [
+  body('threshold')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount approval threshold must be between 0 and 100'),
+  handleValidationErrors
+], settingsController.setDiscountThreshold);
+
+/**
+ * @route   GET /api/settings/tax
+ * @desc    Get VAT rate, pricing mode and VAT-exempt categories (used by the POS)
+ * @access  Private
+ */
+router.get('/tax', settingsController.getTaxSettings);
+
+/**
+ * @route   POST /api/settings/tax
+ * @desc    Update VAT rate and pricing mode
+ * @access  Private/Admin
+ */
+router.post('/tax', authorize('admin'), [
+  body('vatRate').optional().isFloat({ min: 0, max: 100 }).withMessage('VAT rate must be between 0 and 100'),
+  body('pricesIncludeVat').optional().isBoolean().withMessage('Prices include VAT must be true or false'),
+  handleValidationErrors
+], settingsController.setTaxSettings);
+
+/**
+ * @route   GET /api/settings/costing
+ * @desc    Get inventory costing method
+ * @access  Private/Admin
+ */
+router.get('/costing', authorize('admin'), settingsController.getCostingSettings);
+
+/**
+ * @route   POST /api/settings/costing
+ * @desc    Set inventory costing method (FIFO or moving weighted average)
+ * @access  Private/Admin
+ */
+router.post('/costing', authorize('admin'), [
+  body('costingMethod')
+    .isIn(COSTING_METHODS)
+    .withMessage(`Costing method must be one of: ${COSTING_METHODS.join(', ')}`),
+  handleValidationErrors
+], settingsController.setCostingSettings);
+
+/**
+ * @route   GET /api/settings/adjustment-approval
+ * @desc    Get whether staff stock adjustments need admin approval
+ * @access  Private
+ */
+router.get('/adjustment-approval', settingsController.getAdjustmentApproval);
+
+/**
+ * @route   POST /api/settings/adjustment-approval
+ * @desc    Set whether staff stock adjustments need admin approval
+ * @access  Private/Admin
+ */
+router.post('/adjustment-approval', authorize('admin'), [
+  body('requireApproval').isBoolean().withMessage('Require approval must be true or false'),
+  handleValidationErrors
+], settingsController.setAdjustmentApproval);
+
+/**
+ * @route   GET /api/settings/expiry-warning
+ * @desc    Get how many days ahead stock counts as near expiry
+ * @access  Private
+ */
+router.get('/expiry-warning', settingsController.getExpiryWarning);
+
+/**
+ * @route   POST /api/settings/expiry-warning
+ * @desc    Set how many days ahead stock counts as near expiry
+ * @access  Private/Admin
+ */
+router.post('/expiry-warning', authorize('admin'), [
+  body('days')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry warning window must be between 1 and 365 days'),
+  handleValidationErrors
+], settingsController.setExpiryWarning);
+
+/**
+ * @route   GET /api/settings/reorder
+ * @desc    Get the sales look-back window, safety-stock factor and cover days used for reorder points
+ * @access  Private
+ */
+router.get('/reorder', settingsController.getReorderSettings);
+
+/**
+ * @route   POST /api/settings/reorder
+ * @desc    Set the reorder point settings
+ * @access  Private/Admin
+ */
+router.post('/reorder', authorize('admin'), [
+  body('lookbackDays')
+    .isInt({ min: 7, max: 365 })
+    .withMessage('Look-back window must be between 7 and 365 days'),
+  body('safetyStockFactor')
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Safety stock factor must be between 0 and 5'),
+  body('coverDays')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Cover must be between 1 and 365 days'),
+  handleValidationErrors
+], settingsController.setReorderSettings);
+
 /**
  * @route   DELETE /api/settings/superadmin-code
  * @desc    Reset SuperAdmin code (requires admin password)
@@ -0,0 +1,82 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as shiftController from '../controllers/shift.controller.js';
+import { CASH_MOVEMENT_TYPES } from '../models/Shift.model.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/shifts
+ * @desc    Get shifts (own shifts, or all shifts for admins)
+ * @access  Private
+ */
+router.get('/', shiftController.getShifts);
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Get the current user's open shift with a live X-reading
+ * @access  Private
+ */
+router.get('/current', shiftController.getCurrentShift);
+
+/**
+ * @route   POST /api/shifts/open
+ * @desc    Open a shift with an opening float (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/open', authorize('supplier', 'staff', 'admin'), [
+  body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float cannot be negative'),
+  handleValidationErrors
+], shiftController.openShift);
+
+/**
+ * @route   GET /api/shifts/:id
+ * @desc    Get single shift
+ * @access  Private
+ */
+router.get('/:id', shiftController.getShift);
+
+/**
+ * @route   GET /api/shifts/:id/reading
+ * @desc    Get the X-reading (open shift) or Z-reading (closed shift)
+ * @access  Private
+ */
+router.get('/:id/reading', shiftController.getShiftReading);
+
+/**
+ * @route   GET /api/shifts/:id/pdf
+ * @desc    Export the X/Z-reading as PDF
+ * @access  Private
+ */
+router.get('/:id/pdf', shiftController.exportShiftPDF);
+
+/**
+ * @route   POST /api/shifts/:id/cash-movements
+ * @desc    Record cash in / cash out (petty cash) (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/cash-movements', authorize('supplier', 'staff', 'admin'), [
+  body('type').isIn(CASH_MOVEMENT_TYPES).withMessage('Type must be cash in or cash out'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  handleValidationErrors
+], shiftController.addCashMovement);
+
+/**
+ * @route   POST /api/shifts/:id/close
+ * @desc    Close a shift with the counted cash and produce the Z-reading (Supplier/Staff)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/close', authorize('supplier', 'staff', 'admin'), [
+  body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash cannot be negative'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], shiftController.closeShift);
+
+export default router;
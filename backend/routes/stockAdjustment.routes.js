@@ -0,0 +1,56 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { ADJUSTMENT_REASONS } from '../models/StockAdjustment.model.js';
+import * as stockAdjustmentController from '../controllers/stockAdjustment.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/stock-adjustments
+ * @desc    Get stock adjustments, optionally by status, reason or product
+ * @access  Private
+ */
+router.get('/', stockAdjustmentController.getStockAdjustments);
+
+/**
+ * @route   POST /api/stock-adjustments
+ * @desc    Record a stock adjustment (damage, theft, expiry, found stock, internal use)
+ * @access  Private
+ */
+router.post('/', [
+  body('product').isMongoId().withMessage('Valid product ID is required'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('uom').optional({ checkFalsy: true }).trim(),
+  body('reason')
+    .isIn(ADJUSTMENT_REASONS.filter(reason => reason !== 'count_variance'))
+    .withMessage('Reason must be damage, theft, expiry, found or internal_use'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('location').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid location'),
+  body('serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('serialNumbers.*').trim().isLength({ min: 1, max: 50 }).withMessage('Serial numbers must be 1 to 50 characters'),
+  handleValidationErrors
+], stockAdjustmentController.createStockAdjustment);
+
+/**
+ * @route   POST /api/stock-adjustments/:id/approve
+ * @desc    Approve and post a pending adjustment
+ * @access  Private/Admin
+ */
+router.post('/:id/approve', authorize('admin'), stockAdjustmentController.approveStockAdjustment);
+
+/**
+ * @route   POST /api/stock-adjustments/:id/reject
+ * @desc    Reject a pending adjustment
+ * @access  Private/Admin
+ */
+router.post('/:id/reject', authorize('admin'), [
+  body('rejectionReason').optional().trim().isLength({ max: 200 }).withMessage('Rejection reason cannot exceed 200 characters'),
+  handleValidationErrors
+], stockAdjustmentController.rejectStockAdjustment);
+
+export default router;
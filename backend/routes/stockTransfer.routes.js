@@ -0,0 +1,61 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import * as stockTransferController from '../controllers/stockTransfer.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/stock-transfers
+ * @desc    Get stock transfers, optionally by status or location (sent or received)
+ * @access  Private
+ */
+router.get('/', stockTransferController.getStockTransfers);
+
+/**
+ * @route   GET /api/stock-transfers/:id
+ * @desc    Get single stock transfer
+ * @access  Private
+ */
+router.get('/:id', stockTransferController.getStockTransfer);
+
+/**
+ * @route   POST /api/stock-transfers
+ * @desc    Dispatch stock to another location; it stays in transit until received
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('fromLocation').isMongoId().withMessage('Valid source location is required'),
+  body('toLocation').isMongoId().withMessage('Valid destination location is required'),
+  body('lines').isArray({ min: 1 }).withMessage('Add at least one line'),
+  body('lines.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('lines.*.uom').optional({ checkFalsy: true }).trim(),
+  body('lines.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0').toFloat(),
+  body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  body('lines.*.serialNumbers.*').trim().isLength({ min: 1, max: 50 }).withMessage('Serial numbers must be 1 to 50 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], stockTransferController.createStockTransfer);
+
+/**
+ * @route   POST /api/stock-transfers/:id/receive
+ * @desc    Receive an in-transit transfer at its destination
+ * @access  Private
+ */
+router.post('/:id/receive', stockTransferController.receiveStockTransfer);
+
+/**
+ * @route   POST /api/stock-transfers/:id/cancel
+ * @desc    Cancel an in-transit transfer and return the stock to its source
+ * @access  Private/Admin
+ */
+router.post('/:id/cancel', authorize('admin'), [
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  handleValidationErrors
+], stockTransferController.cancelStockTransfer);
+
+export default router;
@@ -42,6 +42,7 @@ router.post('/', authorize('admin'), [
   body('address.province').trim().notEmpty().withMessage('Province is required'),
   body('address.zipcode').trim().notEmpty().withMessage('Zipcode is required'),
   body('productSupplied').trim().notEmpty().withMessage('Product supplied is required'),
+  body('leadTimeDays').optional({ checkFalsy: true }).isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days').toInt(),
   handleValidationErrors
 ], supplierController.createSupplier);
 
@@ -64,6 +65,7 @@ router.put('/:id', authorize('admin'), [
   body('address.province').optional().trim().notEmpty().withMessage('Province cannot be empty'),
   body('address.zipcode').optional().trim().notEmpty().withMessage('Zipcode cannot be empty'),
   body('productSupplied').optional().trim().notEmpty().withMessage('Product supplied cannot be empty'),
+  body('leadTimeDays').optional({ checkFalsy: true }).isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days').toInt(),
   handleValidationErrors
 ], supplierController.updateSupplier);
 
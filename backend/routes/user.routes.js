@@ -37,6 +37,7 @@ router.post('/', authorize('admin'), [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
     .withMessage('Password must contain uppercase, lowercase, number, and special character'),
   body('role').isIn(['admin', 'staff']).withMessage('Invalid role'),
+  body('location').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid location'),
   handleValidationErrors
 ], userController.createUser);
 
@@ -57,6 +58,7 @@ router.put('/:id', authorize('admin'), [
     .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
   body('role').optional().isIn(['admin', 'staff']).withMessage('Invalid role'),
   body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+  body('location').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid location'),
   handleValidationErrors
 ], userController.updateUser);
 
@@ -15,6 +15,16 @@ import salesRoutes from './routes/sales.routes.js';
 import inventoryRoutes from './routes/inventory.routes.js';
 import reportRoutes from './routes/report.routes.js';
 import settingsRoutes from './routes/settings.routes.js';
+import customerRoutes from './routes/customer.routes.js';
+import shiftRoutes from './routes/shift.routes.js';
+import priceListRoutes from './routes/priceList.routes.js';
+import promotionRoutes from './routes/promotion.routes.js';
+import purchaseOrderRoutes from './routes/purchaseOrder.routes.js';
+import stockAdjustmentRoutes from './routes/stockAdjustment.routes.js';
+import cycleCountRoutes from './routes/cycleCount.routes.js';
+import locationRoutes from './routes/location.routes.js';
+import stockTransferRoutes from './routes/stockTransfer.routes.js';
+import serialNumberRoutes from './routes/serialNumber.routes.js';
 
 dotenv.config();
 
@@ -53,6 +63,16 @@ app.use('/api/sales', salesRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stock-adjustments', stockAdjustmentRoutes);
+app.use('/api/cycle-counts', cycleCountRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/serial-numbers', serialNumberRoutes);
 
 // Health check - optimized for Render keep-alive (no DB query)
 app.get('/api/health', (req, res) => {
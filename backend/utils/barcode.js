@@ -0,0 +1,122 @@
+/**
+ * Barcode validation and encoding for EAN-13, UPC-A and Code 128
+ * Encoders return a module string ('1' = bar, '0' = space) that the label
+ * PDF draws as filled rectangles
+ */
+
+// EAN/UPC digit patterns: L (odd parity), G (even parity) and R (right half)
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// The first EAN-13 digit is not drawn; it selects the L/G parity of the left half
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 symbol widths (bar, space, bar, ...) for values 0-106
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Code 128 set B covers printable ASCII; labels keep codes short enough to scan
+const CODE128_PATTERN = /^[\x20-\x7E]{1,48}$/;
+
+/**
+ * Calculate the GTIN (EAN/UPC) check digit for the digits before it
+ * @param {string} digits - Barcode digits without the check digit
+ * @returns {number} Check digit
+ */
+export const calculateCheckDigit = (digits) => {
+  // Weights alternate 3, 1, 3, ... starting from the rightmost digit
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+const hasValidCheckDigit = (code) =>
+  calculateCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+/**
+ * Check that a barcode is well-formed for its symbology
+ * @param {string} code - Barcode value
+ * @param {string} type - 'ean13', 'upca' or 'code128'
+ * @returns {boolean}
+ */
+export const isValidBarcode = (code, type) => {
+  if (!code) return false;
+  switch (type) {
+    case 'ean13':
+      return /^\d{13}$/.test(code) && hasValidCheckDigit(code);
+    case 'upca':
+      return /^\d{12}$/.test(code) && hasValidCheckDigit(code);
+    case 'code128':
+      return CODE128_PATTERN.test(code);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Work out the symbology of a scanned or typed barcode
+ * Numeric codes with a valid check digit are EAN-13/UPC-A; anything else is Code 128
+ * @param {string} code - Barcode value
+ * @returns {string} 'ean13', 'upca' or 'code128'
+ */
+export const detectBarcodeType = (code) => {
+  if (isValidBarcode(code, 'ean13')) return 'ean13';
+  if (isValidBarcode(code, 'upca')) return 'upca';
+  return 'code128';
+};
+
+const encodeEan13 = (code) => {
+  const parity = EAN_PARITY[Number(code[0])];
+  let modules = '101';
+  for (let i = 1; i <= 6; i++) {
+    const digit = Number(code[i]);
+    modules += parity[i - 1] === 'L' ? EAN_L[digit] : EAN_G[digit];
+  }
+  modules += '01010';
+  for (let i = 7; i <= 12; i++) {
+    modules += EAN_R[Number(code[i])];
+  }
+  return modules + '101';
+};
+
+const encodeCode128 = (code) => {
+  const values = code.split('').map(char => char.charCodeAt(0) - 32);
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+  const symbols = [CODE128_START_B, ...values, checksum, CODE128_STOP];
+
+  return symbols
+    .map(symbol => CODE128_WIDTHS[symbol]
+      .split('')
+      .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+      .join(''))
+    .join('');
+};
+
+/**
+ * Encode a barcode into its bar/space modules
+ * UPC-A is drawn as an EAN-13 with a leading zero, which is how scanners read it
+ * @param {string} code - Barcode value (must be valid for the type)
+ * @param {string} type - 'ean13', 'upca' or 'code128'
+ * @returns {string} Module string of '1' (bar) and '0' (space)
+ */
+export const encodeBarcode = (code, type) => {
+  if (type === 'ean13') return encodeEan13(code);
+  if (type === 'upca') return encodeEan13(`0${code}`);
+  return encodeCode128(code);
+};
@@ -0,0 +1,25 @@
+/**
+ * Round a currency value to centavos
+ * @param {number} value - Amount to round
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+export const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calculate the peso amount of a discount
+ * @param {Object} discount - Discount definition ({ type: 'fixed' | 'percentage', value })
+ * @param {number} baseAmount - Amount the discount applies to
+ * @returns {number} Discount amount, never more than the base amount
+ */
+export const calculateDiscountAmount = (discount, baseAmount) => {
+  if (!discount || !discount.value || baseAmount <= 0) {
+    return 0;
+  }
+
+  const value = parseFloat(discount.value) || 0;
+  const amount = discount.type === 'percentage'
+    ? baseAmount * (value / 100)
+    : value;
+
+  return roundCurrency(Math.min(Math.max(amount, 0), baseAmount));
+};
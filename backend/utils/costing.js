@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+import StockHistory from '../models/StockHistory.model.js';
+import { roundCurrency } from './calculateDiscount.js';
+import { roundQuantity, QUANTITY_DECIMALS } from './unitOfMeasure.js';
+import { getUnitCost } from './landedCost.js';
+import { getLocationQuantity, locationStockUpdate } from './locations.js';
+
+/**
+ * Cost layers of a product with stock left, in the order stock leaves them
+ * Layers are consumed oldest first; lots, and deliveries of any product received with an expiry date,
+ * earliest expiry first (FEFO). With a location only the layers' stock at that location counts.
+ * @param {Object} product - Product document
+ * @param {string|ObjectId} [location] - Location the stock is taken from
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Array<{ layer: Object, quantity: number }>>} Layers and the base units each holds
+ */
+const findCostLayers = async (product, location, session) => {
+  const filter = { product: product._id, remainingQuantity: { $gt: 0 } };
+  if (location) {
+    filter.locationRemaining = { $elemMatch: { location, quantity: { $gt: 0 } } };
+  }
+  const layers = await StockHistory.find(filter)
+    .sort({ dateDelivered: 1, createdAt: 1 })
+    .session(session);
+
+  // Lots without an expiry date go after every lot that has one
+  const isDated = product.tracking === 'lot' || layers.some(layer => layer.expiryDate);
+  if (isDated) {
+    const expiresAt = layer => layer.expiryDate?.getTime() ?? Infinity;
+    layers.sort((a, b) => expiresAt(a) - expiresAt(b));
+  }
+
+  return layers.map(layer => ({
+    layer,
+    quantity: location ? getLocationQuantity(layer, location, 'locationRemaining') : layer.remainingQuantity
+  }));
+};
+
+/**
+ * Work out which layers stock taken out comes from
+ * Stock with no layer (counted in before deliveries were costed, or returned on sales that recorded no lots) is taken first.
+ * @param {Object} params - See issueStockCost
+ * @returns {Promise<{ fromUnlayered: number, taken: Array<{ layer: Object, quantity: number }>, shortfall: number }>}
+ */
+const takeCostLayers = async ({ product, baseQuantity, onHand, location, session }) => {
+  const layers = await findCostLayers(product, location, session);
+  const layeredQuantity = layers.reduce((sum, { quantity }) => sum + quantity, 0);
+  const unlayered = Math.max(0, roundQuantity(onHand - layeredQuantity));
+  let remaining = roundQuantity(baseQuantity);
+
+  const fromUnlayered = Math.min(unlayered, remaining);
+  remaining = roundQuantity(remaining - fromUnlayered);
+
+  const taken = [];
+  for (const { layer, quantity } of layers) {
+    if (remaining <= 0) break;
+    const take = roundQuantity(Math.min(quantity, remaining));
+    taken.push({ layer, quantity: take });
+    remaining = roundQuantity(remaining - take);
+  }
+
+  return { fromUnlayered, taken, shortfall: remaining };
+};
+
+/**
+ * Update pipeline that adds to (or takes from) what is left of a delivery, at a location too when given
+ * @param {string|ObjectId} [location]
+ * @param {number} change - Quantity in base units
+ * @returns {Array} Update pipeline for updateOne
+ */
+const layerStockUpdate = (location, change) => [
+  ...(location ? locationStockUpdate(location, change, 'locationRemaining') : []),
+  { $set: { remainingQuantity: { $round: [{ $add: [{ $ifNull: ['$remainingQuantity', 0] }, roundQuantity(change)] }, QUANTITY_DECIMALS] } } }
+];
+
+const toLot = (layer, quantity) => ({
+  stockHistory: layer._id,
+  lotNumber: layer.lotNumber,
+  expiryDate: layer.expiryDate,
+  quantity
+});
+
+/**
+ * Cost the stock taken out by a sale line and consume it from the FIFO cost layers
+ * Layers (StockHistory receipts with a remaining quantity) are consumed in the same order whichever method
+ * is selected, so switching methods later still finds them in step with the stock on hand. Unlayered stock
+ * is costed at the average cost. For lot-tracked products each layer is a lot.
+ * Stock taken at a location only comes from what the layers hold there.
+ * @param {Object} params
+ * @param {Object} params.product - Product document, as loaded before this line took its stock
+ * @param {number} params.baseQuantity - Quantity taken, in base units
+ * @param {number} params.onHand - Stock on hand before this line (at the location, when given), in base units
+ * @param {string} params.method - Settings.costingMethod: 'fifo' or 'weighted_average'
+ * @param {string|ObjectId} [params.location] - Location the stock is taken from (null before locations are set up)
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<{ cost: number, lots: Array }>} Cost of goods for the line, and the lots or dated deliveries taken from
+ */
+export const issueStockCost = async ({ product, baseQuantity, onHand, method, location = null, session = null }) => {
+  const averageUnitCost = getUnitCost(product);
+  const { fromUnlayered, taken, shortfall } = await takeCostLayers({ product, baseQuantity, onHand, location, session });
+  let fifoCost = fromUnlayered * averageUnitCost;
+  const lots = [];
+
+  for (const { layer, quantity } of taken) {
+    await StockHistory.updateOne({ _id: layer._id }, layerStockUpdate(location, -quantity), { session });
+    fifoCost += quantity * (layer.landedUnitCost ?? averageUnitCost);
+
+    if (layer.lotNumber || layer.expiryDate) {
+      lots.push(toLot(layer, quantity));
+    }
+  }
+
+  // Anything left over means the layers ran ahead of the stock count; cost it at the average
+  fifoCost += shortfall * averageUnitCost;
+
+  return {
+    cost: roundCurrency(method === 'fifo' ? fifoCost : averageUnitCost * baseQuantity),
+    lots
+  };
+};
+
+/**
+ * Put units back into the lots a sale line took them from, e.g. when the sale is voided
+ * @param {Array} lots - Sale line lots ({ stockHistory, quantity })
+ * @param {string|ObjectId} [location] - Location the units go back to
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const restoreLots = async (lots = [], location = null, session = null) => {
+  for (const lot of lots) {
+    await StockHistory.updateOne({ _id: lot.stockHistory }, layerStockUpdate(location, lot.quantity), { session });
+  }
+};
+
+/**
+ * Take the layers a transfer line ships out of the source location's share of them
+ * The layers keep their remaining quantity while the units are in transit; putTransferLots places them at the other end.
+ * @param {Object} params
+ * @param {Object} params.product - Product document, as loaded before the line left the source
+ * @param {number} params.baseQuantity - Quantity shipped, in base units
+ * @param {string|ObjectId} params.location - Source location
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Array>} Layers shipped ({ stockHistory, lotNumber, expiryDate, quantity })
+ */
+export const takeTransferLots = async ({ product, baseQuantity, location, session = null }) => {
+  const { taken } = await takeCostLayers({
+    product,
+    baseQuantity,
+    onHand: getLocationQuantity(product, location),
+    location,
+    session
+  });
+
+  for (const { layer, quantity } of taken) {
+    await StockHistory.updateOne({ _id: layer._id }, locationStockUpdate(location, -quantity, 'locationRemaining'), { session });
+  }
+  return taken.map(({ layer, quantity }) => toLot(layer, quantity));
+};
+
+/**
+ * Place the layers of a transfer line at a location: the destination on receipt, the source on cancellation
+ * @param {Array} lots - Transfer line lots from takeTransferLots
+ * @param {string|ObjectId} location
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const putTransferLots = async (lots = [], location, session = null) => {
+  for (const lot of lots) {
+    await StockHistory.updateOne({ _id: lot.stockHistory }, locationStockUpdate(location, lot.quantity, 'locationRemaining'), { session });
+  }
+};
+
+/**
+ * Share of a sale line's lots for part of its quantity, e.g. the units being returned
+ * Shares are worked out cumulatively, so returning a line in parts gives each lot back exactly what it gave.
+ * @param {Object} item - Sale line
+ * @param {number} from - Line quantity returned before these units
+ * @param {number} to - Line quantity returned including these units
+ * @returns {Array} Lots ({ stockHistory, quantity }) for restoreLots
+ */
+export const getLotShare = (item, from, to) => {
+  const share = (lot, units) => roundQuantity(lot.quantity * units / item.quantity);
+  return (item.lots || [])
+    .map(lot => ({ stockHistory: lot.stockHistory, quantity: roundQuantity(share(lot, to) - share(lot, from)) }))
+    .filter(lot => lot.quantity > 0);
+};
+
+/**
+ * Value of the stock on hand for each product under the selected costing method
+ * FIFO values each remaining layer at its landed cost and any unlayered stock at the average cost;
+ * weighted average values all stock at the product's average landed cost.
+ * @param {Array} products - Product documents or lean objects
+ * @param {string} method - Settings.costingMethod
+ * @returns {Promise<Map<string, number>>} Stock value by product ID
+ */
+export const getStockValues = async (products, method) => {
+  const values = new Map();
+  let layerTotals = new Map();
+
+  if (method === 'fifo' && products.length > 0) {
+    const layers = await StockHistory.aggregate([
+      {
+        $match: {
+          product: { $in: products.map(p => new mongoose.Types.ObjectId(p._id.toString())) },
+          remainingQuantity: { $gt: 0 }
+        }
+      },
+      {
+        $group: {
+          _id: '$product',
+          quantity: { $sum: '$remainingQuantity' },
+          value: { $sum: { $multiply: ['$remainingQuantity', { $ifNull: ['$landedUnitCost', 0] }] } }
+        }
+      }
+    ]);
+    layerTotals = new Map(layers.map(layer => [layer._id.toString(), layer]));
+  }
+
+  products.forEach(product => {
+    const id = product._id.toString();
+    const stock = Math.max(0, product.stockQuantity || 0);
+    const layer = layerTotals.get(id);
+
+    if (!layer) {
+      values.set(id, roundCurrency(stock * getUnitCost(product)));
+      return;
+    }
+
+    // Layers beyond the stock count are scaled back to what is actually on hand
+    const layered = Math.min(layer.quantity, stock);
+    const layerValue = layer.quantity > 0 ? layer.value * (layered / layer.quantity) : 0;
+    values.set(id, roundCurrency(layerValue + (stock - layered) * getUnitCost(product)));
+  });
+
+  return values;
+};
@@ -0,0 +1,12 @@
+/**
+ * Create an Error that carries an HTTP status code
+ * Thrown from inside transactions so the controller can respond with the right status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message returned to the client
+ * @returns {Error} Error with a status property
+ */
+export const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.model.js';
+import { roundCurrency } from './calculateDiscount.js';
+
+// Filter for charge sales that still have an unpaid balance
+export const OPEN_RECEIVABLE_FILTER = { isVoid: false, isHeld: { $ne: true }, balanceDue: { $gt: 0 } };
+
+/**
+ * Get the unpaid balance of a customer's charge sales
+ * @param {string} customerId - Customer to check
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<number>} Outstanding balance
+ */
+export const getOutstandingBalance = async (customerId, session = null) => {
+  const [result] = await Sale.aggregate([
+    { $match: { ...OPEN_RECEIVABLE_FILTER, customer: new mongoose.Types.ObjectId(customerId.toString()) } },
+    { $group: { _id: null, balance: { $sum: '$balanceDue' } } }
+  ]).session(session);
+
+  return roundCurrency(result?.balance || 0);
+};
+
+// Aging buckets by days past the due date
+export const AGING_BUCKETS = ['current', 'days1to30', 'days31to60', 'days61to90', 'over90'];
+
+/**
+ * Get the number of whole days a charge is past due
+ * @param {Date} dueDate - When the charge fell due
+ * @param {Date} [asOf] - Date to age against
+ * @returns {number} Days overdue (0 when not yet due)
+ */
+export const getDaysOverdue = (dueDate, asOf = new Date()) => {
+  if (!dueDate) return 0;
+  const days = Math.floor((asOf.getTime() - new Date(dueDate).getTime()) / (24 * 60 * 60 * 1000));
+  return Math.max(days, 0);
+};
+
+/**
+ * Get the aging bucket for a number of days past due
+ * @param {number} daysOverdue
+ * @returns {string} One of AGING_BUCKETS
+ */
+export const getAgingBucket = (daysOverdue) => {
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return 'days1to30';
+  if (daysOverdue <= 60) return 'days31to60';
+  if (daysOverdue <= 90) return 'days61to90';
+  return 'over90';
+};
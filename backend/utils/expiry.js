@@ -0,0 +1,43 @@
+/**
+ * Start of the day a date falls on; stock stays sellable through its expiry day
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+const startOfDay = (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * Whether a delivery's expiry date has passed
+ * @param {Date} [expiryDate] - Deliveries without an expiry date never expire
+ * @param {Date} [asOf] - Defaults to now
+ * @returns {boolean}
+ */
+export const isExpired = (expiryDate, asOf = new Date()) => (
+  !!expiryDate && new Date(expiryDate) < startOfDay(asOf)
+);
+
+/**
+ * Last moment of the near-expiry window, e.g. 30 days from today
+ * @param {number} days - Settings.expiryWarningDays or a window picked on the alerts
+ * @param {Date} [asOf] - Defaults to now
+ * @returns {Date}
+ */
+export const getExpiryWindowEnd = (days, asOf = new Date()) => {
+  const end = startOfDay(asOf);
+  end.setDate(end.getDate() + days);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Whole days from today until an expiry date; negative once it has passed
+ * @param {Date} expiryDate
+ * @param {Date} [asOf] - Defaults to now
+ * @returns {number}
+ */
+export const getDaysToExpiry = (expiryDate, asOf = new Date()) => (
+  Math.round((startOfDay(expiryDate) - startOfDay(asOf)) / (24 * 60 * 60 * 1000))
+);
@@ -0,0 +1,97 @@
+import { roundQuantity } from './unitOfMeasure.js';
+
+// Weeks in a seasonal cycle; the seasonal naive forecast repeats the same week last year
+export const SEASON_WEEKS = 52;
+
+// Forecasting methods, in the order they are tried when picking the more accurate one
+export const FORECAST_METHODS = ['movingAverage', 'seasonalNaive'];
+
+/**
+ * Moving average forecast: every future week is the average of the last `window` weeks
+ * @param {Array<number>} series - Weekly quantities, oldest first
+ * @param {number} window - Weeks to average
+ * @param {number} horizon - Weeks to forecast
+ * @returns {Array<number|null>} One value per future week; null without enough history
+ */
+export const movingAverageForecast = (series, window, horizon) => {
+  if (series.length < window) return Array(horizon).fill(null);
+
+  const recent = series.slice(-window);
+  const average = roundQuantity(recent.reduce((sum, quantity) => sum + quantity, 0) / window);
+  return Array(horizon).fill(average);
+};
+
+/**
+ * Seasonal naive forecast: every future week repeats what sold in the same week a season earlier
+ * @param {Array<number>} series - Weekly quantities, oldest first
+ * @param {number} horizon - Weeks to forecast
+ * @param {number} [season] - Weeks per season
+ * @returns {Array<number|null>} One value per future week; null without a full season of history
+ */
+export const seasonalNaiveForecast = (series, horizon, season = SEASON_WEEKS) => (
+  Array.from({ length: horizon }, (_, week) => {
+    const index = series.length + week - season;
+    return index >= 0 && index < series.length ? series[index] : null;
+  })
+);
+
+/**
+ * Forecast with one of the methods
+ * @param {string} method - One of FORECAST_METHODS
+ * @param {Array<number>} series - Weekly quantities, oldest first
+ * @param {number} horizon - Weeks to forecast
+ * @param {number} window - Weeks averaged by the moving average
+ * @returns {Array<number|null>}
+ */
+export const forecastSeries = (method, series, horizon, window) => (
+  method === 'seasonalNaive'
+    ? seasonalNaiveForecast(series, horizon)
+    : movingAverageForecast(series, window, horizon)
+);
+
+/**
+ * Compare forecasts with what actually sold
+ * MAE is the average miss in units per week; WAPE is the total miss as a share of total sales,
+ * so accuracy is 100% less WAPE. Weeks the method could not forecast are left out.
+ * @param {Array<number>} actuals
+ * @param {Array<number|null>} forecasts
+ * @returns {Object|null} { weeks, mae, wape, bias, accuracy }; null when nothing could be compared
+ */
+export const measureAccuracy = (actuals, forecasts) => {
+  const pairs = actuals
+    .map((actual, index) => [actual, forecasts[index]])
+    .filter(([, forecast]) => forecast !== null && forecast !== undefined);
+  if (pairs.length === 0) return null;
+
+  const totalActual = pairs.reduce((sum, [actual]) => sum + actual, 0);
+  const totalError = pairs.reduce((sum, [actual, forecast]) => sum + Math.abs(actual - forecast), 0);
+  const totalBias = pairs.reduce((sum, [actual, forecast]) => sum + (forecast - actual), 0);
+  const wape = totalActual > 0 ? totalError / totalActual : null;
+
+  return {
+    weeks: pairs.length,
+    mae: roundQuantity(totalError / pairs.length),
+    // Positive when the method over-forecasts
+    bias: roundQuantity(totalBias / pairs.length),
+    wape: wape === null ? null : Math.round(wape * 1000) / 10,
+    accuracy: wape === null ? null : Math.round(Math.max(0, 1 - wape) * 1000) / 10
+  };
+};
+
+/**
+ * Backtest a method: hold out the last weeks of history, forecast them from the weeks before,
+ * and measure the forecast against what actually sold
+ * @param {string} method - One of FORECAST_METHODS
+ * @param {Array<number>} series - Weekly quantities, oldest first
+ * @param {number} testWeeks - Weeks to hold out
+ * @param {number} window - Weeks averaged by the moving average
+ * @returns {Object|null} Result of measureAccuracy
+ */
+export const backtestForecast = (method, series, testWeeks, window) => {
+  const weeks = Math.min(testWeeks, series.length - window);
+  if (weeks <= 0) return null;
+
+  const training = series.slice(0, series.length - weeks);
+  const actuals = series.slice(series.length - weeks);
+  return measureAccuracy(actuals, forecastSeries(method, training, weeks, window));
+};
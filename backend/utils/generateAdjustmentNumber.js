@@ -0,0 +1,32 @@
+import StockAdjustment from '../models/StockAdjustment.model.js';
+
+/**
+ * Generate unique stock adjustment number
+ * Format: ADJ-YYYYMMDD-XXXX (e.g., ADJ-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generateAdjustmentNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all adjustments with the same date prefix
+  const datePrefix = `ADJ-${dateStr}-`;
+  const existingAdjustments = await StockAdjustment.find({
+    adjustmentNumber: { $regex: `^${datePrefix}` }
+  }).select('adjustmentNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingAdjustments.forEach(adjustment => {
+    const sequence = parseInt(adjustment.adjustmentNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
@@ -0,0 +1,32 @@
+import Return from '../models/Return.model.js';
+
+/**
+ * Generate unique credit memo number for a return
+ * Format: CM-YYYYMMDD-XXXX (e.g., CM-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generateCreditMemoNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all credit memos with the same date prefix
+  const datePrefix = `CM-${dateStr}-`;
+  const existingReturns = await Return.find({
+    creditMemoNumber: { $regex: `^${datePrefix}` }
+  }).select('creditMemoNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingReturns.forEach(creditMemo => {
+    const sequence = parseInt(creditMemo.creditMemoNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
@@ -0,0 +1,32 @@
+import CycleCount from '../models/CycleCount.model.js';
+
+/**
+ * Generate unique cycle count number
+ * Format: CNT-YYYYMMDD-XXXX (e.g., CNT-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generateCycleCountNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all cycle counts with the same date prefix
+  const datePrefix = `CNT-${dateStr}-`;
+  const existingCounts = await CycleCount.find({
+    countNumber: { $regex: `^${datePrefix}` }
+  }).select('countNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingCounts.forEach(count => {
+    const sequence = parseInt(count.countNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
@@ -0,0 +1,34 @@
+import Product from '../models/Product.model.js';
+import Counter from '../models/Counter.model.js';
+import { calculateCheckDigit } from './barcode.js';
+
+// GS1 reserves 200-299 prefixes for in-store use, so these never clash with manufacturer codes
+const INTERNAL_PREFIX = '200';
+const INTERNAL_PATTERN = `^${INTERNAL_PREFIX}\\d{10}$`;
+
+// Highest sequence among the in-store barcodes assigned before the counter existed
+const findLastSequence = async () => {
+  const lastProduct = await Product.findOne({
+    barcode: { $regex: INTERNAL_PATTERN }
+  }).sort({ barcode: -1 }).select('barcode').lean();
+
+  return lastProduct ? parseInt(lastProduct.barcode.slice(3, 12), 10) : 0;
+};
+
+/**
+ * Generate the next in-store EAN-13 for a product without a manufacturer barcode
+ * Format: 200 + 9-digit sequence + check digit (e.g., 2000000000015)
+ * The sequence comes from an atomic counter, so concurrent label runs never draw the same code;
+ * codes already typed in by hand are skipped.
+ */
+export const generateInternalBarcode = async () => {
+  while (true) {
+    const sequence = await Counter.next('internalBarcode', { seed: findLastSequence });
+    const digits = `${INTERNAL_PREFIX}${String(sequence).padStart(9, '0')}`;
+    const barcode = `${digits}${calculateCheckDigit(digits)}`;
+
+    if (!(await Product.exists({ barcode }))) {
+      return barcode;
+    }
+  }
+};
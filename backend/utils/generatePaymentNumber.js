@@ -0,0 +1,32 @@
+import CustomerPayment from '../models/CustomerPayment.model.js';
+
+/**
+ * Generate unique payment number for a customer collection
+ * Format: PAY-YYYYMMDD-XXXX (e.g., PAY-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generatePaymentNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all payments with the same date prefix
+  const datePrefix = `PAY-${dateStr}-`;
+  const existingPayments = await CustomerPayment.find({
+    paymentNumber: { $regex: `^${datePrefix}` }
+  }).select('paymentNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingPayments.forEach(payment => {
+    const sequence = parseInt(payment.paymentNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
@@ -0,0 +1,32 @@
+import PurchaseOrder from '../models/PurchaseOrder.model.js';
+
+/**
+ * Generate unique purchase order number
+ * Format: PO-YYYYMMDD-XXXX (e.g., PO-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generatePurchaseOrderNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all purchase orders with the same date prefix
+  const datePrefix = `PO-${dateStr}-`;
+  const existingOrders = await PurchaseOrder.find({
+    poNumber: { $regex: `^${datePrefix}` }
+  }).select('poNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingOrders.forEach(order => {
+    const sequence = parseInt(order.poNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
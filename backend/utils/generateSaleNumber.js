@@ -2,9 +2,11 @@ import Sale from '../models/Sale.model.js';
 
 /**
  * Generate unique sale number
- * Format: SALE-YYYYMMDD-XXXX (e.g., SALE-20241215-0001)
+ * Format: SALE-YYYYMMDD-XXXX (e.g., SALE-20241215-0001), or HOLD-YYYYMMDD-XXXX for parked carts
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @param {string} [prefix] - Number prefix ('SALE' or 'HOLD')
  */
-export const generateSaleNumber = async () => {
+export const generateSaleNumber = async (session = null, prefix = 'SALE') => {
   // Get current date in YYYYMMDD format (using local timezone)
   const now = new Date();
   const year = now.getFullYear();
@@ -13,10 +15,10 @@ export const generateSaleNumber = async () => {
   const dateStr = `${year}${month}${day}`;
   
   // Find all sales with the same date prefix
-  const datePrefix = `SALE-${dateStr}-`;
+  const datePrefix = `${prefix}-${dateStr}-`;
   const existingSales = await Sale.find({
     saleNumber: { $regex: `^${datePrefix}` }
-  }).select('saleNumber').lean();
+  }).select('saleNumber').session(session).lean();
 
   // Extract sequence numbers and find the maximum
   let maxSequence = 0;
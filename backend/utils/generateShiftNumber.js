@@ -0,0 +1,32 @@
+import Shift from '../models/Shift.model.js';
+
+/**
+ * Generate unique shift number for a cash drawer shift
+ * Format: SHIFT-YYYYMMDD-XXXX (e.g., SHIFT-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generateShiftNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all shifts with the same date prefix
+  const datePrefix = `SHIFT-${dateStr}-`;
+  const existingShifts = await Shift.find({
+    shiftNumber: { $regex: `^${datePrefix}` }
+  }).select('shiftNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingShifts.forEach(shift => {
+    const sequence = parseInt(shift.shiftNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
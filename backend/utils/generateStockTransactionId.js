@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a unique stock history transaction ID
+ * Format: STK-<timestamp>-<8 hex chars> (e.g., STK-1734249600000-9F2C41AB)
+ */
+export const generateStockTransactionId = () => {
+  const randomString = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `STK-${Date.now()}-${randomString}`;
+};
@@ -0,0 +1,32 @@
+import StockTransfer from '../models/StockTransfer.model.js';
+
+/**
+ * Generate unique stock transfer number
+ * Format: TRF-YYYYMMDD-XXXX (e.g., TRF-20241215-0001)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ */
+export const generateTransferNumber = async (session = null) => {
+  // Get current date in YYYYMMDD format (using local timezone)
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const dateStr = `${year}${month}${day}`;
+
+  // Find all transfers with the same date prefix
+  const datePrefix = `TRF-${dateStr}-`;
+  const existingTransfers = await StockTransfer.find({
+    transferNumber: { $regex: `^${datePrefix}` }
+  }).select('transferNumber').session(session).lean();
+
+  // Extract sequence numbers and find the maximum
+  let maxSequence = 0;
+  existingTransfers.forEach(transfer => {
+    const sequence = parseInt(transfer.transferNumber.replace(datePrefix, ''), 10);
+    if (!isNaN(sequence) && sequence > maxSequence) {
+      maxSequence = sequence;
+    }
+  });
+
+  return `${datePrefix}${String(maxSequence + 1).padStart(4, '0')}`;
+};
@@ -0,0 +1,76 @@
+import { roundCurrency } from './calculateDiscount.js';
+import { roundQuantity, stockChangeUpdate } from './unitOfMeasure.js';
+
+// Decimal places kept on a product's average landed cost per base unit
+const COST_DECIMALS = 4;
+
+/**
+ * Cost of one base unit of a product: its average landed cost,
+ * or the base price for stock received before landed costs were recorded
+ * @param {Object} product - Product document or lean object
+ * @returns {number}
+ */
+export const getUnitCost = (product) => product?.averageCost ?? product?.price ?? 0;
+
+/**
+ * Landed cost of a delivery: what was paid for the goods plus freight and other charges
+ * @param {Object} params
+ * @param {number} params.quantity - Quantity delivered, in the unit delivered
+ * @param {number} params.baseQuantity - Same quantity in base units
+ * @param {number} params.unitCost - Cost per unit delivered
+ * @param {number} [params.freight=0]
+ * @param {number} [params.otherCharges=0] - Handling, duties and other landed charges
+ * @returns {{ purchaseCost: number, totalCost: number, landedUnitCost: number }} Landed unit cost is per base unit
+ */
+export const calculateLandedCost = ({ quantity, baseQuantity, unitCost, freight = 0, otherCharges = 0 }) => {
+  const purchaseCost = roundCurrency(unitCost * quantity);
+  const totalCost = roundCurrency(purchaseCost + (freight || 0) + (otherCharges || 0));
+  const landedUnitCost = baseQuantity > 0 ? Number((totalCost / baseQuantity).toFixed(COST_DECIMALS)) : 0;
+  return { purchaseCost, totalCost, landedUnitCost };
+};
+
+/**
+ * Split a delivery's freight and other charges across its lines in proportion to their purchase cost
+ * Rounding is absorbed by the last line so the shares add up to the charge
+ * @param {number} charge
+ * @param {number[]} purchaseCosts
+ * @returns {number[]}
+ */
+export const allocateCharge = (charge, purchaseCosts) => {
+  const total = purchaseCosts.reduce((sum, cost) => sum + cost, 0);
+  let allocated = 0;
+  return purchaseCosts.map((cost, index) => {
+    if (index === purchaseCosts.length - 1) {
+      return roundCurrency((charge || 0) - allocated);
+    }
+    const share = roundCurrency(total > 0 ? (charge || 0) * cost / total : (charge || 0) / purchaseCosts.length);
+    allocated = roundCurrency(allocated + share);
+    return share;
+  });
+};
+
+/**
+ * Update pipeline that receives stock at its landed cost
+ * The product's average cost is re-weighted with the stock already on hand, then the stock is added
+ * @param {number} baseQuantity - Quantity received in base units
+ * @param {number} totalCost - Landed cost of the quantity received
+ * @returns {Array} Update pipeline for updateOne
+ */
+export const receiveStockUpdate = (baseQuantity, totalCost) => {
+  const onHand = { $max: ['$stockQuantity', 0] };
+  return [
+    {
+      $set: {
+        averageCost: {
+          $round: [{
+            $divide: [
+              { $add: [{ $multiply: [onHand, { $ifNull: ['$averageCost', { $ifNull: ['$price', 0] }] }] }, totalCost] },
+              { $add: [onHand, roundQuantity(baseQuantity)] }
+            ]
+          }, COST_DECIMALS]
+        }
+      }
+    },
+    ...stockChangeUpdate(baseQuantity)
+  ];
+};
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import Location from '../models/Location.model.js';
+import Product from '../models/Product.model.js';
+import StockHistory from '../models/StockHistory.model.js';
+import SerialNumber from '../models/SerialNumber.model.js';
+import { createError } from './createError.js';
+import { roundQuantity, QUANTITY_DECIMALS } from './unitOfMeasure.js';
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Location a stock change happens at
+ * An explicit location must exist and be active; without one the default location is used.
+ * Before any location is set up there is no default, and stock is tracked as a single total.
+ * @param {string|ObjectId} [locationId]
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Object|null>} Location document, or null when no locations exist
+ * @throws 404 when the location does not exist, 400 when it is inactive
+ */
+export const resolveLocation = async (locationId, session = null) => {
+  if (!locationId) {
+    return Location.findOne({ isDefault: true }).session(session);
+  }
+
+  const location = await Location.findById(locationId).session(session);
+  if (!location) {
+    throw createError(404, 'Location not found');
+  }
+  if (!location.isActive) {
+    throw createError(400, `${location.name} is inactive`);
+  }
+  return location;
+};
+
+/**
+ * Stock a product (or what is left of a delivery) holds at one location, in base units
+ * @param {Object} product - Product document or lean object
+ * @param {string|ObjectId} locationId
+ * @param {string} [field='locationStock'] - Array of { location, quantity } entries, e.g. 'locationRemaining' on a StockHistory entry
+ * @returns {number}
+ */
+export const getLocationQuantity = (product, locationId, field = 'locationStock') => {
+  const entry = (product[field] || []).find(stock => stock.location?.toString() === locationId.toString());
+  return entry ? entry.quantity : 0;
+};
+
+/**
+ * Match condition for a product with at least this much stock at a location
+ * @param {string|ObjectId} locationId
+ * @param {number} quantity - Base units needed
+ * @returns {Object} Filter for Product queries
+ */
+export const locationStockFilter = (locationId, quantity) => ({
+  locationStock: { $elemMatch: { location: toObjectId(locationId), quantity: { $gte: roundQuantity(quantity) } } }
+});
+
+/**
+ * Update pipeline stage that adds to (or takes from) a product's stock at one location
+ * The location's entry is created on first use; the result is rounded like the product total.
+ * @param {string|ObjectId} locationId
+ * @param {number} change - Quantity in base units
+ * @param {string} [field='locationStock'] - Array of { location, quantity } entries to update
+ * @returns {Array} Update pipeline for updateOne/findOneAndUpdate
+ */
+export const locationStockUpdate = (locationId, change, field = 'locationStock') => {
+  const location = toObjectId(locationId);
+  const entries = { $ifNull: [`$${field}`, []] };
+  return [
+    {
+      $set: {
+        [field]: {
+          $cond: [
+            { $in: [location, { $map: { input: entries, as: 'entry', in: '$$entry.location' } }] },
+            {
+              $map: {
+                input: entries,
+                as: 'entry',
+                in: {
+                  $cond: [
+                    { $eq: ['$$entry.location', location] },
+                    {
+                      location: '$$entry.location',
+                      quantity: { $round: [{ $add: ['$$entry.quantity', roundQuantity(change)] }, QUANTITY_DECIMALS] }
+                    },
+                    '$$entry'
+                  ]
+                }
+              }
+            },
+            { $concatArrays: [entries, [{ location, quantity: roundQuantity(change) }]] }
+          ]
+        }
+      }
+    }
+  ];
+};
+
+/**
+ * Put every product's stock that is not yet at any location into this one
+ * Run when the first location is created, so stock counted before locations existed is not lost.
+ * The lots and serialized units of that stock move with it.
+ * @param {string|ObjectId} locationId
+ * @returns {Promise<number>} Number of products assigned
+ */
+export const assignUnlocatedStock = async (locationId) => {
+  const location = toObjectId(locationId);
+  const result = await Product.updateMany(
+    { stockQuantity: { $gt: 0 }, $or: [{ locationStock: { $exists: false } }, { locationStock: { $size: 0 } }] },
+    [{ $set: { locationStock: [{ location, quantity: '$stockQuantity' }] } }]
+  );
+  await StockHistory.updateMany(
+    { remainingQuantity: { $gt: 0 }, location: null },
+    [{ $set: { location, locationRemaining: [{ location, quantity: '$remainingQuantity' }] } }]
+  );
+  await SerialNumber.updateMany({ status: 'in_stock', location: null }, { $set: { location } });
+  return result.modifiedCount;
+};
@@ -0,0 +1,84 @@
+import PriceList from '../models/PriceList.model.js';
+import { createError } from './createError.js';
+import { roundCurrency } from './calculateDiscount.js';
+
+/**
+ * Find the price list a sale is priced with
+ * A list picked at checkout wins over the customer's list, which wins over the default list.
+ * A customer's list that has since been deactivated falls back to the default list.
+ * @param {Object} params
+ * @param {string} [params.priceListId] - List picked at checkout
+ * @param {Object} [params.customer] - Customer document the sale is linked to
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object|null>} Price list document, or null for retail pricing
+ * @throws 400 when the picked list does not exist or is inactive
+ */
+export const findSalePriceList = async ({ priceListId, customer, session = null }) => {
+  if (priceListId) {
+    const picked = await PriceList.findById(priceListId).session(session);
+    if (!picked || !picked.isActive) {
+      throw createError(400, 'Selected price list was not found or is inactive');
+    }
+    return picked;
+  }
+
+  if (customer?.priceList) {
+    const assigned = await PriceList.findOne({ _id: customer.priceList, isActive: true }).session(session);
+    if (assigned) return assigned;
+  }
+
+  return PriceList.findOne({ isDefault: true, isActive: true }).session(session);
+};
+
+/**
+ * Resolve the unit price of a sale line under a price list
+ * A product override (fixed price or markup, then the best quantity break reached) wins over the list rule.
+ * @param {Object|null} priceList - Price list document, or null for retail pricing
+ * @param {Object} product - Product document
+ * @param {Object} unit - Result of resolveUnit ({ uom, unitFactor, price })
+ * @param {number} quantity - Line quantity in the unit sold
+ * @returns {{ price: number, priceList?: ObjectId, priceListName?: string }}
+ */
+export const resolveListPrice = (priceList, product, unit, quantity) => {
+  if (!priceList) {
+    return { price: unit.price };
+  }
+
+  const productId = product._id.toString();
+  const uomKey = (unit.uom || '').toLowerCase();
+  const override = priceList.items.find(item =>
+    item.product.toString() === productId && (item.uom || '').toLowerCase() === uomKey
+  );
+  // What one of the unit costs at the product's base price
+  const unitCost = (product.price || 0) * unit.unitFactor;
+
+  let price;
+  if (override) {
+    if (override.price !== undefined && override.price !== null) {
+      price = override.price;
+    } else if (override.markupPercentage !== undefined && override.markupPercentage !== null) {
+      price = unitCost * (1 + override.markupPercentage / 100);
+    } else {
+      price = unit.price;
+    }
+
+    const quantityBreak = override.quantityBreaks
+      .filter(item => quantity >= item.minQuantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    if (quantityBreak) {
+      price = quantityBreak.price;
+    }
+  } else if (priceList.rule === 'markup') {
+    price = unitCost * (1 + (priceList.ruleValue || 0) / 100);
+  } else if (priceList.rule === 'discount') {
+    price = unit.price * (1 - Math.min(priceList.ruleValue || 0, 100) / 100);
+  } else {
+    price = unit.price;
+  }
+
+  return {
+    price: roundCurrency(price),
+    priceList: priceList._id,
+    priceListName: priceList.name
+  };
+};
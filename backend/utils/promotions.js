@@ -0,0 +1,94 @@
+import Promotion from '../models/Promotion.model.js';
+import { roundCurrency } from './calculateDiscount.js';
+
+/**
+ * Find the promotions running at a point in time
+ * @param {Object} [params]
+ * @param {Date} [params.date] - Moment to check, defaults to now
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Array<Object>>} Active promotions whose date range covers the date, oldest first
+ */
+export const findRunningPromotions = async ({ date = new Date(), session = null } = {}) => {
+  return Promotion.find({
+    isActive: true,
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  })
+    .sort({ createdAt: 1 })
+    .session(session);
+};
+
+/**
+ * Check whether a promotion covers a product
+ * @param {Object} promotion - Promotion document
+ * @param {Object} product - Product document
+ * @returns {boolean}
+ */
+export const promotionCoversProduct = (promotion, product) => {
+  switch (promotion.scope) {
+    case 'product':
+      return promotion.products.some(id => id.toString() === product._id.toString());
+    case 'category':
+      return !!product.category && promotion.categories.includes(product.category);
+    case 'subcategory':
+      return !!product.subCategory && promotion.subCategories.includes(product.subCategory);
+    case 'supplier':
+      return !!product.supplier && promotion.suppliers.some(id => id.toString() === (product.supplier._id || product.supplier).toString());
+    default:
+      return false;
+  }
+};
+
+/**
+ * Amount a promotion takes off a sale line
+ * Fixed prices are per base unit and only apply when they beat the line price.
+ * Buy-X-get-Y counts in the unit the line is sold in.
+ * @param {Object} promotion - Promotion document
+ * @param {Object} unit - Result of resolveUnit ({ unitFactor })
+ * @param {number} quantity - Line quantity in the unit sold
+ * @param {number} price - Line price per unit sold, after the price list
+ * @returns {number} Discount on the line, never more than the line amount
+ */
+export const getPromotionDiscount = (promotion, unit, quantity, price) => {
+  const grossAmount = price * quantity;
+  let discount = 0;
+
+  if (promotion.type === 'percentage') {
+    discount = grossAmount * Math.min(promotion.value || 0, 100) / 100;
+  } else if (promotion.type === 'fixed_price') {
+    const promoPrice = (promotion.value || 0) * (unit.unitFactor || 1);
+    discount = Math.max(price - promoPrice, 0) * quantity;
+  } else if (promotion.type === 'buy_x_get_y') {
+    const groupSize = (promotion.buyQuantity || 0) + (promotion.getQuantity || 0);
+    if (promotion.buyQuantity > 0 && promotion.getQuantity > 0) {
+      const freeUnits = Math.floor(quantity / groupSize) * promotion.getQuantity;
+      discount = freeUnits * price;
+    }
+  }
+
+  return roundCurrency(Math.min(Math.max(discount, 0), grossAmount));
+};
+
+/**
+ * Pick the promotion that applies to a sale line
+ * When several promotions cover the product, the customer gets the one worth the most.
+ * @param {Array<Object>} promotions - Running promotions
+ * @param {Object} product - Product document
+ * @param {Object} unit - Result of resolveUnit ({ unitFactor })
+ * @param {number} quantity - Line quantity in the unit sold
+ * @param {number} price - Line price per unit sold, after the price list
+ * @returns {{ promotionDiscount: number, promotion?: ObjectId, promotionName?: string }}
+ */
+export const applyPromotion = (promotions, product, unit, quantity, price) => {
+  let best = { promotionDiscount: 0 };
+
+  for (const promotion of promotions) {
+    if (!promotionCoversProduct(promotion, product)) continue;
+    const discount = getPromotionDiscount(promotion, unit, quantity, price);
+    if (discount > best.promotionDiscount) {
+      best = { promotion: promotion._id, promotionName: promotion.name, promotionDiscount: discount };
+    }
+  }
+
+  return best;
+};
@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.model.js';
+import Product from '../models/Product.model.js';
+import PurchaseOrder, { RECEIVABLE_STATUSES } from '../models/PurchaseOrder.model.js';
+import { roundCurrency } from './calculateDiscount.js';
+import { roundQuantity, getQuantityPrecision, QUANTITY_DECIMALS } from './unitOfMeasure.js';
+import { getUnitCost } from './landedCost.js';
+
+/**
+ * Round a quantity up to the decimal places the product is counted in, so a suggestion never falls short
+ * @param {number} quantity
+ * @param {number} precision - Decimal places allowed for the product
+ * @returns {number}
+ */
+const roundUpQuantity = (quantity, precision) => {
+  const scale = 10 ** precision;
+  return roundQuantity(Math.ceil(roundQuantity(quantity * scale)) / scale);
+};
+
+/**
+ * Base units of each product sold since a date, net of returns
+ * @param {Date} since
+ * @param {Array<ObjectId>} [productIds] - Limit to these products
+ * @returns {Promise<Map<string, number>>} Units sold by product ID
+ */
+export const getUnitsSold = async (since, productIds) => {
+  const match = { isVoid: false, isHeld: { $ne: true }, createdAt: { $gte: since } };
+  if (productIds) match['items.product'] = { $in: productIds };
+
+  const sold = await Sale.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    ...(productIds ? [{ $match: { 'items.product': { $in: productIds } } }] : []),
+    {
+      $group: {
+        _id: '$items.product',
+        quantity: {
+          $sum: {
+            $multiply: [
+              { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+              { $ifNull: ['$items.unitFactor', 1] }
+            ]
+          }
+        }
+      }
+    },
+    { $project: { quantity: { $round: ['$quantity', QUANTITY_DECIMALS] } } }
+  ]);
+
+  return new Map(sold.map(entry => [entry._id.toString(), entry.quantity]));
+};
+
+/**
+ * Base units still due in on purchase orders sent to suppliers
+ * @param {Array<ObjectId>} [productIds] - Limit to these products
+ * @returns {Promise<Map<string, number>>} Units on order by product ID
+ */
+export const getQuantitiesOnOrder = async (productIds) => {
+  const match = { status: { $in: RECEIVABLE_STATUSES } };
+  if (productIds) match['lines.product'] = { $in: productIds };
+
+  const onOrder = await PurchaseOrder.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    // Lines closed short or over-delivered have nothing more coming
+    { $match: { 'lines.deliveryFlag': null } },
+    {
+      $group: {
+        _id: '$lines.product',
+        quantity: {
+          $sum: {
+            $multiply: [
+              { $max: [0, { $subtract: ['$lines.orderedQuantity', '$lines.receivedQuantity'] }] },
+              { $ifNull: ['$lines.unitFactor', 1] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(onOrder.map(entry => [entry._id.toString(), roundQuantity(entry.quantity)]));
+};
+
+/**
+ * Compute reorder points from sales velocity and suggest how much to order
+ * Daily velocity is the units sold over the look-back window. Demand over the supplier's lead time plus
+ * safety stock (that demand x the safety-stock factor) is the reorder point. A product is due once its
+ * stock plus what is on order falls to the reorder point; the suggestion brings it back up to the
+ * reorder point plus the cover days of demand. Products that have not sold have no velocity and are never due.
+ * @param {Object} params
+ * @param {number} params.lookbackDays - Settings.reorderLookbackDays
+ * @param {number} params.safetyStockFactor - Settings.safetyStockFactor
+ * @param {number} params.coverDays - Settings.reorderCoverDays
+ * @param {string} [params.supplier] - Limit to one supplier's products
+ * @returns {Promise<Array<Object>>} One entry per active product with its reorder point and suggestion
+ */
+export const calculateReorderPoints = async ({ lookbackDays, safetyStockFactor, coverDays, supplier }) => {
+  const filter = { isActive: true };
+  if (supplier) filter.supplier = new mongoose.Types.ObjectId(supplier);
+
+  const products = await Product.find(filter)
+    .select('name sku unit uoms quantityPrecision stockQuantity averageCost price supplier')
+    .populate('supplier', 'companyName leadTimeDays isActive');
+  const productIds = supplier ? products.map(product => product._id) : undefined;
+
+  const since = new Date();
+  since.setDate(since.getDate() - lookbackDays);
+  const [unitsSold, onOrder] = await Promise.all([
+    getUnitsSold(since, productIds),
+    getQuantitiesOnOrder(productIds)
+  ]);
+
+  return products.map(product => {
+    const id = product._id.toString();
+    const precision = getQuantityPrecision(product);
+    const leadTimeDays = product.supplier?.leadTimeDays ?? 7;
+    const sold = Math.max(0, unitsSold.get(id) || 0);
+    const dailyVelocity = sold / lookbackDays;
+
+    const leadTimeDemand = dailyVelocity * leadTimeDays;
+    const safetyStock = leadTimeDemand * safetyStockFactor;
+    const reorderPoint = roundUpQuantity(leadTimeDemand + safetyStock, precision);
+    const quantityOnOrder = onOrder.get(id) || 0;
+    const position = roundQuantity(product.stockQuantity + quantityOnOrder);
+
+    const isDue = dailyVelocity > 0 && position <= reorderPoint;
+    const suggestedQuantity = isDue
+      ? roundUpQuantity(reorderPoint + dailyVelocity * coverDays - position, precision)
+      : 0;
+    const unitCost = getUnitCost(product);
+
+    return {
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        unit: product.unit,
+        uoms: product.uoms
+      },
+      supplier: product.supplier,
+      unitsSold: roundQuantity(sold),
+      dailyVelocity: Number(dailyVelocity.toFixed(4)),
+      leadTimeDays,
+      safetyStock: roundUpQuantity(safetyStock, precision),
+      reorderPoint,
+      stockQuantity: product.stockQuantity,
+      onOrder: quantityOnOrder,
+      daysOfStock: dailyVelocity > 0 ? Math.floor(product.stockQuantity / dailyVelocity) : null,
+      isDue,
+      suggestedQuantity,
+      unitCost,
+      suggestedValue: roundCurrency(suggestedQuantity * unitCost)
+    };
+  });
+};
+
+/**
+ * Group the products due for reordering by supplier, most urgent (fewest days of stock) first
+ * @param {Array<Object>} reorderPoints - Result of calculateReorderPoints
+ * @returns {Array<Object>} { supplier, items, totalValue } per supplier
+ */
+export const groupSuggestionsBySupplier = (reorderPoints) => {
+  const groups = new Map();
+
+  reorderPoints
+    .filter(entry => entry.isDue && entry.suggestedQuantity > 0)
+    .sort((a, b) => a.daysOfStock - b.daysOfStock)
+    .forEach(entry => {
+      const key = entry.supplier?._id.toString() || 'none';
+      if (!groups.has(key)) {
+        groups.set(key, { supplier: entry.supplier, items: [], totalValue: 0 });
+      }
+      const group = groups.get(key);
+      group.items.push(entry);
+      group.totalValue = roundCurrency(group.totalValue + entry.suggestedValue);
+    });
+
+  return [...groups.values()].sort((a, b) => b.totalValue - a.totalValue);
+};
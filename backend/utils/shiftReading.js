@@ -0,0 +1,189 @@
+import Sale from '../models/Sale.model.js';
+import Return from '../models/Return.model.js';
+import CustomerPayment from '../models/CustomerPayment.model.js';
+import { roundCurrency } from './calculateDiscount.js';
+
+/**
+ * Build the X/Z reading for a cash drawer shift
+ * Covers everything rung up in the shift: sales by tender, voids, returns, account
+ * collections, the VAT summary, and the cash the drawer should hold
+ * @param {Object} shift - Shift document
+ * @returns {Promise<Object>} Reading
+ */
+export const buildShiftReading = async (shift) => {
+  // A void counts in the shift it was made in, which may be a later one than the sale's.
+  // Voids with no voiding shift on record (older ones, or by a user with no open drawer) count in the sale's own shift.
+  const voidedInShift = {
+    $or: [
+      { voidedShift: shift._id },
+      { shift: shift._id, isVoid: true, voidedShift: { $exists: false } }
+    ]
+  };
+  // Sales rung up in the shift stay in its takings unless they were voided in the same shift
+  const completedInShift = {
+    shift: shift._id,
+    isHeld: { $ne: true },
+    $or: [{ isVoid: false }, { voidedShift: { $nin: [null, shift._id] } }]
+  };
+
+  const [salesResult, voidsResult, tendersResult, returnsResult, collectionsResult] = await Promise.all([
+    Sale.aggregate([
+      { $match: completedInShift },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          grossSales: { $sum: '$subtotal' },
+          discounts: { $sum: '$discount' },
+          total: { $sum: '$total' },
+          vatableSales: { $sum: { $ifNull: ['$vatBreakdown.vatableSales', 0] } },
+          vatExemptSales: { $sum: { $ifNull: ['$vatBreakdown.vatExemptSales', 0] } },
+          zeroRatedSales: { $sum: { $ifNull: ['$vatBreakdown.zeroRatedSales', 0] } },
+          vatAmount: { $sum: '$tax' }
+        }
+      }
+    ]),
+    Sale.aggregate([
+      { $match: voidedInShift },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          total: { $sum: '$total' },
+          // Cash handed back for sales rung up in an earlier shift comes out of this drawer
+          cashRefunded: {
+            $sum: {
+              $cond: [
+                { $eq: ['$shift', shift._id] },
+                0,
+                { $sum: { $map: { input: { $filter: { input: '$payments', cond: { $eq: ['$$this.method', 'cash'] } } }, in: '$$this.amount' } } }
+              ]
+            }
+          }
+        }
+      }
+    ]),
+    Sale.aggregate([
+      { $match: completedInShift },
+      { $unwind: '$payments' },
+      {
+        $group: {
+          _id: '$payments.method',
+          count: { $sum: 1 },
+          amount: { $sum: '$payments.amount' }
+        }
+      }
+    ]),
+    Return.aggregate([
+      { $match: { shift: shift._id } },
+      {
+        $group: {
+          _id: '$refundMethod',
+          count: { $sum: 1 },
+          total: { $sum: '$total' },
+          accountCredit: { $sum: { $ifNull: ['$accountCredit', 0] } },
+          vatAmount: { $sum: '$vatAmount' }
+        }
+      }
+    ]),
+    CustomerPayment.aggregate([
+      { $match: { shift: shift._id } },
+      {
+        $group: {
+          _id: '$method',
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ])
+  ]);
+
+  const completed = salesResult[0] || {};
+  const voided = voidsResult[0] || {};
+
+  const salesByTender = {};
+  tendersResult.forEach(tender => {
+    salesByTender[tender._id] = { count: tender.count, amount: roundCurrency(tender.amount) };
+  });
+
+  // Only the part of a refund paid out leaves by its method; the part that cleared
+  // an unpaid charge balance is shown as credited to the account
+  const returnsByMethod = {};
+  returnsResult.forEach(group => {
+    const payout = roundCurrency(group.total - group.accountCredit);
+    if (payout > 0 || group._id === 'charge') {
+      returnsByMethod[group._id] = { count: group.count, amount: payout };
+    }
+  });
+  const accountCredit = roundCurrency(returnsResult.reduce((sum, group) => sum + group.accountCredit, 0));
+  if (accountCredit > 0) {
+    returnsByMethod.charge = {
+      count: returnsByMethod.charge?.count || 0,
+      amount: roundCurrency((returnsByMethod.charge?.amount || 0) + accountCredit)
+    };
+  }
+  const returnsTotal = roundCurrency(returnsResult.reduce((sum, group) => sum + group.total, 0));
+  const returnsVat = roundCurrency(returnsResult.reduce((sum, group) => sum + group.vatAmount, 0));
+
+  const collectionsByMethod = {};
+  collectionsResult.forEach(group => {
+    collectionsByMethod[group._id] = { count: group.count, amount: roundCurrency(group.amount) };
+  });
+
+  const sumMovements = (type) => roundCurrency(shift.cashMovements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum + movement.amount, 0));
+
+  // Cash the drawer should hold: float, cash kept from sales and collections,
+  // petty cash in and out, less cash paid out for returns and for voids of earlier shifts' sales
+  const cash = {
+    openingFloat: shift.openingFloat,
+    cashSales: salesByTender.cash?.amount || 0,
+    cashCollections: collectionsByMethod.cash?.amount || 0,
+    cashIn: sumMovements('cash_in'),
+    cashOut: sumMovements('cash_out'),
+    cashRefunds: returnsByMethod.cash?.amount || 0,
+    cashVoids: roundCurrency(voided.cashRefunded || 0)
+  };
+  cash.expectedCash = roundCurrency(
+    cash.openingFloat + cash.cashSales + cash.cashCollections + cash.cashIn - cash.cashOut - cash.cashRefunds - cash.cashVoids
+  );
+
+  return {
+    shiftNumber: shift.shiftNumber,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt || null,
+    generatedAt: new Date(),
+    sales: {
+      count: completed.count || 0,
+      grossSales: roundCurrency(completed.grossSales || 0),
+      discounts: roundCurrency(completed.discounts || 0),
+      total: roundCurrency(completed.total || 0),
+      netSales: roundCurrency((completed.total || 0) - returnsTotal)
+    },
+    salesByTender,
+    voids: {
+      count: voided.count || 0,
+      amount: roundCurrency(voided.total || 0)
+    },
+    returns: {
+      count: returnsResult.reduce((sum, group) => sum + group.count, 0),
+      amount: returnsTotal,
+      byMethod: returnsByMethod
+    },
+    collections: {
+      count: collectionsResult.reduce((sum, group) => sum + group.count, 0),
+      amount: roundCurrency(collectionsResult.reduce((sum, group) => sum + group.amount, 0)),
+      byMethod: collectionsByMethod
+    },
+    vat: {
+      vatableSales: roundCurrency(completed.vatableSales || 0),
+      vatExemptSales: roundCurrency(completed.vatExemptSales || 0),
+      zeroRatedSales: roundCurrency(completed.zeroRatedSales || 0),
+      vatAmount: roundCurrency(completed.vatAmount || 0),
+      refundedVat: returnsVat,
+      netVat: roundCurrency((completed.vatAmount || 0) - returnsVat)
+    },
+    cash
+  };
+};
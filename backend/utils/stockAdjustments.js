@@ -0,0 +1,96 @@
+import Product from '../models/Product.model.js';
+import { createError } from './createError.js';
+import { roundCurrency } from './calculateDiscount.js';
+import { roundQuantity, formatQuantity } from './unitOfMeasure.js';
+import { getUnitCost, receiveStockUpdate } from './landedCost.js';
+import { issueStockCost } from './costing.js';
+import { applyStockChange, recordStockMovements } from './stockLedger.js';
+import { getLocationQuantity } from './locations.js';
+import { adjustSerialNumbers } from './stockTracking.js';
+
+/**
+ * Apply a stock adjustment to the product, value it at cost and write it to the ledger
+ * An adjustment with a location changes that location's stock along with the total.
+ * Stock taken out is costed like a sale, so FIFO layers stay in step; stock added comes in
+ * at the current average cost and leaves the average unchanged. Serialized products move the
+ * serial numbers picked on the adjustment.
+ * @param {Object} adjustment - StockAdjustment document (pending or new)
+ * @param {Object} params
+ * @param {Object} params.settings - Settings document, for the costing method
+ * @param {string} params.userId - User posting the adjustment
+ * @param {Object} [params.cycleCount] - Cycle count the adjustment comes from
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Object>} The posted adjustment
+ * @throws 404 when the product no longer exists, 400 when the serials picked do not fit or there is not enough stock to take out
+ */
+export const postStockAdjustment = async (adjustment, { settings, userId, cycleCount = null, session = null }) => {
+  const product = await Product.findById(adjustment.product).session(session);
+  if (!product) {
+    throw createError(404, `${adjustment.productName} no longer exists`);
+  }
+
+  const quantity = roundQuantity(Math.abs(adjustment.quantity));
+  const location = adjustment.location || null;
+
+  // Serialized units taken out are written off by serial; units found go back in stock here
+  if (product.tracking === 'serial') {
+    await adjustSerialNumbers({ product, serialNumbers: adjustment.serialNumbers, quantity: adjustment.quantity, location, session });
+  }
+  let unitCost;
+  let value;
+  let change;
+
+  if (adjustment.quantity < 0) {
+    change = await applyStockChange({
+      productId: product._id,
+      quantity: -quantity,
+      location,
+      filter: { stockQuantity: { $gte: quantity } },
+      session
+    });
+    if (!change) {
+      const onHand = location ? getLocationQuantity(product, location) : product.stockQuantity;
+      throw createError(400, `Cannot remove ${formatQuantity(quantity)} of ${product.name}: only ${formatQuantity(onHand)} on hand${location ? ' at this location' : ''}`);
+    }
+    const { cost } = await issueStockCost({
+      product,
+      baseQuantity: quantity,
+      onHand: location ? getLocationQuantity(product, location) : product.stockQuantity,
+      method: settings.costingMethod,
+      location,
+      session
+    });
+    unitCost = Number((cost / quantity).toFixed(4));
+    value = -cost;
+  } else {
+    unitCost = getUnitCost(product);
+    value = roundCurrency(unitCost * quantity);
+    change = await applyStockChange({
+      productId: product._id,
+      quantity,
+      location,
+      update: receiveStockUpdate(quantity, value),
+      session
+    });
+  }
+
+  adjustment.status = 'posted';
+  adjustment.unitCost = unitCost;
+  adjustment.value = value;
+  adjustment.postedAt = new Date();
+  await adjustment.save({ session });
+
+  await recordStockMovements([{
+    ...change,
+    type: cycleCount ? 'cycle_count' : 'adjustment',
+    unitCost,
+    value,
+    reason: adjustment.reason,
+    sourceModel: cycleCount ? 'CycleCount' : 'StockAdjustment',
+    source: cycleCount ? cycleCount._id : adjustment._id,
+    sourceNumber: cycleCount ? cycleCount.countNumber : adjustment.adjustmentNumber,
+    createdBy: userId
+  }], session);
+
+  return adjustment;
+};
@@ -0,0 +1,60 @@
+// ABC classes by cumulative share of revenue: A earns the first 80%, B the next 15%, C the rest
+export const ABC_THRESHOLDS = { A: 0.8, B: 0.95 };
+
+// XYZ classes by the coefficient of variation of weekly demand: X is steady, Y fluctuates, Z is erratic
+export const XYZ_THRESHOLDS = { X: 0.5, Y: 1 };
+
+/**
+ * Assign ABC classes by revenue contribution
+ * Products are ranked by revenue; each takes the class its cumulative share of total revenue
+ * falls in. Products that earned nothing are always C.
+ * @param {Array<Object>} items - Objects with a `revenue`
+ * @returns {Map<Object, string>} Class per item
+ */
+export const classifyABC = (items) => {
+  const totalRevenue = items.reduce((sum, item) => sum + Math.max(0, item.revenue), 0);
+  const classes = new Map();
+  let cumulative = 0;
+
+  [...items]
+    .sort((a, b) => b.revenue - a.revenue)
+    .forEach(item => {
+      if (totalRevenue <= 0 || item.revenue <= 0) {
+        classes.set(item, 'C');
+        return;
+      }
+      // A product is classed by where its revenue starts, so the top seller is always A
+      const share = cumulative / totalRevenue;
+      cumulative += item.revenue;
+      classes.set(item, share < ABC_THRESHOLDS.A ? 'A' : share < ABC_THRESHOLDS.B ? 'B' : 'C');
+    });
+
+  return classes;
+};
+
+/**
+ * Coefficient of variation (standard deviation / mean) of a demand series
+ * @param {Array<number>} series - Quantity per period, including periods with no sales
+ * @returns {number|null} null when nothing sold
+ */
+export const coefficientOfVariation = (series) => {
+  if (series.length === 0) return null;
+  const mean = series.reduce((sum, quantity) => sum + quantity, 0) / series.length;
+  if (mean <= 0) return null;
+
+  const variance = series.reduce((sum, quantity) => sum + (quantity - mean) ** 2, 0) / series.length;
+  return Math.sqrt(variance) / mean;
+};
+
+/**
+ * XYZ class of a demand series
+ * @param {Array<number>} series - Quantity per period, including periods with no sales
+ * @returns {{ xyzClass: string|null, variability: number|null }} Both null when nothing sold
+ */
+export const classifyXYZ = (series) => {
+  const variability = coefficientOfVariation(series);
+  if (variability === null) return { xyzClass: null, variability: null };
+
+  const xyzClass = variability <= XYZ_THRESHOLDS.X ? 'X' : variability <= XYZ_THRESHOLDS.Y ? 'Y' : 'Z';
+  return { xyzClass, variability: Math.round(variability * 100) / 100 };
+};
@@ -0,0 +1,75 @@
+import Product from '../models/Product.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import { roundQuantity, stockChangeUpdate } from './unitOfMeasure.js';
+import { getLocationQuantity, locationStockFilter, locationStockUpdate } from './locations.js';
+
+/**
+ * Change a product's stock and return the ledger fields for the movement
+ * The balance is read back from the same atomic update, so concurrent sales cannot skew before/after.
+ * With a location, that location's stock moves with the total and cannot go below zero.
+ * @param {Object} params
+ * @param {string|ObjectId} params.productId
+ * @param {number} params.quantity - Signed change in base units
+ * @param {string|ObjectId} [params.location] - Location the stock moves at
+ * @param {Array} [params.update] - Update pipeline to apply instead of a plain stock change (e.g. receiveStockUpdate)
+ * @param {Object} [params.filter] - Extra match conditions, such as enough stock being left
+ * @param {boolean} [params.locationOnly=false] - Move stock at the location without changing the total (transfers)
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Object|null>} Product, name, quantity and balances, or null when no product matched
+ */
+export const applyStockChange = async ({
+  productId,
+  quantity,
+  location = null,
+  update = null,
+  filter = {},
+  locationOnly = false,
+  session = null
+}) => {
+  const pipeline = locationOnly ? [] : [...(update || stockChangeUpdate(quantity))];
+  const match = { _id: productId, ...filter };
+
+  if (location) {
+    pipeline.push(...locationStockUpdate(location, quantity));
+    if (quantity < 0) {
+      Object.assign(match, locationStockFilter(location, -quantity));
+    }
+  }
+
+  const product = await Product.findOneAndUpdate(match, pipeline, {
+    new: true,
+    session,
+    projection: { name: 1, stockQuantity: 1, locationStock: 1 }
+  });
+
+  if (!product) return null;
+
+  const change = {
+    product: product._id,
+    productName: product.name,
+    quantity: roundQuantity(quantity),
+    balanceBefore: locationOnly ? product.stockQuantity : roundQuantity(product.stockQuantity - quantity),
+    balanceAfter: product.stockQuantity
+  };
+
+  if (location) {
+    const locationBalance = getLocationQuantity(product, location);
+    change.location = location;
+    change.locationBalanceBefore = roundQuantity(locationBalance - quantity);
+    change.locationBalanceAfter = locationBalance;
+  }
+
+  return change;
+};
+
+/**
+ * Append movements to the stock ledger
+ * The ledger is append-only: entries are written once and never updated or removed
+ * @param {Array<Object>} movements - StockMovement fields for each entry
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Array>} Created ledger entries
+ */
+export const recordStockMovements = async (movements, session = null) => {
+  if (movements.length === 0) return [];
+  return StockMovement.create(movements, { session, ordered: true });
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.model.js';
+import { roundQuantity } from './unitOfMeasure.js';
+
+/**
+ * Get stock soft-reserved by parked (held) sales whose reservation has not expired
+ * @param {Array} productIds - Products to check
+ * @param {Object} [options]
+ * @param {string} [options.excludeSaleId] - Held sale whose own reservation should not count
+ * @param {ClientSession} [options.session] - Optional MongoDB session when called inside a transaction
+ * @returns {Promise<Map<string, number>>} Reserved quantity by product ID
+ */
+export const getReservedQuantities = async (productIds, { excludeSaleId = null, session = null } = {}) => {
+  const ids = productIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  const match = {
+    isHeld: true,
+    reservedUntil: { $gt: new Date() },
+    'items.product': { $in: ids }
+  };
+  if (excludeSaleId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludeSaleId.toString()) };
+  }
+
+  const reserved = await Sale.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: ids } } },
+    {
+      $group: {
+        _id: '$items.product',
+        // Held lines may be in packs or boxes; reservations count base units
+        quantity: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.unitFactor', 1] }] } }
+      }
+    }
+  ]).session(session);
+
+  return new Map(reserved.map(item => [item._id.toString(), roundQuantity(item.quantity)]));
+};
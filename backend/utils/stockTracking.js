@@ -0,0 +1,255 @@
+import SerialNumber from '../models/SerialNumber.model.js';
+import { createError } from './createError.js';
+import { formatQuantity } from './unitOfMeasure.js';
+
+/**
+ * Clean up serial numbers as entered or scanned: trimmed, upper-cased, blanks dropped
+ * @param {Array<string>|string} [serialNumbers] - List, or text with one serial per line or comma
+ * @returns {Array<string>}
+ */
+export const normalizeSerialNumbers = (serialNumbers = []) => {
+  const list = Array.isArray(serialNumbers) ? serialNumbers : String(serialNumbers).split(/[\n,]/);
+  return list.map(serial => String(serial).trim().toUpperCase()).filter(Boolean);
+};
+
+/**
+ * Check that serial numbers account for every unit of a serialized line, once each
+ * @param {Object} product - Product document
+ * @param {Array<string>} serialNumbers - Normalized serial numbers
+ * @param {number} baseQuantity - Units on the line, in base units
+ * @throws 400 when the quantity is not whole, the count differs or a serial repeats
+ */
+const assertSerialCount = (product, serialNumbers, baseQuantity) => {
+  if (!Number.isInteger(baseQuantity)) {
+    throw createError(400, `${product.name} is serialized and can only be moved in whole units`);
+  }
+  if (serialNumbers.length !== baseQuantity) {
+    throw createError(400, `${product.name} needs ${baseQuantity} serial number(s), ${serialNumbers.length} given`);
+  }
+  const repeated = serialNumbers.find((serial, index) => serialNumbers.indexOf(serial) !== index);
+  if (repeated) {
+    throw createError(400, `Serial number ${repeated} is entered more than once`);
+  }
+};
+
+/**
+ * Check the tracking details entered for a delivery of a product, before any stock moves
+ * Serialized products need one new serial per unit received; lot-tracked products need a lot number.
+ * @param {Object} product - Product document
+ * @param {Object} params
+ * @param {number} params.baseQuantity - Quantity received in base units
+ * @param {Array<string>} [params.serialNumbers] - Normalized serial numbers
+ * @param {string} [params.lotNumber]
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @throws 400 when the details are missing, do not match the quantity or a serial is already on record
+ */
+export const assertReceiptTracking = async (product, { baseQuantity, serialNumbers = [], lotNumber, session = null }) => {
+  if (product.tracking === 'lot' && !lotNumber?.trim()) {
+    throw createError(400, `Enter the lot number for ${product.name}`);
+  }
+  if (product.tracking !== 'serial') return;
+
+  assertSerialCount(product, serialNumbers, baseQuantity);
+  const existing = await SerialNumber.find({ product: product._id, serialNumber: { $in: serialNumbers } })
+    .select('serialNumber')
+    .session(session);
+  if (existing.length > 0) {
+    throw createError(400, `Serial number(s) already on record for ${product.name}: ${existing.map(unit => unit.serialNumber).join(', ')}`);
+  }
+};
+
+/**
+ * Record the serial numbers of units received with a delivery
+ * @param {Object} params
+ * @param {Object} params.product - Product document
+ * @param {Array<string>} params.serialNumbers - Normalized serial numbers, checked with assertReceiptTracking
+ * @param {Object} params.stockHistory - StockHistory entry of the delivery
+ * @param {string} params.userId - User receiving the units
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ */
+export const registerSerialNumbers = async ({ product, serialNumbers, stockHistory, userId, session = null }) => {
+  if (product.tracking !== 'serial' || serialNumbers.length === 0) return;
+
+  await SerialNumber.create(serialNumbers.map(serialNumber => ({
+    serialNumber,
+    product: product._id,
+    productName: product.name,
+    stockHistory: stockHistory._id,
+    purchaseOrder: stockHistory.purchaseOrder,
+    location: stockHistory.location,
+    receivedAt: stockHistory.dateDelivered,
+    receivedBy: userId
+  })), { session, ordered: true });
+};
+
+/**
+ * Check the serial numbers picked for a sale line are units of the product in stock where it is sold
+ * @param {Object} product - Product document
+ * @param {Array<string>} serialNumbers - Normalized serial numbers
+ * @param {number} baseQuantity - Units sold, in base units
+ * @param {Object} [location] - Location document the units leave from (null before locations are set up)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @throws 400 when the pick does not match the quantity or a unit is not in stock there
+ */
+export const assertSerialsInStock = async (product, serialNumbers, baseQuantity, location = null, session = null) => {
+  assertSerialCount(product, serialNumbers, baseQuantity);
+
+  const filter = { product: product._id, serialNumber: { $in: serialNumbers }, status: 'in_stock' };
+  if (location) filter.location = location._id;
+  const units = await SerialNumber.find(filter)
+    .select('serialNumber')
+    .session(session);
+  if (units.length !== serialNumbers.length) {
+    const inStock = new Set(units.map(unit => unit.serialNumber));
+    const missing = serialNumbers.filter(serial => !inStock.has(serial));
+    const locationNote = location ? ` at ${location.name}` : '';
+    throw createError(400, `${product.name} serial number(s) not in stock${locationNote}: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Mark the serial numbers on a sale's lines as sold to its customer
+ * The update only matches units still in stock at the sale's location, so the same unit cannot be sold at two terminals.
+ * @param {Object} sale - Sale document
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @throws 409 when a unit was sold in the meantime
+ */
+export const markSerialsSold = async (sale, session = null) => {
+  for (const item of sale.items) {
+    if (!item.serialNumbers?.length) continue;
+
+    const filter = { product: item.product, serialNumber: { $in: item.serialNumbers }, status: 'in_stock' };
+    if (sale.location) filter.location = sale.location;
+    const result = await SerialNumber.updateMany(
+      filter,
+      {
+        $set: {
+          status: 'sold',
+          sale: sale._id,
+          saleNumber: sale.saleNumber,
+          customer: sale.customer,
+          customerName: sale.customerName,
+          soldAt: sale.createdAt
+        }
+      },
+      { session }
+    );
+    if (result.modifiedCount !== item.serialNumbers.length) {
+      throw createError(409, 'A serial number on this sale was sold while processing it, please pick again');
+    }
+  }
+};
+
+/**
+ * Put sold serial numbers back in stock (sale voided) or write them off
+ * @param {Object} params
+ * @param {string|ObjectId} params.product
+ * @param {Array<string>} params.serialNumbers
+ * @param {string|ObjectId} params.sale - Sale the units must have been sold on
+ * @param {string} [params.status='in_stock'] - 'in_stock' or 'written_off'
+ * @param {Object} [params.creditMemo] - Return the units came back on
+ * @param {string|ObjectId} [params.location] - Location units put back in stock go to
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @throws 400 when a unit was not sold on the sale
+ */
+export const releaseSerialNumbers = async ({ product, serialNumbers, sale, status = 'in_stock', creditMemo = null, location = null, session = null }) => {
+  if (!serialNumbers?.length) return;
+
+  const update = { status };
+  if (status === 'in_stock' && location) update.location = location;
+  if (creditMemo) {
+    Object.assign(update, {
+      return: creditMemo._id,
+      creditMemoNumber: creditMemo.creditMemoNumber,
+      returnedAt: new Date()
+    });
+  }
+
+  const result = await SerialNumber.updateMany(
+    { product, serialNumber: { $in: serialNumbers }, sale, status: 'sold' },
+    { $set: update },
+    { session }
+  );
+  if (result.modifiedCount !== serialNumbers.length) {
+    throw createError(400, `Only ${formatQuantity(result.modifiedCount)} of the serial numbers were sold on this sale`);
+  }
+};
+
+/**
+ * Check the serial numbers picked for a stock adjustment of a serialized product
+ * Units taken out must be in stock at the location; units found must be ones written off before,
+ * as new units only come in with a delivery.
+ * @param {Object} product - Product document
+ * @param {Array<string>} serialNumbers - Normalized serial numbers
+ * @param {number} quantity - Change in base units: negative takes units out, positive finds them
+ * @param {string|ObjectId} [location] - Location adjusted (null before locations are set up)
+ * @param {ClientSession} [session] - Optional MongoDB session when called inside a transaction
+ * @throws 400 when the pick does not match the quantity or a unit cannot be adjusted
+ */
+export const assertAdjustmentSerials = async (product, serialNumbers, quantity, location = null, session = null) => {
+  assertSerialCount(product, serialNumbers, Math.abs(quantity));
+
+  const removing = quantity < 0;
+  const filter = { product: product._id, serialNumber: { $in: serialNumbers }, status: removing ? 'in_stock' : 'written_off' };
+  if (removing && location) filter.location = location;
+  const units = await SerialNumber.find(filter)
+    .select('serialNumber')
+    .session(session);
+  if (units.length !== serialNumbers.length) {
+    const matched = new Set(units.map(unit => unit.serialNumber));
+    const missing = serialNumbers.filter(serial => !matched.has(serial)).join(', ');
+    throw createError(400, removing
+      ? `${product.name} serial number(s) not in stock${location ? ' at this location' : ''}: ${missing}`
+      : `${product.name} serial number(s) not written off: ${missing}. New units are received as a delivery`);
+  }
+};
+
+/**
+ * Write off the serial numbers a stock adjustment takes out, or put found units back in stock at its location
+ * @param {Object} params
+ * @param {Object} params.product - Product document
+ * @param {Array<string>} params.serialNumbers - Normalized serial numbers
+ * @param {number} params.quantity - Change in base units
+ * @param {string|ObjectId} [params.location] - Location adjusted
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @throws 400 when the pick does not match the quantity or a unit cannot be adjusted
+ */
+export const adjustSerialNumbers = async ({ product, serialNumbers = [], quantity, location = null, session = null }) => {
+  await assertAdjustmentSerials(product, serialNumbers, quantity, location, session);
+
+  const removing = quantity < 0;
+  const filter = { product: product._id, serialNumber: { $in: serialNumbers }, status: removing ? 'in_stock' : 'written_off' };
+  const update = { status: removing ? 'written_off' : 'in_stock' };
+  if (location) {
+    if (removing) filter.location = location;
+    else update.location = location;
+  }
+  await SerialNumber.updateMany(filter, { $set: update }, { session });
+};
+
+/**
+ * Move the serial numbers on a transfer line in or out of one location
+ * Units leave the source in transit and are in stock again at whichever location takes them back in.
+ * @param {Object} params
+ * @param {string|ObjectId} params.product
+ * @param {Array<string>} [params.serialNumbers]
+ * @param {string|ObjectId} params.location - Location the units move at
+ * @param {number} params.direction - 1 to put units in, -1 to take them out
+ * @param {ClientSession} [params.session] - Optional MongoDB session when called inside a transaction
+ * @throws 409 when a unit is no longer where the transfer expects it
+ */
+export const transferSerialNumbers = async ({ product, serialNumbers, location, direction, session = null }) => {
+  if (!serialNumbers?.length) return;
+
+  const leaving = direction < 0;
+  const result = await SerialNumber.updateMany(
+    leaving
+      ? { product, serialNumber: { $in: serialNumbers }, status: 'in_stock', location }
+      : { product, serialNumber: { $in: serialNumbers }, status: 'in_transit' },
+    { $set: leaving ? { status: 'in_transit' } : { status: 'in_stock', location } },
+    { session }
+  );
+  if (result.modifiedCount !== serialNumbers.length) {
+    throw createError(409, 'A serial number on this transfer was sold or moved while processing it, please pick again');
+  }
+};
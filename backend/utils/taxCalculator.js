@@ -0,0 +1,127 @@
+import { calculateDiscountAmount, roundCurrency } from './calculateDiscount.js';
+
+// Discounts granted to senior citizens and PWDs also exempt the line from VAT (RA 9994, RA 10754)
+export const VAT_EXEMPT_DISCOUNT_REASONS = ['senior_citizen', 'pwd'];
+
+const hasDiscount = (discount) => !!discount && parseFloat(discount.value) > 0;
+
+/**
+ * Calculate discounts and the VAT breakdown of a sale
+ *
+ * Each line is classified as VATable, VAT-exempt or zero-rated. When prices are VAT-inclusive,
+ * the VAT built into the shelf price is taken out of exempt (senior citizen/PWD) and zero-rated
+ * lines before their discount is computed. Products and categories flagged VAT-exempt never carry VAT.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.lines - Sale lines ({ grossAmount, vatExempt, discount })
+ * @param {Object} [params.saleDiscount] - Whole-sale discount ({ type, value, reasonCode })
+ * @param {number} params.vatRate - VAT rate as a percentage (e.g. 12)
+ * @param {boolean} params.pricesIncludeVat - Whether shelf prices already include VAT
+ * @param {boolean} [params.zeroRated] - Whether the whole sale is zero-rated (PEZA, diplomatic)
+ * @returns {Object} Per-line results and sale totals
+ */
+export const calculateSaleTaxes = ({ lines, saleDiscount, vatRate, pricesIncludeVat, zeroRated = false }) => {
+  const rate = (parseFloat(vatRate) || 0) / 100;
+  const saleIsExempt = hasDiscount(saleDiscount) && VAT_EXEMPT_DISCOUNT_REASONS.includes(saleDiscount.reasonCode);
+
+  const results = lines.map(line => {
+    const discountIsExempt = hasDiscount(line.discount) && VAT_EXEMPT_DISCOUNT_REASONS.includes(line.discount.reasonCode);
+
+    let taxClass = 'vatable';
+    if (zeroRated) {
+      taxClass = 'zero_rated';
+    } else if (line.vatExempt || discountIsExempt || saleIsExempt) {
+      taxClass = 'exempt';
+    }
+
+    const removesVat = pricesIncludeVat && taxClass !== 'vatable' && !line.vatExempt;
+    const baseAmount = removesVat ? line.grossAmount / (1 + rate) : line.grossAmount;
+    const discountAmount = calculateDiscountAmount(line.discount, baseAmount);
+
+    return {
+      taxClass,
+      lessVat: roundCurrency(line.grossAmount - baseAmount),
+      discountAmount,
+      netAmount: roundCurrency(baseAmount - discountAmount)
+    };
+  });
+
+  const netBeforeSaleDiscount = results.reduce((sum, line) => sum + line.netAmount, 0);
+  const saleDiscountAmount = calculateDiscountAmount(saleDiscount, netBeforeSaleDiscount);
+
+  let vatableSales = 0;
+  let vatExemptSales = 0;
+  let zeroRatedSales = 0;
+  let vatAmount = 0;
+
+  results.forEach(line => {
+    // Spread the whole-sale discount over the lines in proportion to their amounts
+    const share = netBeforeSaleDiscount > 0 ? saleDiscountAmount * (line.netAmount / netBeforeSaleDiscount) : 0;
+    const amount = line.netAmount - share;
+
+    if (line.taxClass === 'zero_rated') {
+      zeroRatedSales += amount;
+    } else if (line.taxClass === 'exempt') {
+      vatExemptSales += amount;
+    } else if (pricesIncludeVat) {
+      const netOfVat = amount / (1 + rate);
+      vatableSales += netOfVat;
+      vatAmount += amount - netOfVat;
+    } else {
+      vatableSales += amount;
+      vatAmount += amount * rate;
+    }
+  });
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.grossAmount, 0));
+  const lessVat = roundCurrency(results.reduce((sum, line) => sum + line.lessVat, 0));
+  const lineDiscountTotal = results.reduce((sum, line) => sum + line.discountAmount, 0);
+  const discount = roundCurrency(lineDiscountTotal + saleDiscountAmount);
+  vatAmount = roundCurrency(vatAmount);
+
+  return {
+    lines: results,
+    subtotal,
+    lessVat,
+    saleDiscountAmount,
+    discount,
+    vatableSales: roundCurrency(vatableSales),
+    vatExemptSales: roundCurrency(vatExemptSales),
+    zeroRatedSales: roundCurrency(zeroRatedSales),
+    vatAmount,
+    total: roundCurrency(subtotal - lessVat - discount + (pricesIncludeVat ? 0 : vatAmount))
+  };
+};
+
+/**
+ * Find the discounts of a sale above the approval threshold
+ * Each discount is held to the threshold on its own: a line discount against its line, the
+ * whole-sale discount against the lines after their own discounts. Percentage discounts are
+ * compared as entered, so centavo rounding cannot push one at the threshold over it.
+ * @param {Object} params
+ * @param {Array<Object>} params.lines - Sale lines as passed to calculateSaleTaxes
+ * @param {Object} [params.saleDiscount] - Whole-sale discount
+ * @param {Object} params.taxes - Result of calculateSaleTaxes for the lines
+ * @param {number} params.threshold - Settings.discountApprovalThreshold, as a percentage
+ * @returns {Array<Object>} The discounts above the threshold
+ */
+export const findDiscountsOverThreshold = ({ lines, saleDiscount, taxes, threshold }) => {
+  const getPercentage = (discount, amount, base) => {
+    if (discount.type === 'percentage') return parseFloat(discount.value);
+    return base > 0 ? roundCurrency((amount / base) * 100) : 0;
+  };
+
+  const overThreshold = [];
+  lines.forEach((line, index) => {
+    const { discountAmount, netAmount } = taxes.lines[index];
+    if (hasDiscount(line.discount) && getPercentage(line.discount, discountAmount, netAmount + discountAmount) > threshold) {
+      overThreshold.push(line.discount);
+    }
+  });
+
+  const netBeforeSaleDiscount = taxes.lines.reduce((sum, line) => sum + line.netAmount, 0);
+  if (hasDiscount(saleDiscount) && getPercentage(saleDiscount, taxes.saleDiscountAmount, netBeforeSaleDiscount) > threshold) {
+    overThreshold.push(saleDiscount);
+  }
+  return overThreshold;
+};
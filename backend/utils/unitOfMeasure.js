@@ -0,0 +1,159 @@
+import { createError } from './createError.js';
+import { MAX_QUANTITY_PRECISION } from '../models/Product.model.js';
+
+/**
+ * Decimal places stock quantities are stored with; one more than MAX_QUANTITY_PRECISION so unit factors round cleanly
+ */
+export const QUANTITY_DECIMALS = MAX_QUANTITY_PRECISION + 1;
+
+/**
+ * Default decimal places by base unit; weighed and cut-to-length units allow fractions
+ * Units not listed (Piece, Box, Bag, ...) are sold in whole numbers
+ */
+export const UNIT_PRECISION = {
+  Kilogram: 3,
+  Gram: 0,
+  Liter: 3,
+  Milliliter: 0,
+  Meter: 2,
+  Centimeter: 0,
+  Piece: 0,
+  Gallon: 2,
+  Pound: 2,
+  Ounce: 2,
+  Feet: 2,
+  Inch: 1
+};
+
+/**
+ * Round a quantity to a number of decimal places
+ * Used after every multiplication or sum of quantities so binary floating-point error never accumulates in stock
+ * @param {number} value - Quantity to round
+ * @param {number} [decimals=QUANTITY_DECIMALS] - Decimal places to keep
+ * @returns {number}
+ */
+export const roundQuantity = (value, decimals = QUANTITY_DECIMALS) => {
+  const factor = 10 ** decimals;
+  return Math.round((value + Math.sign(value) * Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Check that a quantity has no more decimal places than allowed
+ * @param {number} quantity - Quantity entered
+ * @param {number} precision - Allowed decimal places
+ * @returns {boolean}
+ */
+export const hasValidPrecision = (quantity, precision) => roundQuantity(quantity, precision) === roundQuantity(quantity);
+
+/**
+ * Decimal places a product can be sold or received in
+ * The product's own setting wins; otherwise it is decided by the base unit
+ * @param {Object} product - Product document
+ * @returns {number}
+ */
+export const getQuantityPrecision = (product) => {
+  if (product.quantityPrecision !== undefined && product.quantityPrecision !== null) {
+    return product.quantityPrecision;
+  }
+  return UNIT_PRECISION[product.unit] ?? 0;
+};
+
+/**
+ * Describe the allowed precision for error messages
+ * @param {number} precision - Allowed decimal places
+ * @returns {string}
+ */
+export const describePrecision = (precision) => (
+  precision === 0 ? 'whole numbers' : `up to ${precision} decimal place${precision === 1 ? '' : 's'}`
+);
+
+/**
+ * Update pipeline that adds to (or, with a negative change, takes from) a product's stock
+ * The result is rounded in the database so repeated fractional sales and returns do not drift
+ * @param {number} change - Quantity in base units
+ * @returns {Array} Update pipeline for updateOne/findOneAndUpdate/bulkWrite
+ */
+export const stockChangeUpdate = (change) => [
+  { $set: { stockQuantity: { $round: [{ $add: ['$stockQuantity', roundQuantity(change)] }, QUANTITY_DECIMALS] } } }
+];
+
+/**
+ * Selling price of one base unit: base price + (base price * markup percentage / 100)
+ */
+const getBaseSellingPrice = (product) => {
+  const basePrice = product.price || 0;
+  return basePrice + (basePrice * ((product.markupPercentage || 0) / 100));
+};
+
+/**
+ * Resolve the unit a product is sold or received in
+ * No UOM, or the product's own unit, means the base stock unit at the product's selling price
+ * @param {Object} product - Product document
+ * @param {string} [uomName] - Name of one of the product's UOMs (e.g., 'Box')
+ * @returns {{ uom: string|undefined, unitFactor: number, price: number, precision: number }} Base units per UOM, price per UOM and allowed decimal places
+ * @throws 400 when the product has no such UOM
+ */
+export const resolveUnit = (product, uomName) => {
+  const name = uomName?.trim();
+  if (!name || name.toLowerCase() === product.unit?.toLowerCase()) {
+    return { uom: undefined, unitFactor: 1, price: getBaseSellingPrice(product), precision: getQuantityPrecision(product) };
+  }
+
+  const uom = product.uoms?.find(u => u.name.toLowerCase() === name.toLowerCase());
+  if (!uom) {
+    throw createError(400, `${product.name} is not sold by ${name}`);
+  }
+
+  return { uom: uom.name, unitFactor: uom.factor, price: uom.price, precision: uom.precision ?? 0 };
+};
+
+/**
+ * Check a quantity entered for a product against the precision of the unit it is in
+ * @param {Object} product - Product document
+ * @param {number} quantity - Quantity in the resolved unit
+ * @param {Object} unit - Result of resolveUnit
+ * @throws 400 when the quantity has too many decimal places
+ */
+export const assertQuantityPrecision = (product, quantity, unit) => {
+  if (!hasValidPrecision(quantity, unit.precision)) {
+    const unitName = unit.uom || product.unit;
+    throw createError(400, `${product.name}${unitName ? ` (${unitName})` : ''} is sold in ${describePrecision(unit.precision)}`);
+  }
+};
+
+/**
+ * Quantity of a sale, return or delivery line in the product's base stock unit
+ * @param {Object} item - Line with quantity and optional unitFactor
+ * @returns {number}
+ */
+export const getBaseQuantity = (item) => roundQuantity(item.quantity * (item.unitFactor || 1));
+
+/**
+ * Format a quantity for receipts and PDFs without trailing zeros (e.g., 2.5, 1.75, 3)
+ * @param {number} quantity - Quantity to format
+ * @returns {string}
+ */
+export const formatQuantity = (quantity) => (
+  roundQuantity(quantity || 0).toLocaleString('en-US', { maximumFractionDigits: QUANTITY_DECIMALS })
+);
+
+/**
+ * Check a product's UOM list before it is saved
+ * @param {Array} uoms - UOM definitions ({ name, factor, price })
+ * @param {string} [baseUnit] - The product's base stock unit
+ * @returns {string|null} Error message, or null when the list is valid
+ */
+export const validateUoms = (uoms = [], baseUnit) => {
+  const seen = new Set();
+  for (const uom of uoms) {
+    const name = uom.name?.trim().toLowerCase();
+    if (baseUnit && name === baseUnit.toLowerCase()) {
+      return `${uom.name} is already the base unit`;
+    }
+    if (seen.has(name)) {
+      return `Unit ${uom.name} is defined more than once`;
+    }
+    seen.add(name);
+  }
+  return null;
+};
@@ -7,10 +7,21 @@ import ProtectedRoute from './components/ProtectedRoute';
 const Login = lazy(() => import('./pages/Login'));
 const Dashboard = lazy(() => import('./pages/Dashboard'));
 const Suppliers = lazy(() => import('./pages/Suppliers'));
+const Customers = lazy(() => import('./pages/Customers'));
+const Shifts = lazy(() => import('./pages/Shifts'));
 const Products = lazy(() => import('./pages/Products'));
 const Categories = lazy(() => import('./pages/Categories'));
+const PriceLists = lazy(() => import('./pages/PriceLists'));
+const Promotions = lazy(() => import('./pages/Promotions'));
+const PurchaseOrders = lazy(() => import('./pages/PurchaseOrders'));
+const ReorderSuggestions = lazy(() => import('./pages/ReorderSuggestions'));
 const Sales = lazy(() => import('./pages/Sales'));
 const Inventory = lazy(() => import('./pages/Inventory'));
+const StockAdjustments = lazy(() => import('./pages/StockAdjustments'));
+const CycleCounts = lazy(() => import('./pages/CycleCounts'));
+const StockTransfers = lazy(() => import('./pages/StockTransfers'));
+const SerialLookup = lazy(() => import('./pages/SerialLookup'));
+const Locations = lazy(() => import('./pages/Locations'));
 const Reports = lazy(() => import('./pages/Reports'));
 const Users = lazy(() => import('./pages/Users'));
 const Profile = lazy(() => import('./pages/Profile'));
@@ -58,10 +69,63 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="price-lists"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <PriceLists />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="promotions"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <Promotions />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="purchase-orders"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <PurchaseOrders />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="reorder"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <ReorderSuggestions />
+              </ProtectedRoute>
+            }
+          />
           <Route path="sales" element={<Sales />} />
+          <Route path="customers" element={<Customers />} />
+          <Route path="shifts" element={<Shifts />} />
           <Route path="inventory" element={<Inventory />} />
+          <Route path="stock-adjustments" element={<StockAdjustments />} />
+          <Route
+            path="cycle-counts"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <CycleCounts />
+              </ProtectedRoute>
+            }
+          />
+          <Route path="stock-transfers" element={<StockTransfers />} />
+          <Route path="serial-lookup" element={<SerialLookup />} />
           <Route path="reports" element={<Reports />} />
           <Route path="profile" element={<Profile />} />
+          <Route
+            path="locations"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <Locations />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="users"
             element={
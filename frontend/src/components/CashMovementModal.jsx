@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+
+const CashMovementModal = ({ isOpen, onClose, onConfirm, isLoading = false }) => {
+  const [type, setType] = useState('cash_out');
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setType('cash_out');
+      setAmount('');
+      setReason('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleConfirm = () => {
+    if (isLoading) return;
+    if (!(parseFloat(amount) > 0)) {
+      toast.error('Enter an amount greater than 0');
+      return;
+    }
+    if (!reason.trim()) {
+      toast.error('Enter the reason for this cash movement');
+      return;
+    }
+    onConfirm({ type, amount: parseFloat(amount), reason: reason.trim() });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Cash In / Out</h3>
+        <p className="text-gray-600 mb-4">
+          Record cash added to or taken from the drawer outside of a sale.
+        </p>
+
+        <div className="space-y-4 mb-6">
+          <div className="flex gap-4">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="radio"
+                checked={type === 'cash_in'}
+                onChange={() => setType('cash_in')}
+                className="w-4 h-4"
+              />
+              Cash In
+            </label>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="radio"
+                checked={type === 'cash_out'}
+                onChange={() => setType('cash_out')}
+                className="w-4 h-4"
+              />
+              Cash Out
+            </label>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Amount</label>
+            <input
+              type="number"
+              step="0.01"
+              min={0}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="0.00"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={200}
+              placeholder={type === 'cash_in' ? 'e.g., Additional change fund' : 'e.g., Paid delivery rider'}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            />
+          </div>
+        </div>
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Recording...' : 'Record'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CashMovementModal;
@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { COLLECTION_METHODS } from '../constants/paymentMethods';
+import { getAgingBucketLabel } from '../constants/agingBuckets';
+import { formatCurrencyDisplay, formatDate, formatPaymentMethod } from '../utils/utils';
+
+const CustomerAccountModal = ({ isOpen, customer, onClose }) => {
+  const [account, setAccount] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState('cash');
+  const [reference, setReference] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && customer) {
+      setAccount(null);
+      setAmount('');
+      setMethod('cash');
+      setReference('');
+      setNotes('');
+      fetchAccount();
+    }
+  }, [isOpen, customer]);
+
+  const fetchAccount = async () => {
+    try {
+      const response = await axios.get(`/customers/${customer._id}/account`);
+      setAccount(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  if (!isOpen || !customer) return null;
+
+  const handleClose = () => {
+    if (!isSubmitting) {
+      onClose();
+    }
+  };
+
+  // Payments are applied to the oldest due charges first
+  const handleRecordPayment = async () => {
+    const value = parseFloat(amount);
+    if (!(value > 0)) {
+      toast.error('Enter the amount received');
+      return;
+    }
+    if (value > account.outstanding) {
+      toast.error(`Payment exceeds the outstanding balance of ${formatCurrencyDisplay(account.outstanding)}`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/customers/${customer._id}/payments`, {
+        amount: value,
+        method,
+        reference: method !== 'cash' ? reference || undefined : undefined,
+        notes: notes || undefined
+      });
+      toast.success(response.data.message);
+      setAmount('');
+      setReference('');
+      setNotes('');
+      fetchAccount();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-1">Account: {customer.name}</h3>
+        {!account ? (
+          <p className="text-gray-500 py-6 text-center">Loading...</p>
+        ) : (
+          <>
+            <p className="text-gray-600 mb-4">
+              {account.creditLimit > 0
+                ? `Credit limit ${formatCurrencyDisplay(account.creditLimit)}, ${account.paymentTermsDays}-day terms`
+                : 'No credit account. Set a credit limit to allow charges.'}
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-600">Outstanding</p>
+                <p className="text-lg font-bold">{formatCurrencyDisplay(account.outstanding)}</p>
+              </div>
+              <div className="bg-red-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-600">Overdue</p>
+                <p className="text-lg font-bold text-red-700">{formatCurrencyDisplay(account.overdue)}</p>
+              </div>
+              <div className="bg-green-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-600">Available Credit</p>
+                <p className="text-lg font-bold text-green-700">{formatCurrencyDisplay(account.availableCredit)}</p>
+              </div>
+            </div>
+
+            <h4 className="font-semibold mb-2">Open Charges</h4>
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sale #</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Aging</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {account.openCharges.length === 0 ? (
+                    <tr>
+                      <td colSpan={5} className="px-3 py-4 text-center text-gray-500">No open charges</td>
+                    </tr>
+                  ) : (
+                    account.openCharges.map(sale => (
+                      <tr key={sale._id}>
+                        <td className="px-3 py-2 whitespace-nowrap">{sale.saleNumber}</td>
+                        <td className="px-3 py-2 whitespace-nowrap">{formatDate(sale.createdAt)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap">{formatDate(sale.dueDate)}</td>
+                        <td className={`px-3 py-2 whitespace-nowrap ${sale.daysOverdue > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                          {getAgingBucketLabel(sale.agingBucket)}
+                        </td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          {formatCurrencyDisplay(sale.balanceDue)}
+                          {sale.balanceDue < sale.chargedAmount && (
+                            <div className="text-xs text-gray-500">of {formatCurrencyDisplay(sale.chargedAmount)}</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {account.outstanding > 0 && (
+              <div className="border rounded-lg p-3 mb-4">
+                <h4 className="font-semibold mb-2">Record Payment</h4>
+                <div className="flex flex-col sm:flex-row gap-2 mb-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min={0}
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    className="sm:w-40 px-3 py-2 border rounded-lg"
+                    placeholder="Amount"
+                  />
+                  <select
+                    value={method}
+                    onChange={(e) => setMethod(e.target.value)}
+                    className="sm:w-44 px-3 py-2 border rounded-lg"
+                  >
+                    {COLLECTION_METHODS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {method !== 'cash' && (
+                    <input
+                      type="text"
+                      value={reference}
+                      onChange={(e) => setReference(e.target.value)}
+                      className="flex-1 px-3 py-2 border rounded-lg"
+                      placeholder="Check no. / reference no."
+                    />
+                  )}
+                </div>
+                <input
+                  type="text"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  maxLength={200}
+                  className="w-full px-3 py-2 border rounded-lg mb-2"
+                  placeholder="Notes (optional)"
+                />
+                <div className="flex justify-between items-center">
+                  <p className="text-xs text-gray-500">Applied to the oldest due charges first.</p>
+                  <button
+                    onClick={handleRecordPayment}
+                    disabled={isSubmitting}
+                    className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isSubmitting ? 'Recording...' : 'Record Payment'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <h4 className="font-semibold mb-2">Payments Received</h4>
+            {account.payments.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No payments recorded</p>
+            ) : (
+              <div className="space-y-2 mb-4">
+                {account.payments.map(payment => (
+                  <div key={payment._id} className="bg-gray-50 p-2 rounded text-sm">
+                    <div className="flex justify-between">
+                      <span className="font-semibold">{payment.paymentNumber}</span>
+                      <span>{formatCurrencyDisplay(payment.amount)}</span>
+                    </div>
+                    <div className="text-xs text-gray-600">
+                      {formatDate(payment.createdAt)} · {formatPaymentMethod(payment.method)}
+                      {payment.reference && ` (${payment.reference})`}
+                      {payment.receivedBy?.username && ` · ${payment.receivedBy.username}`}
+                    </div>
+                    <div className="text-xs text-gray-600">
+                      Applied to {payment.allocations.map(allocation => `${allocation.saleNumber} (${formatCurrencyDisplay(allocation.amount)})`).join(', ')}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={handleClose}
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerAccountModal;
@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import Select from 'react-select';
+import { formatQuantity } from '../utils/utils';
+
+const METHOD_LABELS = {
+  movingAverage: 'Moving Average',
+  seasonalNaive: 'Seasonal Naive',
+};
+
+// Lazy load recharts - only load when the forecast is shown
+const loadRecharts = () => import('recharts').then(module => ({
+  LineChart: module.LineChart,
+  Line: module.Line,
+  XAxis: module.XAxis,
+  YAxis: module.YAxis,
+  CartesianGrid: module.CartesianGrid,
+  Tooltip: module.Tooltip,
+  Legend: module.Legend,
+  ResponsiveContainer: module.ResponsiveContainer,
+}));
+
+const ForecastChart = ({ history, forecast }) => {
+  const [chartComponents, setChartComponents] = useState(null);
+
+  useEffect(() => {
+    loadRecharts().then(setChartComponents);
+  }, []);
+
+  if (!chartComponents) {
+    return <div className="flex items-center justify-center h-[300px]">Loading chart...</div>;
+  }
+
+  const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } = chartComponents;
+
+  // The forecast lines start from the last actual week so they join the history line
+  const last = history[history.length - 1];
+  const data = [
+    ...history.slice(0, -1).map(week => ({ weekStart: week.weekStart, actual: week.quantity })),
+    ...(last ? [{ weekStart: last.weekStart, actual: last.quantity, movingAverage: last.quantity, seasonalNaive: last.quantity }] : []),
+    ...forecast,
+  ];
+
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="weekStart" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        <Line type="monotone" dataKey="actual" stroke="#8884d8" name="Units Sold" dot={false} />
+        <Line type="monotone" dataKey="movingAverage" stroke="#82ca9d" strokeDasharray="5 5" name={METHOD_LABELS.movingAverage} dot={false} />
+        <Line type="monotone" dataKey="seasonalNaive" stroke="#ff7300" strokeDasharray="5 5" name={METHOD_LABELS.seasonalNaive} dot={false} connectNulls={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Weekly unit demand forecast for a product or category, charted next to its sales history
+const DemandForecastReport = ({ locationFilter }) => {
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [scope, setScope] = useState('product');
+  const [selected, setSelected] = useState('');
+  const [weeks, setWeeks] = useState(8);
+  const [averageWeeks, setAverageWeeks] = useState(4);
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    if (selected) fetchForecast();
+  }, [selected, weeks, averageWeeks, locationFilter]);
+
+  const fetchOptions = async () => {
+    try {
+      const [productsResponse, categoriesResponse] = await Promise.all([
+        axios.get('/products?isActive=true'),
+        axios.get('/categories?isActive=true'),
+      ]);
+      setProducts(productsResponse.data.data);
+      setCategories(categoriesResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchForecast = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/reports/demand-forecast', {
+        params: {
+          [scope]: selected,
+          weeks,
+          window: averageWeeks,
+          location: locationFilter || undefined,
+        },
+      });
+      setForecast(response.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const unit = forecast?.params.product?.unit ? ` ${forecast.params.product.unit}` : '';
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h2 className="text-xl font-semibold mb-1">Demand Forecast</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Weekly units sold and the next weeks projected two ways: the average of recent weeks, and the same weeks last year.
+        Each method is tested against the most recent actual weeks.
+      </p>
+
+      <div className="flex flex-col lg:flex-row gap-3 mb-6">
+        <select
+          value={scope}
+          onChange={(e) => {
+            setScope(e.target.value);
+            setSelected('');
+            setForecast(null);
+          }}
+          className="px-3 py-2 border rounded-lg text-sm"
+        >
+          <option value="product">Product</option>
+          <option value="category">Category</option>
+        </select>
+        <div className="flex-1 min-w-[16rem]">
+          {scope === 'product' ? (
+            <Select
+              options={products.map(p => ({ value: p._id, label: p.name }))}
+              value={products.filter(p => p._id === selected).map(p => ({ value: p._id, label: p.name }))[0] || null}
+              onChange={(option) => setSelected(option?.value || '')}
+              isSearchable
+              placeholder="Choose a product..."
+              className="react-select-container"
+              classNamePrefix="react-select"
+            />
+          ) : (
+            <select
+              value={selected}
+              onChange={(e) => setSelected(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            >
+              <option value="">Choose a category...</option>
+              {categories.map(category => (
+                <option key={category._id} value={category.name}>{category.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Forecast
+          <select
+            value={weeks}
+            onChange={(e) => setWeeks(parseInt(e.target.value))}
+            className="px-3 py-2 border rounded-lg text-sm"
+          >
+            {[4, 8, 12, 26].map(option => (
+              <option key={option} value={option}>{option} weeks</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Average of
+          <select
+            value={averageWeeks}
+            onChange={(e) => setAverageWeeks(parseInt(e.target.value))}
+            className="px-3 py-2 border rounded-lg text-sm"
+          >
+            {[4, 8, 13].map(option => (
+              <option key={option} value={option}>last {option} weeks</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!selected ? (
+        <div className="text-center py-8 text-gray-500">
+          <p>Choose a {scope} to forecast its demand.</p>
+        </div>
+      ) : loading ? (
+        <div className="flex items-center justify-center h-[300px]">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+        </div>
+      ) : forecast?.data.history.length > 0 ? (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-gray-50 p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Avg. Weekly Units</div>
+              <div className="text-2xl font-bold">{formatQuantity(forecast.summary.averageWeekly)}{unit}</div>
+              <div className="text-xs text-gray-500">over {forecast.summary.historyWeeks} weeks</div>
+            </div>
+            {Object.entries(METHOD_LABELS).map(([method, label]) => {
+              const accuracy = forecast.accuracy[method];
+              return (
+                <div
+                  key={method}
+                  className={`p-4 rounded-lg border ${forecast.recommendedMethod === method ? 'bg-green-50 border-green-200' : 'bg-gray-50'}`}
+                >
+                  <div className="text-gray-600 text-sm mb-1">
+                    {label}
+                    {forecast.recommendedMethod === method && <span className="ml-2 text-xs text-green-700 font-medium">Recommended</span>}
+                  </div>
+                  {accuracy ? (
+                    <>
+                      <div className="text-2xl font-bold">
+                        {accuracy.accuracy !== null ? `${accuracy.accuracy.toFixed(1)}%` : '-'}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        accurate over the last {accuracy.weeks} weeks; off by {formatQuantity(accuracy.mae)}{unit} a week on average
+                        {accuracy.bias !== 0 && ` (${accuracy.bias > 0 ? 'over' : 'under'}-forecasting)`}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="text-sm text-gray-500 mt-2">
+                      {method === 'seasonalNaive' ? 'Needs over a year of sales history' : 'Not enough sales history'}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <ForecastChart history={forecast.data.history} forecast={forecast.data.forecast} />
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Week Of</th>
+                  {Object.entries(METHOD_LABELS).map(([method, label]) => (
+                    <th key={method} className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {forecast.data.forecast.map(week => (
+                  <tr key={week.weekStart}>
+                    <td className="px-4 py-2">{week.weekStart}</td>
+                    {Object.keys(METHOD_LABELS).map(method => (
+                      <td key={method} className="px-4 py-2 text-right">
+                        {week[method] !== null ? formatQuantity(week[method]) : '-'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <p>No sales history to forecast from.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DemandForecastReport;
@@ -7,10 +7,10 @@ const Layout = () => {
   const { user, logout, isAdmin, isStaff } = useAuth();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  // Auto-expand Products menu if on products or categories page
+  // Auto-expand Products menu if on one of its pages
   const [expandedMenus, setExpandedMenus] = useState(() => {
     const path = location.pathname;
-    if (path === '/products' || path === '/categories') {
+    if (['/products', '/categories', '/price-lists', '/promotions'].includes(path)) {
       return { Products: true };
     }
     return {};
@@ -23,7 +23,13 @@ const Layout = () => {
         // Core Operations
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Sales', path: '/sales', icon: '💰', group: 'Core' },
+        { name: 'Customers', path: '/customers', icon: '🧑‍🤝‍🧑', group: 'Core' },
+        { name: 'Shifts', path: '/shifts', icon: '🧾', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
+        { name: 'Stock Adjustments', path: '/stock-adjustments', icon: '⚖️', group: 'Core' },
+        { name: 'Cycle Counts', path: '/cycle-counts', icon: '📝', group: 'Core' },
+        { name: 'Stock Transfers', path: '/stock-transfers', icon: '🔁', group: 'Core' },
+        { name: 'Serial Lookup', path: '/serial-lookup', icon: '🔎', group: 'Core' },
         
         // Product Management
         { 
@@ -32,13 +38,18 @@ const Layout = () => {
           group: 'Products',
           submenu: [
             { name: 'Product List', path: '/products', icon: '📋' },
-            { name: 'Category List', path: '/categories', icon: '🏷️' }
+            { name: 'Category List', path: '/categories', icon: '🏷️' },
+            { name: 'Price Lists', path: '/price-lists', icon: '💲' },
+            { name: 'Promotions', path: '/promotions', icon: '📣' }
           ]
         },
         { name: 'Suppliers', path: '/suppliers', icon: '🏢', group: 'Products' },
+        { name: 'Purchase Orders', path: '/purchase-orders', icon: '🚚', group: 'Products' },
+        { name: 'Reorder', path: '/reorder', icon: '🔁', group: 'Products' },
         
         // Administration
         { name: 'Reports', path: '/reports', icon: '📈', group: 'Admin' },
+        { name: 'Locations', path: '/locations', icon: '🏬', group: 'Admin' },
         { name: 'Users', path: '/users', icon: '👥', group: 'Admin' },
         { name: 'Settings', path: '/settings', icon: '⚙️', group: 'Admin' },
       ];
@@ -47,7 +58,12 @@ const Layout = () => {
         // Core Operations
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Sales', path: '/sales', icon: '💰', group: 'Core' },
+        { name: 'Customers', path: '/customers', icon: '🧑‍🤝‍🧑', group: 'Core' },
+        { name: 'Shifts', path: '/shifts', icon: '🧾', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
+        { name: 'Stock Adjustments', path: '/stock-adjustments', icon: '⚖️', group: 'Core' },
+        { name: 'Stock Transfers', path: '/stock-transfers', icon: '🔁', group: 'Core' },
+        { name: 'Serial Lookup', path: '/serial-lookup', icon: '🔎', group: 'Core' },
       ];
     }
     return [];
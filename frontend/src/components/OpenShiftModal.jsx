@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+
+const OpenShiftModal = ({ isOpen, onClose, onConfirm, isLoading = false }) => {
+  const [openingFloat, setOpeningFloat] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setOpeningFloat('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleConfirm = () => {
+    if (!isLoading) {
+      onConfirm({ openingFloat: parseFloat(openingFloat) || 0 });
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Open Shift</h3>
+        <p className="text-gray-600 mb-4">
+          Count the change fund placed in the drawer before the first sale.
+        </p>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Opening Float</label>
+          <input
+            type="number"
+            step="0.01"
+            min={0}
+            value={openingFloat}
+            onChange={(e) => setOpeningFloat(e.target.value)}
+            placeholder="0.00"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            autoFocus
+          />
+        </div>
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Opening...' : 'Open Shift'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OpenShiftModal;
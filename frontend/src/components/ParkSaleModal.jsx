@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+
+const ParkSaleModal = ({ isOpen, onClose, onConfirm, defaultLabel = '', isLoading = false }) => {
+  const [label, setLabel] = useState(defaultLabel);
+  const [reserveStock, setReserveStock] = useState(false);
+  const [reserveMinutes, setReserveMinutes] = useState(30);
+
+  useEffect(() => {
+    if (isOpen) {
+      setLabel(defaultLabel);
+      setReserveStock(false);
+      setReserveMinutes(30);
+    }
+  }, [isOpen, defaultLabel]);
+
+  if (!isOpen) return null;
+
+  const handleConfirm = () => {
+    if (!isLoading) {
+      onConfirm({
+        label: label.trim() || undefined,
+        reserveStock,
+        reserveMinutes: reserveStock ? parseInt(reserveMinutes) || 30 : undefined
+      });
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Park Sale</h3>
+        <p className="text-gray-600 mb-4">
+          The cart is saved on the server and can be resumed from any terminal.
+        </p>
+
+        <div className="space-y-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Label</label>
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              maxLength={50}
+              placeholder="e.g., Juan - blue shirt"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              autoFocus
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={reserveStock}
+              onChange={(e) => setReserveStock(e.target.checked)}
+              className="w-4 h-4"
+            />
+            Reserve stock for this cart
+          </label>
+          {reserveStock && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reserve for (minutes)</label>
+              <input
+                type="number"
+                min={1}
+                max={1440}
+                value={reserveMinutes}
+                onChange={(e) => setReserveMinutes(e.target.value)}
+                className="w-full sm:w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Parking...' : 'Park Sale'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ParkSaleModal;
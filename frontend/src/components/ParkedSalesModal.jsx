@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+
+const ParkedSalesModal = ({ isOpen, onClose, onResume }) => {
+  const [heldSales, setHeldSales] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchHeldSales();
+    }
+  }, [isOpen]);
+
+  const fetchHeldSales = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/sales/held');
+      setHeldSales(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDiscard = async (heldSale) => {
+    try {
+      await axios.delete(`/sales/held/${heldSale._id}`);
+      toast.success('Parked sale discarded');
+      fetchHeldSales();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const now = new Date();
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Parked Sales</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors p-2"
+            aria-label="Close modal"
+          >
+            ×
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : heldSales.length === 0 ? (
+          <p className="text-gray-500">No parked sales</p>
+        ) : (
+          <div className="space-y-2">
+            {heldSales.map(heldSale => {
+              const isReserved = heldSale.reservedUntil && new Date(heldSale.reservedUntil) > now;
+              return (
+                <div key={heldSale._id} className="flex flex-col sm:flex-row sm:items-center gap-2 p-3 border rounded-lg">
+                  <div className="flex-1">
+                    <div className="font-semibold">{heldSale.heldLabel || heldSale.saleNumber}</div>
+                    <div className="text-sm text-gray-600">
+                      {heldSale.items.length} item(s) · {formatCurrencyDisplay(heldSale.total)} · {heldSale.cashier?.username} · {formatDate(heldSale.createdAt)}
+                    </div>
+                    {heldSale.reservedUntil && (
+                      <div className={`text-xs ${isReserved ? 'text-green-700' : 'text-gray-500'}`}>
+                        {isReserved
+                          ? `Stock reserved until ${new Date(heldSale.reservedUntil).toLocaleTimeString()}`
+                          : 'Reservation expired'}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onResume(heldSale)}
+                      className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                    >
+                      Resume
+                    </button>
+                    <button
+                      onClick={() => handleDiscard(heldSale)}
+                      className="px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ParkedSalesModal;
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+
+const PrintLabelsModal = ({ isOpen, products, onClose, onPrinted }) => {
+  const [copies, setCopies] = useState({}); // product id -> number of labels
+  const [missingOnly, setMissingOnly] = useState(true);
+  const [search, setSearch] = useState('');
+  const [isPrinting, setIsPrinting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setCopies({});
+      setMissingOnly(true);
+      setSearch('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    if (!isPrinting) {
+      onClose();
+    }
+  };
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleProducts = products.filter(product => {
+    if (missingOnly && product.barcode) return false;
+    if (!searchTerm) return true;
+    return [product.name, product.brand, product.sku, product.barcode]
+      .some(value => value?.toLowerCase().includes(searchTerm));
+  });
+
+  const selectedItems = Object.entries(copies)
+    .filter(([, count]) => count > 0)
+    .map(([product, count]) => ({ product, copies: count }));
+  const totalLabels = selectedItems.reduce((sum, item) => sum + item.copies, 0);
+
+  const toggleProduct = (productId) => {
+    setCopies(prev => ({ ...prev, [productId]: prev[productId] > 0 ? 0 : 1 }));
+  };
+
+  const handlePrint = async () => {
+    if (selectedItems.length === 0) {
+      toast.error('Select at least one product');
+      return;
+    }
+
+    setIsPrinting(true);
+    try {
+      const response = await axios.post('/products/labels', { items: selectedItems }, {
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `Labels_${new Date().toISOString().split('T')[0]}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success(`${totalLabels} label${totalLabels !== 1 ? 's' : ''} exported to PDF`);
+      // Products without a barcode were assigned an in-store code
+      onPrinted?.();
+      onClose();
+    } catch (error) {
+      console.error('Error generating labels:', error);
+      toast.error('Failed to generate labels. Please try again.');
+    } finally {
+      setIsPrinting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Print Shelf Labels</h3>
+        <p className="text-gray-600 mb-4">
+          Labels are printed 24 to an A4 sheet. Products without a manufacturer barcode use their SKU, or are assigned an in-store EAN-13.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-2 sm:items-center mb-3">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search products..."
+            className="flex-1 px-3 py-2 border rounded-lg"
+          />
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={missingOnly}
+              onChange={(e) => setMissingOnly(e.target.checked)}
+              className="w-4 h-4"
+            />
+            Without barcode only
+          </label>
+        </div>
+
+        <div className="border rounded-lg divide-y max-h-80 overflow-y-auto mb-4">
+          {visibleProducts.length === 0 ? (
+            <p className="px-3 py-4 text-center text-gray-500">No products found</p>
+          ) : (
+            visibleProducts.map(product => (
+              <div key={product._id} className="flex items-center justify-between gap-3 px-3 py-2">
+                <label className="flex items-center gap-2 flex-1 min-w-0">
+                  <input
+                    type="checkbox"
+                    checked={copies[product._id] > 0}
+                    onChange={() => toggleProduct(product._id)}
+                    className="w-4 h-4"
+                  />
+                  <span className="truncate">
+                    {product.name}
+                    <span className="text-xs text-gray-500 ml-2">{product.barcode || product.sku || 'No barcode'}</span>
+                  </span>
+                </label>
+                {copies[product._id] > 0 && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={100}
+                    value={copies[product._id]}
+                    onChange={(e) => setCopies(prev => ({
+                      ...prev,
+                      [product._id]: Math.min(100, Math.max(1, parseInt(e.target.value) || 1))
+                    }))}
+                    className="w-20 px-2 py-1 border rounded"
+                    aria-label="Copies"
+                  />
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={handleClose}
+            disabled={isPrinting}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handlePrint}
+            disabled={isPrinting || totalLabels === 0}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isPrinting ? 'Generating...' : `Print ${totalLabels} Label${totalLabels !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrintLabelsModal;
@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { PAYMENT_METHODS } from '../constants/paymentMethods';
+import { formatCurrencyDisplay, formatQuantity, roundQuantity } from '../utils/utils';
+
+const ReturnModal = ({ isOpen, sale, onClose, onSuccess }) => {
+  const [lines, setLines] = useState([]);
+  const [refundMethod, setRefundMethod] = useState('cash');
+  const [refundReference, setRefundReference] = useState('');
+  const [reason, setReason] = useState('');
+  const [superAdminCode, setSuperAdminCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && sale) {
+      setLines(sale.items.map(() => ({ quantity: '', disposition: 'restock', serialNumbers: [] })));
+      setRefundMethod('cash');
+      setRefundReference('');
+      setReason('');
+      setSuperAdminCode('');
+    }
+  }, [isOpen, sale]);
+
+  if (!isOpen || !sale) return null;
+
+  const updateLine = (index, changes) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  // A serialized line returns the units ticked; its quantity follows the count
+  const toggleSerial = (index, serialNumber) => {
+    const line = lines[index];
+    const serialNumbers = line.serialNumbers.includes(serialNumber)
+      ? line.serialNumbers.filter(serial => serial !== serialNumber)
+      : [...line.serialNumbers, serialNumber];
+    const quantity = serialNumbers.length / (sale.items[index].unitFactor || 1);
+    updateLine(index, { serialNumbers, quantity: quantity > 0 ? String(roundQuantity(quantity)) : '' });
+  };
+
+  const handleClose = () => {
+    if (!isSubmitting) {
+      onClose();
+    }
+  };
+
+  const handleSubmit = async () => {
+    const items = lines
+      .map((line, index) => ({
+        lineIndex: index,
+        quantity: roundQuantity(parseFloat(line.quantity) || 0),
+        disposition: line.disposition,
+        serialNumbers: sale.items[index].serialNumbers?.length ? line.serialNumbers : undefined
+      }))
+      .filter(item => item.quantity > 0);
+
+    if (items.length === 0) {
+      toast.error('Enter a quantity for at least one item to return');
+      return;
+    }
+
+    const overReturned = items.find(item => {
+      const saleItem = sale.items[item.lineIndex];
+      return item.quantity > roundQuantity(saleItem.quantity - (saleItem.returnedQuantity || 0));
+    });
+    if (overReturned) {
+      toast.error(`Line ${overReturned.lineIndex + 1} cannot be returned in that quantity`);
+      return;
+    }
+
+    const partialUnit = items.find(item => item.serialNumbers && !Number.isInteger(item.quantity));
+    if (partialUnit) {
+      toast.error(`Line ${partialUnit.lineIndex + 1} must return whole ${sale.items[partialUnit.lineIndex].uom}s`);
+      return;
+    }
+
+    if (!superAdminCode) {
+      toast.error('SuperAdmin code is required to process a return');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/sales/${sale._id}/returns`, {
+        items,
+        refundMethod,
+        refundReference: !['cash', 'charge'].includes(refundMethod) ? refundReference || undefined : undefined,
+        reason: reason || undefined,
+        superAdminCode
+      });
+      toast.success(response.data.message);
+      onSuccess(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-1">Return Items</h3>
+        <p className="text-gray-600 mb-4">
+          Sale {sale.saleNumber}. Restocked items go back into inventory; written-off items do not.
+        </p>
+
+        <div className="space-y-2 mb-4">
+          {sale.items.map((item, index) => {
+            const returnable = roundQuantity(item.quantity - (item.returnedQuantity || 0));
+            return (
+              <div key={index} className="p-2 bg-gray-50 rounded">
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <div className="flex-1">
+                    <div className="font-semibold">{item.product?.name || 'Unknown'}</div>
+                    <div className="text-sm text-gray-600">
+                      Sold {formatQuantity(item.quantity)}{item.uom && ` ${item.uom}`}
+                      {item.returnedQuantity > 0 && `, ${formatQuantity(item.returnedQuantity)} already returned`}
+                    </div>
+                  </div>
+                  <input
+                    type="number"
+                    min={0}
+                    max={returnable}
+                    step="any"
+                    value={lines[index]?.quantity ?? ''}
+                    onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                    disabled={returnable === 0 || item.serialNumbers?.length > 0}
+                    className="w-24 px-3 py-2 border rounded-lg disabled:bg-gray-100"
+                    placeholder={`0-${formatQuantity(returnable)}`}
+                  />
+                  <select
+                    value={lines[index]?.disposition ?? 'restock'}
+                    onChange={(e) => updateLine(index, { disposition: e.target.value })}
+                    disabled={returnable === 0}
+                    className="px-3 py-2 border rounded-lg disabled:bg-gray-100"
+                  >
+                    <option value="restock">Restock</option>
+                    <option value="write_off">Write off (damaged)</option>
+                  </select>
+                </div>
+                {item.serialNumbers?.length > 0 && returnable > 0 && (
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm">
+                    <span className="text-gray-600">Units returned:</span>
+                    {item.serialNumbers.map(serialNumber => (
+                      <label key={serialNumber} className="flex items-center gap-1 font-mono">
+                        <input
+                          type="checkbox"
+                          checked={lines[index]?.serialNumbers.includes(serialNumber) ?? false}
+                          onChange={() => toggleSerial(index, serialNumber)}
+                          className="w-4 h-4"
+                        />
+                        {serialNumber}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="space-y-3 mb-6">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <div className="sm:w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Refund Via</label>
+              <select
+                value={refundMethod}
+                onChange={(e) => setRefundMethod(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                {PAYMENT_METHODS
+                  .filter(method => method.value !== 'charge' || sale.balanceDue > 0)
+                  .map(method => (
+                    <option key={method.value} value={method.value}>
+                      {method.value === 'charge' ? 'Credit to Account' : method.label}
+                    </option>
+                  ))}
+              </select>
+            </div>
+            {!['cash', 'charge'].includes(refundMethod) && (
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                <input
+                  type="text"
+                  value={refundReference}
+                  onChange={(e) => setRefundReference(e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="Reversal / reference no."
+                />
+              </div>
+            )}
+          </div>
+          {sale.balanceDue > 0 && (
+            <p className="text-sm text-gray-600">
+              The refund first clears the {formatCurrencyDisplay(sale.balanceDue)} still owed on this sale; only the rest is paid out.
+            </p>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={200}
+              className="w-full px-3 py-2 border rounded-lg"
+              placeholder="e.g., Excess quantity, wrong size"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">SuperAdmin Code</label>
+            <input
+              type="password"
+              value={superAdminCode}
+              onChange={(e) => setSuperAdminCode(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg"
+              placeholder="Enter SuperAdmin code"
+              autoComplete="new-password"
+            />
+          </div>
+        </div>
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={handleClose}
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Processing...' : 'Process Return'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReturnModal;
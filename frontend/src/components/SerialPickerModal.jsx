@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+
+// Pick the units of a serialized product that go out on a cart line, or move on an adjustment, count or transfer.
+// Units are listed by status (in stock unless written-off units are being found) and, when given, location.
+// Scanning (or typing) a serial and pressing Enter ticks it.
+const SerialPickerModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  product,
+  selected = [],
+  excluded = [],
+  status = 'in_stock',
+  location,
+  action = 'sold'
+}) => {
+  const [serials, setSerials] = useState([]);
+  const [picked, setPicked] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !product) return;
+
+    setPicked(selected);
+    setSearch('');
+    const fetchSerials = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/serial-numbers', {
+          params: { product: product._id, status, location: location || undefined }
+        });
+        setSerials(response.data.data);
+      } catch (error) {
+        // Error handled by axios interceptor
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSerials();
+  }, [isOpen, product, status, location]);
+
+  if (!isOpen || !product) return null;
+
+  // Units already on another line cannot be picked twice
+  const available = serials.filter(unit => !excluded.includes(unit.serialNumber));
+  const query = search.trim().toUpperCase();
+  const visible = query ? available.filter(unit => unit.serialNumber.includes(query)) : available;
+
+  const togglePicked = (serialNumber) => {
+    setPicked(prev => (prev.includes(serialNumber)
+      ? prev.filter(serial => serial !== serialNumber)
+      : [...prev, serialNumber]));
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    if (!query) return;
+
+    if (available.some(unit => unit.serialNumber === query)) {
+      if (!picked.includes(query)) togglePicked(query);
+      setSearch('');
+    } else {
+      toast.error(`${query} is not ${status === 'in_stock' ? 'an in-stock' : 'a written-off'} unit of ${product.name}`);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-1">Serial Numbers</h3>
+        <p className="text-gray-600 mb-4">{product.name}: pick the units being {action}.</p>
+
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={handleSearchKeyDown}
+          placeholder="Scan or search serial number"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none mb-3"
+          autoFocus
+        />
+
+        <div className="flex-1 overflow-y-auto border rounded-lg divide-y min-h-[8rem]">
+          {loading ? (
+            <p className="p-4 text-center text-gray-500">Loading...</p>
+          ) : visible.length === 0 ? (
+            <p className="p-4 text-center text-gray-500">
+              {available.length === 0
+                ? (status === 'in_stock' ? 'No units in stock' : 'No written-off units')
+                : 'No matching serial numbers'}
+            </p>
+          ) : (
+            visible.map(unit => (
+              <label key={unit._id} className="flex items-center gap-3 px-4 py-2 hover:bg-gray-50 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={picked.includes(unit.serialNumber)}
+                  onChange={() => togglePicked(unit.serialNumber)}
+                  className="w-4 h-4"
+                />
+                <span className="font-mono text-sm">{unit.serialNumber}</span>
+                {unit.location?.name && (
+                  <span className="ml-auto text-xs text-gray-500">{unit.location.name}</span>
+                )}
+              </label>
+            ))
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-4">
+          <span className="text-sm text-gray-600">{picked.length} selected</span>
+          <div className="flex space-x-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onConfirm(picked)}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SerialPickerModal;
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrencyDisplay, formatPaymentMethod } from '../utils/utils';
+
+const ReadingRow = ({ label, value, bold = false, className = '' }) => (
+  <div className={`flex justify-between text-sm ${bold ? 'font-semibold' : ''} ${className}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+const ShiftReadingModal = ({ isOpen, shift, onClose, onShiftClosed, allowClose = false }) => {
+  const [reading, setReading] = useState(null);
+  const [readingType, setReadingType] = useState('X');
+  const [countedCash, setCountedCash] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isClosing, setIsClosing] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && shift) {
+      setReading(null);
+      setCountedCash('');
+      setNotes('');
+      fetchReading();
+    }
+  }, [isOpen, shift]);
+
+  const fetchReading = async () => {
+    try {
+      const response = await axios.get(`/shifts/${shift._id}/reading`);
+      setReading(response.data.data);
+      setReadingType(response.data.type);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  if (!isOpen || !shift) return null;
+
+  const isBusy = isClosing || isExporting;
+  const canClose = allowClose && shift.status === 'open';
+  const counted = parseFloat(countedCash);
+  const previewOverShort = reading && !isNaN(counted) ? counted - reading.cash.expectedCash : null;
+
+  const handleClose = () => {
+    if (!isBusy) {
+      onClose();
+    }
+  };
+
+  const handleCloseShift = async () => {
+    if (isNaN(counted) || counted < 0) {
+      toast.error('Enter the cash counted in the drawer');
+      return;
+    }
+
+    setIsClosing(true);
+    try {
+      const response = await axios.post(`/shifts/${shift._id}/close`, {
+        countedCash: counted,
+        notes: notes.trim() || undefined
+      });
+      toast.success(response.data.message);
+      onShiftClosed?.(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsClosing(false);
+    }
+  };
+
+  const handleExportPDF = async () => {
+    setIsExporting(true);
+    try {
+      const response = await axios.get(`/shifts/${shift._id}/pdf`, {
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${readingType}-Reading_${shift.shiftNumber}_${new Date().toISOString().split('T')[0]}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success(`${readingType}-reading exported to PDF successfully`);
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-1">
+          {readingType === 'Z' ? 'Z-Reading' : 'X-Reading'}: {shift.shiftNumber}
+        </h3>
+        <p className="text-gray-600 mb-4">
+          {shift.cashier?.username && `${shift.cashier.username} · `}
+          Opened {new Date(shift.openedAt).toLocaleString()}
+          {shift.closedAt && ` · Closed ${new Date(shift.closedAt).toLocaleString()}`}
+        </p>
+
+        {!reading ? (
+          <p className="text-gray-500 py-6 text-center">Loading...</p>
+        ) : (
+          <div className="space-y-4 mb-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="bg-gray-50 p-3 rounded-lg space-y-1">
+                <h4 className="font-semibold mb-1">Sales</h4>
+                <ReadingRow label="Transactions" value={reading.sales.count} />
+                <ReadingRow label="Gross Sales" value={formatCurrencyDisplay(reading.sales.grossSales)} />
+                <ReadingRow label="Discounts" value={`-${formatCurrencyDisplay(reading.sales.discounts)}`} />
+                <ReadingRow label={`Returns (${reading.returns.count})`} value={`-${formatCurrencyDisplay(reading.returns.amount)}`} />
+                <ReadingRow label="Net Sales" value={formatCurrencyDisplay(reading.sales.netSales)} bold />
+                <ReadingRow
+                  label={`Voids (${reading.voids.count})`}
+                  value={formatCurrencyDisplay(reading.voids.amount)}
+                  className="text-red-600"
+                />
+              </div>
+
+              <div className="bg-gray-50 p-3 rounded-lg space-y-1">
+                <h4 className="font-semibold mb-1">Sales by Tender</h4>
+                {Object.keys(reading.salesByTender).length === 0 ? (
+                  <p className="text-sm text-gray-500">No payments</p>
+                ) : (
+                  Object.entries(reading.salesByTender).map(([method, tender]) => (
+                    <ReadingRow
+                      key={method}
+                      label={`${formatPaymentMethod(method)} (${tender.count})`}
+                      value={formatCurrencyDisplay(tender.amount)}
+                    />
+                  ))
+                )}
+                {reading.collections.count > 0 && (
+                  <ReadingRow
+                    label={`Account Collections (${reading.collections.count})`}
+                    value={formatCurrencyDisplay(reading.collections.amount)}
+                    className="pt-1 border-t"
+                  />
+                )}
+              </div>
+
+              <div className="bg-gray-50 p-3 rounded-lg space-y-1">
+                <h4 className="font-semibold mb-1">VAT Summary</h4>
+                <ReadingRow label="VATable Sales" value={formatCurrencyDisplay(reading.vat.vatableSales)} />
+                <ReadingRow label="VAT-Exempt Sales" value={formatCurrencyDisplay(reading.vat.vatExemptSales)} />
+                <ReadingRow label="Zero-Rated Sales" value={formatCurrencyDisplay(reading.vat.zeroRatedSales)} />
+                <ReadingRow label="VAT Amount" value={formatCurrencyDisplay(reading.vat.vatAmount)} />
+                <ReadingRow label="VAT on Returns" value={`-${formatCurrencyDisplay(reading.vat.refundedVat)}`} />
+                <ReadingRow label="Net VAT" value={formatCurrencyDisplay(reading.vat.netVat)} bold />
+              </div>
+
+              <div className="bg-blue-50 p-3 rounded-lg space-y-1">
+                <h4 className="font-semibold mb-1">Cash Drawer</h4>
+                <ReadingRow label="Opening Float" value={formatCurrencyDisplay(reading.cash.openingFloat)} />
+                <ReadingRow label="Cash Sales" value={formatCurrencyDisplay(reading.cash.cashSales)} />
+                <ReadingRow label="Cash Collections" value={formatCurrencyDisplay(reading.cash.cashCollections)} />
+                <ReadingRow label="Cash In" value={formatCurrencyDisplay(reading.cash.cashIn)} />
+                <ReadingRow label="Cash Out" value={`-${formatCurrencyDisplay(reading.cash.cashOut)}`} />
+                <ReadingRow label="Cash Refunds" value={`-${formatCurrencyDisplay(reading.cash.cashRefunds)}`} />
+                {reading.cash.cashVoids > 0 && (
+                  <ReadingRow label="Cash Voids" value={`-${formatCurrencyDisplay(reading.cash.cashVoids)}`} />
+                )}
+                <ReadingRow label="Expected Cash" value={formatCurrencyDisplay(reading.cash.expectedCash)} bold />
+                {reading.cash.countedCash !== undefined && (
+                  <>
+                    <ReadingRow label="Counted Cash" value={formatCurrencyDisplay(reading.cash.countedCash)} bold />
+                    <ReadingRow
+                      label={reading.cash.overShort > 0 ? 'Over' : reading.cash.overShort < 0 ? 'Short' : 'Over/Short'}
+                      value={formatCurrencyDisplay(Math.abs(reading.cash.overShort))}
+                      bold
+                      className={reading.cash.overShort === 0 ? 'text-green-700' : 'text-red-600'}
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+
+            {shift.cashMovements?.length > 0 && (
+              <div>
+                <h4 className="font-semibold mb-2">Cash In / Out</h4>
+                <div className="space-y-1">
+                  {shift.cashMovements.map(movement => (
+                    <ReadingRow
+                      key={movement._id}
+                      label={`${new Date(movement.recordedAt).toLocaleTimeString()} · ${movement.reason}`}
+                      value={`${movement.type === 'cash_out' ? '-' : ''}${formatCurrencyDisplay(movement.amount)}`}
+                      className={movement.type === 'cash_out' ? 'text-red-600' : 'text-green-700'}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {shift.closingNotes && (
+              <p className="text-sm text-gray-600">Notes: {shift.closingNotes}</p>
+            )}
+
+            {canClose && (
+              <div className="border rounded-lg p-3">
+                <h4 className="font-semibold mb-2">Close Shift</h4>
+                <div className="flex flex-col sm:flex-row gap-2 mb-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min={0}
+                    value={countedCash}
+                    onChange={(e) => setCountedCash(e.target.value)}
+                    className="sm:w-48 px-3 py-2 border rounded-lg"
+                    placeholder="Counted cash"
+                  />
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    maxLength={500}
+                    className="flex-1 px-3 py-2 border rounded-lg"
+                    placeholder="Notes (optional)"
+                  />
+                </div>
+                {previewOverShort !== null && (
+                  <p className={`text-sm mb-2 ${Math.abs(previewOverShort) < 0.005 ? 'text-green-700' : 'text-red-600'}`}>
+                    {Math.abs(previewOverShort) < 0.005
+                      ? 'Drawer balances'
+                      : `Drawer ${previewOverShort > 0 ? 'over' : 'short'} by ${formatCurrencyDisplay(Math.abs(previewOverShort))}`}
+                  </p>
+                )}
+                <div className="flex justify-end">
+                  <button
+                    onClick={handleCloseShift}
+                    disabled={isBusy}
+                    className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isClosing ? 'Closing...' : 'Close Shift'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            onClick={handleClose}
+            disabled={isBusy}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleExportPDF}
+            disabled={isBusy || !reading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isExporting ? 'Exporting...' : 'Export PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftReadingModal;
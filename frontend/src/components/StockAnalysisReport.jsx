@@ -0,0 +1,383 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrency, formatCurrencyDisplay, formatDate, formatLocalDate, formatQuantity } from '../utils/utils';
+
+const VIEWS = [
+  { value: 'products', label: 'Products' },
+  { value: 'categories', label: 'Categories' },
+  { value: 'suppliers', label: 'Suppliers' },
+];
+
+const PRODUCT_FILTERS = [
+  { value: 'all', label: 'All products' },
+  { value: 'dead', label: 'Dead stock' },
+  { value: 'slow', label: 'Slow movers' },
+];
+
+const ABC_CLASSES = ['A', 'B', 'C'];
+const XYZ_CLASSES = ['X', 'Y', 'Z'];
+
+const loadPDF = () => Promise.all([
+  import('jspdf'),
+  import('jspdf-autotable')
+]).then(([jsPDFModule, autoTableModule]) => ({
+  jsPDF: jsPDFModule.default,
+  autoTable: autoTableModule.default,
+}));
+
+const formatNullable = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+
+// Quote a CSV field when it holds a comma, quote or line break
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Columns shared by the table, the CSV and the PDF for each view
+const getColumns = (view) => (view === 'products'
+  ? [
+    { label: 'Product', csv: row => row.name, text: row => row.name },
+    { label: 'SKU', csv: row => row.sku, text: row => row.sku || '-' },
+    { label: 'Category', csv: row => row.category, text: row => row.category },
+    { label: 'Supplier', csv: row => row.supplier?.companyName || '', text: row => row.supplier?.companyName || '-' },
+    { label: 'Class', csv: row => `${row.abcClass}${row.xyzClass || ''}`, text: row => `${row.abcClass}${row.xyzClass || ''}` },
+    { label: 'Stock', csv: row => row.stockQuantity, text: row => formatQuantity(row.stockQuantity) },
+    { label: 'Stock Value', csv: row => row.stockValue, text: row => formatCurrency(row.stockValue) },
+    { label: 'Units Sold', csv: row => row.unitsSold, text: row => formatQuantity(row.unitsSold) },
+    { label: 'Revenue', csv: row => row.revenue, text: row => formatCurrency(row.revenue) },
+    { label: 'Days on Hand', csv: row => row.daysOnHand ?? '', text: row => formatNullable(row.daysOnHand) },
+    { label: 'Turnover', csv: row => row.turnover ?? '', text: row => formatNullable(row.turnover, 'x') },
+    { label: 'Last Sold', csv: row => (row.lastSoldAt ? formatLocalDate(new Date(row.lastSoldAt)) : ''), text: row => (row.lastSoldAt ? formatDate(row.lastSoldAt) : 'Never') },
+    { label: 'Status', csv: row => (row.isDead ? 'Dead' : row.isSlowMover ? 'Slow' : ''), text: row => (row.isDead ? 'Dead' : row.isSlowMover ? 'Slow' : '') },
+  ]
+  : [
+    { label: view === 'categories' ? 'Category' : 'Supplier', csv: row => row.name, text: row => row.name },
+    { label: 'Products', csv: row => row.products, text: row => row.products },
+    { label: 'Stock Value', csv: row => row.stockValue, text: row => formatCurrency(row.stockValue) },
+    { label: 'Revenue', csv: row => row.revenue, text: row => formatCurrency(row.revenue) },
+    { label: 'Cost of Goods', csv: row => row.cogs, text: row => formatCurrency(row.cogs) },
+    { label: 'Days on Hand', csv: row => row.daysOnHand ?? '', text: row => formatNullable(row.daysOnHand) },
+    { label: 'Turnover', csv: row => row.turnover ?? '', text: row => formatNullable(row.turnover, 'x') },
+    { label: 'Dead', csv: row => row.deadCount, text: row => row.deadCount },
+    { label: 'Dead Stock Value', csv: row => row.deadStockValue, text: row => formatCurrency(row.deadStockValue) },
+    { label: 'Slow', csv: row => row.slowCount, text: row => row.slowCount },
+  ]);
+
+// Capital tied up in stock: dead stock, slow movers, ABC/XYZ classes, days on hand and turnover
+const StockAnalysisReport = ({ locationFilter, locationName }) => {
+  const [days, setDays] = useState(365);
+  const [deadDays, setDeadDays] = useState(90);
+  const [view, setView] = useState('products');
+  const [productFilter, setProductFilter] = useState('all');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchReport();
+  }, [days, deadDays, locationFilter]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/reports/stock-analysis', {
+        params: { days, deadDays, location: locationFilter || undefined },
+      });
+      setReport(response.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getRows = () => {
+    if (!report) return [];
+    if (view === 'categories') return report.byCategory;
+    if (view === 'suppliers') return report.bySupplier;
+    if (productFilter === 'dead') return report.data.filter(row => row.isDead);
+    if (productFilter === 'slow') return report.data.filter(row => row.isSlowMover);
+    return report.data;
+  };
+
+  const getTitle = () => {
+    if (view !== 'products') return `Stock Analysis by ${view === 'categories' ? 'Category' : 'Supplier'}`;
+    return productFilter === 'all' ? 'Stock Analysis' : PRODUCT_FILTERS.find(f => f.value === productFilter).label;
+  };
+
+  const exportToCSV = () => {
+    const rows = getRows();
+    if (rows.length === 0) {
+      toast.error('No rows to export');
+      return;
+    }
+
+    const columns = getColumns(view);
+    const csv = [
+      columns.map(column => toCsvField(column.label)).join(','),
+      ...rows.map(row => columns.map(column => toCsvField(column.csv(row))).join(',')),
+    ].join('\n');
+
+    const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `${getTitle().replace(/ /g, '_')}_${formatLocalDate(new Date())}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+
+    toast.success('Stock analysis exported to CSV successfully');
+  };
+
+  const exportToPDF = async () => {
+    const rows = getRows();
+    if (rows.length === 0) {
+      toast.error('No rows to export');
+      return;
+    }
+
+    try {
+      const { jsPDF, autoTable } = await loadPDF();
+      const doc = new jsPDF({ orientation: 'landscape' });
+      const pageWidth = doc.internal.pageSize.getWidth();
+      const margin = 14;
+      let yPosition = margin;
+
+      // Title
+      doc.setFontSize(18);
+      doc.setFont(undefined, 'bold');
+      doc.text(getTitle(), pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 10;
+
+      doc.setFontSize(10);
+      doc.setFont(undefined, 'normal');
+      doc.text(`Sales over the last ${report.params.days} days; dead stock has not sold in ${report.params.deadDays} days`, pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 5;
+      if (locationName) {
+        doc.text(`Location: ${locationName}`, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += 5;
+      }
+      doc.text(`Generated on: ${formatDate(new Date())}`, pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 10;
+
+      autoTable(doc, {
+        startY: yPosition,
+        head: [['Metric', 'Value']],
+        body: [
+          ['Stock Value', formatCurrency(report.summary.totalStockValue)],
+          [`Dead Stock (${report.summary.deadCount})`, formatCurrency(report.summary.deadStockValue)],
+          [`Slow Movers (${report.summary.slowCount})`, formatCurrency(report.summary.slowStockValue)],
+          ['Inventory Turnover', formatNullable(report.summary.turnover, 'x')],
+          ['Days on Hand', formatNullable(report.summary.daysOnHand)],
+        ],
+        theme: 'grid',
+        headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold' },
+        margin: { left: margin, right: margin },
+        tableWidth: 100,
+        styles: { fontSize: 9 }
+      });
+
+      const columns = getColumns(view);
+      autoTable(doc, {
+        startY: doc.lastAutoTable.finalY + 8,
+        head: [columns.map(column => column.label)],
+        body: rows.map(row => columns.map(column => column.text(row))),
+        theme: 'grid',
+        headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold', fontSize: 7 },
+        margin: { left: margin, right: margin },
+        styles: { fontSize: 7, cellPadding: 1 }
+      });
+
+      doc.save(`${getTitle().replace(/ /g, '_')}_${formatLocalDate(new Date())}.pdf`);
+      toast.success('Stock analysis exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  const rows = getRows();
+  const columns = getColumns(view);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-1">
+        <h2 className="text-xl font-semibold">Dead Stock & Slow Movers</h2>
+        {report && (
+          <div className="flex gap-2">
+            <button
+              onClick={exportToCSV}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={exportToPDF}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Export PDF
+            </button>
+          </div>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        ABC ranks products by share of revenue (A: first 80%, B: next 15%, C: the rest); XYZ by how much weekly demand varies
+        (X: steady, Y: fluctuating, Z: erratic). Turnover is annualised cost of goods over current stock value.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-3 mb-6">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Sales over
+          <select
+            value={days}
+            onChange={(e) => setDays(parseInt(e.target.value))}
+            className="px-3 py-2 border rounded-lg text-sm"
+          >
+            {[90, 180, 365].map(option => (
+              <option key={option} value={option}>last {option} days</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Dead after
+          <select
+            value={deadDays}
+            onChange={(e) => setDeadDays(parseInt(e.target.value))}
+            className="px-3 py-2 border rounded-lg text-sm"
+          >
+            {[30, 60, 90, 180, 365].map(option => (
+              <option key={option} value={option}>{option} days without a sale</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+        </div>
+      ) : report?.data.length > 0 ? (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <p className="text-sm text-gray-500">Stock Value</p>
+              <p className="text-xl font-bold text-gray-900">{formatCurrencyDisplay(report.summary.totalStockValue)}</p>
+            </div>
+            <div className="p-4 bg-red-50 rounded-lg border border-red-200">
+              <p className="text-sm text-red-700">Dead Stock ({report.summary.deadCount})</p>
+              <p className="text-xl font-bold text-red-700">{formatCurrencyDisplay(report.summary.deadStockValue)}</p>
+            </div>
+            <div className="p-4 bg-orange-50 rounded-lg border border-orange-200">
+              <p className="text-sm text-orange-700">Slow Movers ({report.summary.slowCount})</p>
+              <p className="text-xl font-bold text-orange-700">{formatCurrencyDisplay(report.summary.slowStockValue)}</p>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <p className="text-sm text-gray-500">Turnover / Days on Hand</p>
+              <p className="text-xl font-bold text-gray-900">
+                {formatNullable(report.summary.turnover, 'x')} / {formatNullable(report.summary.daysOnHand)}
+              </p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="text-sm border border-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500">Products</th>
+                  {XYZ_CLASSES.map(xyz => (
+                    <th key={xyz} className="px-3 py-2 text-right text-xs font-medium text-gray-500">{xyz}</th>
+                  ))}
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500">No sales</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {ABC_CLASSES.map(abc => (
+                  <tr key={abc}>
+                    <td className="px-3 py-2 font-medium">{abc}</td>
+                    {XYZ_CLASSES.map(xyz => (
+                      <td key={xyz} className="px-3 py-2 text-right">{report.summary.matrix[`${abc}${xyz}`] || 0}</td>
+                    ))}
+                    <td className="px-3 py-2 text-right text-gray-500">
+                      {report.data.filter(row => row.abcClass === abc && !row.xyzClass).length}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-3">
+            <div className="flex rounded-lg border overflow-hidden">
+              {VIEWS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setView(option.value)}
+                  className={`px-4 py-2 text-sm ${view === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {view === 'products' && (
+              <select
+                value={productFilter}
+                onChange={(e) => setProductFilter(e.target.value)}
+                className="px-3 py-2 border rounded-lg text-sm"
+              >
+                {PRODUCT_FILTERS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  {columns.map((column, index) => (
+                    <th
+                      key={column.label}
+                      className={`px-4 py-2 text-xs font-medium text-gray-500 uppercase ${index === 0 ? 'text-left' : 'text-right'}`}
+                    >
+                      {column.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.length === 0 ? (
+                  <tr>
+                    <td colSpan={columns.length} className="px-4 py-6 text-center text-gray-500">
+                      No products match
+                    </td>
+                  </tr>
+                ) : (
+                  rows.map(row => (
+                    <tr key={row.id || row.name} className={row.isDead ? 'bg-red-50' : row.isSlowMover ? 'bg-orange-50' : ''}>
+                      {columns.map((column, index) => (
+                        <td
+                          key={column.label}
+                          className={`px-4 py-2 text-sm whitespace-nowrap ${index === 0 ? 'text-left font-medium' : 'text-right'}`}
+                        >
+                          {column.text(row)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <p>No active products to analyse.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockAnalysisReport;
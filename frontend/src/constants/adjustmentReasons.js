@@ -0,0 +1,35 @@
+// Reasons a user can pick when adjusting stock; count variances are only created by posting a cycle count
+export const ADJUSTMENT_REASONS = [
+  { value: 'damage', label: 'Damaged', direction: 'decrease' },
+  { value: 'theft', label: 'Theft / Loss', direction: 'decrease' },
+  { value: 'expiry', label: 'Expired', direction: 'decrease' },
+  { value: 'internal_use', label: 'Internal Use', direction: 'decrease' },
+  { value: 'found', label: 'Found Stock', direction: 'increase' },
+];
+
+export const ADJUSTMENT_STATUSES = [
+  { value: 'pending', label: 'Pending Approval', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'posted', label: 'Posted', className: 'bg-green-100 text-green-800' },
+  { value: 'rejected', label: 'Rejected', className: 'bg-red-100 text-red-800' },
+];
+
+/**
+ * Get adjustment reason label by value
+ * @param {string} reason - The reason value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getAdjustmentReasonLabel = (reason) => {
+  if (reason === 'count_variance') return 'Count Variance';
+  const match = ADJUSTMENT_REASONS.find(r => r.value === reason);
+  return match ? match.label : reason;
+};
+
+/**
+ * Get adjustment status label by value
+ * @param {string} status - The status value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getAdjustmentStatusLabel = (status) => {
+  const match = ADJUSTMENT_STATUSES.find(s => s.value === status);
+  return match ? match.label : status;
+};
@@ -0,0 +1,18 @@
+// Receivables aging buckets by days past due, in report column order
+export const AGING_BUCKETS = [
+  { value: 'current', label: 'Current' },
+  { value: 'days1to30', label: '1-30 Days' },
+  { value: 'days31to60', label: '31-60 Days' },
+  { value: 'days61to90', label: '61-90 Days' },
+  { value: 'over90', label: '90+ Days' },
+];
+
+/**
+ * Get aging bucket label by value
+ * @param {string} bucket - The bucket value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getAgingBucketLabel = (bucket) => {
+  const match = AGING_BUCKETS.find(b => b.value === bucket);
+  return match ? match.label : bucket;
+};
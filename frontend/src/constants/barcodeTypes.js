@@ -0,0 +1,16 @@
+// Barcode symbologies a product can carry; the server detects the type when left blank
+export const BARCODE_TYPES = [
+  { value: 'ean13', label: 'EAN-13' },
+  { value: 'upca', label: 'UPC-A' },
+  { value: 'code128', label: 'Code 128' },
+];
+
+/**
+ * Get barcode type label by value
+ * @param {string} type - The barcode type value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getBarcodeTypeLabel = (type) => {
+  const match = BARCODE_TYPES.find(t => t.value === type);
+  return match ? match.label : type;
+};
@@ -0,0 +1,22 @@
+export const COSTING_METHODS = [
+  {
+    value: 'weighted_average',
+    label: 'Moving Weighted Average',
+    description: 'Every unit on hand carries the average landed cost of all deliveries, re-weighted on each delivery.',
+  },
+  {
+    value: 'fifo',
+    label: 'FIFO (First In, First Out)',
+    description: 'Sales use up the oldest deliveries first, at the landed cost each delivery came in at.',
+  },
+];
+
+/**
+ * Get costing method label by value
+ * @param {string} method - The costing method value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getCostingMethodLabel = (method) => {
+  const match = COSTING_METHODS.find(m => m.value === method);
+  return match ? match.label : method;
+};
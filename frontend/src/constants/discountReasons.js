@@ -0,0 +1,21 @@
+export const DISCOUNT_REASONS = [
+  { value: 'senior_citizen', label: 'Senior Citizen' },
+  { value: 'pwd', label: 'PWD' },
+  { value: 'contractor', label: 'Contractor' },
+  { value: 'damaged_box', label: 'Damaged Box' },
+];
+
+export const DISCOUNT_TYPES = [
+  { value: 'percentage', label: '%' },
+  { value: 'fixed', label: '₱' },
+];
+
+/**
+ * Get discount reason label by value
+ * @param {string} reasonCode - The reason code
+ * @returns {string} - The label or the original value if not found
+ */
+export const getDiscountReasonLabel = (reasonCode) => {
+  const reason = DISCOUNT_REASONS.find(r => r.value === reasonCode);
+  return reason ? reason.label : reasonCode;
+};
@@ -0,0 +1,30 @@
+export const LOCATION_TYPES = [
+  { value: 'store', label: 'Store', className: 'bg-blue-100 text-blue-800' },
+  { value: 'warehouse', label: 'Warehouse', className: 'bg-purple-100 text-purple-800' },
+];
+
+export const TRANSFER_STATUSES = [
+  { value: 'in_transit', label: 'In Transit', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'received', label: 'Received', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-red-100 text-red-800' },
+];
+
+/**
+ * Get location type label by value
+ * @param {string} type - The type value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getLocationTypeLabel = (type) => {
+  const match = LOCATION_TYPES.find(t => t.value === type);
+  return match ? match.label : type;
+};
+
+/**
+ * Get stock transfer status label by value
+ * @param {string} status - The status value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getTransferStatusLabel = (status) => {
+  const match = TRANSFER_STATUSES.find(s => s.value === status);
+  return match ? match.label : status;
+};
@@ -0,0 +1,21 @@
+// Kinds of entry on a product's stock card, matching the backend ledger
+export const MOVEMENT_TYPES = [
+  { value: 'opening', label: 'Opening Stock', className: 'bg-gray-100 text-gray-700' },
+  { value: 'receipt', label: 'Receipt', className: 'bg-green-100 text-green-800' },
+  { value: 'sale', label: 'Sale', className: 'bg-blue-100 text-blue-800' },
+  { value: 'void', label: 'Void', className: 'bg-purple-100 text-purple-800' },
+  { value: 'return', label: 'Return', className: 'bg-teal-100 text-teal-800' },
+  { value: 'adjustment', label: 'Adjustment', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'cycle_count', label: 'Cycle Count', className: 'bg-orange-100 text-orange-800' },
+  { value: 'transfer', label: 'Transfer', className: 'bg-indigo-100 text-indigo-800' },
+];
+
+/**
+ * Get movement type label by value
+ * @param {string} type - The movement type value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getMovementTypeLabel = (type) => {
+  const match = MOVEMENT_TYPES.find(t => t.value === type);
+  return match ? match.label : type;
+};
@@ -0,0 +1,10 @@
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'mobile_payment', label: 'Mobile Payment' },
+  { value: 'other', label: 'Other' },
+  { value: 'charge', label: 'Charge to Account' },
+];
+
+// Tenders a customer can pay an account balance with
+export const COLLECTION_METHODS = PAYMENT_METHODS.filter(method => method.value !== 'charge');
@@ -0,0 +1,16 @@
+// How a price list prices products it has no override for
+export const PRICE_LIST_RULES = [
+  { value: 'retail', label: 'Retail price', hint: 'Products without an override sell at their normal price' },
+  { value: 'markup', label: 'Markup on base price', hint: 'Base price + this markup %' },
+  { value: 'discount', label: 'Discount off retail', hint: 'Retail price less this %' },
+];
+
+/**
+ * Get price list rule label by value
+ * @param {string} rule - The rule value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getPriceListRuleLabel = (rule) => {
+  const match = PRICE_LIST_RULES.find(r => r.value === rule);
+  return match ? match.label : rule;
+};
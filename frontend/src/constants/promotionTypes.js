@@ -0,0 +1,37 @@
+// Promotion mechanics; buy_x_get_y makes `get` units free in every (buy + get) units of a line
+export const PROMOTION_TYPES = [
+  { value: 'percentage', label: 'Percentage off' },
+  { value: 'fixed_price', label: 'Fixed promo price' },
+  { value: 'buy_x_get_y', label: 'Buy X get Y free' },
+];
+
+// What a promotion covers
+export const PROMOTION_SCOPES = [
+  { value: 'product', label: 'Products' },
+  { value: 'category', label: 'Categories' },
+  { value: 'subcategory', label: 'Subcategories' },
+  { value: 'supplier', label: 'Suppliers' },
+];
+
+/**
+ * Get promotion type label by value
+ * @param {string} type - The type value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getPromotionTypeLabel = (type) => {
+  const match = PROMOTION_TYPES.find(t => t.value === type);
+  return match ? match.label : type;
+};
+
+/**
+ * Describe a promotion's mechanics, e.g. "15% off" or "Buy 10 get 1 free"
+ * @param {Object} promotion - Promotion ({ type, value, buyQuantity, getQuantity })
+ * @param {Function} formatPrice - Formats the promo price of fixed-price promotions
+ * @returns {string}
+ */
+export const describePromotion = (promotion, formatPrice) => {
+  if (promotion.type === 'percentage') return `${promotion.value}% off`;
+  if (promotion.type === 'fixed_price') return `${formatPrice(promotion.value)} each`;
+  if (promotion.type === 'buy_x_get_y') return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+  return promotion.type;
+};
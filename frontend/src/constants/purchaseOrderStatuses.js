@@ -0,0 +1,17 @@
+export const PURCHASE_ORDER_STATUSES = [
+  { value: 'draft', label: 'Draft', className: 'bg-gray-100 text-gray-700' },
+  { value: 'sent', label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  { value: 'partially_received', label: 'Partially Received', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'received', label: 'Received', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-red-100 text-red-800' },
+];
+
+/**
+ * Get purchase order status label by value
+ * @param {string} status - The status value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getPurchaseOrderStatusLabel = (status) => {
+  const match = PURCHASE_ORDER_STATUSES.find(s => s.value === status);
+  return match ? match.label : status;
+};
@@ -0,0 +1,42 @@
+// How a product's units are traced: a serial number per unit, or lot numbers with expiry dates per delivery
+export const TRACKING_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'serial', label: 'Serial numbers' },
+  { value: 'lot', label: 'Lot / batch and expiry' },
+];
+
+export const SERIAL_STATUSES = [
+  { value: 'in_stock', label: 'In Stock', className: 'bg-green-100 text-green-800' },
+  { value: 'sold', label: 'Sold', className: 'bg-blue-100 text-blue-800' },
+  { value: 'written_off', label: 'Written Off', className: 'bg-red-100 text-red-800' },
+  { value: 'in_transit', label: 'In Transit', className: 'bg-yellow-100 text-yellow-800' },
+];
+
+/**
+ * Get tracking mode label by value
+ * @param {string} mode - The tracking mode value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getTrackingLabel = (mode) => {
+  const match = TRACKING_MODES.find(t => t.value === mode);
+  return match ? match.label : mode;
+};
+
+/**
+ * Get serial number status label by value
+ * @param {string} status - The serial number status value
+ * @returns {string} - The label or the original value if not found
+ */
+export const getSerialStatusLabel = (status) => {
+  const match = SERIAL_STATUSES.find(s => s.value === status);
+  return match ? match.label : status;
+};
+
+/**
+ * Split serial numbers typed or scanned into a textarea, one per line or separated by commas
+ * @param {string} text - Textarea contents
+ * @returns {Array<string>} - Trimmed, upper-cased serial numbers
+ */
+export const parseSerialNumbers = (text = '') => (
+  text.split(/[\n,]/).map(serial => serial.trim().toUpperCase()).filter(Boolean)
+);
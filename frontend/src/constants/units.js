@@ -1,16 +1,17 @@
+// precision is the default number of decimal places a product in this unit is sold in
 export const STANDARD_UNITS = [
-  { value: 'Kilogram', label: 'Kilogram (Kg)', abbreviation: 'Kg' },
-  { value: 'Gram', label: 'Gram (g)', abbreviation: 'g' },
-  { value: 'Liter', label: 'Liter (L)', abbreviation: 'L' },
-  { value: 'Milliliter', label: 'Milliliter (mL)', abbreviation: 'mL' },
-  { value: 'Meter', label: 'Meter (m)', abbreviation: 'm' },
-  { value: 'Centimeter', label: 'Centimeter (cm)', abbreviation: 'cm' },
-  { value: 'Piece', label: 'Piece', abbreviation: 'pc' },
-  { value: 'Gallon', label: 'Gallon (gal)', abbreviation: 'gal' },
-  { value: 'Pound', label: 'Pound (lb)', abbreviation: 'lb' },
-  { value: 'Ounce', label: 'Ounce (oz)', abbreviation: 'oz' },
-  { value: 'Feet', label: 'Feet (ft)', abbreviation: 'ft' },
-  { value: 'Inch', label: 'Inch (in)', abbreviation: 'in' },
+  { value: 'Kilogram', label: 'Kilogram (Kg)', abbreviation: 'Kg', precision: 3 },
+  { value: 'Gram', label: 'Gram (g)', abbreviation: 'g', precision: 0 },
+  { value: 'Liter', label: 'Liter (L)', abbreviation: 'L', precision: 3 },
+  { value: 'Milliliter', label: 'Milliliter (mL)', abbreviation: 'mL', precision: 0 },
+  { value: 'Meter', label: 'Meter (m)', abbreviation: 'm', precision: 2 },
+  { value: 'Centimeter', label: 'Centimeter (cm)', abbreviation: 'cm', precision: 0 },
+  { value: 'Piece', label: 'Piece', abbreviation: 'pc', precision: 0 },
+  { value: 'Gallon', label: 'Gallon (gal)', abbreviation: 'gal', precision: 2 },
+  { value: 'Pound', label: 'Pound (lb)', abbreviation: 'lb', precision: 2 },
+  { value: 'Ounce', label: 'Ounce (oz)', abbreviation: 'oz', precision: 2 },
+  { value: 'Feet', label: 'Feet (ft)', abbreviation: 'ft', precision: 2 },
+  { value: 'Inch', label: 'Inch (in)', abbreviation: 'in', precision: 1 },
 ];
 
 export const SUB_CATEGORIES = [
@@ -26,6 +27,9 @@ export const SUB_CATEGORIES = [
   { value: 'Tube', label: 'Tube' },
 ];
 
+// Most decimal places a product or unit can be sold in (mirrors the server limit)
+export const MAX_QUANTITY_PRECISION = 3;
+
 /**
  * Get unit abbreviation by value
  * @param {string} unitValue - The unit value
@@ -60,4 +64,19 @@ export const formatProductDescription = (product) => {
   return parts.join(' ');
 };
 
-
+/**
+ * Get the decimal places a product can be sold in, in its base unit or one of its UOMs
+ * Mirrors the server: the product's own setting wins, otherwise the base unit decides
+ * @param {Object} product - Product object
+ * @param {string} [uom] - Name of one of the product's UOMs; empty for the base unit
+ * @returns {number} - Allowed decimal places (0 = whole units only)
+ */
+export const getQuantityPrecision = (product, uom) => {
+  if (uom) {
+    return product.uoms?.find(u => u.name === uom)?.precision ?? 0;
+  }
+  if (product.quantityPrecision !== undefined && product.quantityPrecision !== null) {
+    return product.quantityPrecision;
+  }
+  return STANDARD_UNITS.find(u => u.value === product.unit)?.precision ?? 0;
+};
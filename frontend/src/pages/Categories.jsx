@@ -293,6 +293,15 @@ const Categories = () => {
                   <p className="text-red-600 text-sm">{errors.description.message}</p>
                 )}
               </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium">
+                  <input {...register('vatExempt')} type="checkbox" className="w-4 h-4" />
+                  VAT-exempt
+                </label>
+                <p className="text-xs text-gray-500 mt-1">
+                  Products in this category are sold without VAT
+                </p>
+              </div>
               <div>
                 <label className="block text-sm font-medium mb-1">Sub-Categories</label>
                 <div className="space-y-2">
@@ -0,0 +1,542 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import { useForm } from 'react-hook-form';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import CustomerAccountModal from '../components/CustomerAccountModal';
+import { formatCurrencyDisplay, formatPaymentMethod, formatQuantity } from '../utils/utils';
+
+const Customers = () => {
+  const { isAdmin } = useAuth();
+  const [customers, setCustomers] = useState([]);
+  const [paginatedCustomers, setPaginatedCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [activeTab, setActiveTab] = useState('active');
+  const [showModal, setShowModal] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [deletingCustomer, setDeletingCustomer] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [accountCustomer, setAccountCustomer] = useState(null);
+  const [priceLists, setPriceLists] = useState([]);
+  const { register, handleSubmit, reset, setValue, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchCustomers();
+    fetchPriceLists();
+  }, []);
+
+  // Reset pagination when tab or search changes
+  useEffect(() => {
+    setPaginatedCustomers([]);
+  }, [activeTab, search]);
+
+  const fetchCustomers = async () => {
+    try {
+      const response = await axios.get('/customers');
+      setCustomers(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPriceLists = async () => {
+    try {
+      const response = await axios.get('/price-lists');
+      setPriceLists(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getPriceListName = (priceListId) => priceLists.find(p => p._id === priceListId)?.name;
+
+  const searchTerm = search.trim().toLowerCase();
+  const filteredCustomers = customers.filter(customer => {
+    const matchesTab = activeTab === 'active' ? customer.isActive !== false : customer.isActive === false;
+    if (!matchesTab) return false;
+    if (!searchTerm) return true;
+    return [customer.name, customer.phone, customer.tinNumber, customer.email]
+      .some(value => value?.toLowerCase().includes(searchTerm));
+  });
+
+  const openCreateModal = () => {
+    setEditingCustomer(null);
+    reset({ name: '', phone: '', email: '', tinNumber: '', address: '', notes: '', creditLimit: 0, paymentTermsDays: 30, priceList: '', isActive: true });
+    setShowModal(true);
+  };
+
+  const handleEdit = (customer) => {
+    setEditingCustomer(customer);
+    reset({
+      name: customer.name,
+      phone: customer.phone || '',
+      email: customer.email || '',
+      tinNumber: customer.tinNumber || '',
+      address: customer.address || '',
+      notes: customer.notes || '',
+      creditLimit: customer.creditLimit || 0,
+      paymentTermsDays: customer.paymentTermsDays ?? 30,
+      priceList: customer.priceList || '',
+      isActive: customer.isActive !== false
+    });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCustomer(null);
+    reset();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const submitData = {
+        name: data.name,
+        phone: data.phone,
+        email: data.email,
+        tinNumber: data.tinNumber,
+        address: data.address,
+        notes: data.notes,
+        isActive: data.isActive !== undefined ? data.isActive : true
+      };
+      // Credit terms and price lists can only be granted by an administrator
+      if (isAdmin) {
+        submitData.creditLimit = parseFloat(data.creditLimit) || 0;
+        submitData.paymentTermsDays = parseInt(data.paymentTermsDays) || 0;
+        submitData.priceList = data.priceList || null;
+      }
+
+      if (editingCustomer) {
+        await axios.put(`/customers/${editingCustomer._id}`, submitData);
+        toast.success('Customer updated successfully');
+      } else {
+        await axios.post('/customers', submitData);
+        toast.success('Customer created successfully');
+      }
+      closeModal();
+      fetchCustomers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleViewHistory = async (customer) => {
+    try {
+      const response = await axios.get(`/customers/${customer._id}/history`);
+      setHistory(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deletingCustomer) return;
+    setIsDeleting(true);
+    try {
+      await axios.delete(`/customers/${deletingCustomer._id}`);
+      toast.success('Customer deleted successfully');
+      setDeletingCustomer(null);
+      fetchCustomers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Customers</h1>
+        <button
+          onClick={openCreateModal}
+          className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+        >
+          Add Customer
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, phone, TIN or email"
+          className="w-full sm:w-96 px-3 py-2 border rounded-lg"
+        />
+      </div>
+
+      {/* Tabs for Active/Inactive Customers */}
+      <div className="mb-4 border-b border-gray-200">
+        <nav className="flex space-x-8" aria-label="Tabs">
+          {['active', 'inactive'].map(tab => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === tab
+                  ? 'border-green-600 text-green-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab === 'active' ? 'Active Customers' : 'Inactive Customers'}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contact Number</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">TIN Number</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Credit Limit</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedCustomers.length === 0 ? (
+                <tr>
+                  <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                    No customers found
+                  </td>
+                </tr>
+              ) : (
+                paginatedCustomers.map((customer) => (
+                  <tr key={customer._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{customer.name}</div>
+                      {customer.priceList && getPriceListName(customer.priceList) && (
+                        <div className="text-xs text-blue-700">{getPriceListName(customer.priceList)} pricing</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{customer.phone || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{customer.tinNumber || '-'}</td>
+                    <td className="px-6 py-4">{customer.email || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {customer.creditLimit > 0 ? formatCurrencyDisplay(customer.creditLimit) : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleViewHistory(customer)}
+                          className="px-3 py-1 text-sm text-green-700 bg-green-50 hover:bg-green-100 rounded transition-colors"
+                        >
+                          History
+                        </button>
+                        <button
+                          onClick={() => setAccountCustomer(customer)}
+                          className="px-3 py-1 text-sm text-purple-700 bg-purple-50 hover:bg-purple-100 rounded transition-colors"
+                        >
+                          Account
+                        </button>
+                        <button
+                          onClick={() => handleEdit(customer)}
+                          className="px-3 py-1 text-sm text-blue-700 bg-blue-50 hover:bg-blue-100 rounded transition-colors"
+                        >
+                          Edit
+                        </button>
+                        {isAdmin && (
+                          <button
+                            onClick={() => setDeletingCustomer(customer)}
+                            className="px-3 py-1 text-sm text-red-700 bg-red-50 hover:bg-red-100 rounded transition-colors"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={filteredCustomers}
+          itemsPerPage={10}
+          onPageChange={setPaginatedCustomers}
+        />
+      </div>
+
+      {/* Purchase History Modal */}
+      {history && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={() => setHistory(null)}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-1">{history.customer.name}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {[history.customer.phone, history.customer.tinNumber && `TIN ${history.customer.tinNumber}`, history.customer.email]
+                .filter(Boolean)
+                .join(' · ') || 'No contact details'}
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+              <div className="bg-green-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-600">Lifetime Spend</p>
+                <p className="text-lg font-bold text-green-700">{formatCurrencyDisplay(history.summary.lifetimeSpend)}</p>
+                {history.summary.totalReturns > 0 && (
+                  <p className="text-xs text-gray-500">After {formatCurrencyDisplay(history.summary.totalReturns)} in returns</p>
+                )}
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-600">Purchases</p>
+                <p className="text-lg font-bold">{history.summary.saleCount}</p>
+              </div>
+              <div className="bg-gray-50 p-3 rounded-lg">
+                <p className="text-xs text-gray-600">Last Purchase</p>
+                <p className="text-lg font-bold">
+                  {history.summary.lastPurchase ? new Date(history.summary.lastPurchase).toLocaleDateString() : '-'}
+                </p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sale #</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {history.sales.length === 0 ? (
+                    <tr>
+                      <td colSpan={5} className="px-3 py-4 text-center text-gray-500">No purchases yet</td>
+                    </tr>
+                  ) : (
+                    history.sales.map(sale => (
+                      <tr key={sale._id}>
+                        <td className="px-3 py-2 whitespace-nowrap">{sale.saleNumber}</td>
+                        <td className="px-3 py-2 whitespace-nowrap">{new Date(sale.createdAt).toLocaleString()}</td>
+                        <td className="px-3 py-2">
+                          {sale.items.map(item => `${item.product?.name || 'Unknown'} x${formatQuantity(item.quantity)}${item.uom ? ` ${item.uom}` : ''}`).join(', ')}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap">{formatPaymentMethod(sale.paymentMethod)}</td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          {formatCurrencyDisplay(sale.total)}
+                          {sale.returnedTotal > 0 && (
+                            <div className="text-xs text-orange-600">-{formatCurrencyDisplay(sale.returnedTotal)} returned</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-6 flex justify-end">
+              <button
+                type="button"
+                onClick={() => setHistory(null)}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 transition-colors"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Add/Edit Customer Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingCustomer ? 'Edit Customer' : 'Add Customer'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium mb-0.5">Name *</label>
+                <input
+                  {...register('name', { required: 'Customer name is required' })}
+                  className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                />
+                {errors.name && (
+                  <p className="text-red-600 text-xs mt-0.5">{errors.name.message}</p>
+                )}
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium mb-0.5">Contact Number</label>
+                  <input
+                    {...register('phone', {
+                      pattern: {
+                        value: /^\d{1,11}$/,
+                        message: 'Contact number must contain only digits and be maximum 11 digits'
+                      }
+                    })}
+                    type="tel"
+                    maxLength={11}
+                    className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                    onChange={(e) => {
+                      // Only allow digits and limit to 11 characters
+                      const value = e.target.value.replace(/\D/g, '').slice(0, 11);
+                      setValue('phone', value, { shouldValidate: true });
+                    }}
+                  />
+                  {errors.phone && (
+                    <p className="text-red-600 text-xs mt-0.5">{errors.phone.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-0.5">TIN Number</label>
+                  <input
+                    {...register('tinNumber')}
+                    className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-0.5">Email</label>
+                <input
+                  {...register('email', {
+                    pattern: {
+                      value: /^\S+@\S+\.\S+$/,
+                      message: 'Please provide a valid email address'
+                    }
+                  })}
+                  type="email"
+                  className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                />
+                {errors.email && (
+                  <p className="text-red-600 text-xs mt-0.5">{errors.email.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-0.5">Address</label>
+                <input
+                  {...register('address', { maxLength: { value: 200, message: 'Address cannot exceed 200 characters' } })}
+                  className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                />
+                {errors.address && (
+                  <p className="text-red-600 text-xs mt-0.5">{errors.address.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-0.5">Notes</label>
+                <textarea
+                  {...register('notes', { maxLength: { value: 500, message: 'Notes cannot exceed 500 characters' } })}
+                  rows={2}
+                  className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                />
+                {errors.notes && (
+                  <p className="text-red-600 text-xs mt-0.5">{errors.notes.message}</p>
+                )}
+              </div>
+              {isAdmin && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium mb-0.5">Credit Limit</label>
+                    <input
+                      {...register('creditLimit', { min: { value: 0, message: 'Credit limit cannot be negative' } })}
+                      type="number"
+                      step="0.01"
+                      min={0}
+                      className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                    />
+                    <p className="text-gray-500 text-xs mt-0.5">0 means the customer cannot charge to account</p>
+                    {errors.creditLimit && (
+                      <p className="text-red-600 text-xs mt-0.5">{errors.creditLimit.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-0.5">Payment Terms (days)</label>
+                    <input
+                      {...register('paymentTermsDays', { min: { value: 0, message: 'Payment terms cannot be negative' } })}
+                      type="number"
+                      min={0}
+                      className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                    />
+                    {errors.paymentTermsDays && (
+                      <p className="text-red-600 text-xs mt-0.5">{errors.paymentTermsDays.message}</p>
+                    )}
+                  </div>
+                  <div className="sm:col-span-2">
+                    <label className="block text-sm font-medium mb-0.5">Price List</label>
+                    <select {...register('priceList')} className="w-full px-3 py-1.5 border rounded-lg text-sm">
+                      <option value="">Default pricing</option>
+                      {priceLists
+                        .filter(priceList => priceList.isActive || priceList._id === editingCustomer?.priceList)
+                        .map(priceList => (
+                          <option key={priceList._id} value={priceList._id}>
+                            {priceList.name}{!priceList.isActive ? ' (inactive)' : ''}
+                          </option>
+                        ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" {...register('isActive')} />
+                Active
+              </label>
+              <div className="flex space-x-3 justify-end pt-2">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : editingCustomer ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <CustomerAccountModal
+        isOpen={!!accountCustomer}
+        customer={accountCustomer}
+        onClose={() => setAccountCustomer(null)}
+      />
+
+      <ConfirmModal
+        isOpen={!!deletingCustomer}
+        onClose={() => setDeletingCustomer(null)}
+        onConfirm={handleDelete}
+        title="Delete Customer"
+        message={`Delete ${deletingCustomer?.name}? Customers with purchase history cannot be deleted; deactivate them instead.`}
+        confirmText="Delete"
+        isLoading={isDeleting}
+      />
+    </div>
+  );
+};
+
+export default Customers;
@@ -0,0 +1,595 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import SerialPickerModal from '../components/SerialPickerModal';
+import { ADJUSTMENT_REASONS, getAdjustmentReasonLabel } from '../constants/adjustmentReasons';
+import { getQuantityPrecision } from '../constants/units';
+import { formatCurrencyDisplay, formatDate, formatQuantity, roundQuantity } from '../utils/utils';
+
+const CYCLE_COUNT_STATUSES = [
+  { value: 'counting', label: 'Counting', className: 'bg-blue-100 text-blue-800' },
+  { value: 'posted', label: 'Posted', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-red-100 text-red-800' },
+];
+
+const getStatus = (status) =>
+  CYCLE_COUNT_STATUSES.find(s => s.value === status) || { label: status, className: 'bg-gray-100 text-gray-700' };
+
+const CycleCounts = () => {
+  const [cycleCounts, setCycleCounts] = useState([]);
+  const [paginatedCounts, setPaginatedCounts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  // New count sheet
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [createForm, setCreateForm] = useState({ category: '', location: '', notes: '' });
+  const [isCreating, setIsCreating] = useState(false);
+  // Count entry
+  const [selectedCount, setSelectedCount] = useState(null);
+  const [counts, setCounts] = useState({}); // lineId -> { countedQuantity, varianceReason, serialNumbers }
+  const [pickingLine, setPickingLine] = useState(null); // serialized line whose missing or found units are being picked
+  const [isSaving, setIsSaving] = useState(false);
+  const [confirmAction, setConfirmAction] = useState(null); // 'post' | 'cancel'
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  useEffect(() => {
+    fetchCycleCounts();
+    fetchCategories();
+    fetchLocations();
+  }, []);
+
+  // Reset pagination when the filter changes
+  useEffect(() => {
+    setPaginatedCounts([]);
+  }, [statusFilter]);
+
+  const fetchCycleCounts = async () => {
+    try {
+      const response = await axios.get('/cycle-counts');
+      setCycleCounts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories?isActive=true');
+      setCategories(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations?isActive=true');
+      setLocations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const openDetails = async (cycleCount) => {
+    try {
+      const response = await axios.get(`/cycle-counts/${cycleCount._id}`);
+      const details = response.data.data;
+      setSelectedCount(details);
+      setCounts(Object.fromEntries(details.lines.map(line => [
+        line._id,
+        {
+          countedQuantity: line.countedQuantity ?? '',
+          varianceReason: line.varianceReason || '',
+          serialNumbers: line.serialNumbers || []
+        }
+      ])));
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const response = await axios.post('/cycle-counts', {
+        category: createForm.category || undefined,
+        location: createForm.location || undefined,
+        notes: createForm.notes
+      });
+      toast.success(response.data.message);
+      setShowCreateModal(false);
+      setCreateForm({ category: '', location: '', notes: '' });
+      fetchCycleCounts();
+      openDetails(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const updateCount = (lineId, changes) => {
+    setCounts({ ...counts, [lineId]: { ...counts[lineId], ...changes } });
+  };
+
+  // Serialized lines with a variance name the units missing or found, one per unit
+  const isSerialized = (line) => line.product?.tracking === 'serial';
+
+  // Variance shown while typing, before the counts are saved
+  const getLiveVariance = (line) => {
+    const entry = counts[line._id];
+    if (!entry || entry.countedQuantity === '' || entry.countedQuantity === null) return null;
+    return roundQuantity(parseFloat(entry.countedQuantity) - line.expectedQuantity);
+  };
+
+  const saveCounts = async () => {
+    setIsSaving(true);
+    try {
+      const response = await axios.put(`/cycle-counts/${selectedCount._id}/counts`, {
+        lines: selectedCount.lines.map(line => ({
+          lineId: line._id,
+          countedQuantity: counts[line._id]?.countedQuantity === '' ? null : parseFloat(counts[line._id].countedQuantity),
+          varianceReason: counts[line._id]?.varianceReason || null,
+          serialNumbers: isSerialized(line) ? counts[line._id]?.serialNumbers || [] : undefined
+        }))
+      });
+      toast.success(response.data.message || 'Counts saved');
+      setSelectedCount(response.data.data);
+      return true;
+    } catch (error) {
+      // Error handled by axios interceptor
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleConfirmAction = async () => {
+    setIsProcessing(true);
+    try {
+      if (confirmAction === 'post') {
+        // Post what is on screen, not just what was last saved
+        const saved = await saveCounts();
+        if (!saved) return;
+      }
+      const response = await axios.post(`/cycle-counts/${selectedCount._id}/${confirmAction}`);
+      toast.success(response.data.message);
+      setSelectedCount(null);
+      fetchCycleCounts();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsProcessing(false);
+      setConfirmAction(null);
+    }
+  };
+
+  const handleDownloadPDF = async (cycleCount, blind = false) => {
+    try {
+      const response = await axios.get(`/cycle-counts/${cycleCount._id}/pdf${blind ? '?blind=true' : ''}`, {
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${cycleCount.countNumber}${blind ? '-blind' : ''}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Count sheet exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  const filteredCounts = statusFilter
+    ? cycleCounts.filter(cycleCount => cycleCount.status === statusFilter)
+    : cycleCounts;
+
+  const isCounting = selectedCount?.status === 'counting';
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Cycle Counts</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Count shelves against the system and post the differences as adjustments
+          </p>
+        </div>
+        <div className="flex gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {CYCLE_COUNT_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowCreateModal(true)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex-1 sm:flex-none"
+          >
+            New Count Sheet
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Count</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Products</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedCounts.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                    No cycle counts found
+                  </td>
+                </tr>
+              ) : (
+                paginatedCounts.map((cycleCount) => {
+                  const status = getStatus(cycleCount.status);
+                  return (
+                    <tr key={cycleCount._id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="font-medium">{cycleCount.countNumber}</div>
+                        <div className="text-xs text-gray-500">
+                          {formatDate(cycleCount.createdAt)} by {cycleCount.createdBy?.username || 'Unknown'}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {cycleCount.category || 'All products'}
+                        {cycleCount.location && (
+                          <div className="text-xs text-gray-500">{cycleCount.location.name}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{cycleCount.lines.length}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs rounded-full ${status.className}`}>
+                          {status.label}
+                        </span>
+                        {cycleCount.postedAt && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            {formatDate(cycleCount.postedAt)} by {cycleCount.postedBy?.username || 'Unknown'}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center gap-3 text-sm">
+                          <button
+                            onClick={() => openDetails(cycleCount)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {cycleCount.status === 'counting' ? 'Enter Counts' : 'View'}
+                          </button>
+                          <button
+                            onClick={() => handleDownloadPDF(cycleCount)}
+                            className="text-gray-600 hover:text-gray-800"
+                          >
+                            PDF
+                          </button>
+                          <button
+                            onClick={() => handleDownloadPDF(cycleCount, true)}
+                            className="text-gray-600 hover:text-gray-800"
+                            title="Count sheet without system quantities"
+                          >
+                            Blind PDF
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={filteredCounts}
+          itemsPerPage={10}
+          onPageChange={setPaginatedCounts}
+        />
+      </div>
+
+      {/* New count sheet */}
+      {showCreateModal && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={() => !isCreating && setShowCreateModal(false)}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-md"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">New Count Sheet</h2>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Category</label>
+                <select
+                  value={createForm.category}
+                  onChange={(e) => setCreateForm({ ...createForm, category: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                >
+                  <option value="">All active products</option>
+                  {categories.map(category => (
+                    <option key={category._id} value={category.name}>{category.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Current stock is captured as the expected quantity when the sheet is generated.
+                </p>
+              </div>
+              {locations.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Location</label>
+                  <select
+                    value={createForm.location}
+                    onChange={(e) => setCreateForm({ ...createForm, location: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Default location</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={createForm.notes}
+                  onChange={(e) => setCreateForm({ ...createForm, notes: e.target.value })}
+                  rows={2}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="e.g. Aisle 3, month-end count"
+                />
+              </div>
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setShowCreateModal(false)}
+                  disabled={isCreating}
+                  className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isCreating}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isCreating ? 'Generating...' : 'Generate Sheet'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Count entry and variances */}
+      {selectedCount && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={() => !isSaving && setSelectedCount(null)}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-5xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-start gap-2 mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{selectedCount.countNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  {selectedCount.category || 'All products'}{selectedCount.location ? ` at ${selectedCount.location.name}` : ''} · {getStatus(selectedCount.status).label}
+                </p>
+                {selectedCount.notes && <p className="text-sm text-gray-500">{selectedCount.notes}</p>}
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                <div>
+                  <div className="text-gray-500">Counted</div>
+                  <div className="font-semibold">{selectedCount.summary.countedCount} / {selectedCount.summary.lineCount}</div>
+                </div>
+                <div>
+                  <div className="text-gray-500">Variances</div>
+                  <div className="font-semibold">{selectedCount.summary.varianceCount}</div>
+                </div>
+                <div>
+                  <div className="text-gray-500">Shortage</div>
+                  <div className="font-semibold text-red-600">{formatCurrencyDisplay(selectedCount.summary.shortageValue)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-500">Overage</div>
+                  <div className="font-semibold text-green-600">{formatCurrencyDisplay(selectedCount.summary.overageValue)}</div>
+                </div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">System</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Variance</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {selectedCount.lines.map(line => {
+                    const variance = isCounting ? getLiveVariance(line) : line.variance;
+                    const precision = line.product?._id ? getQuantityPrecision(line.product) : 0;
+                    return (
+                      <tr key={line._id} className={variance ? 'bg-yellow-50' : ''}>
+                        <td className="px-4 py-2">
+                          <div>{line.product?.name || line.productName}</div>
+                          {line.product?.sku && <div className="text-xs text-gray-500">{line.product.sku}</div>}
+                          {isSerialized(line) && isCounting && variance ? (
+                            <button
+                              onClick={() => setPickingLine(line)}
+                              className="text-xs text-blue-600 hover:text-blue-800"
+                            >
+                              Pick {variance < 0 ? 'missing' : 'found'} units ({counts[line._id]?.serialNumbers.length || 0} / {formatQuantity(Math.abs(variance))})
+                            </button>
+                          ) : null}
+                          {!isCounting && line.serialNumbers?.length > 0 && (
+                            <div className="text-xs text-gray-500 font-mono">{line.serialNumbers.join(', ')}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-right whitespace-nowrap">
+                          {formatQuantity(line.expectedQuantity)} {line.unit || ''}
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          {isCounting ? (
+                            <input
+                              type="number"
+                              min={0}
+                              step={precision > 0 ? 10 ** -precision : 1}
+                              value={counts[line._id]?.countedQuantity ?? ''}
+                              onChange={(e) => updateCount(line._id, { countedQuantity: e.target.value, serialNumbers: [] })}
+                              className="w-24 px-2 py-1 border rounded-lg text-right"
+                            />
+                          ) : (
+                            line.countedQuantity !== null && line.countedQuantity !== undefined
+                              ? formatQuantity(line.countedQuantity)
+                              : '-'
+                          )}
+                        </td>
+                        <td className={`px-4 py-2 text-right whitespace-nowrap font-semibold ${variance < 0 ? 'text-red-600' : variance > 0 ? 'text-green-600' : ''}`}>
+                          {variance === null ? '-' : `${variance > 0 ? '+' : ''}${formatQuantity(variance)}`}
+                        </td>
+                        <td className="px-4 py-2 text-right whitespace-nowrap">
+                          {!isCounting && line.varianceValue ? formatCurrencyDisplay(line.varianceValue) : '-'}
+                        </td>
+                        <td className="px-4 py-2">
+                          {isCounting ? (
+                            <select
+                              value={counts[line._id]?.varianceReason || ''}
+                              onChange={(e) => updateCount(line._id, { varianceReason: e.target.value })}
+                              disabled={!variance}
+                              className="px-2 py-1 border rounded-lg disabled:bg-gray-100"
+                            >
+                              <option value="">{getAdjustmentReasonLabel('count_variance')}</option>
+                              {ADJUSTMENT_REASONS.map(reason => (
+                                <option key={reason.value} value={reason.value}>{reason.label}</option>
+                              ))}
+                            </select>
+                          ) : (
+                            line.variance ? getAdjustmentReasonLabel(line.varianceReason || 'count_variance') : '-'
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex flex-wrap justify-between gap-2 mt-4">
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleDownloadPDF(selectedCount)}
+                  className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300"
+                >
+                  PDF
+                </button>
+                {isCounting && (
+                  <button
+                    onClick={() => setConfirmAction('cancel')}
+                    className="px-4 py-2 text-red-600 hover:text-red-800"
+                  >
+                    Cancel Count
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setSelectedCount(null)}
+                  disabled={isSaving}
+                  className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Close
+                </button>
+                {isCounting && (
+                  <>
+                    <button
+                      onClick={saveCounts}
+                      disabled={isSaving}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {isSaving ? 'Saving...' : 'Save Counts'}
+                    </button>
+                    <button
+                      onClick={() => setConfirmAction('post')}
+                      disabled={isSaving}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Post Count
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <SerialPickerModal
+        isOpen={!!pickingLine}
+        onClose={() => setPickingLine(null)}
+        onConfirm={(serialNumbers) => {
+          updateCount(pickingLine._id, { serialNumbers });
+          setPickingLine(null);
+        }}
+        product={pickingLine?.product}
+        selected={pickingLine ? counts[pickingLine._id]?.serialNumbers : []}
+        status={pickingLine && getLiveVariance(pickingLine) > 0 ? 'written_off' : 'in_stock'}
+        location={pickingLine && getLiveVariance(pickingLine) < 0 ? selectedCount?.location?._id : undefined}
+        action={pickingLine && getLiveVariance(pickingLine) > 0 ? 'found' : 'missing'}
+      />
+
+      <ConfirmModal
+        isOpen={!!confirmAction}
+        onClose={() => setConfirmAction(null)}
+        onConfirm={handleConfirmAction}
+        title={confirmAction === 'post' ? 'Post Cycle Count' : 'Cancel Cycle Count'}
+        message={confirmAction === 'post'
+          ? 'Every counted product with a variance will be adjusted to its counted quantity. Uncounted products are left unchanged. This cannot be undone.'
+          : 'Cancel this count sheet? No stock will change.'}
+        confirmText={confirmAction === 'post' ? 'Post' : 'Cancel Count'}
+        cancelText="Back"
+        variant={confirmAction === 'post' ? 'warning' : 'danger'}
+        isLoading={isProcessing}
+      />
+    </div>
+  );
+};
+
+export default CycleCounts;
@@ -2,10 +2,10 @@ import { useEffect, useState } from 'react';
 import axios from 'axios';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { formatLocalDate, formatCurrencyDisplay } from '../utils/utils';
+import { formatLocalDate, formatCurrencyDisplay, formatDate, formatQuantity } from '../utils/utils';
 
 const Dashboard = () => {
-  const { isStaff, loading: authLoading } = useAuth();
+  const { user, isStaff, loading: authLoading } = useAuth();
   const [stats, setStats] = useState({
     totalProducts: 0,
     lowStockProducts: 0,
@@ -14,6 +14,7 @@ const Dashboard = () => {
     yearlySales: 0
   });
   const [lowStockItems, setLowStockItems] = useState([]);
+  const [expiryAlerts, setExpiryAlerts] = useState({ summary: null, data: [] });
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -45,14 +46,16 @@ const Dashboard = () => {
 
       const promises = [
         axios.get('/products'),
-        axios.get('/inventory/alerts'),
+        // Staff see the alerts for their own location
+        axios.get(isStaff && user?.location ? `/inventory/alerts?location=${user.location}` : '/inventory/alerts'),
+        axios.get(isStaff && user?.location ? `/inventory/expiry-alerts?location=${user.location}` : '/inventory/expiry-alerts'),
         axios.get(`/sales?startDate=${dailyStartStr}&endDate=${todayStr}`),
         axios.get(`/sales?startDate=${weeklyStartStr}&endDate=${todayStr}`),
         axios.get(`/sales?startDate=${yearlyStartStr}&endDate=${todayStr}`)
       ];
 
       const results = await Promise.all(promises);
-      const [productsRes, inventoryRes, dailySalesRes, weeklySalesRes, yearlySalesRes] = results;
+      const [productsRes, inventoryRes, expiryRes, dailySalesRes, weeklySalesRes, yearlySalesRes] = results;
 
       // Calculate daily sales (today)
       let dailySales = 0;
@@ -79,6 +82,9 @@ const Dashboard = () => {
       const lowStockProducts = inventoryRes.data.data || [];
       setLowStockItems(lowStockProducts.slice(0, 3));
 
+      // Expired stock first, then what expires soonest (limit to 5 for display)
+      setExpiryAlerts({ summary: expiryRes.data.summary, data: (expiryRes.data.data || []).slice(0, 5) });
+
       setStats({
         totalProducts: productsRes.data.count || 0,
         lowStockProducts: inventoryRes.data.count || 0,
@@ -186,15 +192,15 @@ const Dashboard = () => {
                     <div className="flex-1">
                       <p className="font-medium text-sm">{item.name}</p>
                       <p className="text-xs text-gray-600">
-                        Stock: {item.stockQuantity} / Threshold: {item.lowStockThreshold}
+                        Stock: {item.locationQuantity ?? item.stockQuantity} / Threshold: {item.lowStockThreshold}
                       </p>
                     </div>
                     <span className={`text-xs font-semibold px-2 py-1 rounded ${
-                      item.stockQuantity === 0 
+                      (item.locationQuantity ?? item.stockQuantity) === 0 
                         ? 'bg-red-100 text-red-800' 
                         : 'bg-orange-100 text-orange-800'
                     }`}>
-                      {item.stockQuantity === 0 ? 'Out of Stock' : 'Low Stock'}
+                      {(item.locationQuantity ?? item.stockQuantity) === 0 ? 'Out of Stock' : 'Low Stock'}
                     </span>
                   </div>
                 ))}
@@ -220,6 +226,57 @@ const Dashboard = () => {
             </div>
           )}
         </div>
+
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-4">Expiry Alert</h2>
+          {expiryAlerts.data.length > 0 ? (
+            <div className="space-y-4">
+              <div className={`p-3 rounded-lg border ${expiryAlerts.summary.expired > 0 ? 'bg-red-50 border-red-200' : 'bg-orange-50 border-orange-200'}`}>
+                <p className={`text-sm font-medium ${expiryAlerts.summary.expired > 0 ? 'text-red-800' : 'text-orange-800'}`}>
+                  {expiryAlerts.summary.expired > 0 && (
+                    <>⚠️ {expiryAlerts.summary.expired} expired {expiryAlerts.summary.expired === 1 ? 'delivery' : 'deliveries'} still on hand ({formatCurrencyDisplay(expiryAlerts.summary.expiredValue)}). </>
+                  )}
+                  {expiryAlerts.summary.expiring} expiring within {expiryAlerts.summary.days} days
+                </p>
+              </div>
+              <div className="space-y-2">
+                {expiryAlerts.data.map((alert) => (
+                  <div key={alert._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+                    <div className="flex-1">
+                      <p className="font-medium text-sm">{alert.product.name}</p>
+                      <p className="text-xs text-gray-600">
+                        {alert.lotNumber && `Lot ${alert.lotNumber} · `}
+                        Exp. {formatDate(alert.expiryDate)} · {formatQuantity(alert.remainingQuantity)} {alert.product.unit || 'units'} left
+                        {alert.location && ` · ${alert.location.name}`}
+                      </p>
+                    </div>
+                    <span className={`text-xs font-semibold px-2 py-1 rounded ${
+                      alert.status === 'expired'
+                        ? 'bg-red-100 text-red-800'
+                        : 'bg-orange-100 text-orange-800'
+                    }`}>
+                      {alert.status === 'expired'
+                        ? 'Expired'
+                        : alert.daysToExpiry === 0 ? 'Today' : `${alert.daysToExpiry} ${alert.daysToExpiry === 1 ? 'day' : 'days'}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <Link
+                to="/stock-adjustments"
+                className="block text-center text-blue-600 hover:text-blue-800 font-medium text-sm mt-2"
+              >
+                Write off expired stock
+              </Link>
+            </div>
+          ) : (
+            <div className="text-center py-4">
+              <p className="text-gray-600 text-sm">
+                Nothing expires in the next {expiryAlerts.summary?.days ?? 30} days
+              </p>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -1,10 +1,15 @@
 import { useEffect, useState } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
+import Select from 'react-select';
 import { useAuth } from '../context/AuthContext';
 import InputModal from '../components/InputModal';
 import Pagination from '../components/Pagination';
-import { formatCurrencyDisplay } from '../utils/utils';
+import { formatCurrencyDisplay, formatLocalDate, formatQuantity, roundQuantity } from '../utils/utils';
+import { getQuantityPrecision } from '../constants/units';
+import { MOVEMENT_TYPES, getMovementTypeLabel } from '../constants/movementTypes';
+import { getAdjustmentReasonLabel } from '../constants/adjustmentReasons';
+import { parseSerialNumbers } from '../constants/tracking';
 
 const Inventory = () => {
   const { isAdmin } = useAuth();
@@ -13,6 +18,8 @@ const Inventory = () => {
   const [summary, setSummary] = useState({});
   const [loading, setLoading] = useState(true);
   const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState('');
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [isUpdating, setIsUpdating] = useState(false);
@@ -25,23 +32,56 @@ const Inventory = () => {
   const [sortOrder, setSortOrder] = useState('desc');
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
+  // Stock card
+  const [stockCardProducts, setStockCardProducts] = useState([]);
+  const [stockCardProductId, setStockCardProductId] = useState('');
+  const [stockCardStart, setStockCardStart] = useState(() => {
+    const start = new Date();
+    start.setDate(start.getDate() - 30);
+    return formatLocalDate(start);
+  });
+  const [stockCardEnd, setStockCardEnd] = useState(() => formatLocalDate(new Date()));
+  const [stockCardType, setStockCardType] = useState('');
+  const [stockCard, setStockCard] = useState(null);
+  const [paginatedMovements, setPaginatedMovements] = useState([]);
+  const [stockCardLoading, setStockCardLoading] = useState(false);
   
   // Combined form state
   const [stockQuantity, setStockQuantity] = useState('');
+  const [stockUom, setStockUom] = useState('');
   const [dateDelivered, setDateDelivered] = useState('');
+  const [stockLocation, setStockLocation] = useState('');
+  const [unitCost, setUnitCost] = useState('');
+  const [freight, setFreight] = useState('');
+  const [otherCharges, setOtherCharges] = useState('');
+  const [serialText, setSerialText] = useState('');
+  const [lotNumber, setLotNumber] = useState('');
+  const [expiryDate, setExpiryDate] = useState('');
   const [price, setPrice] = useState('');
   const [markupPercentage, setMarkupPercentage] = useState('');
   
   // Determine if user can update stock
   const canUpdateStock = isAdmin;
 
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
   useEffect(() => {
     if (activeTab === 'inventory') {
       fetchInventory();
     } else if (activeTab === 'history') {
       fetchStockHistory();
+    } else if (activeTab === 'stockCard' && stockCardProducts.length === 0) {
+      fetchStockCardProducts();
+    }
+  }, [lowStockOnly, locationFilter, activeTab]);
+
+  useEffect(() => {
+    if (activeTab === 'stockCard' && stockCardProductId) {
+      fetchStockCard();
     }
-  }, [lowStockOnly, activeTab]);
+  }, [stockCardProductId, stockCardStart, stockCardEnd, stockCardType, locationFilter, activeTab]);
 
   useEffect(() => {
     if (activeTab === 'history') {
@@ -49,9 +89,22 @@ const Inventory = () => {
     }
   }, [searchQuery, sortBy, sortOrder, startDate, endDate, activeTab]);
 
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations?isActive=true');
+      setLocations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
   const fetchInventory = async () => {
     try {
-      const response = await axios.get(`/inventory${lowStockOnly ? '?lowStock=true' : ''}`);
+      const params = new URLSearchParams();
+      if (lowStockOnly) params.append('lowStock', 'true');
+      if (locationFilter) params.append('location', locationFilter);
+
+      const response = await axios.get(`/inventory?${params.toString()}`);
       setInventory(response.data.data);
       setSummary(response.data.summary || {});
     } catch (error) {
@@ -80,7 +133,44 @@ const Inventory = () => {
     }
   };
 
-  const updateProduct = async (productId, quantity, dateDelivered, price, markupPercentage) => {
+  const fetchStockCardProducts = async () => {
+    try {
+      const response = await axios.get('/products?isActive=true');
+      setStockCardProducts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchStockCard = async () => {
+    setStockCardLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (stockCardStart) params.append('startDate', stockCardStart);
+      if (stockCardEnd) params.append('endDate', stockCardEnd);
+      if (stockCardType) params.append('type', stockCardType);
+      if (locationFilter) params.append('location', locationFilter);
+
+      const response = await axios.get(`/inventory/${stockCardProductId}/stock-card?${params.toString()}`);
+      setStockCard(response.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setStockCardLoading(false);
+    }
+  };
+
+  // In and out follow the balance being shown, so a transfer only moves a single location's stock
+  const getMovementChange = (movement) => (locationFilter
+    ? roundQuantity(movement.locationBalanceAfter - movement.locationBalanceBefore)
+    : roundQuantity(movement.balanceAfter - movement.balanceBefore));
+
+  const openStockCard = (product) => {
+    setStockCardProductId(product._id);
+    setActiveTab('stockCard');
+  };
+
+  const updateProduct = async (productId, quantity, uom, dateDelivered, location, landedCost, tracking, price, markupPercentage) => {
     setIsUpdating(true);
     try {
       const updates = [];
@@ -88,8 +178,16 @@ const Inventory = () => {
       // Update stock if quantity and date are provided
       if (quantity && dateDelivered) {
         await axios.put(`/inventory/${productId}/stock`, { 
-          quantity: parseInt(quantity),
-          dateDelivered 
+          quantity: parseFloat(quantity),
+          uom: uom || undefined,
+          dateDelivered,
+          location: location || undefined,
+          unitCost: landedCost.unitCost !== '' ? parseFloat(landedCost.unitCost) : undefined,
+          freight: landedCost.freight !== '' ? parseFloat(landedCost.freight) : undefined,
+          otherCharges: landedCost.otherCharges !== '' ? parseFloat(landedCost.otherCharges) : undefined,
+          serialNumbers: tracking.serialNumbers,
+          lotNumber: tracking.lotNumber || undefined,
+          expiryDate: tracking.expiryDate || undefined
         });
         updates.push('stock');
       }
@@ -113,7 +211,14 @@ const Inventory = () => {
       setIsEditModalOpen(false);
       setSelectedProduct(null);
       setStockQuantity('');
+      setStockUom('');
       setDateDelivered('');
+      setUnitCost('');
+      setFreight('');
+      setOtherCharges('');
+      setSerialText('');
+      setLotNumber('');
+      setExpiryDate('');
       setPrice('');
       setMarkupPercentage('');
       fetchInventory();
@@ -138,7 +243,15 @@ const Inventory = () => {
   const handleEditClick = (product) => {
     setSelectedProduct(product);
     setStockQuantity('');
+    setStockUom('');
     setDateDelivered(new Date().toISOString().split('T')[0]);
+    setStockLocation(locationFilter || locations.find(l => l.isDefault)?._id || '');
+    setUnitCost('');
+    setFreight('');
+    setOtherCharges('');
+    setSerialText('');
+    setLotNumber('');
+    setExpiryDate('');
     setPrice(product.price?.toString() || '');
     setMarkupPercentage(product.markupPercentage?.toString() || '');
     setIsEditModalOpen(true);
@@ -154,10 +267,19 @@ const Inventory = () => {
         return;
       }
       
-      if (isNaN(stockQuantity) || parseInt(stockQuantity) <= 0) {
+      if (isNaN(stockQuantity) || parseFloat(stockQuantity) <= 0) {
         toast.error('Please enter a valid stock quantity');
         return;
       }
+
+      // Weighed and cut-to-length units allow decimals; counted units must be whole
+      const precision = getQuantityPrecision(selectedProduct, stockUom);
+      if (roundQuantity(parseFloat(stockQuantity), precision) !== parseFloat(stockQuantity)) {
+        toast.error(precision === 0
+          ? 'This unit is received in whole numbers only'
+          : `This unit allows up to ${precision} decimal place${precision === 1 ? '' : 's'}`);
+        return;
+      }
       
       // Check if base price and markup percentage are set before adding stock
       const currentPrice = price || selectedProduct.price;
@@ -166,6 +288,25 @@ const Inventory = () => {
         toast.error('Please set both base price and markup percentage for this product before adding stock');
         return;
       }
+
+      if ([unitCost, freight, otherCharges].some(value => value !== '' && (isNaN(value) || parseFloat(value) < 0))) {
+        toast.error('Unit cost, freight and other charges cannot be negative');
+        return;
+      }
+
+      // Serialized deliveries need one serial per unit received; lot-tracked ones need the lot number
+      if (selectedProduct.tracking === 'serial') {
+        const serialCount = parseSerialNumbers(serialText).length;
+        const units = getStockBaseQuantity();
+        if (serialCount !== units) {
+          toast.error(`Enter ${formatQuantity(units)} serial number(s), one per unit received (${serialCount} entered)`);
+          return;
+        }
+      }
+      if (selectedProduct.tracking === 'lot' && !lotNumber.trim()) {
+        toast.error('Please enter the lot number of this delivery');
+        return;
+      }
     }
     
     // Validate price inputs if provided
@@ -190,12 +331,36 @@ const Inventory = () => {
     updateProduct(
       selectedProduct._id, 
       stockQuantity, 
+      stockUom,
       dateDelivered, 
+      stockLocation,
+      { unitCost, freight, otherCharges },
+      {
+        serialNumbers: selectedProduct.tracking === 'serial' ? parseSerialNumbers(serialText) : undefined,
+        lotNumber: selectedProduct.tracking === 'lot' ? lotNumber.trim() : undefined,
+        expiryDate: selectedProduct.tracking !== 'serial' ? expiryDate : undefined
+      },
       price, 
       markupPercentage
     );
   };
 
+  // Base units being received, for matching the serial numbers entered
+  const getStockBaseQuantity = () => {
+    const factor = stockUom ? selectedProduct?.uoms?.find(uom => uom.name === stockUom)?.factor || 1 : 1;
+    return roundQuantity((parseFloat(stockQuantity) || 0) * factor);
+  };
+
+  // Preview of what this delivery costs landed; an empty unit cost falls back to the base price
+  const getLandedCostPreview = () => {
+    const quantity = parseFloat(stockQuantity);
+    if (!selectedProduct || !(quantity > 0)) return null;
+    const factor = stockUom ? selectedProduct.uoms?.find(uom => uom.name === stockUom)?.factor || 1 : 1;
+    const cost = unitCost !== '' ? parseFloat(unitCost) || 0 : (parseFloat(price) || selectedProduct.price || 0) * factor;
+    const total = cost * quantity + (parseFloat(freight) || 0) + (parseFloat(otherCharges) || 0);
+    return { total, perBaseUnit: total / (quantity * factor) };
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return '-';
     const date = new Date(dateString);
@@ -226,18 +391,32 @@ const Inventory = () => {
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Inventory</h1>
-        {activeTab === 'inventory' && (
-          <div className="flex items-center space-x-2">
-            <input
-              type="checkbox"
-              id="lowStock"
-              checked={lowStockOnly}
-              onChange={(e) => setLowStockOnly(e.target.checked)}
-              className="w-4 h-4"
-            />
-            <label htmlFor="lowStock" className="text-sm">Show low stock only</label>
-          </div>
-        )}
+        <div className="flex flex-wrap items-center gap-4">
+          {locations.length > 0 && activeTab !== 'history' && (
+            <select
+              value={locationFilter}
+              onChange={(e) => setLocationFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location._id} value={location._id}>{location.name}</option>
+              ))}
+            </select>
+          )}
+          {activeTab === 'inventory' && (
+            <div className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                id="lowStock"
+                checked={lowStockOnly}
+                onChange={(e) => setLowStockOnly(e.target.checked)}
+                className="w-4 h-4"
+              />
+              <label htmlFor="lowStock" className="text-sm">Show low stock only</label>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Tabs */}
@@ -263,6 +442,16 @@ const Inventory = () => {
           >
             Stock History
           </button>
+          <button
+            onClick={() => setActiveTab('stockCard')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'stockCard'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Stock Card
+          </button>
         </nav>
       </div>
 
@@ -315,23 +504,40 @@ const Inventory = () => {
                     </tr>
                   ) : (
                     paginatedInventory.map((product) => {
-                      const isLowStock = product.stockQuantity <= product.lowStockThreshold;
-                      const isOutOfStock = product.stockQuantity === 0;
+                      // With a location picked, stock and alerts are that location's
+                      const stock = locationFilter ? product.locationQuantity : product.stockQuantity;
+                      const inTransit = roundQuantity(product.stockQuantity - (product.locationStock || []).reduce((sum, entry) => sum + entry.quantity, 0));
+                      const isLowStock = stock <= product.lowStockThreshold;
+                      const isOutOfStock = stock === 0;
                       const basePrice = product.price || 0;
                       const markupPercentage = product.markupPercentage || 0;
                       const totalPrice = basePrice + (basePrice * (markupPercentage / 100));
                       
                       return (
                         <tr key={product._id}>
-                          <td className="px-6 py-4 whitespace-nowrap font-semibold">{product.name}</td>
+                          <td className="px-6 py-4 whitespace-nowrap font-semibold">
+                            <button
+                              onClick={() => openStockCard(product)}
+                              className="hover:text-blue-600 hover:underline text-left"
+                              title="View stock card"
+                            >
+                              {product.name}
+                            </button>
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap">{product.category || '-'}</td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             ₱{totalPrice.toFixed(2)}
+                            {isAdmin && product.averageCost !== undefined && product.averageCost !== null && (
+                              <div className="text-xs text-gray-500">Avg. cost {formatCurrencyDisplay(product.averageCost)}</div>
+                            )}
                           </td>
                           <td className={`px-6 py-4 whitespace-nowrap font-semibold ${
                             isOutOfStock ? 'text-red-600' : isLowStock ? 'text-orange-600' : ''
                           }`}>
-                            {product.stockQuantity}
+                            {formatQuantity(stock)}
+                            {!locationFilter && product.locationStock?.length > 0 && inTransit > 0 && (
+                              <div className="text-xs font-normal text-gray-500">{formatQuantity(inTransit)} in transit</div>
+                            )}
                           </td>
                           {isAdmin && (
                             <td className="px-6 py-4 whitespace-nowrap">{product.lowStockThreshold}</td>
@@ -477,10 +683,37 @@ const Inventory = () => {
                     ) : (
                       paginatedStockHistory.map((history) => (
                         <tr key={history._id}>
-                          <td className="px-6 py-4 whitespace-nowrap font-mono text-sm">{history.transactionId}</td>
+                          <td className="px-6 py-4 whitespace-nowrap font-mono text-sm">
+                            {history.transactionId}
+                            {history.purchaseOrder?.poNumber && (
+                              <div className="text-xs text-gray-500 font-sans">{history.purchaseOrder.poNumber}</div>
+                            )}
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap font-semibold">{history.productName}</td>
-                          <td className="px-6 py-4 whitespace-nowrap">{history.stockQuantity}</td>
-                          <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(history.totalCost || 0)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            {formatQuantity(history.stockQuantity)}
+                            {history.uom && (
+                              <div className="text-xs text-gray-500">{formatQuantity(history.uomQuantity)} {history.uom}</div>
+                            )}
+                            {(history.lotNumber || history.expiryDate) && (
+                              <div className="text-xs text-gray-500">
+                                {history.lotNumber ? `Lot ${history.lotNumber}` : 'No lot'}
+                                {history.expiryDate && ` · exp. ${formatDate(history.expiryDate)}`}
+                                {` · ${formatQuantity(history.remainingQuantity || 0)} left`}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="font-semibold">{formatCurrencyDisplay(history.totalCost || 0)}</div>
+                            {(history.freight > 0 || history.otherCharges > 0) && (
+                              <div className="text-xs text-gray-500">
+                                incl. {formatCurrencyDisplay((history.freight || 0) + (history.otherCharges || 0))} freight/charges
+                              </div>
+                            )}
+                            {history.landedUnitCost !== undefined && (
+                              <div className="text-xs text-gray-500">{formatCurrencyDisplay(history.landedUnitCost)} per unit landed</div>
+                            )}
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap">{formatDate(history.dateDelivered)}</td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDateTime(history.createdAt)}</td>
                         </tr>
@@ -499,6 +732,156 @@ const Inventory = () => {
         </div>
       )}
 
+      {/* Stock Card Tab */}
+      {activeTab === 'stockCard' && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="p-4 border-b border-gray-200 bg-gray-50">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+              <div className="lg:col-span-2">
+                <Select
+                  options={stockCardProducts.map(p => ({ value: p._id, label: p.sku ? `${p.name} (${p.sku})` : p.name }))}
+                  value={stockCardProductId
+                    ? { value: stockCardProductId, label: stockCard?.product?.name || stockCardProducts.find(p => p._id === stockCardProductId)?.name || 'Selected product' }
+                    : null}
+                  onChange={(option) => {
+                    setStockCard(null);
+                    setStockCardProductId(option?.value || '');
+                  }}
+                  isSearchable
+                  placeholder="Select a product..."
+                  className="react-select-container"
+                  classNamePrefix="react-select"
+                />
+              </div>
+              <div>
+                <input
+                  type="date"
+                  value={stockCardStart}
+                  onChange={(e) => setStockCardStart(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                />
+              </div>
+              <div>
+                <input
+                  type="date"
+                  value={stockCardEnd}
+                  onChange={(e) => setStockCardEnd(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                />
+              </div>
+              <div>
+                <select
+                  value={stockCardType}
+                  onChange={(e) => setStockCardType(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                >
+                  <option value="">All movements</option>
+                  {MOVEMENT_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {!stockCardProductId ? (
+            <div className="text-center py-8 text-gray-500">Select a product to see every movement and its running balance</div>
+          ) : stockCardLoading && !stockCard ? (
+            <div className="text-center py-8">Loading...</div>
+          ) : stockCard && (
+            <>
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 p-4 border-b border-gray-200">
+                <div>
+                  <div className="text-gray-600 text-sm">Opening Balance</div>
+                  <div className="text-2xl font-bold">{formatQuantity(stockCard.summary.openingBalance)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">In</div>
+                  <div className="text-2xl font-bold text-green-600">+{formatQuantity(stockCard.summary.totalIn)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Out</div>
+                  <div className="text-2xl font-bold text-red-600">-{formatQuantity(stockCard.summary.totalOut)}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600 text-sm">Closing Balance</div>
+                  <div className="text-2xl font-bold">
+                    {formatQuantity(stockCard.summary.closingBalance)} <span className="text-sm font-normal text-gray-500">{stockCard.product.unit || ''}</span>
+                  </div>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Movement</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">In</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Out</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                      {isAdmin && (
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                      )}
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {paginatedMovements.length === 0 ? (
+                      <tr>
+                        <td colSpan={isAdmin ? 8 : 7} className="px-6 py-4 text-center text-gray-500">
+                          No movements in this period
+                        </td>
+                      </tr>
+                    ) : (
+                      paginatedMovements.map((movement) => (
+                        <tr key={movement._id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">{formatDateTime(movement.createdAt)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`px-2 py-1 text-xs rounded-full ${MOVEMENT_TYPES.find(t => t.value === movement.type)?.className || 'bg-gray-100 text-gray-700'}`}>
+                              {getMovementTypeLabel(movement.type)}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <div className="font-mono">{movement.sourceNumber || '-'}</div>
+                            {!locationFilter && movement.location && (
+                              <div className="text-xs text-gray-500">{movement.location.name}</div>
+                            )}
+                            {movement.reason && (
+                              <div className="text-xs text-gray-500">
+                                {['adjustment', 'cycle_count'].includes(movement.type) ? getAdjustmentReasonLabel(movement.reason) : movement.reason}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-green-600">
+                            {getMovementChange(movement) > 0 ? formatQuantity(getMovementChange(movement)) : ''}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-red-600">
+                            {getMovementChange(movement) < 0 ? formatQuantity(-getMovementChange(movement)) : ''}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right font-semibold">
+                            {formatQuantity(locationFilter ? movement.locationBalanceAfter : movement.balanceAfter)}
+                          </td>
+                          {isAdmin && (
+                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm">{formatCurrencyDisplay(movement.value || 0)}</td>
+                          )}
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{movement.createdBy?.username || '-'}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+              <Pagination 
+                data={stockCard.data} 
+                itemsPerPage={20}
+                onPageChange={setPaginatedMovements}
+              />
+            </>
+          )}
+        </div>
+      )}
+
       {/* Edit Product Modal */}
       {isEditModalOpen && (
         <div 
@@ -536,14 +919,34 @@ const Inventory = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Stock Quantity
                 </label>
-                <input
-                  type="number"
-                  value={stockQuantity}
-                  onChange={(e) => setStockQuantity(e.target.value)}
-                  placeholder="Enter quantity to add"
-                  min="1"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
-                />
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    value={stockQuantity}
+                    onChange={(e) => setStockQuantity(e.target.value)}
+                    placeholder="Enter quantity to add"
+                    min="0"
+                    step={selectedProduct ? 10 ** -getQuantityPrecision(selectedProduct, stockUom) : 1}
+                    className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  />
+                  {selectedProduct?.uoms?.length > 0 && (
+                    <select
+                      value={stockUom}
+                      onChange={(e) => setStockUom(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                    >
+                      <option value="">{selectedProduct.unit || 'Base unit'}</option>
+                      {selectedProduct.uoms.map(uom => (
+                        <option key={uom.name} value={uom.name}>{uom.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                {stockUom && parseFloat(stockQuantity) > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Adds {formatQuantity(parseFloat(stockQuantity) * (selectedProduct.uoms.find(uom => uom.name === stockUom)?.factor || 1))} {selectedProduct.unit || 'units'} to stock
+                  </p>
+                )}
               </div>
 
               <div>
@@ -557,6 +960,115 @@ const Inventory = () => {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
                 />
               </div>
+
+              {locations.length > 0 && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Receive Into
+                  </label>
+                  <select
+                    value={stockLocation}
+                    onChange={(e) => setStockLocation(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  >
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {selectedProduct?.tracking === 'serial' && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Serial Numbers <span className="text-xs text-gray-500">(one per line or scan each unit)</span>
+                  </label>
+                  <textarea
+                    value={serialText}
+                    onChange={(e) => setSerialText(e.target.value)}
+                    rows="4"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {parseSerialNumbers(serialText).length} of {formatQuantity(getStockBaseQuantity())} entered
+                  </p>
+                </div>
+              )}
+
+              {/* Any delivery can carry an expiry date; lot-tracked products also need the lot */}
+              {selectedProduct && selectedProduct.tracking !== 'serial' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-4">
+                  {selectedProduct.tracking === 'lot' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Lot Number</label>
+                      <input
+                        type="text"
+                        value={lotNumber}
+                        onChange={(e) => setLotNumber(e.target.value)}
+                        maxLength={50}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Expiry Date{selectedProduct.tracking !== 'lot' && <span className="text-xs text-gray-500"> (optional)</span>}
+                    </label>
+                    <input
+                      type="date"
+                      value={expiryDate}
+                      onChange={(e) => setExpiryDate(e.target.value)}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Unit Cost <span className="text-xs text-gray-500">(per {stockUom || selectedProduct?.unit || 'unit'})</span>
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={unitCost}
+                    onChange={(e) => setUnitCost(e.target.value)}
+                    placeholder="Base price"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Freight</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={freight}
+                    onChange={(e) => setFreight(e.target.value)}
+                    placeholder="0.00"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Other Charges</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={otherCharges}
+                    onChange={(e) => setOtherCharges(e.target.value)}
+                    placeholder="0.00"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  />
+                </div>
+              </div>
+              {getLandedCostPreview() && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Landed cost {formatCurrencyDisplay(getLandedCostPreview().total)} ({formatCurrencyDisplay(getLandedCostPreview().perBaseUnit)} per {selectedProduct.unit || 'unit'})
+                </p>
+              )}
             </div>
             
             {/* Price Section */}
@@ -605,6 +1117,7 @@ const Inventory = () => {
                     setIsEditModalOpen(false);
                     setSelectedProduct(null);
                     setStockQuantity('');
+                    setStockUom('');
                     setDateDelivered('');
                     setPrice('');
                     setMarkupPercentage('');
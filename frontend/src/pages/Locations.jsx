@@ -0,0 +1,335 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import ConfirmModal from '../components/ConfirmModal';
+import Pagination from '../components/Pagination';
+import { LOCATION_TYPES, getLocationTypeLabel } from '../constants/locations';
+
+const Locations = () => {
+  const [locations, setLocations] = useState([]);
+  const [paginatedLocations, setPaginatedLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [confirmModal, setConfirmModal] = useState({ isOpen: false, location: null });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations');
+      setLocations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      if (editingLocation) {
+        await axios.put(`/locations/${editingLocation._id}`, data);
+        toast.success('Location updated successfully');
+      } else {
+        const response = await axios.post('/locations', data);
+        toast.success(response.data.message);
+      }
+      handleModalClose();
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEdit = (location) => {
+    setEditingLocation(location);
+    reset({
+      name: location.name,
+      code: location.code,
+      type: location.type,
+      address: location.address || ''
+    });
+    setShowModal(true);
+  };
+
+  const handleModalClose = () => {
+    setShowModal(false);
+    setEditingLocation(null);
+    reset({ name: '', code: '', type: 'store', address: '', isDefault: false });
+  };
+
+  const toggleActive = async (location) => {
+    try {
+      await axios.put(`/locations/${location._id}`, {
+        isActive: !location.isActive
+      });
+      toast.success(`Location ${location.isActive ? 'deactivated' : 'activated'} successfully`);
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const makeDefault = async (location) => {
+    try {
+      await axios.put(`/locations/${location._id}`, { isDefault: true });
+      toast.success(`${location.name} is now the default location`);
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const confirmDelete = async () => {
+    setIsDeleting(true);
+    try {
+      await axios.delete(`/locations/${confirmModal.location._id}`);
+      toast.success('Location deleted successfully');
+      setConfirmModal({ isOpen: false, location: null });
+      fetchLocations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Locations</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Stores and warehouses that hold stock. Sales deduct from the cashier&apos;s location; anything without a location uses the default.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            handleModalClose();
+            setShowModal(true);
+          }}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          Add Location
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Address</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedLocations.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                    No locations yet. The first location you add becomes the default and takes over the current stock.
+                  </td>
+                </tr>
+              ) : (
+                paginatedLocations.map((location) => (
+                  <tr key={location._id}>
+                    <td className="px-6 py-4 whitespace-nowrap font-mono text-sm">{location.code}</td>
+                    <td className="px-6 py-4 whitespace-nowrap font-medium">
+                      {location.name}
+                      {location.isDefault && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">Default</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${LOCATION_TYPES.find(t => t.value === location.type)?.className || 'bg-gray-100 text-gray-700'}`}>
+                        {getLocationTypeLabel(location.type)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm">{location.address || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${
+                          location.isActive
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-red-100 text-red-800'
+                        }`}
+                      >
+                        {location.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-3 text-sm">
+                        <button
+                          onClick={() => handleEdit(location)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Edit
+                        </button>
+                        {!location.isDefault && location.isActive && (
+                          <button
+                            onClick={() => makeDefault(location)}
+                            className="text-gray-700 hover:text-gray-900"
+                          >
+                            Make Default
+                          </button>
+                        )}
+                        {!location.isDefault && (
+                          <button
+                            onClick={() => toggleActive(location)}
+                            className={location.isActive ? 'text-orange-600 hover:text-orange-800' : 'text-green-600 hover:text-green-800'}
+                          >
+                            {location.isActive ? 'Deactivate' : 'Activate'}
+                          </button>
+                        )}
+                        {!location.isDefault && (
+                          <button
+                            onClick={() => setConfirmModal({ isOpen: true, location })}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={locations}
+          itemsPerPage={10}
+          onPageChange={setPaginatedLocations}
+        />
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingLocation ? 'Edit Location' : 'Add Location'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium mb-1">Name *</label>
+                  <input
+                    {...register('name', {
+                      required: 'Location name is required',
+                      minLength: {
+                        value: 2,
+                        message: 'Location name must be at least 2 characters'
+                      },
+                      maxLength: {
+                        value: 50,
+                        message: 'Location name cannot exceed 50 characters'
+                      }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.name && (
+                    <p className="text-red-600 text-sm">{errors.name.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Code *</label>
+                  <input
+                    {...register('code', {
+                      required: 'Code is required',
+                      maxLength: {
+                        value: 10,
+                        message: 'Code cannot exceed 10 characters'
+                      }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg uppercase"
+                  />
+                  {errors.code && (
+                    <p className="text-red-600 text-sm">{errors.code.message}</p>
+                  )}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Type</label>
+                <select {...register('type')} className="w-full px-3 py-2 border rounded-lg">
+                  {LOCATION_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Address</label>
+                <textarea
+                  {...register('address', {
+                    maxLength: {
+                      value: 200,
+                      message: 'Address cannot exceed 200 characters'
+                    }
+                  })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  rows="2"
+                />
+                {errors.address && (
+                  <p className="text-red-600 text-sm">{errors.address.message}</p>
+                )}
+              </div>
+              {!editingLocation && locations.length > 0 && (
+                <label className="flex items-center gap-2 text-sm font-medium">
+                  <input {...register('isDefault')} type="checkbox" className="w-4 h-4" />
+                  Make this the default location
+                </label>
+              )}
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (editingLocation ? 'Updating...' : 'Creating...') : (editingLocation ? 'Update' : 'Create')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleModalClose}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmModal.isOpen}
+        onClose={() => setConfirmModal({ isOpen: false, location: null })}
+        onConfirm={confirmDelete}
+        title="Delete Location"
+        message={`Delete ${confirmModal.location?.name}? Only locations that never held stock can be deleted.`}
+        confirmText="Delete"
+        isLoading={isDeleting}
+      />
+    </div>
+  );
+};
+
+export default Locations;
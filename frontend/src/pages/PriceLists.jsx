@@ -0,0 +1,542 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import Select from 'react-select';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import { PRICE_LIST_RULES, getPriceListRuleLabel } from '../constants/priceListRules';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const emptyBreak = () => ({ minQuantity: '', price: '' });
+
+const PriceLists = () => {
+  const [priceLists, setPriceLists] = useState([]);
+  const [paginatedPriceLists, setPaginatedPriceLists] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingPriceList, setEditingPriceList] = useState(null);
+  const [deletingPriceList, setDeletingPriceList] = useState(null);
+  const [items, setItems] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm();
+  const rule = watch('rule') || 'retail';
+
+  useEffect(() => {
+    fetchPriceLists();
+    fetchProducts();
+  }, []);
+
+  const fetchPriceLists = async () => {
+    try {
+      const response = await axios.get('/price-lists');
+      setPriceLists(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const response = await axios.get('/products?isActive=true');
+      setProducts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getProduct = (productId) => products.find(p => p._id === productId);
+
+  const openModal = async (priceList = null) => {
+    setEditingPriceList(priceList);
+    if (priceList) {
+      try {
+        // The single list comes back with its products populated
+        const response = await axios.get(`/price-lists/${priceList._id}`);
+        const data = response.data.data;
+        reset({
+          name: data.name,
+          description: data.description || '',
+          rule: data.rule,
+          ruleValue: data.ruleValue || '',
+          isDefault: data.isDefault
+        });
+        setItems(data.items
+          .filter(item => item.product)
+          .map(item => ({
+            product: item.product._id,
+            productName: item.product.name,
+            uom: item.uom || '',
+            price: item.price ?? '',
+            markupPercentage: item.markupPercentage ?? '',
+            quantityBreaks: item.quantityBreaks.map(b => ({ minQuantity: b.minQuantity, price: b.price }))
+          })));
+      } catch (error) {
+        // Error handled by axios interceptor
+        return;
+      }
+    } else {
+      reset({ name: '', description: '', rule: 'retail', ruleValue: '', isDefault: false });
+      setItems([]);
+    }
+    setShowModal(true);
+  };
+
+  const handleModalClose = () => {
+    if (isSubmitting) return;
+    setShowModal(false);
+    setEditingPriceList(null);
+    setItems([]);
+    reset();
+  };
+
+  const addItem = (option) => {
+    if (!option) return;
+    setItems([...items, {
+      product: option.value,
+      productName: option.label,
+      uom: '',
+      price: '',
+      markupPercentage: '',
+      quantityBreaks: []
+    }]);
+  };
+
+  const updateItem = (index, changes) => {
+    setItems(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (index) => {
+    setItems(items.filter((_, i) => i !== index));
+  };
+
+  const updateBreak = (itemIndex, breakIndex, changes) => {
+    const item = items[itemIndex];
+    updateItem(itemIndex, {
+      quantityBreaks: item.quantityBreaks.map((b, i) => (i === breakIndex ? { ...b, ...changes } : b))
+    });
+  };
+
+  const onSubmit = async (data) => {
+    const incomplete = items.find(item =>
+      item.price === '' && item.markupPercentage === '' && item.quantityBreaks.length === 0
+    );
+    if (incomplete) {
+      toast.error(`Set a price, a markup or quantity breaks for ${incomplete.productName}`);
+      return;
+    }
+    if (items.some(item => item.quantityBreaks.some(b => !(parseFloat(b.minQuantity) > 0) || b.price === ''))) {
+      toast.error('Every quantity break needs a minimum quantity and a price');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const payload = {
+        name: data.name,
+        description: data.description || '',
+        rule: data.rule,
+        ruleValue: data.rule === 'retail' ? 0 : parseFloat(data.ruleValue) || 0,
+        isDefault: !!data.isDefault,
+        items: items.map(item => ({
+          product: item.product,
+          uom: item.uom || undefined,
+          price: item.price !== '' ? parseFloat(item.price) : undefined,
+          markupPercentage: item.markupPercentage !== '' ? parseFloat(item.markupPercentage) : undefined,
+          quantityBreaks: item.quantityBreaks.map(b => ({ minQuantity: parseFloat(b.minQuantity), price: parseFloat(b.price) }))
+        }))
+      };
+
+      if (editingPriceList) {
+        await axios.put(`/price-lists/${editingPriceList._id}`, payload);
+        toast.success('Price list updated successfully');
+      } else {
+        await axios.post('/price-lists', payload);
+        toast.success('Price list created successfully');
+      }
+      setShowModal(false);
+      setEditingPriceList(null);
+      setItems([]);
+      reset();
+      fetchPriceLists();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleActive = async (priceList) => {
+    try {
+      await axios.put(`/price-lists/${priceList._id}`, {
+        isActive: !priceList.isActive
+      });
+      toast.success(`Price list ${priceList.isActive ? 'deactivated' : 'activated'} successfully`);
+      fetchPriceLists();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await axios.delete(`/price-lists/${deletingPriceList._id}`);
+      toast.success('Price list deleted successfully');
+      fetchPriceLists();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setDeletingPriceList(null);
+    }
+  };
+
+  const describeRule = (priceList) => {
+    if (priceList.rule === 'markup') return `${getPriceListRuleLabel(priceList.rule)} (${priceList.ruleValue}%)`;
+    if (priceList.rule === 'discount') return `${getPriceListRuleLabel(priceList.rule)} (${priceList.ruleValue}% off)`;
+    return getPriceListRuleLabel(priceList.rule);
+  };
+
+  const productOptions = products
+    .filter(product => !items.some(item => item.product === product._id && item.uom === ''))
+    .map(product => ({ value: product._id, label: product.name }));
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Price Lists</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Retail, contractor and wholesale pricing. Assign a list to a customer or pick one at checkout.
+          </p>
+        </div>
+        <button
+          onClick={() => openModal()}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          Add Price List
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Pricing</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product Prices</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedPriceLists.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                    No price lists yet. Every sale uses retail prices until one is created.
+                  </td>
+                </tr>
+              ) : (
+                paginatedPriceLists.map((priceList) => (
+                  <tr key={priceList._id}>
+                    <td className="px-6 py-4">
+                      <div className="font-medium">
+                        {priceList.name}
+                        {priceList.isDefault && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">Default</span>
+                        )}
+                      </div>
+                      {priceList.description && (
+                        <div className="text-sm text-gray-500">{priceList.description}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{describeRule(priceList)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{priceList.items.length}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${
+                          priceList.isActive
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-red-100 text-red-800'
+                        }`}
+                      >
+                        {priceList.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-3 text-sm">
+                        <button
+                          onClick={() => openModal(priceList)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => toggleActive(priceList)}
+                          className={priceList.isActive ? 'text-orange-600 hover:text-orange-800' : 'text-green-600 hover:text-green-800'}
+                        >
+                          {priceList.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button
+                          onClick={() => setDeletingPriceList(priceList)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={priceLists}
+          itemsPerPage={10}
+          onPageChange={setPaginatedPriceLists}
+        />
+      </div>
+
+      {showModal && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={handleModalClose}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingPriceList ? 'Edit Price List' : 'Add Price List'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Name *</label>
+                  <input
+                    {...register('name', {
+                      required: 'Price list name is required',
+                      maxLength: { value: 50, message: 'Price list name cannot exceed 50 characters' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="e.g., Contractor"
+                  />
+                  {errors.name && (
+                    <p className="text-red-600 text-sm">{errors.name.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Description</label>
+                  <input
+                    {...register('description', {
+                      maxLength: { value: 200, message: 'Description cannot exceed 200 characters' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.description && (
+                    <p className="text-red-600 text-sm">{errors.description.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Products Not Listed Below</label>
+                  <select {...register('rule')} className="w-full px-3 py-2 border rounded-lg">
+                    {PRICE_LIST_RULES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {PRICE_LIST_RULES.find(option => option.value === rule)?.hint}
+                  </p>
+                </div>
+                {rule !== 'retail' && (
+                  <div>
+                    <label className="block text-sm font-medium mb-1">
+                      {rule === 'markup' ? 'Markup (%)' : 'Discount (%)'}
+                    </label>
+                    <input
+                      {...register('ruleValue', {
+                        required: 'Enter a percentage',
+                        min: { value: 0, message: 'Percentage cannot be negative' },
+                        max: rule === 'discount' ? { value: 100, message: 'Discount cannot exceed 100%' } : undefined
+                      })}
+                      type="number"
+                      step="0.01"
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                    {errors.ruleValue && (
+                      <p className="text-red-600 text-sm">{errors.ruleValue.message}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium">
+                  <input {...register('isDefault')} type="checkbox" className="w-4 h-4" />
+                  Default price list
+                </label>
+                <p className="text-xs text-gray-500 mt-1">
+                  Used for customers without a list of their own when no list is picked at checkout
+                </p>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold mb-2">Product Prices</h3>
+                <Select
+                  options={productOptions}
+                  value={null}
+                  onChange={addItem}
+                  isSearchable
+                  placeholder="Add a product..."
+                  className="react-select-container mb-3"
+                  classNamePrefix="react-select"
+                />
+                {items.length === 0 ? (
+                  <p className="text-sm text-gray-500">No product prices. Every product follows the rule above.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {items.map((item, index) => {
+                      const product = getProduct(item.product);
+                      return (
+                        <div key={`${item.product}-${index}`} className="border rounded-lg p-3">
+                          <div className="flex flex-wrap items-center gap-2 mb-2">
+                            <span className="font-medium flex-1 min-w-[10rem]">{item.productName}</span>
+                            {product?.uoms?.length > 0 && (
+                              <select
+                                value={item.uom}
+                                onChange={(e) => updateItem(index, { uom: e.target.value })}
+                                className="px-2 py-1 border rounded"
+                              >
+                                <option value="">{product.unit || 'Base unit'}</option>
+                                {product.uoms.map(uom => (
+                                  <option key={uom.name} value={uom.name}>{uom.name}</option>
+                                ))}
+                              </select>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => removeItem(index)}
+                              className="text-red-600 hover:text-red-800 text-sm"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                          <div className="flex flex-wrap items-center gap-2 text-sm">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min={0}
+                              value={item.price}
+                              onChange={(e) => updateItem(index, { price: e.target.value })}
+                              className="w-28 px-2 py-1 border rounded"
+                              placeholder="Fixed price"
+                            />
+                            <span className="text-gray-500">or</span>
+                            <input
+                              type="number"
+                              step="0.01"
+                              min={0}
+                              value={item.markupPercentage}
+                              onChange={(e) => updateItem(index, { markupPercentage: e.target.value })}
+                              disabled={item.price !== ''}
+                              className="w-28 px-2 py-1 border rounded disabled:bg-gray-100"
+                              placeholder="Markup %"
+                            />
+                            {product && (
+                              <span className="text-xs text-gray-500">
+                                Base price {formatCurrencyDisplay(product.price)}
+                              </span>
+                            )}
+                          </div>
+                          <div className="mt-2 space-y-1">
+                            {item.quantityBreaks.map((quantityBreak, breakIndex) => (
+                              <div key={breakIndex} className="flex flex-wrap items-center gap-2 text-sm">
+                                <span className="text-gray-600">Buy</span>
+                                <input
+                                  type="number"
+                                  step="any"
+                                  min={0}
+                                  value={quantityBreak.minQuantity}
+                                  onChange={(e) => updateBreak(index, breakIndex, { minQuantity: e.target.value })}
+                                  className="w-20 px-2 py-1 border rounded"
+                                  placeholder="Qty"
+                                />
+                                <span className="text-gray-600">{item.uom || product?.unit || 'units'} or more at</span>
+                                <input
+                                  type="number"
+                                  step="0.01"
+                                  min={0}
+                                  value={quantityBreak.price}
+                                  onChange={(e) => updateBreak(index, breakIndex, { price: e.target.value })}
+                                  className="w-28 px-2 py-1 border rounded"
+                                  placeholder="Unit price"
+                                />
+                                <button
+                                  type="button"
+                                  onClick={() => updateItem(index, {
+                                    quantityBreaks: item.quantityBreaks.filter((_, i) => i !== breakIndex)
+                                  })}
+                                  className="text-red-600 hover:text-red-800"
+                                  aria-label="Remove quantity break"
+                                >
+                                  ✕
+                                </button>
+                              </div>
+                            ))}
+                            <button
+                              type="button"
+                              onClick={() => updateItem(index, { quantityBreaks: [...item.quantityBreaks, emptyBreak()] })}
+                              className="text-sm text-blue-600 hover:text-blue-800"
+                            >
+                              + Quantity break
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex flex-col sm:flex-row justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={handleModalClose}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : editingPriceList ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!deletingPriceList}
+        onClose={() => setDeletingPriceList(null)}
+        onConfirm={handleDelete}
+        title="Delete Price List"
+        message={`Delete ${deletingPriceList?.name}? Past sales keep the list name on their lines.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default PriceLists;
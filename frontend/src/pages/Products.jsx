@@ -2,10 +2,21 @@ import { useEffect, useState } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useAuth } from '../context/AuthContext';
-import { useForm, Controller } from 'react-hook-form';
+import { useForm, useFieldArray, Controller } from 'react-hook-form';
 import Select from 'react-select';
 import Pagination from '../components/Pagination';
-import { STANDARD_UNITS, SUB_CATEGORIES, formatProductDescription } from '../constants/units';
+import PrintLabelsModal from '../components/PrintLabelsModal';
+import { STANDARD_UNITS, SUB_CATEGORIES, MAX_QUANTITY_PRECISION, formatProductDescription, getQuantityPrecision } from '../constants/units';
+import { formatQuantity } from '../utils/utils';
+import { BARCODE_TYPES, getBarcodeTypeLabel } from '../constants/barcodeTypes';
+import { TRACKING_MODES, getTrackingLabel } from '../constants/tracking';
+
+// Decimal places a product or UOM can be sold in; step is the smallest quantity it allows
+const QUANTITY_PRECISION_OPTIONS = Array.from({ length: MAX_QUANTITY_PRECISION + 1 }, (_, places) => ({
+  value: places,
+  label: places === 0 ? 'Whole numbers only' : `${places} decimal place${places === 1 ? '' : 's'}`,
+  step: places === 0 ? '1' : (10 ** -places).toFixed(places)
+}));
 
 const Products = () => {
   const { isAdmin } = useAuth();
@@ -24,7 +35,10 @@ const Products = () => {
   const [isDeleting, setIsDeleting] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
-  const { register, handleSubmit, reset, control, formState: { errors } } = useForm();
+  const [showLabelsModal, setShowLabelsModal] = useState(false);
+  const { register, handleSubmit, reset, control, watch, formState: { errors } } = useForm();
+  const { fields: uomFields, append: appendUom, remove: removeUom } = useFieldArray({ control, name: 'uoms' });
+  const baseUnit = watch('unit');
   
   // Determine if user can add/edit products
   const canManageProducts = isAdmin;
@@ -50,13 +64,14 @@ const Products = () => {
   useEffect(() => {
     let filtered = [...products];
 
-    // Filter by search term (name, brand, SKU, description)
+    // Filter by search term (name, brand, SKU, barcode, description)
     if (searchTerm.trim()) {
       const searchLower = searchTerm.toLowerCase().trim();
       filtered = filtered.filter(product => 
         product.name?.toLowerCase().includes(searchLower) ||
         product.brand?.toLowerCase().includes(searchLower) ||
         product.sku?.toLowerCase().includes(searchLower) ||
+        product.barcode?.toLowerCase().includes(searchLower) ||
         product.description?.toLowerCase().includes(searchLower)
       );
     }
@@ -99,13 +114,30 @@ const Products = () => {
         ...data,
         price: data.price && data.price !== '' ? parseFloat(data.price) : undefined,
         markupPercentage: data.markupPercentage && data.markupPercentage !== '' ? parseFloat(data.markupPercentage) : undefined,
-        stockQuantity: data.stockQuantity && data.stockQuantity !== '' ? parseInt(data.stockQuantity) : undefined,
+        stockQuantity: data.stockQuantity && data.stockQuantity !== '' ? parseFloat(data.stockQuantity) : undefined,
+        // Blank means the default for the unit; null clears a previous override
+        quantityPrecision: data.quantityPrecision !== undefined && data.quantityPrecision !== ''
+          ? parseInt(data.quantityPrecision)
+          : (editingProduct ? null : undefined),
         lowStockThreshold: parseInt(data.lowStockThreshold) || 10,
         category: data.category || undefined,
         unit: data.unit || undefined,
         subCategory: data.subCategory || undefined,
         amount: data.amount && data.amount !== '' ? parseFloat(data.amount) : undefined,
-        brand: data.brand || undefined
+        brand: data.brand || undefined,
+        // A blank barcode is sent when editing so the server can clear it
+        barcode: data.barcode?.trim() || (editingProduct ? '' : undefined),
+        barcodeType: data.barcode?.trim() ? data.barcodeType || undefined : undefined,
+        uoms: (data.uoms || [])
+          .filter(uom => uom.name?.trim())
+          .map(uom => ({
+            name: uom.name.trim(),
+            factor: parseFloat(uom.factor),
+            price: parseFloat(uom.price) || 0,
+            precision: parseInt(uom.precision) || 0
+          })),
+        vatExempt: !!data.vatExempt,
+        tracking: data.tracking || 'none'
       };
 
       // Remove undefined values before sending
@@ -157,7 +189,12 @@ const Products = () => {
       category: categoryName || '',
       unit: unitName || '',
       subCategory: product.subCategory || '',
-      amount: product.amount || ''
+      amount: product.amount || '',
+      barcode: product.barcode || '',
+      barcodeType: product.barcodeType || '',
+      quantityPrecision: product.quantityPrecision ?? '',
+      tracking: product.tracking || 'none',
+      uoms: (product.uoms || []).map(uom => ({ name: uom.name, factor: uom.factor, price: uom.price, precision: uom.precision ?? 0 }))
     };
     
     // Only set supplier field for admins
@@ -196,18 +233,26 @@ const Products = () => {
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Products</h1>
         {canManageProducts && (
-          <button
-            onClick={() => {
-              setEditingProduct(null);
-              reset();
-              fetchCategories(); // Refresh categories when opening modal
-              fetchSuppliers(); // Refresh suppliers when opening modal
-              setShowModal(true);
-            }}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
-          >
-            Add Product
-          </button>
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            <button
+              onClick={() => setShowLabelsModal(true)}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 w-full sm:w-auto"
+            >
+              Print Labels
+            </button>
+            <button
+              onClick={() => {
+                setEditingProduct(null);
+                reset();
+                fetchCategories(); // Refresh categories when opening modal
+                fetchSuppliers(); // Refresh suppliers when opening modal
+                setShowModal(true);
+              }}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+            >
+              Add Product
+            </button>
+          </div>
         )}
       </div>
 
@@ -238,7 +283,7 @@ const Products = () => {
                 type="text"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search by name, brand, SKU, or description..."
+                placeholder="Search by name, brand, SKU, barcode, or description..."
                 className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
               />
               {searchTerm && (
@@ -516,6 +561,33 @@ const Products = () => {
                   rows="3"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Barcode</label>
+                <div className="flex gap-2">
+                  <input
+                    {...register('barcode', {
+                      maxLength: { value: 48, message: 'Barcode cannot exceed 48 characters' }
+                    })}
+                    className="flex-1 px-3 py-2 border rounded-lg"
+                    placeholder="Scan or type the manufacturer barcode"
+                  />
+                  <select
+                    {...register('barcodeType')}
+                    className="w-32 px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Auto</option>
+                    {BARCODE_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {errors.barcode && (
+                  <p className="text-red-600 text-sm mt-1">{errors.barcode.message}</p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  Leave blank if the product has none; an in-store code is assigned when labels are printed
+                </p>
+              </div>
               <div>
                 <label className="block text-sm font-medium mb-1">Category</label>
                 <Controller
@@ -593,6 +665,20 @@ const Products = () => {
                   <p className="text-red-600 text-sm mt-1">{errors.unit.message}</p>
                 )}
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Quantity Decimals</label>
+                <select {...register('quantityPrecision')} className="w-full px-3 py-2 border rounded-lg">
+                  <option value="">
+                    Default for unit ({getQuantityPrecision({ unit: baseUnit }) === 0 ? 'whole numbers' : `${getQuantityPrecision({ unit: baseUnit })} decimals`})
+                  </option>
+                  {QUANTITY_PRECISION_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Allows weighed or cut-to-length sales such as 1.75 kg or 2.5 m
+                </p>
+              </div>
               <div>
                 <label className="block text-sm font-medium mb-1">Sub Category</label>
                 <Controller
@@ -646,6 +732,85 @@ const Products = () => {
                   The quantity/amount in the selected unit (e.g., 3 for 3L)
                 </p>
               </div>
+              <div>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-sm font-medium">Other Units of Measure</label>
+                  <button
+                    type="button"
+                    onClick={() => appendUom({ name: '', factor: '', price: '', precision: 0 })}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add Unit
+                  </button>
+                </div>
+                {uomFields.length === 0 ? (
+                  <p className="text-xs text-gray-500">
+                    Sold and stocked in the base unit only. Add units such as Box or Roll to buy or sell in them.
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {uomFields.map((field, index) => (
+                      <div key={field.id} className="flex gap-2 items-start">
+                        <input
+                          {...register(`uoms.${index}.name`, { required: 'Unit name is required' })}
+                          list="uom-options"
+                          className="flex-1 min-w-0 px-3 py-2 border rounded-lg"
+                          placeholder="e.g., Box"
+                        />
+                        <input
+                          {...register(`uoms.${index}.factor`, {
+                            required: 'Factor is required',
+                            min: { value: 0.0001, message: 'Factor must be greater than 0' }
+                          })}
+                          type="number"
+                          step="any"
+                          className="w-24 px-3 py-2 border rounded-lg"
+                          placeholder={`# ${baseUnit || 'base'}`}
+                          title={`How many ${baseUnit || 'base units'} are in one of this unit`}
+                        />
+                        <input
+                          {...register(`uoms.${index}.price`, {
+                            required: 'Price is required',
+                            min: { value: 0, message: 'Price cannot be negative' }
+                          })}
+                          type="number"
+                          step="0.01"
+                          className="w-24 px-3 py-2 border rounded-lg"
+                          placeholder="Price"
+                        />
+                        <select
+                          {...register(`uoms.${index}.precision`)}
+                          className="w-20 px-1 py-2 border rounded-lg"
+                          title="Decimal places this unit can be sold in"
+                        >
+                          {QUANTITY_PRECISION_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.step}</option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => removeUom(index)}
+                          className="px-2 py-2 text-red-600 hover:text-red-800"
+                          aria-label="Remove unit"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    {errors.uoms?.some?.(Boolean) && (
+                      <p className="text-red-600 text-sm">Each unit needs a name, a factor above 0 and a price</p>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      Factor is the number of {baseUnit || 'base units'} in one of the unit (e.g., 25 for a 25 kg box). Stock is always kept in {baseUnit || 'the base unit'}.
+                    </p>
+                  </div>
+                )}
+                <datalist id="uom-options">
+                  {[...new Set([...SUB_CATEGORIES, ...STANDARD_UNITS].map(option => option.value))].map(value => (
+                    <option key={value} value={value} />
+                  ))}
+                </datalist>
+              </div>
               <div>
                 <label className="block text-sm font-medium mb-1">Low Stock Threshold</label>
                 <input
@@ -655,6 +820,26 @@ const Products = () => {
                   className="w-full px-3 py-2 border rounded-lg"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Unit Tracking</label>
+                <select {...register('tracking')} className="w-full px-3 py-2 border rounded-lg">
+                  {TRACKING_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Serial numbers are captured on receiving and picked at the POS; lots are sold earliest expiry first
+                </p>
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium">
+                  <input {...register('vatExempt')} type="checkbox" className="w-4 h-4" />
+                  VAT-exempt
+                </label>
+                <p className="text-xs text-gray-500 mt-1">
+                  Sold without VAT regardless of its category
+                </p>
+              </div>
               {isAdmin && (
                 <div>
                   <label className="block text-sm font-medium mb-1">Supplier *</label>
@@ -805,6 +990,42 @@ const Products = () => {
                   </div>
                 )}
 
+                {viewingProduct.uoms?.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Units of Measure</label>
+                    <div className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg text-sm space-y-1">
+                      {viewingProduct.uoms.map(uom => (
+                        <div key={uom.name} className="flex justify-between">
+                          <span>
+                            1 {uom.name} = {uom.factor} {viewingProduct.unit || 'units'}
+                            {uom.precision > 0 && <span className="text-gray-500"> (sold in {uom.precision} decimals)</span>}
+                          </span>
+                          <span>₱{uom.price.toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {viewingProduct.barcode && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Barcode</label>
+                    <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">
+                      {viewingProduct.barcode}
+                      {viewingProduct.barcodeType && (
+                        <span className="text-xs text-gray-500 ml-2">{getBarcodeTypeLabel(viewingProduct.barcodeType)}</span>
+                      )}
+                    </p>
+                  </div>
+                )}
+
+                {viewingProduct.tracking && viewingProduct.tracking !== 'none' && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-1">Unit Tracking</label>
+                    <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">{getTrackingLabel(viewingProduct.tracking)}</p>
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-semibold text-gray-700 mb-1">Category</label>
                   <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">{viewingProduct.category || '-'}</p>
@@ -882,7 +1103,7 @@ const Products = () => {
                       : 'bg-gray-50 text-gray-900'
                   }`}>
                     {viewingProduct.stockQuantity !== undefined && viewingProduct.stockQuantity !== null
-                      ? viewingProduct.stockQuantity.toLocaleString()
+                      ? formatQuantity(viewingProduct.stockQuantity)
                       : '0'}
                     {viewingProduct.stockQuantity !== undefined && viewingProduct.stockQuantity <= (viewingProduct.lowStockThreshold || 10)
                       ? ' (Low Stock)'
@@ -1047,6 +1268,13 @@ const Products = () => {
           </div>
         </div>
       )}
+
+      <PrintLabelsModal
+        isOpen={showLabelsModal}
+        products={products.filter(product => product.isActive !== false)}
+        onClose={() => setShowLabelsModal(false)}
+        onPrinted={fetchProducts}
+      />
     </div>
   );
 };
@@ -0,0 +1,546 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import Select from 'react-select';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import { PROMOTION_TYPES, PROMOTION_SCOPES, getPromotionTypeLabel, describePromotion } from '../constants/promotionTypes';
+import { formatCurrencyDisplay, formatDate, formatLocalDate } from '../utils/utils';
+
+// Target list each scope reads from
+const SCOPE_FIELDS = {
+  product: 'products',
+  category: 'categories',
+  subcategory: 'subCategories',
+  supplier: 'suppliers'
+};
+
+const STATUS_STYLES = {
+  running: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  expired: 'bg-gray-100 text-gray-700',
+  inactive: 'bg-red-100 text-red-800'
+};
+
+const getPromotionStatus = (promotion) => {
+  if (!promotion.isActive) return 'inactive';
+  const now = new Date();
+  if (new Date(promotion.startDate) > now) return 'scheduled';
+  if (new Date(promotion.endDate) < now) return 'expired';
+  return 'running';
+};
+
+const Promotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [paginatedPromotions, setPaginatedPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [deletingPromotion, setDeletingPromotion] = useState(null);
+  const [targets, setTargets] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm();
+  const type = watch('type') || 'percentage';
+  const scope = watch('scope') || 'product';
+
+  useEffect(() => {
+    fetchPromotions();
+    fetchOptions();
+  }, []);
+
+  // Reset pagination when the filter changes
+  useEffect(() => {
+    setPaginatedPromotions([]);
+  }, [statusFilter]);
+
+  const fetchPromotions = async () => {
+    try {
+      const response = await axios.get('/promotions');
+      setPromotions(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [productsResponse, categoriesResponse, suppliersResponse] = await Promise.all([
+        axios.get('/products?isActive=true'),
+        axios.get('/categories?isActive=true'),
+        axios.get('/suppliers?isActive=true')
+      ]);
+      setProducts(productsResponse.data.data);
+      setCategories(categoriesResponse.data.data);
+      setSuppliers(suppliersResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getTargetOptions = (targetScope) => {
+    if (targetScope === 'product') {
+      return products.map(product => ({ value: product._id, label: product.name }));
+    }
+    if (targetScope === 'category') {
+      return categories.map(category => ({ value: category.name, label: category.name }));
+    }
+    if (targetScope === 'subcategory') {
+      const names = [...new Set(categories.flatMap(category => category.subCategories || []))];
+      return names.sort().map(name => ({ value: name, label: name }));
+    }
+    return suppliers.map(supplier => ({ value: supplier._id, label: supplier.companyName }));
+  };
+
+  // Saved targets may no longer be in the active lists, so they keep their stored label
+  const getTargetLabel = (promotion, target) => {
+    if (promotion.scope === 'product') return target.name || target;
+    if (promotion.scope === 'supplier') return target.companyName || target;
+    return target;
+  };
+
+  const openModal = (promotion = null) => {
+    setEditingPromotion(promotion);
+    if (promotion) {
+      reset({
+        name: promotion.name,
+        description: promotion.description || '',
+        type: promotion.type,
+        value: promotion.value ?? '',
+        buyQuantity: promotion.buyQuantity || '',
+        getQuantity: promotion.getQuantity || '',
+        scope: promotion.scope,
+        startDate: formatLocalDate(new Date(promotion.startDate)),
+        endDate: formatLocalDate(new Date(promotion.endDate)),
+        isActive: promotion.isActive
+      });
+      setTargets((promotion[SCOPE_FIELDS[promotion.scope]] || []).map(target => ({
+        value: target._id || target,
+        label: getTargetLabel(promotion, target)
+      })));
+    } else {
+      const today = formatLocalDate(new Date());
+      reset({
+        name: '',
+        description: '',
+        type: 'percentage',
+        value: '',
+        buyQuantity: '',
+        getQuantity: '',
+        scope: 'product',
+        startDate: today,
+        endDate: today,
+        isActive: true
+      });
+      setTargets([]);
+    }
+    setShowModal(true);
+  };
+
+  const handleModalClose = () => {
+    if (isSubmitting) return;
+    setShowModal(false);
+    setEditingPromotion(null);
+    setTargets([]);
+    reset();
+  };
+
+  const onSubmit = async (data) => {
+    if (targets.length === 0) {
+      toast.error('Choose what the promotion applies to');
+      return;
+    }
+    if (data.endDate < data.startDate) {
+      toast.error('End date cannot be before the start date');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const payload = {
+        name: data.name,
+        description: data.description || '',
+        type: data.type,
+        value: data.type !== 'buy_x_get_y' ? parseFloat(data.value) || 0 : 0,
+        buyQuantity: data.type === 'buy_x_get_y' ? parseInt(data.buyQuantity) : undefined,
+        getQuantity: data.type === 'buy_x_get_y' ? parseInt(data.getQuantity) : undefined,
+        scope: data.scope,
+        [SCOPE_FIELDS[data.scope]]: targets.map(target => target.value),
+        startDate: data.startDate,
+        endDate: data.endDate,
+        isActive: !!data.isActive
+      };
+
+      if (editingPromotion) {
+        await axios.put(`/promotions/${editingPromotion._id}`, payload);
+        toast.success('Promotion updated successfully');
+      } else {
+        await axios.post('/promotions', payload);
+        toast.success('Promotion created successfully');
+      }
+      setShowModal(false);
+      setEditingPromotion(null);
+      setTargets([]);
+      reset();
+      fetchPromotions();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleActive = async (promotion) => {
+    try {
+      await axios.put(`/promotions/${promotion._id}`, {
+        isActive: !promotion.isActive
+      });
+      toast.success(`Promotion ${promotion.isActive ? 'deactivated' : 'activated'} successfully`);
+      fetchPromotions();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await axios.delete(`/promotions/${deletingPromotion._id}`);
+      toast.success('Promotion deleted successfully');
+      fetchPromotions();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setDeletingPromotion(null);
+    }
+  };
+
+  const filteredPromotions = statusFilter
+    ? promotions.filter(promotion => getPromotionStatus(promotion) === statusFilter)
+    : promotions;
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Promotions</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Date-ranged markdowns applied automatically at checkout. When several cover a product, the customer gets the best one.
+          </p>
+        </div>
+        <div className="flex gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            <option value="running">Running</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="expired">Expired</option>
+            <option value="inactive">Inactive</option>
+          </select>
+          <button
+            onClick={() => openModal()}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex-1 sm:flex-none"
+          >
+            Add Promotion
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Offer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Applies To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Runs</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedPromotions.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                    No promotions found
+                  </td>
+                </tr>
+              ) : (
+                paginatedPromotions.map((promotion) => {
+                  const status = getPromotionStatus(promotion);
+                  const scopeTargets = promotion[SCOPE_FIELDS[promotion.scope]] || [];
+                  return (
+                    <tr key={promotion._id}>
+                      <td className="px-6 py-4">
+                        <div className="font-medium">{promotion.name}</div>
+                        {promotion.description && (
+                          <div className="text-sm text-gray-500">{promotion.description}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div>{describePromotion(promotion, formatCurrencyDisplay)}</div>
+                        <div className="text-xs text-gray-500">{getPromotionTypeLabel(promotion.type)}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        <div className="text-xs text-gray-500">
+                          {PROMOTION_SCOPES.find(option => option.value === promotion.scope)?.label}
+                        </div>
+                        <div>
+                          {scopeTargets.slice(0, 3).map(target => getTargetLabel(promotion, target)).join(', ')}
+                          {scopeTargets.length > 3 && ` +${scopeTargets.length - 3} more`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {formatDate(promotion.startDate)} – {formatDate(promotion.endDate)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[status]}`}>
+                          {status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center gap-3 text-sm">
+                          <button
+                            onClick={() => openModal(promotion)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => toggleActive(promotion)}
+                            className={promotion.isActive ? 'text-orange-600 hover:text-orange-800' : 'text-green-600 hover:text-green-800'}
+                          >
+                            {promotion.isActive ? 'Deactivate' : 'Activate'}
+                          </button>
+                          <button
+                            onClick={() => setDeletingPromotion(promotion)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={filteredPromotions}
+          itemsPerPage={10}
+          onPageChange={setPaginatedPromotions}
+        />
+      </div>
+
+      {showModal && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={handleModalClose}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingPromotion ? 'Edit Promotion' : 'Add Promotion'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Name *</label>
+                  <input
+                    {...register('name', {
+                      required: 'Promotion name is required',
+                      maxLength: { value: 100, message: 'Promotion name cannot exceed 100 characters' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="e.g., Rainy Season Roofing"
+                  />
+                  {errors.name && (
+                    <p className="text-red-600 text-sm">{errors.name.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Description</label>
+                  <input
+                    {...register('description', {
+                      maxLength: { value: 200, message: 'Description cannot exceed 200 characters' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.description && (
+                    <p className="text-red-600 text-sm">{errors.description.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Offer *</label>
+                  <select {...register('type')} className="w-full px-3 py-2 border rounded-lg">
+                    {PROMOTION_TYPES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {type === 'buy_x_get_y' ? (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Buy *</label>
+                      <input
+                        {...register('buyQuantity', {
+                          required: 'Required',
+                          min: { value: 1, message: 'At least 1' }
+                        })}
+                        type="number"
+                        min={1}
+                        className="w-full px-3 py-2 border rounded-lg"
+                      />
+                      {errors.buyQuantity && (
+                        <p className="text-red-600 text-sm">{errors.buyQuantity.message}</p>
+                      )}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Get Free *</label>
+                      <input
+                        {...register('getQuantity', {
+                          required: 'Required',
+                          min: { value: 1, message: 'At least 1' }
+                        })}
+                        type="number"
+                        min={1}
+                        className="w-full px-3 py-2 border rounded-lg"
+                      />
+                      {errors.getQuantity && (
+                        <p className="text-red-600 text-sm">{errors.getQuantity.message}</p>
+                      )}
+                    </div>
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium mb-1">
+                      {type === 'percentage' ? 'Percent Off *' : 'Promo Price per Base Unit *'}
+                    </label>
+                    <input
+                      {...register('value', {
+                        required: type === 'percentage' ? 'Percent off is required' : 'Promo price is required',
+                        min: { value: 0, message: 'Value cannot be negative' },
+                        max: type === 'percentage' ? { value: 100, message: 'Percent off cannot exceed 100' } : undefined
+                      })}
+                      type="number"
+                      step="0.01"
+                      min={0}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                    {errors.value && (
+                      <p className="text-red-600 text-sm">{errors.value.message}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+              {type === 'buy_x_get_y' && (
+                <p className="text-xs text-gray-500 -mt-2">
+                  Counted per cart line in the unit it is sold in, e.g. buy 10 get 1: 11 units on a line, 1 is free
+                </p>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Applies To *</label>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <select
+                    {...register('scope', { onChange: () => setTargets([]) })}
+                    className="px-3 py-2 border rounded-lg sm:w-44"
+                  >
+                    {PROMOTION_SCOPES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <Select
+                    isMulti
+                    options={getTargetOptions(scope)}
+                    value={targets}
+                    onChange={(selected) => setTargets(selected || [])}
+                    placeholder={`Select ${PROMOTION_SCOPES.find(option => option.value === scope)?.label.toLowerCase()}...`}
+                    className="react-select-container flex-1"
+                    classNamePrefix="react-select"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Start Date *</label>
+                  <input
+                    {...register('startDate', { required: 'Start date is required' })}
+                    type="date"
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.startDate && (
+                    <p className="text-red-600 text-sm">{errors.startDate.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">End Date *</label>
+                  <input
+                    {...register('endDate', { required: 'End date is required' })}
+                    type="date"
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.endDate && (
+                    <p className="text-red-600 text-sm">{errors.endDate.message}</p>
+                  )}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm font-medium">
+                <input {...register('isActive')} type="checkbox" className="w-4 h-4" />
+                Active
+              </label>
+
+              <div className="flex flex-col sm:flex-row justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={handleModalClose}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : editingPromotion ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!deletingPromotion}
+        onClose={() => setDeletingPromotion(null)}
+        onConfirm={handleDelete}
+        title="Delete Promotion"
+        message={`Delete ${deletingPromotion?.name}? Promotions already applied to sales can only be deactivated.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default Promotions;
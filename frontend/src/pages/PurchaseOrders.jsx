@@ -0,0 +1,904 @@
+import { Fragment, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import Select from 'react-select';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import { PURCHASE_ORDER_STATUSES, getPurchaseOrderStatusLabel } from '../constants/purchaseOrderStatuses';
+import { getQuantityPrecision } from '../constants/units';
+import { parseSerialNumbers } from '../constants/tracking';
+import { formatCurrencyDisplay, formatDate, formatLocalDate, formatQuantity, roundQuantity } from '../utils/utils';
+
+const emptyLine = () => ({ product: '', uom: '', orderedQuantity: '', unitCost: '' });
+
+const getStatusClassName = (status) =>
+  PURCHASE_ORDER_STATUSES.find(s => s.value === status)?.className || 'bg-gray-100 text-gray-700';
+
+const PurchaseOrders = () => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [paginatedOrders, setPaginatedOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  // Draft editor
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [form, setForm] = useState({ supplier: '', expectedDate: '', location: '', notes: '' });
+  const [lines, setLines] = useState([emptyLine()]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Order details and receiving
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+  const [dateDelivered, setDateDelivered] = useState(formatLocalDate(new Date()));
+  const [closeShort, setCloseShort] = useState(false);
+  const [freight, setFreight] = useState('');
+  const [otherCharges, setOtherCharges] = useState('');
+  const [receiveLocation, setReceiveLocation] = useState('');
+  // Serials, or lot number and expiry, entered per line for tracked products
+  const [receiveTracking, setReceiveTracking] = useState({});
+  const [isReceiving, setIsReceiving] = useState(false);
+  const [confirmAction, setConfirmAction] = useState(null); // { type: 'cancel' | 'delete', order }
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+    fetchOptions();
+  }, []);
+
+  // Reset pagination when the filter changes
+  useEffect(() => {
+    setPaginatedOrders([]);
+  }, [statusFilter]);
+
+  const fetchPurchaseOrders = async () => {
+    try {
+      const response = await axios.get('/purchase-orders');
+      setPurchaseOrders(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [suppliersResponse, productsResponse, locationsResponse] = await Promise.all([
+        axios.get('/suppliers?isActive=true'),
+        axios.get('/products?isActive=true'),
+        axios.get('/locations?isActive=true')
+      ]);
+      setSuppliers(suppliersResponse.data.data);
+      setProducts(productsResponse.data.data);
+      setLocations(locationsResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getProduct = (productId) => products.find(p => p._id === productId);
+
+  const supplierProducts = products.filter(p => (p.supplier?._id || p.supplier) === form.supplier);
+
+  // Agreed cost defaults to the product's base price in the unit ordered
+  const getDefaultUnitCost = (line) => {
+    const product = getProduct(line.product);
+    if (!product) return 0;
+    const factor = line.uom ? product.uoms?.find(u => u.name === line.uom)?.factor || 1 : 1;
+    return (product.price || 0) * factor;
+  };
+
+  const getLineAmount = (line) => {
+    const unitCost = line.unitCost !== '' ? parseFloat(line.unitCost) || 0 : getDefaultUnitCost(line);
+    return unitCost * (parseFloat(line.orderedQuantity) || 0);
+  };
+
+  const openFormModal = (order = null) => {
+    setEditingOrder(order);
+    if (order) {
+      setForm({
+        supplier: order.supplier?._id || order.supplier,
+        expectedDate: order.expectedDate ? formatLocalDate(new Date(order.expectedDate)) : '',
+        location: order.location?._id || '',
+        notes: order.notes || ''
+      });
+      setLines(order.lines.map(line => ({
+        product: line.product?._id || line.product,
+        uom: line.uom || '',
+        orderedQuantity: line.orderedQuantity,
+        unitCost: line.unitCost
+      })));
+    } else {
+      setForm({ supplier: '', expectedDate: '', location: locations.find(l => l.isDefault)?._id || '', notes: '' });
+      setLines([emptyLine()]);
+    }
+    setSelectedOrder(null);
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => {
+    if (isSubmitting) return;
+    setShowFormModal(false);
+    setEditingOrder(null);
+  };
+
+  const updateLine = (index, changes) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.supplier) {
+      toast.error('Please select a supplier');
+      return;
+    }
+    const filledLines = lines.filter(line => line.product);
+    if (filledLines.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    if (filledLines.some(line => !(parseFloat(line.orderedQuantity) > 0))) {
+      toast.error('Enter an order quantity for every line');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const payload = {
+        expectedDate: form.expectedDate || null,
+        location: form.location || undefined,
+        notes: form.notes,
+        lines: filledLines.map(line => ({
+          product: line.product,
+          uom: line.uom || undefined,
+          orderedQuantity: parseFloat(line.orderedQuantity),
+          unitCost: line.unitCost !== '' ? parseFloat(line.unitCost) : undefined
+        }))
+      };
+
+      if (editingOrder) {
+        await axios.put(`/purchase-orders/${editingOrder._id}`, payload);
+        toast.success('Purchase order updated successfully');
+      } else {
+        await axios.post('/purchase-orders', { ...payload, supplier: form.supplier });
+        toast.success('Purchase order created as a draft');
+      }
+      setShowFormModal(false);
+      setEditingOrder(null);
+      fetchPurchaseOrders();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const openDetails = async (order) => {
+    try {
+      const response = await axios.get(`/purchase-orders/${order._id}`);
+      setSelectedOrder(response.data.data);
+      setDeliveries(response.data.deliveries || []);
+      setReceiveQuantities({});
+      setReceiveTracking({});
+      setDateDelivered(formatLocalDate(new Date()));
+      setCloseShort(false);
+      setFreight('');
+      setOtherCharges('');
+      setReceiveLocation(response.data.data.location?._id || locations.find(l => l.isDefault)?._id || '');
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const refreshDetails = async () => {
+    fetchPurchaseOrders();
+    if (selectedOrder) {
+      await openDetails(selectedOrder);
+    }
+  };
+
+  const handleSend = async (order) => {
+    try {
+      const response = await axios.post(`/purchase-orders/${order._id}/send`);
+      toast.success(response.data.message);
+      refreshDetails();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleConfirmAction = async () => {
+    const { type, order } = confirmAction;
+    try {
+      if (type === 'cancel') {
+        const response = await axios.post(`/purchase-orders/${order._id}/cancel`);
+        toast.success(response.data.message);
+        refreshDetails();
+      } else {
+        await axios.delete(`/purchase-orders/${order._id}`);
+        toast.success('Purchase order deleted successfully');
+        setSelectedOrder(null);
+        fetchPurchaseOrders();
+      }
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setConfirmAction(null);
+    }
+  };
+
+  // Prefill every line with what is still outstanding
+  const fillOutstanding = () => {
+    const quantities = {};
+    selectedOrder.lines.forEach(line => {
+      const outstanding = roundQuantity(line.orderedQuantity - line.receivedQuantity);
+      if (outstanding > 0) quantities[line._id] = outstanding;
+    });
+    setReceiveQuantities(quantities);
+  };
+
+  const updateReceiveTracking = (lineId, field, value) => {
+    setReceiveTracking({ ...receiveTracking, [lineId]: { ...receiveTracking[lineId], [field]: value } });
+  };
+
+  const handleReceive = async () => {
+    const receivedLines = Object.entries(receiveQuantities)
+      .map(([lineId, quantity]) => {
+        const tracking = receiveTracking[lineId] || {};
+        return {
+          lineId,
+          quantity: parseFloat(quantity) || 0,
+          serialNumbers: tracking.serials ? parseSerialNumbers(tracking.serials) : undefined,
+          lotNumber: tracking.lotNumber?.trim() || undefined,
+          expiryDate: tracking.expiryDate || undefined
+        };
+      })
+      .filter(line => line.quantity > 0);
+
+    // Serialized lines need a serial per unit; lot-tracked lines need the lot number
+    for (const received of receivedLines) {
+      const line = selectedOrder.lines.find(orderLine => orderLine._id === received.lineId);
+      const units = roundQuantity(received.quantity * (line.unitFactor || 1));
+      if (line.product?.tracking === 'serial' && (received.serialNumbers?.length || 0) !== units) {
+        toast.error(`Enter ${formatQuantity(units)} serial number(s) for ${line.productName}`);
+        return;
+      }
+      if (line.product?.tracking === 'lot' && !received.lotNumber) {
+        toast.error(`Enter the lot number for ${line.productName}`);
+        return;
+      }
+    }
+
+    if (receivedLines.length === 0 && !closeShort) {
+      toast.error('Enter a received quantity for at least one line');
+      return;
+    }
+    if (!dateDelivered) {
+      toast.error('Date delivered is required');
+      return;
+    }
+
+    setIsReceiving(true);
+    try {
+      const response = await axios.post(`/purchase-orders/${selectedOrder._id}/receive`, {
+        // An empty list with closeShort closes the order without another delivery
+        lines: receivedLines.length > 0 ? receivedLines : [{ lineId: selectedOrder.lines[0]._id, quantity: 0 }],
+        dateDelivered,
+        closeShort,
+        location: receiveLocation || undefined,
+        freight: parseFloat(freight) || 0,
+        otherCharges: parseFloat(otherCharges) || 0
+      });
+      const hasFlags = response.data.data.lines.some(line => line.deliveryFlag);
+      if (hasFlags) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      refreshDetails();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsReceiving(false);
+    }
+  };
+
+  const handleDownloadPDF = async (order) => {
+    try {
+      const response = await axios.get(`/purchase-orders/${order._id}/pdf`, {
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${order.poNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Purchase order exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  const filteredOrders = statusFilter
+    ? purchaseOrders.filter(order => order.status === statusFilter)
+    : purchaseOrders;
+
+  const isReceivable = selectedOrder && ['sent', 'partially_received'].includes(selectedOrder.status);
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Purchase Orders</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Order from suppliers and receive deliveries against the order
+          </p>
+        </div>
+        <div className="flex gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {PURCHASE_ORDER_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => openFormModal()}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex-1 sm:flex-none"
+          >
+            New Purchase Order
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">PO Number</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedOrders.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                    No purchase orders found
+                  </td>
+                </tr>
+              ) : (
+                paginatedOrders.map((order) => {
+                  const hasOver = order.lines.some(line => line.deliveryFlag === 'over');
+                  const hasUnder = order.lines.some(line => line.deliveryFlag === 'under');
+                  return (
+                    <tr key={order._id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="font-medium">{order.poNumber}</div>
+                        <div className="text-xs text-gray-500">{formatDate(order.createdAt)}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">{order.supplier?.companyName || '-'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">{order.expectedDate ? formatDate(order.expectedDate) : '-'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(order.total)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs rounded-full ${getStatusClassName(order.status)}`}>
+                          {getPurchaseOrderStatusLabel(order.status)}
+                        </span>
+                        {hasOver && (
+                          <span className="ml-1 px-2 py-1 text-xs rounded-full bg-orange-100 text-orange-800">Over</span>
+                        )}
+                        {hasUnder && (
+                          <span className="ml-1 px-2 py-1 text-xs rounded-full bg-red-100 text-red-800">Short</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center gap-3 text-sm">
+                          <button
+                            onClick={() => openDetails(order)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {['sent', 'partially_received'].includes(order.status) ? 'Receive' : 'View'}
+                          </button>
+                          <button
+                            onClick={() => handleDownloadPDF(order)}
+                            className="text-gray-600 hover:text-gray-800"
+                          >
+                            PDF
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={filteredOrders}
+          itemsPerPage={10}
+          onPageChange={setPaginatedOrders}
+        />
+      </div>
+
+      {/* Draft editor */}
+      {showFormModal && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={closeFormModal}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingOrder ? `Edit ${editingOrder.poNumber}` : 'New Purchase Order'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Supplier *</label>
+                  <select
+                    value={form.supplier}
+                    onChange={(e) => {
+                      setForm({ ...form, supplier: e.target.value });
+                      setLines([emptyLine()]);
+                    }}
+                    disabled={!!editingOrder}
+                    className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-100"
+                  >
+                    <option value="">Select supplier...</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier._id} value={supplier._id}>{supplier.companyName}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Expected Delivery</label>
+                  <input
+                    type="date"
+                    value={form.expectedDate}
+                    onChange={(e) => setForm({ ...form, expectedDate: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                </div>
+                {locations.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Deliver To</label>
+                    <select
+                      value={form.location}
+                      onChange={(e) => setForm({ ...form, location: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    >
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>{location.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold mb-2">Lines</h3>
+                {!form.supplier ? (
+                  <p className="text-sm text-gray-500">Select a supplier to add their products.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {lines.map((line, index) => {
+                      const product = getProduct(line.product);
+                      const precision = product ? getQuantityPrecision(product, line.uom) : 0;
+                      return (
+                        <div key={index} className="flex flex-wrap items-center gap-2 border rounded-lg p-2">
+                          <div className="flex-1 min-w-[12rem]">
+                            <Select
+                              options={supplierProducts.map(p => ({ value: p._id, label: p.name }))}
+                              value={product ? { value: product._id, label: product.name } : null}
+                              onChange={(option) => updateLine(index, { product: option?.value || '', uom: '', unitCost: '' })}
+                              isSearchable
+                              placeholder="Product..."
+                              className="react-select-container"
+                              classNamePrefix="react-select"
+                            />
+                          </div>
+                          {product?.uoms?.length > 0 && (
+                            <select
+                              value={line.uom}
+                              onChange={(e) => updateLine(index, { uom: e.target.value, unitCost: '' })}
+                              className="px-2 py-2 border rounded-lg"
+                            >
+                              <option value="">{product.unit || 'Base unit'}</option>
+                              {product.uoms.map(uom => (
+                                <option key={uom.name} value={uom.name}>{uom.name}</option>
+                              ))}
+                            </select>
+                          )}
+                          <input
+                            type="number"
+                            min={0}
+                            step={precision > 0 ? 10 ** -precision : 1}
+                            value={line.orderedQuantity}
+                            onChange={(e) => updateLine(index, { orderedQuantity: e.target.value })}
+                            className="w-24 px-2 py-2 border rounded-lg"
+                            placeholder="Qty"
+                          />
+                          <input
+                            type="number"
+                            min={0}
+                            step="0.01"
+                            value={line.unitCost}
+                            onChange={(e) => updateLine(index, { unitCost: e.target.value })}
+                            className="w-32 px-2 py-2 border rounded-lg"
+                            placeholder={product ? getDefaultUnitCost(line).toFixed(2) : 'Unit cost'}
+                          />
+                          <span className="w-28 text-right text-sm font-semibold">
+                            {formatCurrencyDisplay(getLineAmount(line))}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => setLines(lines.length > 1 ? lines.filter((_, i) => i !== index) : [emptyLine()])}
+                            className="text-red-600 hover:text-red-800 text-sm"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      );
+                    })}
+                    <div className="flex justify-between items-center">
+                      <button
+                        type="button"
+                        onClick={() => setLines([...lines, emptyLine()])}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        + Add line
+                      </button>
+                      <span className="font-semibold">
+                        Total: {formatCurrencyDisplay(lines.reduce((sum, line) => sum + getLineAmount(line), 0))}
+                      </span>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  maxLength={500}
+                  rows={2}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="Delivery instructions, payment terms..."
+                />
+              </div>
+
+              <div className="flex flex-col sm:flex-row justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={closeFormModal}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : editingOrder ? 'Update' : 'Save Draft'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Order details and receiving */}
+      {selectedOrder && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={() => !isReceiving && setSelectedOrder(null)}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex flex-wrap justify-between items-start gap-2 mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{selectedOrder.poNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  {selectedOrder.supplier?.companyName}
+                  {selectedOrder.expectedDate && ` · Expected ${formatDate(selectedOrder.expectedDate)}`}
+                  {selectedOrder.location && ` · Deliver to ${selectedOrder.location.name}`}
+                </p>
+              </div>
+              <span className={`px-2 py-1 text-xs rounded-full ${getStatusClassName(selectedOrder.status)}`}>
+                {getPurchaseOrderStatusLabel(selectedOrder.status)}
+              </span>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Item</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Ordered</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Received</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Unit Cost</th>
+                    {isReceivable && <th className="px-3 py-2 text-right font-medium text-gray-500">Receive Now</th>}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {selectedOrder.lines.map(line => {
+                    const precision = line.product ? getQuantityPrecision(line.product, line.uom) : 0;
+                    const unitLabel = line.uom || line.product?.unit || '';
+                    return (
+                      <Fragment key={line._id}>
+                        <tr>
+                          <td className="px-3 py-2">
+                            {line.productName}
+                            {line.deliveryFlag === 'over' && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">
+                                Over by {formatQuantity(roundQuantity(line.receivedQuantity - line.orderedQuantity))}
+                              </span>
+                            )}
+                            {line.deliveryFlag === 'under' && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">
+                                Short by {formatQuantity(roundQuantity(line.orderedQuantity - line.receivedQuantity))}
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right whitespace-nowrap">{formatQuantity(line.orderedQuantity)} {unitLabel}</td>
+                          <td className="px-3 py-2 text-right whitespace-nowrap">{formatQuantity(line.receivedQuantity)} {unitLabel}</td>
+                          <td className="px-3 py-2 text-right whitespace-nowrap">{formatCurrencyDisplay(line.unitCost)}</td>
+                          {isReceivable && (
+                            <td className="px-3 py-2 text-right">
+                              <input
+                                type="number"
+                                min={0}
+                                step={precision > 0 ? 10 ** -precision : 1}
+                                value={receiveQuantities[line._id] ?? ''}
+                                onChange={(e) => setReceiveQuantities({ ...receiveQuantities, [line._id]: e.target.value })}
+                                className="w-24 px-2 py-1 border rounded text-right"
+                                placeholder="0"
+                              />
+                            </td>
+                          )}
+                        </tr>
+                        {isReceivable && parseFloat(receiveQuantities[line._id]) > 0 && line.product?.tracking === 'serial' && (
+                          <tr>
+                            <td colSpan={5} className="px-3 pb-3">
+                              <textarea
+                                value={receiveTracking[line._id]?.serials || ''}
+                                onChange={(e) => updateReceiveTracking(line._id, 'serials', e.target.value)}
+                                rows="2"
+                                className="w-full px-2 py-1 border rounded font-mono text-xs"
+                                placeholder={`Serial numbers of the ${formatQuantity(roundQuantity(parseFloat(receiveQuantities[line._id]) * (line.unitFactor || 1)))} unit(s) received, one per line`}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        {isReceivable && parseFloat(receiveQuantities[line._id]) > 0 && line.product && line.product.tracking !== 'serial' && (
+                          <tr>
+                            <td colSpan={5} className="px-3 pb-3">
+                              <div className="flex flex-wrap items-center justify-end gap-2">
+                                {line.product.tracking === 'lot' && (
+                                  <>
+                                    <label className="text-xs font-medium">Lot</label>
+                                    <input
+                                      type="text"
+                                      value={receiveTracking[line._id]?.lotNumber || ''}
+                                      onChange={(e) => updateReceiveTracking(line._id, 'lotNumber', e.target.value)}
+                                      maxLength={50}
+                                      className="w-36 px-2 py-1 border rounded text-sm"
+                                    />
+                                  </>
+                                )}
+                                <label className="text-xs font-medium">Expiry</label>
+                                <input
+                                  type="date"
+                                  value={receiveTracking[line._id]?.expiryDate || ''}
+                                  onChange={(e) => updateReceiveTracking(line._id, 'expiryDate', e.target.value)}
+                                  className="px-2 py-1 border rounded text-sm"
+                                />
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-right font-semibold mt-2">Total: {formatCurrencyDisplay(selectedOrder.total)}</div>
+
+            {selectedOrder.notes && (
+              <p className="text-sm text-gray-600 mt-2"><span className="font-medium">Notes:</span> {selectedOrder.notes}</p>
+            )}
+
+            {isReceivable && (
+              <div className="mt-4 p-3 bg-gray-50 rounded-lg space-y-2">
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className="text-sm font-medium">Date Delivered</label>
+                  <input
+                    type="date"
+                    value={dateDelivered}
+                    onChange={(e) => setDateDelivered(e.target.value)}
+                    className="px-2 py-1 border rounded"
+                  />
+                  {locations.length > 0 && (
+                    <>
+                      <label className="text-sm font-medium">Receive Into</label>
+                      <select
+                        value={receiveLocation}
+                        onChange={(e) => setReceiveLocation(e.target.value)}
+                        className="px-2 py-1 border rounded"
+                      >
+                        {locations.map(location => (
+                          <option key={location._id} value={location._id}>{location.name}</option>
+                        ))}
+                      </select>
+                    </>
+                  )}
+                  <label className="text-sm font-medium">Freight</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    value={freight}
+                    onChange={(e) => setFreight(e.target.value)}
+                    className="w-28 px-2 py-1 border rounded"
+                    placeholder="0.00"
+                  />
+                  <label className="text-sm font-medium">Other Charges</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    value={otherCharges}
+                    onChange={(e) => setOtherCharges(e.target.value)}
+                    className="w-28 px-2 py-1 border rounded"
+                    placeholder="0.00"
+                  />
+                  <button
+                    type="button"
+                    onClick={fillOutstanding}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Fill outstanding quantities
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">Freight and other charges are spread over the lines received by value and added to their landed cost.</p>
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={closeShort} onChange={(e) => setCloseShort(e.target.checked)} />
+                  Close the order after this delivery (lines still short are flagged as under-delivered)
+                </label>
+                <div className="flex justify-end">
+                  <button
+                    type="button"
+                    onClick={handleReceive}
+                    disabled={isReceiving}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isReceiving ? 'Receiving...' : 'Receive Delivery'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {deliveries.length > 0 && (
+              <div className="mt-4">
+                <h3 className="text-sm font-semibold mb-2">Deliveries</h3>
+                <div className="space-y-1 text-sm">
+                  {deliveries.map(delivery => (
+                    <div key={delivery._id} className="flex justify-between gap-2 border-b py-1">
+                      <span>
+                        {formatDate(delivery.dateDelivered)} · {delivery.productName} ·{' '}
+                        {delivery.uom ? `${formatQuantity(delivery.uomQuantity)} ${delivery.uom}` : formatQuantity(delivery.stockQuantity)}
+                        {delivery.location && ` · ${delivery.location.name}`}
+                        {delivery.lotNumber && ` · Lot ${delivery.lotNumber}`}
+                        {delivery.expiryDate && ` · exp. ${formatDate(delivery.expiryDate)}`}
+                      </span>
+                      <span className="text-gray-600">
+                        {formatCurrencyDisplay(delivery.totalCost)} · {delivery.addedBy?.username || '-'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex flex-wrap justify-end gap-2 mt-6">
+              {selectedOrder.status === 'draft' && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => setConfirmAction({ type: 'delete', order: selectedOrder })}
+                    className="px-4 py-2 text-red-600 hover:text-red-800 font-medium"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => openFormModal(selectedOrder)}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium"
+                  >
+                    Edit
+                  </button>
+                </>
+              )}
+              {['draft', 'sent'].includes(selectedOrder.status) && (
+                <button
+                  type="button"
+                  onClick={() => setConfirmAction({ type: 'cancel', order: selectedOrder })}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium"
+                >
+                  Cancel Order
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => handleDownloadPDF(selectedOrder)}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium"
+              >
+                Download PDF
+              </button>
+              {selectedOrder.status === 'draft' && (
+                <button
+                  type="button"
+                  onClick={() => handleSend(selectedOrder)}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                >
+                  Mark as Sent
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setSelectedOrder(null)}
+                disabled={isReceiving}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!confirmAction}
+        onClose={() => setConfirmAction(null)}
+        onConfirm={handleConfirmAction}
+        title={confirmAction?.type === 'delete' ? 'Delete Purchase Order' : 'Cancel Purchase Order'}
+        message={confirmAction?.type === 'delete'
+          ? `Delete draft ${confirmAction?.order.poNumber}?`
+          : `Cancel ${confirmAction?.order.poNumber}? Nothing has been received against it yet.`}
+        confirmText={confirmAction?.type === 'delete' ? 'Delete' : 'Cancel Order'}
+        cancelText="Back"
+      />
+    </div>
+  );
+};
+
+export default PurchaseOrders;
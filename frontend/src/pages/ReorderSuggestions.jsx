@@ -0,0 +1,255 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { formatCurrencyDisplay, formatQuantity, roundQuantity } from '../utils/utils';
+
+const ReorderSuggestions = () => {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [params, setParams] = useState({ lookbackDays: '', safetyStockFactor: '', coverDays: '' });
+  // Order quantities edited before drafting, keyed by product ID
+  const [quantities, setQuantities] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [creatingFor, setCreatingFor] = useState(null);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, []);
+
+  const fetchSuggestions = async (overrides = {}) => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/purchase-orders/reorder-suggestions', { params: overrides });
+      const { lookbackDays, safetyStockFactor, coverDays } = response.data.summary;
+      setSuggestions(response.data.data);
+      setSummary(response.data.summary);
+      setParams({ lookbackDays, safetyStockFactor, coverDays });
+      setQuantities({});
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRecalculate = (e) => {
+    e.preventDefault();
+    fetchSuggestions(params);
+  };
+
+  const getQuantity = (item) => quantities[item.product._id] ?? item.suggestedQuantity;
+
+  const getGroupTotal = (group) => group.items.reduce(
+    (sum, item) => sum + (parseFloat(getQuantity(item)) || 0) * item.unitCost,
+    0
+  );
+
+  const handleDownloadSheet = async (group) => {
+    try {
+      const response = await axios.get(`/purchase-orders/reorder-suggestions/${group.supplier._id}/pdf`, {
+        params,
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `Reorder-${group.supplier.companyName}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Order sheet exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  const handleCreateDraft = async (group) => {
+    const lines = group.items
+      .map(item => ({
+        product: item.product._id,
+        orderedQuantity: roundQuantity(parseFloat(getQuantity(item)) || 0),
+        unitCost: item.unitCost
+      }))
+      .filter(line => line.orderedQuantity > 0);
+
+    if (lines.length === 0) {
+      toast.error('Enter a quantity for at least one item');
+      return;
+    }
+
+    setCreatingFor(group.supplier._id);
+    try {
+      const response = await axios.post('/purchase-orders', {
+        supplier: group.supplier._id,
+        lines,
+        notes: 'Drafted from reorder suggestions'
+      });
+      toast.success(`Draft ${response.data.data.poNumber} created`);
+      navigate('/purchase-orders');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setCreatingFor(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Reorder Suggestions</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Products whose stock plus open orders has fallen to the reorder point: demand over the supplier's lead time plus safety stock.
+        </p>
+      </div>
+
+      <form onSubmit={handleRecalculate} className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col sm:flex-row sm:items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Sales look-back (days)</label>
+          <input
+            type="number"
+            min="7"
+            max="365"
+            value={params.lookbackDays}
+            onChange={(e) => setParams({ ...params, lookbackDays: e.target.value })}
+            className="w-full sm:w-32 px-3 py-2 border rounded-lg"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Safety stock factor</label>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            step="0.1"
+            value={params.safetyStockFactor}
+            onChange={(e) => setParams({ ...params, safetyStockFactor: e.target.value })}
+            className="w-full sm:w-32 px-3 py-2 border rounded-lg"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Cover (days)</label>
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={params.coverDays}
+            onChange={(e) => setParams({ ...params, coverDays: e.target.value })}
+            className="w-full sm:w-32 px-3 py-2 border rounded-lg"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Calculating...' : 'Recalculate'}
+        </button>
+        {summary && (
+          <div className="sm:ml-auto text-sm text-gray-600">
+            {summary.products} product{summary.products === 1 ? '' : 's'} due, est. {formatCurrencyDisplay(summary.totalValue)}
+          </div>
+        )}
+      </form>
+
+      {loading ? (
+        <div className="text-center py-8">Loading...</div>
+      ) : suggestions.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          Nothing is due for reordering
+        </div>
+      ) : (
+        suggestions.map(group => (
+          <div key={group.supplier?._id || 'none'} className="bg-white rounded-lg shadow mb-6 overflow-hidden">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 border-b">
+              <div>
+                <h2 className="text-lg font-semibold">{group.supplier?.companyName || 'No supplier'}</h2>
+                <p className="text-sm text-gray-500">
+                  {group.supplier ? `Lead time ${group.supplier.leadTimeDays} days` : 'Assign a supplier to these products to order them'}
+                  {' · '}est. {formatCurrencyDisplay(getGroupTotal(group))}
+                </p>
+              </div>
+              {group.supplier && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleDownloadSheet(group)}
+                    className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                  >
+                    Download Order Sheet
+                  </button>
+                  <button
+                    onClick={() => handleCreateDraft(group)}
+                    disabled={creatingFor === group.supplier._id}
+                    className="px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {creatingFor === group.supplier._id ? 'Creating...' : 'Create Draft PO'}
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sold / Day</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stock</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">On Order</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Days Left</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Reorder Point</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Order Qty</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Unit Cost</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {group.items.map(item => (
+                    <tr key={item.product._id}>
+                      <td className="px-4 py-3">
+                        <div className="font-medium">{item.product.name}</div>
+                        <div className="text-xs text-gray-500">{item.product.sku}</div>
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm">{formatQuantity(roundQuantity(item.dailyVelocity, 2))}</td>
+                      <td className="px-4 py-3 text-right text-sm">{formatQuantity(item.stockQuantity)}</td>
+                      <td className="px-4 py-3 text-right text-sm">{formatQuantity(item.onOrder)}</td>
+                      <td className={`px-4 py-3 text-right text-sm ${item.daysOfStock < item.leadTimeDays ? 'text-red-600 font-medium' : ''}`}>
+                        {item.daysOfStock}
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm">
+                        {formatQuantity(item.reorderPoint)}
+                        <div className="text-xs text-gray-500">incl. {formatQuantity(item.safetyStock)} safety</div>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={getQuantity(item)}
+                          onChange={(e) => setQuantities({ ...quantities, [item.product._id]: e.target.value })}
+                          className="w-24 px-2 py-1 border rounded text-right"
+                        />
+                        <span className="ml-1 text-xs text-gray-500">{item.product.unit}</span>
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm">{formatCurrencyDisplay(item.unitCost)}</td>
+                      <td className="px-4 py-3 text-right text-sm">
+                        {formatCurrencyDisplay((parseFloat(getQuantity(item)) || 0) * item.unitCost)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
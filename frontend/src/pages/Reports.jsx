@@ -1,7 +1,13 @@
 import { useState, useEffect, Suspense } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
-import { formatCurrency, formatCurrencyDisplay, formatPaymentMethod, formatLocalDate } from '../utils/utils';
+import { formatCurrency, formatCurrencyDisplay, formatPaymentMethod, formatLocalDate, formatQuantity } from '../utils/utils';
+import { getDiscountReasonLabel } from '../constants/discountReasons';
+import { getPromotionTypeLabel } from '../constants/promotionTypes';
+import { getCostingMethodLabel } from '../constants/costingMethods';
+import { AGING_BUCKETS } from '../constants/agingBuckets';
+import DemandForecastReport from '../components/DemandForecastReport';
+import StockAnalysisReport from '../components/StockAnalysisReport';
 
 // Lazy load heavy libraries - only load when needed
 const loadRecharts = () => import('recharts').then(module => ({
@@ -74,17 +80,23 @@ const Reports = () => {
 
   const [startDate, setStartDate] = useState(getDefaultStartDate());
   const [endDate, setEndDate] = useState(formatLocalDate(new Date()));
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState('');
   const [reports, setReports] = useState({
     sales: null,
     inventory: null,
     topProducts: null,
+    promotions: null,
     revenueTrends: null,
+    receivablesAging: null,
   });
   const [loading, setLoading] = useState({
     sales: false,
     inventory: false,
     topProducts: false,
+    promotions: false,
     revenueTrends: false,
+    receivablesAging: false,
   });
 
   // Calculate sales performance insights
@@ -187,10 +199,23 @@ const Reports = () => {
     };
   };
 
-  // Fetch all reports on mount and when dates change
+  // Fetch all reports on mount and when dates or the location change
   useEffect(() => {
     fetchAllReports();
-  }, [startDate, endDate]);
+  }, [startDate, endDate, locationFilter]);
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations');
+      setLocations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
 
   const fetchAllReports = async () => {
     // Fetch all reports in parallel
@@ -198,22 +223,30 @@ const Reports = () => {
       sales: true,
       inventory: true,
       topProducts: true,
+      promotions: true,
       revenueTrends: true,
+      receivablesAging: true,
     });
 
+    const locationQuery = locationFilter ? `&location=${locationFilter}` : '';
+
     try {
-      const [salesRes, inventoryRes, topProductsRes, revenueTrendsRes] = await Promise.allSettled([
-        axios.get(`/reports/sales?startDate=${startDate}&endDate=${endDate}`),
-        axios.get('/reports/inventory'),
-        axios.get(`/reports/top-products?startDate=${startDate}&endDate=${endDate}&limit=10`),
-        axios.get(`/reports/revenue-trends?startDate=${startDate}&endDate=${endDate}&groupBy=day`),
+      const [salesRes, inventoryRes, topProductsRes, promotionsRes, revenueTrendsRes, receivablesAgingRes] = await Promise.allSettled([
+        axios.get(`/reports/sales?startDate=${startDate}&endDate=${endDate}${locationQuery}`),
+        axios.get(`/reports/inventory${locationFilter ? `?location=${locationFilter}` : ''}`),
+        axios.get(`/reports/top-products?startDate=${startDate}&endDate=${endDate}&limit=10${locationQuery}`),
+        axios.get(`/reports/promotions?startDate=${startDate}&endDate=${endDate}`),
+        axios.get(`/reports/revenue-trends?startDate=${startDate}&endDate=${endDate}&groupBy=day${locationQuery}`),
+        axios.get('/reports/receivables-aging'),
       ]);
 
       setReports({
         sales: salesRes.status === 'fulfilled' ? salesRes.value.data : null,
         inventory: inventoryRes.status === 'fulfilled' ? inventoryRes.value.data : null,
         topProducts: topProductsRes.status === 'fulfilled' ? topProductsRes.value.data : null,
+        promotions: promotionsRes.status === 'fulfilled' ? promotionsRes.value.data : null,
         revenueTrends: revenueTrendsRes.status === 'fulfilled' ? revenueTrendsRes.value.data : null,
+        receivablesAging: receivablesAgingRes.status === 'fulfilled' ? receivablesAgingRes.value.data : null,
       });
 
       // Show error toast for any failed requests
@@ -226,9 +259,15 @@ const Reports = () => {
       if (topProductsRes.status === 'rejected') {
         console.error('Error fetching top products report:', topProductsRes.reason);
       }
+      if (promotionsRes.status === 'rejected') {
+        console.error('Error fetching promotions report:', promotionsRes.reason);
+      }
       if (revenueTrendsRes.status === 'rejected') {
         console.error('Error fetching revenue trends report:', revenueTrendsRes.reason);
       }
+      if (receivablesAgingRes.status === 'rejected') {
+        console.error('Error fetching receivables aging report:', receivablesAgingRes.reason);
+      }
     } catch (error) {
       console.error('Error fetching reports:', error);
     } finally {
@@ -236,7 +275,9 @@ const Reports = () => {
         sales: false,
         inventory: false,
         topProducts: false,
+        promotions: false,
         revenueTrends: false,
+        receivablesAging: false,
       });
     }
   };
@@ -271,6 +312,11 @@ const Reports = () => {
       doc.text(periodText, pageWidth / 2, yPosition, { align: 'center' });
       yPosition += 5;
 
+      if (locationFilter) {
+        doc.text(`Location: ${locations.find(l => l._id === locationFilter)?.name || ''}`, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += 5;
+      }
+
       // Generated date
       doc.text(`Generated on: ${format(new Date(), 'MMMM dd, yyyy hh:mm a')}`, pageWidth / 2, yPosition, { align: 'center' });
       yPosition += 15;
@@ -285,9 +331,24 @@ const Reports = () => {
       doc.setFont(undefined, 'normal');
       const summaryData = [
         ['Total Transactions', (reports.sales.summary?.totalSales ?? 0).toString()],
-        ['Total Sales', formatCurrency(reports.sales.summary?.totalRevenue ?? 0)],
+        ['Gross Sales', formatCurrency(reports.sales.summary?.grossRevenue ?? 0)],
+        [`Less: Returns (${reports.sales.summary?.returnCount ?? 0})`, formatCurrency(reports.sales.summary?.totalReturns ?? 0)],
+        ['Net Sales', formatCurrency(reports.sales.summary?.totalRevenue ?? 0)],
+        ['Write-offs (at cost)', formatCurrency(reports.sales.summary?.writeOffCost ?? 0)],
         ['Profit', formatCurrency(reports.sales.summary?.profit ?? 0)],
-        ['Total VAT (12%)', formatCurrency(reports.sales.summary?.totalVAT ?? 0)]
+        ['Total VAT', formatCurrency(reports.sales.summary?.totalVAT ?? 0)],
+        ['  VATable Sales', formatCurrency(reports.sales.summary?.vatableSales ?? 0)],
+        ['  VAT-Exempt Sales', formatCurrency(reports.sales.summary?.vatExemptSales ?? 0)],
+        ['  Zero-Rated Sales', formatCurrency(reports.sales.summary?.zeroRatedSales ?? 0)],
+        ['Total Discounts', formatCurrency(reports.sales.summary?.totalDiscount ?? 0)],
+        ...Object.entries(reports.sales.discountsByReason || {}).map(([reasonCode, item]) => [
+          `  Discounts - ${getDiscountReasonLabel(reasonCode)} (${item.count})`,
+          formatCurrency(item.amount)
+        ]),
+        ...Object.entries(reports.sales.salesByTender || {}).map(([method, item]) => [
+          `Payments - ${formatPaymentMethod(method)} (${item.count})`,
+          formatCurrency(item.amount)
+        ])
       ];
 
       autoTable(doc, {
@@ -322,11 +383,12 @@ const Reports = () => {
           const itemsText = sale.items && sale.items.length > 0
             ? sale.items.map(item => {
                 const productName = item.product?.name || 'Unknown';
-                return `• ${productName} (${item.quantity}x)`;
+                return `• ${productName} (${formatQuantity(item.quantity)}${item.uom ? ` ${item.uom}` : 'x'})`;
               }).join('\n')
             : 'No items';
 
-          const paymentShort = sale.paymentMethod === 'mobile_payment' ? 'Mobile' : formatPaymentMethod(sale.paymentMethod || 'cash');
+          const shortLabels = { mobile_payment: 'Mobile', charge: 'Charge', split: 'Split' };
+          const paymentShort = shortLabels[sale.paymentMethod] || formatPaymentMethod(sale.paymentMethod || 'cash');
           const staffShort = sale.cashier?.username || '-';
           const truncatedStaff = staffShort.length > 10 ? staffShort.substring(0, 7) + '...' : staffShort;
 
@@ -336,6 +398,7 @@ const Reports = () => {
             truncatedCustomer,
             itemsText,
             formatCurrency(sale.subtotal || 0),
+            formatCurrency(sale.discount || 0),
             formatCurrency(sale.tax || 0),
             formatCurrency(sale.total || 0),
             paymentShort,
@@ -345,7 +408,7 @@ const Reports = () => {
 
         autoTable(doc, {
           startY: yPosition,
-          head: [['Sale #', 'Date', 'Customer', 'Items', 'Subtotal', 'Tax', 'Total', 'Payment', 'Admin/Staff']],
+          head: [['Sale #', 'Date', 'Customer', 'Items', 'Subtotal', 'Discount', 'Tax', 'Total', 'Payment', 'Admin/Staff']],
           body: transactionsData,
           theme: 'grid',
           headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold', fontSize: 7 },
@@ -354,14 +417,15 @@ const Reports = () => {
           styles: { fontSize: 6, cellPadding: 1 },
           columnStyles: {
             0: { cellWidth: 18 },
-            1: { cellWidth: 22 },
-            2: { cellWidth: 20 },
-            3: { cellWidth: 45, cellMinHeight: 8 },
-            4: { cellWidth: 18 },
+            1: { cellWidth: 18 },
+            2: { cellWidth: 18 },
+            3: { cellWidth: 34, cellMinHeight: 8 },
+            4: { cellWidth: 17 },
             5: { cellWidth: 15 },
-            6: { cellWidth: 18 },
-            7: { cellWidth: 18 },
-            8: { cellWidth: 18 }
+            6: { cellWidth: 15 },
+            7: { cellWidth: 17 },
+            8: { cellWidth: 15 },
+            9: { cellWidth: 15 }
           },
           didParseCell: function (data) {
             data.cell.styles.cellPadding = { top: 1, bottom: 1, left: 1, right: 1 };
@@ -389,6 +453,18 @@ const Reports = () => {
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
         <h1 className="text-2xl sm:text-3xl font-bold">Reports & Analytics</h1>
         <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
+          {locations.length > 0 && (
+            <select
+              value={locationFilter}
+              onChange={(e) => setLocationFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg text-sm"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location._id} value={location._id}>{location.name}</option>
+              ))}
+            </select>
+          )}
           <input
             type="date"
             value={startDate}
@@ -447,16 +523,69 @@ const Reports = () => {
               <div className="text-2xl font-bold">{reports.sales.summary.totalSales ?? 0}</div>
             </div>
             <div className="bg-white p-4 rounded-lg border">
-              <div className="text-gray-600 text-sm mb-1">Total Sales</div>
+              <div className="text-gray-600 text-sm mb-1">Net Sales</div>
               <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.totalRevenue ?? 0)}</div>
+              {reports.sales.summary.totalReturns > 0 && (
+                <>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>Gross</span>
+                    <span>{formatCurrencyDisplay(reports.sales.summary.grossRevenue)}</span>
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>Returns ({reports.sales.summary.returnCount})</span>
+                    <span>-{formatCurrencyDisplay(reports.sales.summary.totalReturns)}</span>
+                  </div>
+                </>
+              )}
             </div>
             <div className="bg-white p-4 rounded-lg border">
               <div className="text-gray-600 text-sm mb-1">Profit</div>
               <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.profit ?? 0)}</div>
+              {reports.sales.summary.writeOffCost > 0 && (
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>Write-offs (at cost)</span>
+                  <span>-{formatCurrencyDisplay(reports.sales.summary.writeOffCost)}</span>
+                </div>
+              )}
             </div>
             <div className="bg-white p-4 rounded-lg border">
-              <div className="text-gray-600 text-sm mb-1">Total VAT (12%)</div>
+              <div className="text-gray-600 text-sm mb-1">Total VAT</div>
               <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.totalVAT ?? 0)}</div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>VATable</span>
+                <span>{formatCurrencyDisplay(reports.sales.summary.vatableSales ?? 0)}</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>VAT-Exempt</span>
+                <span>{formatCurrencyDisplay(reports.sales.summary.vatExemptSales ?? 0)}</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>Zero-Rated</span>
+                <span>{formatCurrencyDisplay(reports.sales.summary.zeroRatedSales ?? 0)}</span>
+              </div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Total Discounts</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.totalDiscount ?? 0)}</div>
+              {Object.entries(reports.sales.discountsByReason || {}).map(([reasonCode, item]) => (
+                <div key={reasonCode} className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>{getDiscountReasonLabel(reasonCode)} ({item.count})</span>
+                  <span>{formatCurrencyDisplay(item.amount)}</span>
+                </div>
+              ))}
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Sales by Tender</div>
+              {Object.keys(reports.sales.salesByTender || {}).length === 0 ? (
+                <div className="text-sm text-gray-500">No payments</div>
+              ) : (
+                Object.entries(reports.sales.salesByTender).map(([method, item]) => (
+                  <div key={method} className="flex justify-between text-sm mt-1">
+                    <span>{formatPaymentMethod(method)} ({item.count})</span>
+                    <span className="font-semibold">{formatCurrencyDisplay(item.amount)}</span>
+                  </div>
+                ))
+              )}
             </div>
           </div>
         ) : (
@@ -483,6 +612,9 @@ const Reports = () => {
               <div className="bg-white p-4 rounded-lg border">
                 <div className="text-gray-600 text-sm mb-1">Total Stock Value</div>
                 <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.inventory.summary.totalStockValue ?? 0)}</div>
+                {reports.inventory.summary.costingMethod && (
+                  <div className="text-xs text-gray-500 mt-1">At cost, {getCostingMethodLabel(reports.inventory.summary.costingMethod)}</div>
+                )}
               </div>
               <div className="bg-white p-4 rounded-lg border">
                 <div className="text-gray-600 text-sm mb-1">Low Stock Items</div>
@@ -508,6 +640,69 @@ const Reports = () => {
         )}
       </div>
 
+      {/* Dead Stock Section */}
+      <StockAnalysisReport
+        locationFilter={locationFilter}
+        locationName={locations.find(l => l._id === locationFilter)?.name}
+      />
+
+      {/* Receivables Aging Section */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-xl font-semibold mb-1">Receivables Aging</h2>
+        <p className="text-sm text-gray-500 mb-4">Unpaid charges to account by days past due, as of today</p>
+        {loading.receivablesAging ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+          </div>
+        ) : reports.receivablesAging?.data?.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                  {AGING_BUCKETS.map(bucket => (
+                    <th key={bucket.value} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">{bucket.label}</th>
+                  ))}
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {reports.receivablesAging.data.map((row, index) => (
+                  <tr key={row.customer?._id || index}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium">{row.name}</div>
+                      <div className="text-xs text-gray-500">{row.openCharges} open charge{row.openCharges === 1 ? '' : 's'}</div>
+                    </td>
+                    {AGING_BUCKETS.map(bucket => (
+                      <td
+                        key={bucket.value}
+                        className={`px-3 py-2 text-right whitespace-nowrap ${row[bucket.value] > 0 && bucket.value !== 'current' ? 'text-red-600' : ''}`}
+                      >
+                        {row[bucket.value] > 0 ? formatCurrencyDisplay(row[bucket.value]) : '-'}
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 text-right font-semibold whitespace-nowrap">{formatCurrencyDisplay(row.total)}</td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="px-3 py-2">Total</td>
+                  {AGING_BUCKETS.map(bucket => (
+                    <td key={bucket.value} className="px-3 py-2 text-right whitespace-nowrap">
+                      {formatCurrencyDisplay(reports.receivablesAging.summary[bucket.value])}
+                    </td>
+                  ))}
+                  <td className="px-3 py-2 text-right whitespace-nowrap">{formatCurrencyDisplay(reports.receivablesAging.summary.total)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            <p>No outstanding receivables.</p>
+          </div>
+        )}
+      </div>
+
       {/* Sales Performance Section */}
       <div className="bg-white p-6 rounded-lg shadow">
         <h2 className="text-xl font-semibold mb-4">Sales Performance</h2>
@@ -616,6 +811,9 @@ const Reports = () => {
         )}
       </div>
 
+      {/* Demand Forecast Section */}
+      <DemandForecastReport locationFilter={locationFilter} />
+
       {/* Top Products Section */}
       <div className="bg-white p-6 rounded-lg shadow">
         <h2 className="text-xl font-semibold mb-4">Top Selling Products</h2>
@@ -649,7 +847,7 @@ const Reports = () => {
                 <div className="flex-shrink-0 text-right">
                   <p className="text-sm text-gray-500">Units Sold</p>
                   <p className="text-xl font-bold text-gray-900">
-                    {product.totalQuantity || 0}
+                    {formatQuantity(product.totalQuantity)}{product.unit && ` ${product.unit}`}
                   </p>
                 </div>
               </div>
@@ -661,6 +859,75 @@ const Reports = () => {
           </div>
         )}
       </div>
+
+      {/* Promotions Section */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-xl font-semibold mb-4">Promotion Uptake & Margin Impact</h2>
+        {loading.promotions ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+          </div>
+        ) : reports.promotions?.data && reports.promotions.data.length > 0 ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-sm text-gray-500">Promo Revenue</p>
+                <p className="text-xl font-bold text-gray-900">{formatCurrencyDisplay(reports.promotions.summary.promoRevenue)}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-sm text-gray-500">Share of Revenue</p>
+                <p className="text-xl font-bold text-gray-900">{reports.promotions.summary.promoRevenueShare.toFixed(1)}%</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-sm text-gray-500">Discount Given</p>
+                <p className="text-xl font-bold text-red-600">{formatCurrencyDisplay(reports.promotions.summary.discountGiven)}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-sm text-gray-500">Promo Gross Profit</p>
+                <p className="text-xl font-bold text-gray-900">{formatCurrencyDisplay(reports.promotions.summary.grossProfit)}</p>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Promotion</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Sales</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Discount Given</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Regular Margin</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {reports.promotions.data.map((promo) => (
+                    <tr key={promo.promotionId}>
+                      <td className="px-4 py-2">
+                        <div className="font-medium">{promo.promotionName}</div>
+                        {promo.type && (
+                          <div className="text-xs text-gray-500">{getPromotionTypeLabel(promo.type)}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right">{promo.saleCount}</td>
+                      <td className="px-4 py-2 text-right">{formatCurrencyDisplay(promo.revenue)}</td>
+                      <td className="px-4 py-2 text-right text-red-600">{formatCurrencyDisplay(promo.discountGiven)}</td>
+                      <td className="px-4 py-2 text-right">
+                        {promo.marginPercentage.toFixed(1)}%
+                        <span className="ml-1 text-xs text-red-600">({promo.marginImpact.toFixed(1)} pts)</span>
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-600">{promo.regularMarginPercentage.toFixed(1)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            <p>No promotions were applied in the selected period.</p>
+          </div>
+        )}
+      </div>
     </div>
   );
 };
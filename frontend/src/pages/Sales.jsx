@@ -1,18 +1,50 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useAuth } from '../context/AuthContext';
 import { useForm } from 'react-hook-form';
 import ConfirmModal from '../components/ConfirmModal';
 import InputModal from '../components/InputModal';
+import ReturnModal from '../components/ReturnModal';
+import ParkSaleModal from '../components/ParkSaleModal';
+import ParkedSalesModal from '../components/ParkedSalesModal';
+import SerialPickerModal from '../components/SerialPickerModal';
+import OpenShiftModal from '../components/OpenShiftModal';
+import CashMovementModal from '../components/CashMovementModal';
+import ShiftReadingModal from '../components/ShiftReadingModal';
 import Pagination from '../components/Pagination';
-import { formatCurrencyDisplay, formatCurrency, formatDate, formatPaymentMethod } from '../utils/utils';
+import { formatCurrencyDisplay, formatCurrency, formatDate, formatPaymentMethod, formatQuantity, roundQuantity } from '../utils/utils';
+import { getQuantityPrecision } from '../constants/units';
+import { DISCOUNT_REASONS, DISCOUNT_TYPES, getDiscountReasonLabel } from '../constants/discountReasons';
+import { PAYMENT_METHODS } from '../constants/paymentMethods';
+
+const emptyPayment = () => ({ method: 'cash', amount: '', reference: '' });
+
+// Totals of an empty cart, before the server has quoted any
+const EMPTY_TAXES = {
+  lines: [],
+  subtotal: 0,
+  lessVat: 0,
+  saleDiscountAmount: 0,
+  discount: 0,
+  vatableSales: 0,
+  vatExemptSales: 0,
+  zeroRatedSales: 0,
+  vatAmount: 0,
+  total: 0,
+  discountApprovalRequired: false
+};
+
+// Scanner bursts arrive far faster than anyone types
+const SCAN_KEY_INTERVAL = 50;
+const MIN_SCAN_LENGTH = 4;
 
 const Sales = () => {
-  const { isStaff, isAdmin } = useAuth();
+  const { user, isStaff, isAdmin } = useAuth();
   const [sales, setSales] = useState([]);
   const [paginatedSales, setPaginatedSales] = useState([]);
   const [products, setProducts] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [cart, setCart] = useState([]);
@@ -21,6 +53,8 @@ const Sales = () => {
   const [saleToVoid, setSaleToVoid] = useState(null);
   const [showReceiptModal, setShowReceiptModal] = useState(false);
   const [selectedSale, setSelectedSale] = useState(null);
+  const [selectedSaleReturns, setSelectedSaleReturns] = useState([]);
+  const [saleToReturn, setSaleToReturn] = useState(null);
   const [showItemsModal, setShowItemsModal] = useState(false);
   const [selectedSaleItems, setSelectedSaleItems] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -28,12 +62,94 @@ const Sales = () => {
   const [productSearchQuery, setProductSearchQuery] = useState('');
   const [activeTab, setActiveTab] = useState('all'); // 'all' or 'voided'
   const [currentStep, setCurrentStep] = useState(1); // 1 for product details, 2 for customer info
+  const [discountThreshold, setDiscountThreshold] = useState(20);
+  const [taxSettings, setTaxSettings] = useState({ vatRate: 12, pricesIncludeVat: false, exemptCategories: [] });
+  const [taxes, setTaxes] = useState(EMPTY_TAXES); // cart line prices, discounts and VAT, as quoted by the server
+  const [isQuoting, setIsQuoting] = useState(false);
+  const [payments, setPayments] = useState([emptyPayment()]);
+  const [heldSale, setHeldSale] = useState(null); // parked sale the current cart was resumed from
+  const [showParkModal, setShowParkModal] = useState(false);
+  const [showParkedModal, setShowParkedModal] = useState(false);
+  const [isParking, setIsParking] = useState(false);
+  const [serialPickerKey, setSerialPickerKey] = useState(null); // cart line whose serial numbers are being picked
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [customerMatches, setCustomerMatches] = useState([]);
+  const [customerAccount, setCustomerAccount] = useState(null); // credit limit and balance of the selected customer
+  const [priceLists, setPriceLists] = useState([]);
+  const [selectedPriceListId, setSelectedPriceListId] = useState(''); // '' prices by the customer's or default list
+  const [expiredStock, setExpiredStock] = useState({}); // expired deliveries still on hand, by product ID
+  const [currentShift, setCurrentShift] = useState(null); // cashier's open drawer shift
+  const [showOpenShiftModal, setShowOpenShiftModal] = useState(false);
+  const [showCashMovementModal, setShowCashMovementModal] = useState(false);
+  const [readingShift, setReadingShift] = useState(null);
+  const [isShiftSaving, setIsShiftSaving] = useState(false);
+  const scanBufferRef = useRef({ code: '', lastKeyAt: 0 }); // keystrokes from a keyboard-wedge scanner
+  const handleScanRef = useRef(null);
+  const productSearchRef = useRef(null);
   const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm();
+  const customerNameQuery = watch('customerName');
 
   useEffect(() => {
     fetchProducts();
+    fetchLocations();
+    fetchDiscountThreshold();
+    fetchPriceLists();
+    fetchExpiredStock();
+    fetchTaxSettings();
+    fetchCurrentShift();
   }, []);
 
+  // Type-ahead lookup of saved customers while a walk-in name is being typed
+  useEffect(() => {
+    const query = customerNameQuery?.trim();
+    if (selectedCustomer || !query || query.length < 2) {
+      setCustomerMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/customers', { params: { search: query, isActive: true, limit: 8 } });
+        setCustomerMatches(response.data.data);
+      } catch (error) {
+        // Error handled by axios interceptor
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [customerNameQuery, selectedCustomer]);
+
+  // Keyboard-wedge scanners type the code in a rapid burst followed by Enter.
+  // Keys arriving within SCAN_KEY_INTERVAL ms of each other are collected as a scan
+  useEffect(() => {
+    // The serial picker takes its own scans
+    if (!showModal || currentStep !== 1 || serialPickerKey) return;
+
+    const handleKeyDown = (e) => {
+      const now = Date.now();
+      const buffer = scanBufferRef.current;
+
+      if (e.key === 'Enter') {
+        const isScan = buffer.code.length >= MIN_SCAN_LENGTH && now - buffer.lastKeyAt < SCAN_KEY_INTERVAL;
+        // Enter in the product search also looks up a typed barcode or SKU
+        const typedCode = e.target === productSearchRef.current ? e.target.value.trim() : '';
+        const code = isScan ? buffer.code : typedCode;
+        scanBufferRef.current = { code: '', lastKeyAt: 0 };
+        if (code) {
+          e.preventDefault();
+          handleScanRef.current?.(code);
+        }
+        return;
+      }
+
+      if (e.key.length !== 1) return;
+      buffer.code = now - buffer.lastKeyAt < SCAN_KEY_INTERVAL ? buffer.code + e.key : e.key;
+      buffer.lastKeyAt = now;
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showModal, currentStep, serialPickerKey]);
+
   useEffect(() => {
     const voidStatus = activeTab === 'voided' ? true : false;
     setLoading(true);
@@ -61,69 +177,419 @@ const Sales = () => {
     }
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find(item => item.product._id === product._id);
-    // Calculate selling price: base price + (base price * markup percentage / 100)
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations?isActive=true');
+      setLocations(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch locations');
+    }
+  };
+
+  const fetchPriceLists = async () => {
+    try {
+      const response = await axios.get('/price-lists?isActive=true');
+      setPriceLists(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch price lists');
+    }
+  };
+
+  // Sales take expired deliveries first, so products holding any here need the SuperAdmin code to sell
+  const fetchExpiredStock = async () => {
+    try {
+      const response = await axios.get('/inventory/expiry-alerts', {
+        params: { days: 1, location: user?.location || undefined }
+      });
+      const expired = {};
+      response.data.data
+        .filter(alert => alert.status === 'expired')
+        .forEach(alert => {
+          expired[alert.product._id] = [...(expired[alert.product._id] || []), alert];
+        });
+      setExpiredStock(expired);
+    } catch (error) {
+      console.error('Failed to fetch expired stock');
+    }
+  };
+
+  const fetchDiscountThreshold = async () => {
+    try {
+      const response = await axios.get('/settings/discount-threshold');
+      setDiscountThreshold(response.data.data.threshold);
+    } catch (error) {
+      console.error('Failed to fetch discount threshold');
+    }
+  };
+
+  const fetchTaxSettings = async () => {
+    try {
+      const response = await axios.get('/settings/tax');
+      setTaxSettings(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch tax settings');
+    }
+  };
+
+  const fetchCurrentShift = async () => {
+    try {
+      const response = await axios.get('/shifts/current');
+      setCurrentShift(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch current shift');
+    }
+  };
+
+  const handleOpenShift = async (data) => {
+    setIsShiftSaving(true);
+    try {
+      const response = await axios.post('/shifts/open', data);
+      toast.success(response.data.message);
+      setCurrentShift(response.data.data);
+      setShowOpenShiftModal(false);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsShiftSaving(false);
+    }
+  };
+
+  const handleCashMovement = async (data) => {
+    setIsShiftSaving(true);
+    try {
+      const response = await axios.post(`/shifts/${currentShift._id}/cash-movements`, data);
+      toast.success(response.data.message);
+      setCurrentShift(response.data.data);
+      setShowCashMovementModal(false);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsShiftSaving(false);
+    }
+  };
+
+  // Keep the Z-reading on screen so it can be exported right after closing
+  const handleShiftClosed = (closedShift) => {
+    setCurrentShift(null);
+    setReadingShift(closedShift);
+  };
+
+  // Sales are rung up against an open shift, so ask for the opening float first
+  const handleNewSale = () => {
+    if (!currentShift) {
+      toast.error('Open a shift before processing sales');
+      setShowOpenShiftModal(true);
+      return;
+    }
+    reset();
+    setShowModal(true);
+  };
+
+  // Selling price: base price + (base price * markup percentage / 100)
+  const getSellingPrice = (product) => {
     const basePrice = product.price || 0;
     const markupPercentage = product.markupPercentage || 0;
-    const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
-    if (existingItem) {
-      setCart(cart.map(item =>
-        item.product._id === product._id
-          ? { ...item, quantity: item.quantity + 1 }
-          : item
-      ));
-    } else {
-      setCart([...cart, { product, quantity: 1, price: sellingPrice }]);
+    return basePrice + (basePrice * (markupPercentage / 100));
+  };
+
+  // Price, base-unit factor and allowed decimal places of a product in one of its units ('' = base unit)
+  const getUnitDetails = (product, uom) => {
+    const unit = uom ? product.uoms?.find(u => u.name === uom) : null;
+    return unit
+      ? { uom: unit.name, unitFactor: unit.factor, price: unit.price, precision: getQuantityPrecision(product, unit.name) }
+      : { uom: '', unitFactor: 1, price: getSellingPrice(product), precision: getQuantityPrecision(product) };
+  };
+
+  // A product can be in the cart once per unit (e.g., by the box and loose)
+  const getCartLineKey = (item) => `${item.product._id}:${item.uom || ''}`;
+
+  // Sales deduct from the cashier's location, or the default one
+  const saleLocation = locations.find(l => l._id === user?.location) || locations.find(l => l.isDefault);
+  const getAvailableStock = (product) => (saleLocation
+    ? product.locationStock?.find(entry => entry.location === saleLocation._id)?.quantity || 0
+    : product.stockQuantity);
+
+  // Stock the cart already takes from a product, in its base unit
+  const getCartBaseQuantity = (productId) => cart
+    .filter(item => item.product._id === productId)
+    .reduce((sum, item) => roundQuantity(sum + item.quantity * (item.unitFactor || 1)), 0);
+
+  // Functional update so scans that resolve after an await never drop a cart change
+  const addToCart = (product, uom = '') => {
+    const unit = getUnitDetails(product, uom);
+    const key = getCartLineKey({ product, uom: unit.uom });
+    setCart(prevCart => {
+      const existingItem = prevCart.find(item => getCartLineKey(item) === key);
+      if (existingItem) {
+        return prevCart.map(item =>
+          getCartLineKey(item) === key
+            ? { ...item, quantity: roundQuantity(item.quantity + 1, item.precision) }
+            : item
+        );
+      }
+      return [...prevCart, { product, quantity: 1, ...unit, discount: null, serialNumbers: product.tracking === 'serial' ? [] : undefined }];
+    });
+    // Serialized units are picked as they are added
+    if (product.tracking === 'serial') {
+      setSerialPickerKey(key);
+    }
+  };
+
+  // Units a serialized line needs, in base units
+  const getSerialsNeeded = (item) => roundQuantity((item.quantity || 0) * (item.unitFactor || 1));
+
+  // Lowering a serialized line's quantity drops the last serials picked
+  const trimSerials = (item, quantity) => (item.serialNumbers
+    ? { serialNumbers: item.serialNumbers.slice(0, Math.max(Math.floor(quantity * (item.unitFactor || 1)), 0)) }
+    : {});
+
+  // The line's quantity follows the number of units picked
+  const handleSerialsPicked = (serialNumbers) => {
+    const line = cart.find(item => getCartLineKey(item) === serialPickerKey);
+    setSerialPickerKey(null);
+    if (!line) return;
+
+    const unitFactor = line.unitFactor || 1;
+    if (serialNumbers.length % unitFactor !== 0) {
+      toast.error(`Pick serial numbers in multiples of ${unitFactor} for ${line.uom}`);
+      return;
+    }
+    updateCartQuantity(serialPickerKey, serialNumbers.length / unitFactor, serialNumbers);
+  };
+
+  // Add a scanned (or typed) barcode/SKU straight to the cart
+  const handleScan = async (code) => {
+    setProductSearchQuery('');
+    let product = products.find(p => p.barcode === code) || products.find(p => p.sku === code);
+
+    if (!product) {
+      try {
+        const response = await axios.get(`/products/lookup/${encodeURIComponent(code)}`);
+        product = response.data.data;
+      } catch (error) {
+        // Error handled by axios interceptor
+        return;
+      }
+    }
+
+    if (getAvailableStock(product) <= 0) {
+      toast.error(`${product.name} is out of stock${saleLocation ? ` at ${saleLocation.name}` : ''}`);
+      return;
     }
+    addToCart(product);
+    toast.success(`Added ${product.name}`);
   };
+  handleScanRef.current = handleScan;
 
-  const updateCartQuantity = (productId, quantity) => {
+  const updateCartQuantity = (lineKey, quantity, serialNumbers) => {
     if (quantity <= 0) {
-      setCart(cart.filter(item => item.product._id !== productId));
+      setCart(cart.filter(item => getCartLineKey(item) !== lineKey));
     } else {
       setCart(cart.map(item =>
-        item.product._id === productId
-          ? { ...item, quantity }
+        getCartLineKey(item) === lineKey
+          ? { ...item, quantity: roundQuantity(quantity, item.precision), ...(serialNumbers ? { serialNumbers } : trimSerials(item, quantity)) }
           : item
       ));
     }
   };
 
-  const calculateTotal = () => {
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const vatRate = 0.12; // 12% VAT
-    const vat = subtotal * vatRate;
-    const total = subtotal + vat;
+  // Typed quantities (e.g., 2.5 m or 1.75 kg) keep the line while the field is being edited;
+  // a line left at zero is dropped when the field loses focus
+  const setCartQuantityInput = (lineKey, value) => {
+    setCart(cart.map(item =>
+      getCartLineKey(item) === lineKey
+        ? { ...item, quantity: value === '' ? '' : roundQuantity(Math.max(parseFloat(value) || 0, 0), item.precision), ...trimSerials(item, parseFloat(value) || 0) }
+        : item
+    ));
+  };
+
+  // Switching a line's unit reprices it; it merges into a line already in that unit
+  const updateCartUom = (lineKey, uom) => {
+    const line = cart.find(item => getCartLineKey(item) === lineKey);
+    const unit = getUnitDetails(line.product, uom);
+    const targetKey = getCartLineKey({ product: line.product, uom: unit.uom });
+    const target = cart.find(item => getCartLineKey(item) === targetKey);
+
+    if (target && targetKey !== lineKey) {
+      setCart(cart
+        .filter(item => getCartLineKey(item) !== lineKey)
+        .map(item => (getCartLineKey(item) === targetKey
+          ? { ...item, quantity: roundQuantity(item.quantity + line.quantity, unit.precision), serialNumbers: item.serialNumbers && [...item.serialNumbers, ...line.serialNumbers] }
+          : item)));
+    } else {
+      // A whole-unit UOM cannot hold a fractional quantity carried over from a weighed unit
+      const quantity = roundQuantity(line.quantity, unit.precision) || 1;
+      setCart(cart.map(item => (getCartLineKey(item) === lineKey ? { ...item, ...unit, quantity, ...trimSerials({ ...item, ...unit }, quantity) } : item)));
+    }
+  };
+
+  const updateCartDiscount = (lineKey, changes) => {
+    setCart(cart.map(item => {
+      if (getCartLineKey(item) !== lineKey) return item;
+      const discount = { type: 'percentage', value: '', reasonCode: '', ...item.discount, ...changes };
+      return { ...item, discount };
+    }));
+  };
+
+  const updatePayment = (index, changes) => {
+    setPayments(payments.map((payment, i) => (i === index ? { ...payment, ...changes } : payment)));
+  };
+
+  const addPayment = () => {
+    // Prefill the new tender with whatever is still unpaid
+    const { remaining } = calculatePayments();
+    setPayments([...payments, { ...emptyPayment(), method: 'card', amount: remaining > 0 ? remaining.toFixed(2) : '' }]);
+  };
+
+  const removePayment = (index) => {
+    setPayments(payments.filter((_, i) => i !== index));
+  };
+
+  const getSaleDiscount = () => {
+    const value = parseFloat(watch('saleDiscountValue') || 0);
+    if (!value) return null;
     return {
-      subtotal,
-      discount: 0,
-      vat,
-      total
+      type: watch('saleDiscountType') || 'percentage',
+      value,
+      reasonCode: watch('saleDiscountReason') || ''
     };
   };
 
+  // Line prices, promotions, discounts and VAT come from the same rules createSale uses;
+  // the cart is re-quoted shortly after it stops changing
+  const taxQuote = cart.length > 0
+    ? {
+      lines: cart.map(item => ({
+        product: item.product._id,
+        quantity: item.quantity || 0,
+        uom: item.uom || undefined,
+        discount: item.discount
+      })),
+      saleDiscount: getSaleDiscount() || undefined,
+      zeroRated: !!watch('zeroRated'),
+      customer: selectedCustomer?._id,
+      priceList: selectedPriceListId || undefined
+    }
+    : null;
+  const taxQuoteKey = JSON.stringify(taxQuote);
+
+  useEffect(() => {
+    if (!taxQuote) {
+      setTaxes(EMPTY_TAXES);
+      setIsQuoting(false);
+      return;
+    }
+
+    let isCurrent = true;
+    setIsQuoting(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post('/sales/quote', taxQuote);
+        if (isCurrent) setTaxes(response.data.data);
+      } catch (error) {
+        // Error handled by axios interceptor
+      } finally {
+        if (isCurrent) setIsQuoting(false);
+      }
+    }, 250);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [taxQuoteKey]);
+
+  const calculateTotal = () => ({
+    ...taxes,
+    vat: taxes.vatAmount
+  });
+
+  // Each discount is held to the threshold on its own; the quote says whether any is above it
+  const requiresDiscountApproval = () => taxes.discountApprovalRequired;
+
+  const getChargedAmount = () => payments
+    .filter(payment => payment.method === 'charge')
+    .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+
+  // Charging past the customer's available credit needs the SuperAdmin code
+  const requiresCreditOverride = () => !!customerAccount && getChargedAmount() > customerAccount.availableCredit;
+
+  // Selling a product with expired stock on hand needs the SuperAdmin code
+  const getExpiredCartItems = () => cart.filter(item => expiredStock[item.product._id]);
+  const requiresExpiryOverride = () => getExpiredCartItems().length > 0;
+
+  const requiresSuperAdminCode = () => requiresDiscountApproval() || requiresCreditOverride() || requiresExpiryOverride();
+
   const onSubmit = async (data) => {
     if (cart.length === 0) {
       toast.error('Please add items to cart');
       return;
     }
+    if (cart.some(item => !(item.quantity > 0))) {
+      toast.error('Please enter a quantity for every item');
+      return;
+    }
+    const unpickedLine = cart.find(item => item.serialNumbers && item.serialNumbers.length !== getSerialsNeeded(item));
+    if (unpickedLine) {
+      toast.error(`Pick ${formatQuantity(getSerialsNeeded(unpickedLine))} serial number(s) for ${unpickedLine.product.name}`);
+      return;
+    }
+
+    const saleDiscount = getSaleDiscount();
+    const hasMissingReason = cart.some(item => parseFloat(item.discount?.value) > 0 && !item.discount.reasonCode)
+      || (saleDiscount && !saleDiscount.reasonCode);
+    if (hasMissingReason) {
+      toast.error('Please select a reason for every discount');
+      return;
+    }
+
+    const totals = calculateTotal();
+    const tenders = calculatePayments();
+    if (payments.some(payment => !(parseFloat(payment.amount) > 0))) {
+      toast.error('Please enter an amount for every payment');
+      return;
+    }
+    if (tenders.nonCash > totals.total) {
+      toast.error('Card, e-wallet and account charges cannot exceed the sale total');
+      return;
+    }
+    if (tenders.paid < totals.total) {
+      toast.error(`Payments must cover the total of ${formatCurrencyDisplay(totals.total)}`);
+      return;
+    }
+    if (getChargedAmount() > 0 && !(selectedCustomer?.creditLimit > 0)) {
+      toast.error('Select a customer with a credit account to charge this sale');
+      return;
+    }
 
     setIsSubmitting(true);
     try {
-      const totals = calculateTotal();
       const saleData = {
+        customer: selectedCustomer?._id,
+        saveCustomer: !selectedCustomer && data.customerName ? !!data.saveCustomer : undefined,
         customerName: data.customerName || undefined,
         customerPhone: data.contactNumber || undefined,
         tinNumber: data.tinNumber || undefined,
-        paymentMethod: data.paymentMethod,
-        cashRendered: data.paymentMethod === 'cash' && data.cashRendered ? parseFloat(data.cashRendered) : undefined,
+        payments: payments.map(payment => ({
+          method: payment.method,
+          amount: parseFloat(payment.amount),
+          reference: payment.method !== 'cash' ? payment.reference || undefined : undefined
+        })),
         items: cart.map(item => ({
           product: item.product._id,
-          quantity: item.quantity
+          quantity: item.quantity,
+          uom: item.uom || undefined,
+          discount: parseFloat(item.discount?.value) > 0 ? item.discount : undefined,
+          serialNumbers: item.serialNumbers
         })),
+        saleDiscount: saleDiscount || undefined,
+        priceList: selectedPriceListId || undefined,
+        heldSaleId: heldSale?._id,
+        superAdminCode: requiresSuperAdminCode() ? data.discountApprovalCode : undefined,
+        zeroRated: !!data.zeroRated,
+        zeroRatedReason: data.zeroRated ? data.zeroRatedReason : undefined,
+        zeroRatedReference: data.zeroRated ? data.zeroRatedReference || undefined : undefined,
         subtotal: totals.subtotal,
-        discount: 0,
+        discount: totals.discount,
         tax: totals.vat,
         total: totals.total
       };
@@ -132,6 +598,7 @@ const Sales = () => {
       toast.success('Sale processed successfully!');
       setShowModal(false);
       setCart([]);
+      fetchExpiredStock();
       reset();
       const voidStatus = activeTab === 'voided' ? true : false;
       fetchSales(voidStatus);
@@ -154,24 +621,142 @@ const Sales = () => {
     setCurrentStep(1);
   };
 
-  const calculateChange = () => {
-    const totals = calculateTotal();
-    const cashRendered = parseFloat(watch('cashRendered') || 0);
-    if (watch('paymentMethod') === 'cash' && cashRendered > 0) {
-      return Math.max(0, cashRendered - totals.total);
+  // Only cash can be tendered above the amount due, so change comes from the cash portion
+  const calculatePayments = () => {
+    const { total } = calculateTotal();
+    const sumOf = (list) => list.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+    const nonCash = sumOf(payments.filter(payment => payment.method !== 'cash'));
+    const cash = sumOf(payments.filter(payment => payment.method === 'cash'));
+    const paid = nonCash + cash;
+    return {
+      nonCash,
+      cash,
+      paid,
+      remaining: Math.max(0, total - paid),
+      change: nonCash <= total ? Math.max(0, paid - total) : 0
+    };
+  };
+
+  const handleParkSale = async ({ label, reserveStock, reserveMinutes }) => {
+    if (cart.some(item => !(item.quantity > 0))) {
+      toast.error('Please enter a quantity for every item');
+      return;
     }
-    return 0;
+    setIsParking(true);
+    try {
+      const saleDiscount = getSaleDiscount();
+      const response = await axios.post('/sales/held', {
+        label,
+        items: cart.map(item => ({
+          product: item.product._id,
+          quantity: item.quantity,
+          uom: item.uom || undefined,
+          discount: parseFloat(item.discount?.value) > 0 && item.discount.reasonCode ? item.discount : undefined,
+          serialNumbers: item.serialNumbers?.length ? item.serialNumbers : undefined
+        })),
+        saleDiscount: saleDiscount?.reasonCode ? saleDiscount : undefined,
+        priceList: selectedPriceListId || undefined,
+        customer: selectedCustomer?._id,
+        customerName: watch('customerName') || undefined,
+        customerPhone: watch('contactNumber') || undefined,
+        tinNumber: watch('tinNumber') || undefined,
+        reserveStock,
+        reserveMinutes,
+        heldSaleId: heldSale?._id
+      });
+      toast.success(response.data.message);
+      setShowParkModal(false);
+      setShowModal(false);
+      reset();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsParking(false);
+    }
+  };
+
+  const handleResumeSale = (parkedSale) => {
+    reset();
+    setCart(parkedSale.items
+      .filter(item => item.product)
+      .map(item => {
+        // Prefer the current product record so stock and price are up to date
+        const product = products.find(p => p._id === item.product._id) || item.product;
+        const discount = item.discount
+          ? { type: item.discount.type, value: item.discount.value, reasonCode: item.discount.reasonCode }
+          : null;
+        const serialNumbers = product.tracking === 'serial' ? item.serialNumbers || [] : undefined;
+        return { product, quantity: item.quantity, ...getUnitDetails(product, item.uom), discount, serialNumbers };
+      }));
+    setSelectedCustomer(parkedSale.customer || null);
+    loadCustomerAccount(parkedSale.customer);
+    setValue('customerName', parkedSale.customerName || '');
+    setValue('contactNumber', parkedSale.customerPhone || '');
+    setValue('tinNumber', parkedSale.tinNumber || '');
+    if (parkedSale.saleDiscount) {
+      setValue('saleDiscountType', parkedSale.saleDiscount.type);
+      setValue('saleDiscountValue', parkedSale.saleDiscount.value);
+      setValue('saleDiscountReason', parkedSale.saleDiscount.reasonCode);
+    }
+    // Keep the list the sale was parked with while it is still active
+    if (parkedSale.priceList && priceLists.some(list => list._id === parkedSale.priceList)) {
+      setSelectedPriceListId(parkedSale.priceList);
+    }
+    setHeldSale(parkedSale);
+    setShowParkedModal(false);
+    setShowModal(true);
+  };
+
+  const loadCustomerAccount = async (customer) => {
+    setCustomerAccount(null);
+    if (!(customer?.creditLimit > 0)) return;
+    try {
+      const response = await axios.get(`/customers/${customer._id}/account`);
+      setCustomerAccount(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleSelectCustomer = (customer) => {
+    setSelectedCustomer(customer);
+    loadCustomerAccount(customer);
+    setCustomerMatches([]);
+    setValue('customerName', customer.name);
+    setValue('contactNumber', customer.phone || '');
+    setValue('tinNumber', customer.tinNumber || '');
+    setValue('saveCustomer', false);
+  };
+
+  const handleClearCustomer = () => {
+    setSelectedCustomer(null);
+    setCustomerAccount(null);
+    setValue('customerName', '');
+    setValue('contactNumber', '');
+    setValue('tinNumber', '');
   };
 
   const reset = () => {
+    setHeldSale(null);
     setCart([]);
+    setSelectedPriceListId('');
     setProductSearchQuery('');
     setCurrentStep(1);
+    setSelectedCustomer(null);
+    setCustomerMatches([]);
+    setCustomerAccount(null);
     setValue('customerName', '');
     setValue('contactNumber', '');
     setValue('tinNumber', '');
-    setValue('paymentMethod', 'cash');
-    setValue('cashRendered', '');
+    setValue('saveCustomer', false);
+    setPayments([emptyPayment()]);
+    setValue('saleDiscountType', 'percentage');
+    setValue('saleDiscountValue', '');
+    setValue('saleDiscountReason', '');
+    setValue('discountApprovalCode', '');
+    setValue('zeroRated', false);
+    setValue('zeroRatedReason', 'peza');
+    setValue('zeroRatedReference', '');
   };
 
   const handleVoidClick = (sale) => {
@@ -222,14 +807,26 @@ const Sales = () => {
   const handleViewReceipt = async (sale) => {
     try {
       // Fetch full sale details with populated product data
-      const response = await axios.get(`/sales/${sale._id}`);
+      const [response, returnsResponse] = await Promise.all([
+        axios.get(`/sales/${sale._id}`),
+        axios.get(`/sales/${sale._id}/returns`)
+      ]);
       setSelectedSale(response.data.data);
+      setSelectedSaleReturns(returnsResponse.data.data);
       setShowReceiptModal(true);
     } catch (error) {
       // Error handled by axios interceptor
     }
   };
 
+  const handleReturnSuccess = () => {
+    setSaleToReturn(null);
+    const voidStatus = activeTab === 'voided' ? true : false;
+    fetchSales(voidStatus);
+  };
+
+  const isFullyReturned = (sale) => sale.items.every(item => (item.returnedQuantity || 0) >= item.quantity);
+
   const handleViewItems = (sale) => {
     setSelectedSaleItems(sale);
     setShowItemsModal(true);
@@ -268,24 +865,72 @@ const Sales = () => {
   }
 
   const totals = calculateTotal();
+  const paymentTotals = calculatePayments();
 
   return (
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Sales</h1>
         {(isStaff || isAdmin) && (
-          <button
-            onClick={() => {
-              reset();
-              setShowModal(true);
-            }}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
-          >
-            New Sale
-          </button>
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            <button
+              onClick={() => setShowParkedModal(true)}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 w-full sm:w-auto"
+            >
+              Parked Sales
+            </button>
+            <button
+              onClick={handleNewSale}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+            >
+              New Sale
+            </button>
+          </div>
         )}
       </div>
 
+      {/* Cash drawer shift */}
+      {(isStaff || isAdmin) && (
+        <div className={`mb-6 p-4 rounded-lg flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 ${
+          currentShift ? 'bg-green-50 border border-green-200' : 'bg-yellow-50 border border-yellow-200'
+        }`}>
+          {currentShift ? (
+            <>
+              <div className="text-sm">
+                <p className="font-semibold text-green-800">Shift {currentShift.shiftNumber} is open</p>
+                <p className="text-gray-600">
+                  Since {new Date(currentShift.openedAt).toLocaleString()} · Opening float {formatCurrencyDisplay(currentShift.openingFloat)}
+                </p>
+              </div>
+              <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+                <button
+                  onClick={() => setShowCashMovementModal(true)}
+                  className="bg-white text-gray-700 border px-4 py-2 rounded-lg hover:bg-gray-50 w-full sm:w-auto"
+                >
+                  Cash In / Out
+                </button>
+                <button
+                  onClick={() => setReadingShift(currentShift)}
+                  className="bg-white text-gray-700 border px-4 py-2 rounded-lg hover:bg-gray-50 w-full sm:w-auto"
+                >
+                  X-Reading / Close Shift
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm font-semibold text-yellow-800">No open shift. Open a shift to start ringing up sales.</p>
+              <button
+                onClick={() => setShowOpenShiftModal(true)}
+                className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 w-full sm:w-auto"
+              >
+                Open Shift
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="mb-6 border-b border-gray-200">
         <nav className="flex space-x-8" aria-label="Tabs">
@@ -346,12 +991,16 @@ const Sales = () => {
                   </td>
                   <td className="px-6 py-4">{sale.items.length} item(s)</td>
                   <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(sale.total)}</td>
-                  <td className="px-6 py-4 whitespace-nowrap capitalize">{sale.paymentMethod}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{formatPaymentMethod(sale.paymentMethod)}</td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {sale.isVoid ? (
                       <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
                         Void
                       </span>
+                    ) : sale.returnedTotal > 0 ? (
+                      <span className="px-2 py-1 text-xs font-semibold rounded-full bg-orange-100 text-orange-800">
+                        {isFullyReturned(sale) ? 'Returned' : 'Partially Returned'}
+                      </span>
                     ) : (
                       <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
                         Active
@@ -390,7 +1039,30 @@ const Sales = () => {
                           />
                         </svg>
                       </button>
-                      {(isStaff || isAdmin) && !sale.isVoid && (
+                      {(isStaff || isAdmin) && !sale.isVoid && !isFullyReturned(sale) && (
+                        <button
+                          onClick={() => setSaleToReturn(sale)}
+                          className="p-2 text-orange-600 hover:text-orange-800 hover:bg-orange-50 rounded transition-colors"
+                          title="Return Items"
+                          aria-label="Return Items"
+                        >
+                          <svg
+                            xmlns="http://www.w3.org/2000/svg"
+                            className="h-5 w-5"
+                            fill="none"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6"
+                            />
+                          </svg>
+                        </button>
+                      )}
+                      {(isStaff || isAdmin) && !sale.isVoid && !(sale.returnedTotal > 0) && (
                         <button
                           onClick={() => handleVoidClick(sale)}
                           className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
@@ -432,7 +1104,9 @@ const Sales = () => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto relative">
             <div className="flex justify-between items-center mb-4">
-              <h2 className="text-xl sm:text-2xl font-bold">New Sale</h2>
+              <h2 className="text-xl sm:text-2xl font-bold">
+                {heldSale ? `Resumed: ${heldSale.heldLabel || heldSale.saleNumber}` : 'New Sale'}
+              </h2>
               <button
                 type="button"
                 onClick={() => {
@@ -484,19 +1158,23 @@ const Sales = () => {
                     <h3 className="font-semibold mb-2">Add Products</h3>
                     <div className="mb-3">
                       <input
+                        ref={productSearchRef}
                         type="text"
                         value={productSearchQuery}
                         onChange={(e) => setProductSearchQuery(e.target.value)}
-                        placeholder="Search products..."
+                        placeholder="Search products, or scan a barcode..."
+                        autoFocus
                         className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       />
                     </div>
                     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-40 overflow-y-auto">
                       {products
-                        .filter(p => p.stockQuantity > 0)
+                        .filter(p => getAvailableStock(p) > 0)
                         .filter(p => 
                           productSearchQuery === '' || 
-                          p.name.toLowerCase().includes(productSearchQuery.toLowerCase())
+                          p.name.toLowerCase().includes(productSearchQuery.toLowerCase()) ||
+                          p.barcode === productSearchQuery.trim() ||
+                          p.sku === productSearchQuery.trim()
                         )
                         .map((product) => {
                           // Calculate selling price: base price + (base price * markup percentage / 100)
@@ -512,14 +1190,16 @@ const Sales = () => {
                             >
                               <div className="font-semibold">{product.name}</div>
                               <div className="text-sm text-gray-600">{formatCurrencyDisplay(sellingPrice)}</div>
-                              <div className="text-xs text-gray-500">Stock: {product.stockQuantity}</div>
+                              <div className="text-xs text-gray-500">Stock: {formatQuantity(getAvailableStock(product))}{product.unit && ` ${product.unit}`}</div>
                             </button>
                           );
                         })}
                       {productSearchQuery !== '' && products
-                        .filter(p => p.stockQuantity > 0)
+                        .filter(p => getAvailableStock(p) > 0)
                         .filter(p => 
-                          p.name.toLowerCase().includes(productSearchQuery.toLowerCase())
+                          p.name.toLowerCase().includes(productSearchQuery.toLowerCase()) ||
+                          p.barcode === productSearchQuery.trim() ||
+                          p.sku === productSearchQuery.trim()
                         ).length === 0 && (
                         <div className="col-span-full text-center text-gray-500 py-4">
                           No products found matching "{productSearchQuery}"
@@ -529,37 +1209,149 @@ const Sales = () => {
                   </div>
 
                   <div className="border rounded-lg p-4">
-                    <h3 className="font-semibold mb-2">Cart Summary</h3>
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                      <h3 className="font-semibold">Cart Summary</h3>
+                      {priceLists.length > 0 && (
+                        <label className="flex items-center gap-2 text-sm">
+                          <span className="text-gray-600">Price list:</span>
+                          <select
+                            value={selectedPriceListId}
+                            onChange={(e) => setSelectedPriceListId(e.target.value)}
+                            className="px-2 py-1 border rounded"
+                          >
+                            <option value="">
+                              Auto{!selectedPriceListId && cart.length > 0 && ` (${taxes.priceListName || 'retail'})`}
+                            </option>
+                            {priceLists.map(list => (
+                              <option key={list._id} value={list._id}>{list.name}</option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
                     {cart.length === 0 ? (
                       <p className="text-gray-500">No items in cart</p>
                     ) : (
                       <div className="space-y-2">
-                        {cart.map((item) => (
-                          <div key={item.product._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
-                            <div>
-                              <div className="font-semibold">{item.product.name}</div>
-                              <div className="text-sm text-gray-600">{formatCurrencyDisplay(item.price)} each</div>
+                        {cart.map((item, index) => (
+                          <div key={getCartLineKey(item)} className="p-2 bg-gray-50 rounded">
+                            <div className="flex items-center justify-between">
+                              <div>
+                                <div className="font-semibold">{item.product.name}</div>
+                                <div className="text-sm text-gray-600 flex items-center gap-1">
+                                  {totals.lines[index] ? formatCurrencyDisplay(totals.lines[index].price) : '-'} per
+                                  {item.product.uoms?.length > 0 ? (
+                                    <select
+                                      value={item.uom || ''}
+                                      onChange={(e) => updateCartUom(getCartLineKey(item), e.target.value)}
+                                      className="px-1 py-0.5 border rounded text-sm"
+                                    >
+                                      <option value="">{item.product.unit || 'Unit'}</option>
+                                      {item.product.uoms.map(uom => (
+                                        <option key={uom.name} value={uom.name}>
+                                          {uom.name} ({uom.factor} {item.product.unit || 'units'})
+                                        </option>
+                                      ))}
+                                    </select>
+                                  ) : (
+                                    <span>{item.product.unit || 'unit'}</span>
+                                  )}
+                                </div>
+                              </div>
+                              <div className="flex items-center space-x-2">
+                                <button
+                                  type="button"
+                                  onClick={() => updateCartQuantity(getCartLineKey(item), (item.quantity || 0) - 1)}
+                                  className="px-2 py-1 bg-gray-200 rounded"
+                                >
+                                  -
+                                </button>
+                                {item.precision > 0 ? (
+                                  <input
+                                    type="number"
+                                    min={0}
+                                    step={10 ** -item.precision}
+                                    value={item.quantity}
+                                    onChange={(e) => setCartQuantityInput(getCartLineKey(item), e.target.value)}
+                                    onBlur={() => {
+                                      if (!(item.quantity > 0)) updateCartQuantity(getCartLineKey(item), 0);
+                                    }}
+                                    className="w-20 px-1 py-0.5 border rounded text-center"
+                                  />
+                                ) : (
+                                  <span className="w-12 text-center">{item.quantity}</span>
+                                )}
+                                <button
+                                  type="button"
+                                  onClick={() => updateCartQuantity(getCartLineKey(item), (item.quantity || 0) + 1)}
+                                  disabled={roundQuantity(getCartBaseQuantity(item.product._id) + (item.unitFactor || 1)) > getAvailableStock(item.product)}
+                                  className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+                                >
+                                  +
+                                </button>
+                                <span className="w-20 text-right font-semibold">
+                                  {totals.lines[index] ? formatCurrencyDisplay(totals.lines[index].netAmount) : '-'}
+                                </span>
+                              </div>
                             </div>
-                            <div className="flex items-center space-x-2">
-                              <button
-                                type="button"
-                                onClick={() => updateCartQuantity(item.product._id, item.quantity - 1)}
-                                className="px-2 py-1 bg-gray-200 rounded"
+                            {item.serialNumbers && (
+                              <div className="mt-1 flex items-center gap-2 text-xs">
+                                <span className={item.serialNumbers.length === getSerialsNeeded(item) ? 'text-gray-600' : 'text-orange-600'}>
+                                  S/N: {item.serialNumbers.length > 0 ? item.serialNumbers.join(', ') : 'none picked'}
+                                  {' '}({item.serialNumbers.length} of {formatQuantity(getSerialsNeeded(item))})
+                                </span>
+                                <button
+                                  type="button"
+                                  onClick={() => setSerialPickerKey(getCartLineKey(item))}
+                                  className="text-blue-600 hover:text-blue-800"
+                                >
+                                  Pick
+                                </button>
+                              </div>
+                            )}
+                            {expiredStock[item.product._id] && (
+                              <div className="mt-1 text-xs text-red-600">
+                                Expired stock on hand: {expiredStock[item.product._id]
+                                  .map(alert => `${alert.lotNumber ? `Lot ${alert.lotNumber}, ` : ''}exp. ${formatDate(alert.expiryDate)}`)
+                                  .join('; ')}. The SuperAdmin code is needed to sell it.
+                              </div>
+                            )}
+                            {totals.lines[index]?.promotionName && (
+                              <div className="mt-1 text-xs text-green-700">
+                                Promo: {totals.lines[index].promotionName} (-{formatCurrencyDisplay(totals.lines[index].promotionDiscount)})
+                              </div>
+                            )}
+                            {/* Line discount */}
+                            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                              <span className="text-gray-600">Discount:</span>
+                              <select
+                                value={item.discount?.type || 'percentage'}
+                                onChange={(e) => updateCartDiscount(getCartLineKey(item), { type: e.target.value })}
+                                className="px-2 py-1 border rounded"
                               >
-                                -
-                              </button>
-                              <span className="w-12 text-center">{item.quantity}</span>
-                              <button
-                                type="button"
-                                onClick={() => updateCartQuantity(item.product._id, item.quantity + 1)}
-                                disabled={item.quantity >= item.product.stockQuantity}
-                                className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+                                {DISCOUNT_TYPES.map(type => (
+                                  <option key={type.value} value={type.value}>{type.label}</option>
+                                ))}
+                              </select>
+                              <input
+                                type="number"
+                                step="0.01"
+                                min={0}
+                                value={item.discount?.value ?? ''}
+                                onChange={(e) => updateCartDiscount(getCartLineKey(item), { value: e.target.value })}
+                                className="w-24 px-2 py-1 border rounded"
+                                placeholder="0"
+                              />
+                              <select
+                                value={item.discount?.reasonCode || ''}
+                                onChange={(e) => updateCartDiscount(getCartLineKey(item), { reasonCode: e.target.value })}
+                                className="px-2 py-1 border rounded"
                               >
-                                +
-                              </button>
-                              <span className="w-20 text-right font-semibold">
-                                {formatCurrencyDisplay(item.price * item.quantity)}
-                              </span>
+                                <option value="">Reason...</option>
+                                {DISCOUNT_REASONS.map(reason => (
+                                  <option key={reason.value} value={reason.value}>{reason.label}</option>
+                                ))}
+                              </select>
                             </div>
                           </div>
                         ))}
@@ -572,14 +1364,63 @@ const Sales = () => {
               {/* Step 2: Customer Info */}
               {currentStep === 2 && (
                 <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium mb-1">Customer Name (Optional)</label>
+                  <div className="relative">
+                    <div className="flex justify-between items-center mb-1">
+                      <label className="block text-sm font-medium">Customer Name (Optional)</label>
+                      {selectedCustomer && (
+                        <button
+                          type="button"
+                          onClick={handleClearCustomer}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Clear customer
+                        </button>
+                      )}
+                    </div>
                     <input
                       {...register('customerName')}
                       type="text"
-                      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                      placeholder="Enter customer name"
+                      readOnly={!!selectedCustomer}
+                      autoComplete="off"
+                      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent read-only:bg-green-50"
+                      placeholder="Search saved customers or enter a walk-in name"
                     />
+                    {selectedCustomer && (
+                      <p className="text-xs text-green-700 mt-1">
+                        Linked to saved customer record
+                        {customerAccount && (
+                          <> · Credit available {formatCurrencyDisplay(customerAccount.availableCredit)} of {formatCurrencyDisplay(customerAccount.creditLimit)}, {customerAccount.paymentTermsDays}-day terms</>
+                        )}
+                      </p>
+                    )}
+                    {customerAccount?.overdue > 0 && (
+                      <p className="text-xs text-red-600 mt-1">
+                        {formatCurrencyDisplay(customerAccount.overdue)} of the account balance is overdue
+                      </p>
+                    )}
+                    {customerMatches.length > 0 && (
+                      <div className="absolute z-10 w-full bg-white border rounded-lg shadow-lg mt-1 max-h-48 overflow-y-auto">
+                        {customerMatches.map(customer => (
+                          <button
+                            key={customer._id}
+                            type="button"
+                            onClick={() => handleSelectCustomer(customer)}
+                            className="w-full text-left px-3 py-2 hover:bg-blue-50 border-b last:border-b-0"
+                          >
+                            <div className="font-medium text-sm">{customer.name}</div>
+                            <div className="text-xs text-gray-500">
+                              {[customer.phone, customer.tinNumber && `TIN ${customer.tinNumber}`].filter(Boolean).join(' · ') || 'No contact details'}
+                            </div>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {!selectedCustomer && customerNameQuery?.trim() && (
+                      <label className="flex items-center gap-2 text-sm text-gray-700 mt-2">
+                        <input type="checkbox" {...register('saveCustomer')} />
+                        Save as new customer
+                      </label>
+                    )}
                   </div>
                   <div>
                     <label className="block text-sm font-medium mb-1">Contact Number (Optional)</label>
@@ -600,49 +1441,147 @@ const Sales = () => {
                     />
                   </div>
                   <div>
-                    <label className="block text-sm font-medium mb-1">Payment Method *</label>
-                    <select
-                      {...register('paymentMethod', { required: 'Payment method is required' })}
-                      className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    >
-                      <option value="cash">Cash</option>
-                      <option value="card">Card</option>
-                      <option value="mobile_payment">Mobile Payment</option>
-                      <option value="other">Other</option>
-                    </select>
-                    {errors.paymentMethod && (
-                      <p className="text-red-500 text-xs mt-1">{errors.paymentMethod.message}</p>
-                    )}
-                  </div>
-                  {watch('paymentMethod') === 'cash' && (
-                    <div>
-                      <label className="block text-sm font-medium mb-1">Cash Rendered *</label>
+                    <label className="block text-sm font-medium mb-1">Sale Discount (Optional)</label>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <select
+                        {...register('saleDiscountType')}
+                        className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {DISCOUNT_TYPES.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
                       <input
-                        {...register('cashRendered', {
-                          required: watch('paymentMethod') === 'cash' ? 'Cash rendered is required' : false,
-                          validate: (value) => {
-                            if (watch('paymentMethod') === 'cash') {
-                              const totals = calculateTotal();
-                              const cashAmount = parseFloat(value || 0);
-                              if (cashAmount < totals.total) {
-                                return `Cash rendered must be at least ${formatCurrencyDisplay(totals.total)}`;
-                              }
-                            }
-                            return true;
-                          },
-                          valueAsNumber: true
-                        })}
+                        {...register('saleDiscountValue')}
                         type="number"
                         step="0.01"
                         min={0}
+                        className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Enter discount"
+                      />
+                      <select
+                        {...register('saleDiscountReason')}
+                        className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="">Select reason</option>
+                        {DISCOUNT_REASONS.map(reason => (
+                          <option key={reason.value} value={reason.value}>{reason.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  {requiresSuperAdminCode() && (
+                    <div>
+                      <label className="block text-sm font-medium mb-1">SuperAdmin Code *</label>
+                      <input
+                        {...register('discountApprovalCode', {
+                          required: requiresSuperAdminCode() ? 'The SuperAdmin code is required to approve this sale' : false
+                        })}
+                        type="password"
                         className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                        placeholder="Enter amount paid"
+                        placeholder="Enter SuperAdmin code"
+                        autoComplete="off"
                       />
-                      {errors.cashRendered && (
-                        <p className="text-red-500 text-xs mt-1">{errors.cashRendered.message}</p>
+                      {requiresDiscountApproval() && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          A discount is above the {discountThreshold}% approval threshold.
+                        </p>
+                      )}
+                      {requiresCreditOverride() && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Charging {formatCurrencyDisplay(getChargedAmount())} exceeds the available credit of {formatCurrencyDisplay(customerAccount.availableCredit)}.
+                        </p>
+                      )}
+                      {requiresExpiryOverride() && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Expired stock on hand for {getExpiredCartItems().map(item => item.product.name).join(', ')}; it is sold first.
+                        </p>
+                      )}
+                      {errors.discountApprovalCode && (
+                        <p className="text-red-500 text-xs mt-1">{errors.discountApprovalCode.message}</p>
                       )}
                     </div>
                   )}
+                  <div className="border rounded-lg p-3">
+                    <label className="flex items-center gap-2 text-sm font-medium">
+                      <input {...register('zeroRated')} type="checkbox" className="w-4 h-4" />
+                      Zero-rated sale (PEZA / Diplomatic)
+                    </label>
+                    {watch('zeroRated') && (
+                      <div className="flex flex-col sm:flex-row gap-2 mt-2">
+                        <select
+                          {...register('zeroRatedReason')}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="peza">PEZA-registered</option>
+                          <option value="diplomatic">Diplomatic</option>
+                        </select>
+                        <input
+                          {...register('zeroRatedReference')}
+                          type="text"
+                          className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Certificate / ID number"
+                        />
+                      </div>
+                    )}
+                  </div>
+                  <div>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="block text-sm font-medium">Payments *</label>
+                      <button
+                        type="button"
+                        onClick={addPayment}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        + Add Tender
+                      </button>
+                    </div>
+                    <div className="space-y-2">
+                      {payments.map((payment, index) => (
+                        <div key={index} className="flex flex-col sm:flex-row gap-2">
+                          <select
+                            value={payment.method}
+                            onChange={(e) => updatePayment(index, { method: e.target.value })}
+                            className="sm:w-40 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            {PAYMENT_METHODS
+                              .filter(method => method.value !== 'charge' || selectedCustomer?.creditLimit > 0 || payment.method === 'charge')
+                              .map(method => (
+                                <option key={method.value} value={method.value}>{method.label}</option>
+                              ))}
+                          </select>
+                          <input
+                            type="number"
+                            step="0.01"
+                            min={0}
+                            value={payment.amount}
+                            onChange={(e) => updatePayment(index, { amount: e.target.value })}
+                            className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            placeholder={payment.method === 'cash' ? 'Cash rendered' : 'Amount'}
+                          />
+                          {!['cash', 'charge'].includes(payment.method) && (
+                            <input
+                              type="text"
+                              value={payment.reference}
+                              onChange={(e) => updatePayment(index, { reference: e.target.value })}
+                              className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder="Approval code / reference no."
+                            />
+                          )}
+                          {payments.length > 1 && (
+                            <button
+                              type="button"
+                              onClick={() => removePayment(index)}
+                              className="px-3 py-2 text-red-600 hover:text-red-800"
+                              aria-label="Remove tender"
+                            >
+                              ×
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
                 </div>
               )}
 
@@ -652,19 +1591,60 @@ const Sales = () => {
                   <span>Subtotal:</span>
                   <span>{formatCurrencyDisplay(totals.subtotal)}</span>
                 </div>
+                {totals.discount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>Discount:</span>
+                    <span>-{formatCurrencyDisplay(totals.discount)}</span>
+                  </div>
+                )}
+                {totals.lessVat > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>Less: VAT (Exempt/Zero-Rated):</span>
+                    <span>-{formatCurrencyDisplay(totals.lessVat)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between mb-1 text-sm text-gray-600">
+                  <span>VATable Sales:</span>
+                  <span>{formatCurrencyDisplay(totals.vatableSales)}</span>
+                </div>
+                {totals.vatExemptSales > 0 && (
+                  <div className="flex justify-between mb-1 text-sm text-gray-600">
+                    <span>VAT-Exempt Sales:</span>
+                    <span>{formatCurrencyDisplay(totals.vatExemptSales)}</span>
+                  </div>
+                )}
+                {totals.zeroRatedSales > 0 && (
+                  <div className="flex justify-between mb-1 text-sm text-gray-600">
+                    <span>Zero-Rated Sales:</span>
+                    <span>{formatCurrencyDisplay(totals.zeroRatedSales)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between mb-2">
-                  <span>VAT (12%):</span>
+                  <span>VAT ({taxSettings.vatRate}%{taxSettings.pricesIncludeVat ? ', included' : ''}):</span>
                   <span>{formatCurrencyDisplay(totals.vat)}</span>
                 </div>
                 <div className="flex justify-between text-xl font-bold border-t pt-2 mb-2">
                   <span>Total:</span>
                   <span>{formatCurrencyDisplay(totals.total)}</span>
                 </div>
-                {watch('paymentMethod') === 'cash' && watch('cashRendered') && parseFloat(watch('cashRendered') || 0) > 0 && (
-                  <div className="flex justify-between text-lg font-semibold text-green-600 border-t pt-2">
-                    <span>Change:</span>
-                    <span>{formatCurrencyDisplay(calculateChange())}</span>
-                  </div>
+                {currentStep === 2 && paymentTotals.paid > 0 && (
+                  <>
+                    <div className="flex justify-between mb-2">
+                      <span>Amount Paid:</span>
+                      <span>{formatCurrencyDisplay(paymentTotals.paid)}</span>
+                    </div>
+                    {paymentTotals.remaining > 0 ? (
+                      <div className="flex justify-between text-lg font-semibold text-red-600 border-t pt-2">
+                        <span>Remaining:</span>
+                        <span>{formatCurrencyDisplay(paymentTotals.remaining)}</span>
+                      </div>
+                    ) : (
+                      <div className="flex justify-between text-lg font-semibold text-green-600 border-t pt-2">
+                        <span>Change:</span>
+                        <span>{formatCurrencyDisplay(paymentTotals.change)}</span>
+                      </div>
+                    )}
+                  </>
                 )}
               </div>
 
@@ -682,6 +1662,14 @@ const Sales = () => {
                     >
                       Cancel
                     </button>
+                    <button
+                      type="button"
+                      onClick={() => setShowParkModal(true)}
+                      disabled={cart.length === 0}
+                      className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Park
+                    </button>
                     <button
                       type="button"
                       onClick={handleNextStep}
@@ -702,8 +1690,16 @@ const Sales = () => {
                       Previous
                     </button>
                     <button
-                      type="submit"
+                      type="button"
+                      onClick={() => setShowParkModal(true)}
                       disabled={isSubmitting}
+                      className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Park
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={isSubmitting || isQuoting}
                       className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       {isSubmitting ? 'Processing...' : 'Process Sale'}
@@ -736,6 +1732,61 @@ const Sales = () => {
         isLoading={isVoiding}
       />
 
+      <ParkSaleModal
+        isOpen={showParkModal}
+        onClose={() => setShowParkModal(false)}
+        onConfirm={handleParkSale}
+        defaultLabel={heldSale?.heldLabel || watch('customerName') || ''}
+        isLoading={isParking}
+      />
+
+      <SerialPickerModal
+        isOpen={!!serialPickerKey}
+        onClose={() => setSerialPickerKey(null)}
+        onConfirm={handleSerialsPicked}
+        product={cart.find(item => getCartLineKey(item) === serialPickerKey)?.product}
+        selected={cart.find(item => getCartLineKey(item) === serialPickerKey)?.serialNumbers}
+        excluded={cart
+          .filter(item => getCartLineKey(item) !== serialPickerKey)
+          .flatMap(item => item.serialNumbers || [])}
+        location={saleLocation?._id}
+      />
+
+      <ParkedSalesModal
+        isOpen={showParkedModal}
+        onClose={() => setShowParkedModal(false)}
+        onResume={handleResumeSale}
+      />
+
+      <OpenShiftModal
+        isOpen={showOpenShiftModal}
+        onClose={() => setShowOpenShiftModal(false)}
+        onConfirm={handleOpenShift}
+        isLoading={isShiftSaving}
+      />
+
+      <CashMovementModal
+        isOpen={showCashMovementModal}
+        onClose={() => setShowCashMovementModal(false)}
+        onConfirm={handleCashMovement}
+        isLoading={isShiftSaving}
+      />
+
+      <ShiftReadingModal
+        isOpen={!!readingShift}
+        shift={readingShift}
+        onClose={() => setReadingShift(null)}
+        onShiftClosed={handleShiftClosed}
+        allowClose
+      />
+
+      <ReturnModal
+        isOpen={!!saleToReturn}
+        sale={saleToReturn}
+        onClose={() => setSaleToReturn(null)}
+        onSuccess={handleReturnSuccess}
+      />
+
       <ConfirmModal
         isOpen={showVoidModal}
         onClose={() => {
@@ -884,8 +1935,23 @@ const Sales = () => {
                         
                         return (
                           <tr key={index}>
-                            <td className="px-4 py-2">{productName}</td>
-                            <td className="px-4 py-2 text-center">{quantity}</td>
+                            <td className="px-4 py-2">
+                              {productName}
+                              {item.priceListName && (
+                                <div className="text-xs text-blue-700">{item.priceListName} price</div>
+                              )}
+                              {item.promotionName && item.promotionDiscount > 0 && (
+                                <div className="text-xs text-green-700">
+                                  Promo: {item.promotionName} (-{formatCurrencyDisplay(item.promotionDiscount)})
+                                </div>
+                              )}
+                              {item.discount && item.discountAmount > 0 && (
+                                <div className="text-xs text-gray-500">
+                                  Less: {getDiscountReasonLabel(item.discount.reasonCode)} (-{formatCurrencyDisplay(item.discountAmount)})
+                                </div>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-center">{formatQuantity(quantity)}{item.uom && ` ${item.uom}`}</td>
                             <td className="px-4 py-2 text-right">{formatCurrencyDisplay(price)}</td>
                             <td className="px-4 py-2 text-right font-semibold">{formatCurrencyDisplay(subtotal)}</td>
                           </tr>
@@ -902,21 +1968,67 @@ const Sales = () => {
                   <span>Subtotal:</span>
                   <span>{formatCurrencyDisplay(selectedSale.subtotal)}</span>
                 </div>
+                {selectedSale.saleDiscount?.amount > 0 && (
+                  <div className="flex justify-between text-sm text-gray-600">
+                    <span>Sale Discount ({getDiscountReasonLabel(selectedSale.saleDiscount.reasonCode)}):</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.saleDiscount.amount)}</span>
+                  </div>
+                )}
                 {selectedSale.discount > 0 && (
                   <div className="flex justify-between">
                     <span>Discount:</span>
-                    <span>{formatCurrencyDisplay(selectedSale.discount)}</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.discount)}</span>
+                  </div>
+                )}
+                {selectedSale.vatBreakdown?.lessVat > 0 && (
+                  <div className="flex justify-between">
+                    <span>Less: VAT (Exempt/Zero-Rated):</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.vatBreakdown.lessVat)}</span>
+                  </div>
+                )}
+                {selectedSale.vatBreakdown && (
+                  <div className="text-sm text-gray-600 space-y-1">
+                    <div className="flex justify-between">
+                      <span>VATable Sales:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.vatBreakdown.vatableSales)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>VAT-Exempt Sales:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.vatBreakdown.vatExemptSales)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Zero-Rated Sales:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.vatBreakdown.zeroRatedSales)}</span>
+                    </div>
                   </div>
                 )}
                 <div className="flex justify-between">
-                  <span>Tax (VAT):</span>
+                  <span>VAT{selectedSale.vatBreakdown ? ` (${selectedSale.vatBreakdown.vatRate}%)` : ''}:</span>
                   <span>{formatCurrencyDisplay(selectedSale.tax)}</span>
                 </div>
                 <div className="flex justify-between text-xl font-bold border-t pt-2 mt-2">
                   <span>Total:</span>
                   <span>{formatCurrencyDisplay(selectedSale.total)}</span>
                 </div>
-                {selectedSale.paymentMethod === 'cash' && selectedSale.cashRendered && (
+                {selectedSale.payments?.length > 0 ? (
+                  <>
+                    {selectedSale.payments.map((payment, index) => (
+                      <div key={index} className="flex justify-between mt-2">
+                        <span>
+                          {formatPaymentMethod(payment.method)}
+                          {payment.reference && <span className="text-xs text-gray-500"> (Ref: {payment.reference})</span>}
+                        </span>
+                        <span>{formatCurrencyDisplay(payment.tendered ?? payment.amount)}</span>
+                      </div>
+                    ))}
+                    {selectedSale.change > 0 && (
+                      <div className="flex justify-between text-lg font-semibold border-t pt-2 mt-2">
+                        <span>Change:</span>
+                        <span>{formatCurrencyDisplay(selectedSale.change)}</span>
+                      </div>
+                    )}
+                  </>
+                ) : selectedSale.paymentMethod === 'cash' && selectedSale.cashRendered && (
                   <>
                     <div className="flex justify-between mt-2">
                       <span>Cash Rendered:</span>
@@ -936,8 +2048,64 @@ const Sales = () => {
                   <span className="font-semibold">Payment Method:</span>
                   <span className="capitalize">{formatPaymentMethod(selectedSale.paymentMethod)}</span>
                 </div>
+                {selectedSale.chargedAmount > 0 && (
+                  <>
+                    <div className="flex justify-between text-sm mt-1">
+                      <span>Balance Due:</span>
+                      <span className={selectedSale.balanceDue > 0 ? 'text-red-600 font-semibold' : 'text-green-700'}>
+                        {selectedSale.balanceDue > 0 ? formatCurrencyDisplay(selectedSale.balanceDue) : 'Paid'}
+                      </span>
+                    </div>
+                    {selectedSale.dueDate && (
+                      <div className="flex justify-between text-sm">
+                        <span>Due Date:</span>
+                        <span>{new Date(selectedSale.dueDate).toLocaleDateString()}</span>
+                      </div>
+                    )}
+                  </>
+                )}
               </div>
 
+              {/* Returns */}
+              {selectedSaleReturns.length > 0 && (
+                <div className="border-t pt-4">
+                  <h3 className="font-semibold mb-2">Returns</h3>
+                  <div className="space-y-3">
+                    {selectedSaleReturns.map(creditMemo => (
+                      <div key={creditMemo._id} className="text-sm">
+                        <div className="flex justify-between font-semibold">
+                          <span>Credit Memo {creditMemo.creditMemoNumber}</span>
+                          <span>{formatDate(creditMemo.createdAt)}</span>
+                        </div>
+                        {creditMemo.items.map((item, index) => (
+                          <div key={index} className="flex justify-between text-gray-600">
+                            <span>
+                              {formatQuantity(item.quantity)}{item.uom && ` ${item.uom}`} x {item.product?.name || 'Unknown'} ({item.disposition === 'write_off' ? 'Written off' : 'Restocked'})
+                            </span>
+                            <span>-{formatCurrencyDisplay(item.amount)}</span>
+                          </div>
+                        ))}
+                        <div className="text-xs text-gray-500">
+                          {creditMemo.accountCredit > 0 && creditMemo.refundMethod !== 'charge'
+                            ? `${formatCurrencyDisplay(creditMemo.accountCredit)} credited to account, rest refunded`
+                            : 'Refunded'} via {formatPaymentMethod(creditMemo.refundMethod)}
+                          {creditMemo.refundReference && ` (Ref: ${creditMemo.refundReference})`}
+                          {creditMemo.reason && ` - ${creditMemo.reason}`}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex justify-between mt-3">
+                    <span>Total Refunded:</span>
+                    <span>-{formatCurrencyDisplay(selectedSale.returnedTotal)}</span>
+                  </div>
+                  <div className="flex justify-between font-bold">
+                    <span>Net Total:</span>
+                    <span>{formatCurrencyDisplay(selectedSale.total - selectedSale.returnedTotal)}</span>
+                  </div>
+                </div>
+              )}
+
               {/* Status */}
               {selectedSale.isVoid && (
                 <div className="border-t pt-4">
@@ -1010,7 +2178,7 @@ const Sales = () => {
                         return (
                           <tr key={index} className="hover:bg-gray-50">
                             <td className="px-4 py-3">{productName}</td>
-                            <td className="px-4 py-3 text-center">{quantity}</td>
+                            <td className="px-4 py-3 text-center">{formatQuantity(quantity)}{item.uom && ` ${item.uom}`}</td>
                             <td className="px-4 py-3 text-right">{formatCurrencyDisplay(price)}</td>
                             <td className="px-4 py-3 text-right font-semibold">{formatCurrencyDisplay(subtotal)}</td>
                           </tr>
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { SERIAL_STATUSES, getSerialStatusLabel } from '../constants/tracking';
+
+const SerialLookup = () => {
+  const [serialNumber, setSerialNumber] = useState('');
+  const [units, setUnits] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    const query = serialNumber.trim();
+    if (!query) return;
+
+    setLoading(true);
+    setUnits(null);
+    try {
+      const response = await axios.get(`/serial-numbers/lookup/${encodeURIComponent(query)}`);
+      setUnits(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Serial Lookup</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Trace a unit for a warranty claim: the delivery it came in with, the sale it went out on and the customer.
+        </p>
+      </div>
+
+      <form onSubmit={handleLookup} className="flex flex-col sm:flex-row gap-2 mb-6">
+        <input
+          type="text"
+          value={serialNumber}
+          onChange={(e) => setSerialNumber(e.target.value)}
+          placeholder="Scan or type a serial number"
+          className="flex-1 px-4 py-2 border rounded-lg font-mono uppercase"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={loading || !serialNumber.trim()}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Looking up...' : 'Look Up'}
+        </button>
+      </form>
+
+      {units?.map(unit => (
+        <div key={unit._id} className="bg-white rounded-lg shadow p-4 sm:p-6 mb-4">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+            <div>
+              <div className="font-mono text-lg font-semibold">{unit.serialNumber}</div>
+              <div className="text-gray-600">
+                {unit.product?.name || unit.productName}
+                {unit.product?.sku && <span className="text-sm text-gray-500"> ({unit.product.sku})</span>}
+              </div>
+            </div>
+            <span className={`self-start px-2 py-1 text-xs rounded-full ${SERIAL_STATUSES.find(s => s.value === unit.status)?.className || 'bg-gray-100 text-gray-700'}`}>
+              {getSerialStatusLabel(unit.status)}
+            </span>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div>
+              <h3 className="font-semibold text-gray-700 mb-2">Received</h3>
+              <dl className="space-y-1">
+                <div><dt className="inline text-gray-500">Date: </dt><dd className="inline">{formatDate(unit.receivedAt)}</dd></div>
+                {unit.purchaseOrder && (
+                  <div><dt className="inline text-gray-500">PO: </dt><dd className="inline">{unit.purchaseOrder.poNumber}</dd></div>
+                )}
+                {unit.purchaseOrder?.supplier && (
+                  <div><dt className="inline text-gray-500">Supplier: </dt><dd className="inline">{unit.purchaseOrder.supplier.companyName}</dd></div>
+                )}
+                {unit.location && (
+                  <div><dt className="inline text-gray-500">Location: </dt><dd className="inline">{unit.location.name}</dd></div>
+                )}
+                {unit.stockHistory && (
+                  <div><dt className="inline text-gray-500">Delivery: </dt><dd className="inline font-mono">{unit.stockHistory.transactionId}</dd></div>
+                )}
+                {unit.receivedBy && (
+                  <div><dt className="inline text-gray-500">By: </dt><dd className="inline">{unit.receivedBy.username}</dd></div>
+                )}
+              </dl>
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-gray-700 mb-2">Sold</h3>
+              {unit.saleNumber ? (
+                <dl className="space-y-1">
+                  <div><dt className="inline text-gray-500">Sale: </dt><dd className="inline">{unit.saleNumber}</dd></div>
+                  <div><dt className="inline text-gray-500">Date: </dt><dd className="inline">{formatDate(unit.soldAt)}</dd></div>
+                  {unit.sale && (
+                    <div><dt className="inline text-gray-500">Total: </dt><dd className="inline">{formatCurrencyDisplay(unit.sale.total)}</dd></div>
+                  )}
+                  {unit.sale?.cashier && (
+                    <div><dt className="inline text-gray-500">Cashier: </dt><dd className="inline">{unit.sale.cashier.username}</dd></div>
+                  )}
+                  {unit.sale?.location && (
+                    <div><dt className="inline text-gray-500">Branch: </dt><dd className="inline">{unit.sale.location.name}</dd></div>
+                  )}
+                  {unit.sale?.isVoid && <div className="text-red-600">Sale was voided</div>}
+                </dl>
+              ) : (
+                <p className="text-gray-500">Not sold yet</p>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-gray-700 mb-2">Customer</h3>
+              {unit.customer || unit.customerName ? (
+                <dl className="space-y-1">
+                  <div><dt className="inline text-gray-500">Name: </dt><dd className="inline">{unit.customer?.name || unit.customerName}</dd></div>
+                  {unit.customer?.phone && (
+                    <div><dt className="inline text-gray-500">Phone: </dt><dd className="inline">{unit.customer.phone}</dd></div>
+                  )}
+                  {unit.customer?.email && (
+                    <div><dt className="inline text-gray-500">Email: </dt><dd className="inline">{unit.customer.email}</dd></div>
+                  )}
+                </dl>
+              ) : (
+                <p className="text-gray-500">{unit.saleNumber ? 'Walk-in customer' : '-'}</p>
+              )}
+              {unit.creditMemoNumber && (
+                <p className="mt-2 text-orange-700">
+                  Returned on {unit.creditMemoNumber} ({formatDate(unit.returnedAt)})
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SerialLookup;
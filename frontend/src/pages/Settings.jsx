@@ -2,6 +2,7 @@ import { useEffect, useState, useCallback } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useForm } from 'react-hook-form';
+import { COSTING_METHODS } from '../constants/costingMethods';
 
 const Settings = () => {
   const [codeStatus, setCodeStatus] = useState({ isSet: false });
@@ -9,6 +10,18 @@ const Settings = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [passwordFormat, setPasswordFormat] = useState('medium');
   const [isSavingFormat, setIsSavingFormat] = useState(false);
+  const [discountThreshold, setDiscountThreshold] = useState('');
+  const [isSavingThreshold, setIsSavingThreshold] = useState(false);
+  const [taxSettings, setTaxSettings] = useState({ vatRate: '', pricesIncludeVat: false, exemptCategories: [] });
+  const [isSavingTax, setIsSavingTax] = useState(false);
+  const [costingMethod, setCostingMethod] = useState('weighted_average');
+  const [isSavingCosting, setIsSavingCosting] = useState(false);
+  const [requireAdjustmentApproval, setRequireAdjustmentApproval] = useState(true);
+  const [isSavingApproval, setIsSavingApproval] = useState(false);
+  const [expiryWarningDays, setExpiryWarningDays] = useState('');
+  const [isSavingExpiry, setIsSavingExpiry] = useState(false);
+  const [reorderSettings, setReorderSettings] = useState({ lookbackDays: '', safetyStockFactor: '', coverDays: '' });
+  const [isSavingReorder, setIsSavingReorder] = useState(false);
   const [healthStatus, setHealthStatus] = useState({
     api: 'checking',
     database: 'checking',
@@ -46,6 +59,12 @@ const Settings = () => {
   useEffect(() => {
     fetchCodeStatus();
     fetchPasswordFormat();
+    fetchDiscountThreshold();
+    fetchTaxSettings();
+    fetchCostingSettings();
+    fetchAdjustmentApproval();
+    fetchExpiryWarning();
+    fetchReorderSettings();
     checkHealth();
     
     // Set up periodic health check every 30 seconds
@@ -74,6 +93,177 @@ const Settings = () => {
     }
   };
 
+  const fetchDiscountThreshold = async () => {
+    try {
+      const response = await axios.get('/settings/discount-threshold');
+      setDiscountThreshold(response.data.data.threshold);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleThresholdSave = async () => {
+    const threshold = parseFloat(discountThreshold);
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+      toast.error('Discount approval threshold must be between 0 and 100');
+      return;
+    }
+
+    setIsSavingThreshold(true);
+    try {
+      const response = await axios.post('/settings/discount-threshold', { threshold });
+      setDiscountThreshold(response.data.data.threshold);
+      toast.success('Discount approval threshold has been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingThreshold(false);
+    }
+  };
+
+  const fetchTaxSettings = async () => {
+    try {
+      const response = await axios.get('/settings/tax');
+      setTaxSettings(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchCostingSettings = async () => {
+    try {
+      const response = await axios.get('/settings/costing');
+      setCostingMethod(response.data.data.costingMethod);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleCostingChange = async (method) => {
+    if (method === costingMethod) return;
+
+    setIsSavingCosting(true);
+    try {
+      const response = await axios.post('/settings/costing', { costingMethod: method });
+      setCostingMethod(response.data.data.costingMethod);
+      toast.success('Costing method has been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingCosting(false);
+    }
+  };
+
+  const fetchAdjustmentApproval = async () => {
+    try {
+      const response = await axios.get('/settings/adjustment-approval');
+      setRequireAdjustmentApproval(response.data.data.requireApproval);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleAdjustmentApprovalChange = async (requireApproval) => {
+    setIsSavingApproval(true);
+    try {
+      const response = await axios.post('/settings/adjustment-approval', { requireApproval });
+      setRequireAdjustmentApproval(response.data.data.requireApproval);
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingApproval(false);
+    }
+  };
+
+  const fetchExpiryWarning = async () => {
+    try {
+      const response = await axios.get('/settings/expiry-warning');
+      setExpiryWarningDays(response.data.data.days);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleExpiryWarningSave = async () => {
+    const days = parseInt(expiryWarningDays);
+    if (isNaN(days) || days < 1 || days > 365) {
+      toast.error('Expiry warning window must be between 1 and 365 days');
+      return;
+    }
+
+    setIsSavingExpiry(true);
+    try {
+      const response = await axios.post('/settings/expiry-warning', { days });
+      setExpiryWarningDays(response.data.data.days);
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingExpiry(false);
+    }
+  };
+
+  const fetchReorderSettings = async () => {
+    try {
+      const response = await axios.get('/settings/reorder');
+      setReorderSettings(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleReorderSave = async () => {
+    const lookbackDays = parseInt(reorderSettings.lookbackDays);
+    const safetyStockFactor = parseFloat(reorderSettings.safetyStockFactor);
+    const coverDays = parseInt(reorderSettings.coverDays);
+    if (isNaN(lookbackDays) || lookbackDays < 7 || lookbackDays > 365) {
+      toast.error('Sales look-back must be between 7 and 365 days');
+      return;
+    }
+    if (isNaN(safetyStockFactor) || safetyStockFactor < 0 || safetyStockFactor > 5) {
+      toast.error('Safety stock factor must be between 0 and 5');
+      return;
+    }
+    if (isNaN(coverDays) || coverDays < 1 || coverDays > 365) {
+      toast.error('Cover must be between 1 and 365 days');
+      return;
+    }
+
+    setIsSavingReorder(true);
+    try {
+      const response = await axios.post('/settings/reorder', { lookbackDays, safetyStockFactor, coverDays });
+      setReorderSettings(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingReorder(false);
+    }
+  };
+
+  const handleTaxSave = async () => {
+    const vatRate = parseFloat(taxSettings.vatRate);
+    if (isNaN(vatRate) || vatRate < 0 || vatRate > 100) {
+      toast.error('VAT rate must be between 0 and 100');
+      return;
+    }
+
+    setIsSavingTax(true);
+    try {
+      const response = await axios.post('/settings/tax', {
+        vatRate,
+        pricesIncludeVat: taxSettings.pricesIncludeVat
+      });
+      setTaxSettings(prev => ({ ...prev, ...response.data.data }));
+      toast.success('Tax settings have been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingTax(false);
+    }
+  };
+
   const handleFormatChange = async (format) => {
     setIsSavingFormat(true);
     try {
@@ -448,6 +638,229 @@ const Settings = () => {
         )}
       </div>
 
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Discount Approval</h2>
+        <p className="text-gray-600 mb-6">
+          Discounts that add up to more than this percentage of the sale subtotal require the SuperAdmin code at checkout.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3 sm:items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Approval Threshold (%)
+            </label>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              step="0.01"
+              value={discountThreshold}
+              onChange={(e) => setDiscountThreshold(e.target.value)}
+              className="w-full sm:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={handleThresholdSave}
+            disabled={isSavingThreshold}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingThreshold ? 'Saving...' : 'Save Threshold'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Tax Settings</h2>
+        <p className="text-gray-600 mb-6">
+          VAT rate applied at checkout and whether shelf prices already include VAT. Products and categories can be marked VAT-exempt from their own forms.
+        </p>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              VAT Rate (%)
+            </label>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              step="0.01"
+              value={taxSettings.vatRate}
+              onChange={(e) => setTaxSettings(prev => ({ ...prev, vatRate: e.target.value }))}
+              className="w-full sm:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={taxSettings.pricesIncludeVat}
+              onChange={(e) => setTaxSettings(prev => ({ ...prev, pricesIncludeVat: e.target.checked }))}
+              className="w-4 h-4"
+            />
+            Product prices are VAT-inclusive
+          </label>
+          {taxSettings.exemptCategories.length > 0 && (
+            <p className="text-sm text-gray-600">
+              VAT-exempt categories: {taxSettings.exemptCategories.join(', ')}
+            </p>
+          )}
+          <button
+            type="button"
+            onClick={handleTaxSave}
+            disabled={isSavingTax}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingTax ? 'Saving...' : 'Save Tax Settings'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Inventory Costing</h2>
+        <p className="text-gray-600 mb-6">
+          How the cost of goods sold and the stock on hand are valued. Each sale keeps the cost it was made at, so changing the method only affects sales from now on.
+        </p>
+
+        <div className="space-y-3">
+          {COSTING_METHODS.map(method => (
+            <label
+              key={method.value}
+              className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer ${
+                costingMethod === method.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="costingMethod"
+                value={method.value}
+                checked={costingMethod === method.value}
+                onChange={() => handleCostingChange(method.value)}
+                disabled={isSavingCosting}
+                className="mt-1"
+              />
+              <div>
+                <div className="font-medium">{method.label}</div>
+                <p className="text-sm text-gray-600">{method.description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {isSavingCosting && (
+          <p className="text-sm text-gray-500 mt-4">Saving...</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Stock Adjustments</h2>
+        <p className="text-gray-600 mb-6">
+          Adjustments made by staff for damaged, lost, expired, used or found stock can wait for an admin to approve them before stock changes. Adjustments made by admins are always posted straight away.
+        </p>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={requireAdjustmentApproval}
+            onChange={(e) => handleAdjustmentApprovalChange(e.target.checked)}
+            disabled={isSavingApproval}
+            className="w-4 h-4"
+          />
+          Staff adjustments require admin approval
+        </label>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Expiry Alerts</h2>
+        <p className="text-gray-600 mb-6">
+          Deliveries expiring within this many days are listed on the dashboard next to the stock that has already expired. Expired stock can only be sold with the SuperAdmin code.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3 sm:items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Warning Window (days)
+            </label>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              step="1"
+              value={expiryWarningDays}
+              onChange={(e) => setExpiryWarningDays(e.target.value)}
+              className="w-full sm:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={handleExpiryWarningSave}
+            disabled={isSavingExpiry}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingExpiry ? 'Saving...' : 'Save Window'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Reorder Points</h2>
+        <p className="text-gray-600 mb-6">
+          A product's reorder point is its average daily sales over the look-back times the supplier's lead time, plus that much again times the safety stock factor. Suggested orders top stock up to the reorder point plus the cover days of sales.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3 sm:items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Sales Look-back (days)
+            </label>
+            <input
+              type="number"
+              min={7}
+              max={365}
+              step="1"
+              value={reorderSettings.lookbackDays}
+              onChange={(e) => setReorderSettings({ ...reorderSettings, lookbackDays: e.target.value })}
+              className="w-full sm:w-40 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Safety Stock Factor
+            </label>
+            <input
+              type="number"
+              min={0}
+              max={5}
+              step="0.1"
+              value={reorderSettings.safetyStockFactor}
+              onChange={(e) => setReorderSettings({ ...reorderSettings, safetyStockFactor: e.target.value })}
+              className="w-full sm:w-40 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Cover (days)
+            </label>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              step="1"
+              value={reorderSettings.coverDays}
+              onChange={(e) => setReorderSettings({ ...reorderSettings, coverDays: e.target.value })}
+              className="w-full sm:w-40 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={handleReorderSave}
+            disabled={isSavingReorder}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingReorder ? 'Saving...' : 'Save Reorder Settings'}
+          </button>
+        </div>
+      </div>
+
       <div className="bg-white rounded-lg shadow p-6 mt-6">
         <h2 className="text-xl font-semibold mb-4">System Status</h2>
         <p className="text-gray-600 mb-4">
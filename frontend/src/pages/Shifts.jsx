@@ -0,0 +1,174 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import Pagination from '../components/Pagination';
+import ShiftReadingModal from '../components/ShiftReadingModal';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const Shifts = () => {
+  const { isAdmin } = useAuth();
+  const [shifts, setShifts] = useState([]);
+  const [paginatedShifts, setPaginatedShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('all'); // 'all', 'open' or 'closed'
+  const [selectedShift, setSelectedShift] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setPaginatedShifts([]);
+    fetchShifts();
+  }, [activeTab]);
+
+  const fetchShifts = async () => {
+    try {
+      const params = { limit: 200 };
+      if (activeTab !== 'all') {
+        params.status = activeTab;
+      }
+      const response = await axios.get('/shifts', { params });
+      setShifts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The list omits the stored reading, so load the full shift before showing it
+  const handleViewReading = async (shift) => {
+    try {
+      const response = await axios.get(`/shifts/${shift._id}`);
+      setSelectedShift(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleShiftClosed = (closedShift) => {
+    setSelectedShift(closedShift);
+    fetchShifts();
+  };
+
+  const getOverShortClass = (overShort) => {
+    if (overShort === undefined || overShort === null) return 'text-gray-500';
+    return overShort === 0 ? 'text-green-700' : 'text-red-600';
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Shifts</h1>
+      </div>
+
+      {/* Tabs */}
+      <div className="mb-4 border-b border-gray-200">
+        <nav className="flex space-x-8" aria-label="Tabs">
+          {[
+            { value: 'all', label: 'All Shifts' },
+            { value: 'open', label: 'Open' },
+            { value: 'closed', label: 'Closed' }
+          ].map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => setActiveTab(tab.value)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === tab.value
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {loading ? (
+        <div className="text-center">Loading...</div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift #</th>
+                  {isAdmin && (
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cashier</th>
+                  )}
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Opened</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Closed</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Opening Float</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Counted</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Over/Short</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {paginatedShifts.length === 0 ? (
+                  <tr>
+                    <td colSpan={isAdmin ? 9 : 8} className="px-6 py-4 text-center text-gray-500">
+                      No shifts found
+                    </td>
+                  </tr>
+                ) : (
+                  paginatedShifts.map((shift) => (
+                    <tr key={shift._id}>
+                      <td className="px-6 py-4 whitespace-nowrap font-medium">{shift.shiftNumber}</td>
+                      {isAdmin && (
+                        <td className="px-6 py-4 whitespace-nowrap">{shift.cashier?.username || '-'}</td>
+                      )}
+                      <td className="px-6 py-4 whitespace-nowrap">{new Date(shift.openedAt).toLocaleString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {shift.closedAt ? (
+                          new Date(shift.closedAt).toLocaleString()
+                        ) : (
+                          <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Open</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(shift.openingFloat)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {shift.status === 'closed' ? formatCurrencyDisplay(shift.expectedCash) : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {shift.status === 'closed' ? formatCurrencyDisplay(shift.countedCash) : '-'}
+                      </td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-right font-medium ${getOverShortClass(shift.overShort)}`}>
+                        {shift.status === 'closed'
+                          ? `${shift.overShort < 0 ? '-' : shift.overShort > 0 ? '+' : ''}${formatCurrencyDisplay(Math.abs(shift.overShort))}`
+                          : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => handleViewReading(shift)}
+                          className="px-3 py-1 text-sm text-blue-700 bg-blue-50 hover:bg-blue-100 rounded transition-colors"
+                        >
+                          {shift.status === 'closed' ? 'Z-Reading' : 'X-Reading'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+          <Pagination
+            data={shifts}
+            itemsPerPage={10}
+            onPageChange={setPaginatedShifts}
+          />
+        </div>
+      )}
+
+      <ShiftReadingModal
+        isOpen={!!selectedShift}
+        shift={selectedShift}
+        onClose={() => setSelectedShift(null)}
+        onShiftClosed={handleShiftClosed}
+        allowClose={isAdmin}
+      />
+    </div>
+  );
+};
+
+export default Shifts;
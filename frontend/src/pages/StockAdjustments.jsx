@@ -0,0 +1,518 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import Select from 'react-select';
+import { useAuth } from '../context/AuthContext';
+import Pagination from '../components/Pagination';
+import InputModal from '../components/InputModal';
+import SerialPickerModal from '../components/SerialPickerModal';
+import {
+  ADJUSTMENT_REASONS,
+  ADJUSTMENT_STATUSES,
+  getAdjustmentReasonLabel,
+  getAdjustmentStatusLabel
+} from '../constants/adjustmentReasons';
+import { getQuantityPrecision } from '../constants/units';
+import { formatCurrencyDisplay, formatDate, formatQuantity } from '../utils/utils';
+
+const emptyForm = (location = '') => ({ product: '', location, uom: '', quantity: '', reason: 'damage', notes: '', serialNumbers: [] });
+
+const getStatusClassName = (status) =>
+  ADJUSTMENT_STATUSES.find(s => s.value === status)?.className || 'bg-gray-100 text-gray-700';
+
+const StockAdjustments = () => {
+  const { user, isAdmin } = useAuth();
+  const [adjustments, setAdjustments] = useState([]);
+  const [paginatedAdjustments, setPaginatedAdjustments] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [reasonFilter, setReasonFilter] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [requireApproval, setRequireApproval] = useState(true);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showSerialPicker, setShowSerialPicker] = useState(false);
+  const [rejectingAdjustment, setRejectingAdjustment] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+
+  useEffect(() => {
+    fetchAdjustments();
+    fetchOptions();
+  }, []);
+
+  // Reset pagination when the filters change
+  useEffect(() => {
+    setPaginatedAdjustments([]);
+  }, [statusFilter, reasonFilter, locationFilter]);
+
+  const fetchAdjustments = async () => {
+    try {
+      const response = await axios.get('/stock-adjustments');
+      setAdjustments(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [productsResponse, approvalResponse, locationsResponse] = await Promise.all([
+        axios.get('/products?isActive=true'),
+        axios.get('/settings/adjustment-approval'),
+        axios.get('/locations?isActive=true')
+      ]);
+      setProducts(productsResponse.data.data);
+      setRequireApproval(approvalResponse.data.data.requireApproval);
+      setLocations(locationsResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const selectedProduct = products.find(p => p._id === form.product);
+  const selectedLocation = locations.find(l => l._id === form.location);
+  const selectedReason = ADJUSTMENT_REASONS.find(r => r.value === form.reason);
+  const precision = selectedProduct ? getQuantityPrecision(selectedProduct, form.uom) : 0;
+  const needsApproval = requireApproval && !isAdmin;
+  // Serialized units are written off or found by serial number, one per unit
+  const isSerialized = selectedProduct?.tracking === 'serial';
+  const isIncrease = selectedReason?.direction === 'increase';
+
+  const openFormModal = () => {
+    // Adjustments default to the user's own location, then the default location
+    const defaultLocation = locations.find(l => l._id === user?.location) || locations.find(l => l.isDefault);
+    setForm(emptyForm(defaultLocation?._id || ''));
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => {
+    if (isSubmitting) return;
+    setShowFormModal(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.product) {
+      toast.error('Please select a product');
+      return;
+    }
+    if (isSerialized && form.serialNumbers.length === 0) {
+      toast.error(`Pick the units being ${isIncrease ? 'found' : 'written off'}`);
+      return;
+    }
+    if (!isSerialized && !(parseFloat(form.quantity) > 0)) {
+      toast.error('Enter a quantity greater than zero');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/stock-adjustments', {
+        product: form.product,
+        location: form.location || undefined,
+        uom: isSerialized ? undefined : form.uom || undefined,
+        quantity: isSerialized ? form.serialNumbers.length : parseFloat(form.quantity),
+        reason: form.reason,
+        notes: form.notes,
+        serialNumbers: isSerialized ? form.serialNumbers : undefined
+      });
+      toast.success(response.data.message);
+      setShowFormModal(false);
+      fetchAdjustments();
+      fetchOptions();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleApprove = async (adjustment) => {
+    setProcessingId(adjustment._id);
+    try {
+      const response = await axios.post(`/stock-adjustments/${adjustment._id}/approve`);
+      toast.success(response.data.message);
+      fetchAdjustments();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleReject = async (rejectionReason) => {
+    setProcessingId(rejectingAdjustment._id);
+    try {
+      const response = await axios.post(`/stock-adjustments/${rejectingAdjustment._id}/reject`, { rejectionReason });
+      toast.success(response.data.message);
+      setRejectingAdjustment(null);
+      fetchAdjustments();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const filteredAdjustments = adjustments.filter(adjustment =>
+    (!statusFilter || adjustment.status === statusFilter) &&
+    (!reasonFilter || adjustment.reason === reasonFilter) &&
+    (!locationFilter || adjustment.location?._id === locationFilter)
+  );
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Stock Adjustments</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Record damaged, lost, expired, used or found stock with a reason
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {ADJUSTMENT_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+          <select
+            value={reasonFilter}
+            onChange={(e) => setReasonFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All reasons</option>
+            {ADJUSTMENT_REASONS.map(reason => (
+              <option key={reason.value} value={reason.value}>{reason.label}</option>
+            ))}
+            <option value="count_variance">{getAdjustmentReasonLabel('count_variance')}</option>
+          </select>
+          {locations.length > 0 && (
+            <select
+              value={locationFilter}
+              onChange={(e) => setLocationFilter(e.target.value)}
+              className="px-3 py-2 border rounded-lg"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location._id} value={location._id}>{location.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={openFormModal}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex-1 sm:flex-none"
+          >
+            New Adjustment
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Adjustment</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                {isAdmin && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedAdjustments.length === 0 ? (
+                <tr>
+                  <td colSpan={isAdmin ? 7 : 6} className="px-6 py-4 text-center text-gray-500">
+                    No stock adjustments found
+                  </td>
+                </tr>
+              ) : (
+                paginatedAdjustments.map((adjustment) => (
+                  <tr key={adjustment._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{adjustment.adjustmentNumber}</div>
+                      <div className="text-xs text-gray-500">{formatDate(adjustment.createdAt)}</div>
+                      <div className="text-xs text-gray-500">by {adjustment.requestedBy?.username || 'Unknown'}</div>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div>{adjustment.product?.name || adjustment.productName}</div>
+                      {adjustment.location && (
+                        <div className="text-xs text-gray-500">{adjustment.location.name}</div>
+                      )}
+                      {adjustment.cycleCount && (
+                        <div className="text-xs text-gray-500">Count {adjustment.cycleCount.countNumber}</div>
+                      )}
+                      {adjustment.serialNumbers?.length > 0 && (
+                        <div className="text-xs text-gray-500 font-mono">{adjustment.serialNumbers.join(', ')}</div>
+                      )}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-right font-semibold ${adjustment.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {adjustment.quantity > 0 ? '+' : ''}{formatQuantity(adjustment.quantity)} {adjustment.product?.unit || ''}
+                      {adjustment.uom && (
+                        <div className="text-xs font-normal text-gray-500">
+                          {formatQuantity(adjustment.uomQuantity)} {adjustment.uom}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="text-sm">{getAdjustmentReasonLabel(adjustment.reason)}</div>
+                      {adjustment.notes && (
+                        <div className="text-xs text-gray-500">{adjustment.notes}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {adjustment.status === 'posted' ? formatCurrencyDisplay(adjustment.value) : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${getStatusClassName(adjustment.status)}`}>
+                        {getAdjustmentStatusLabel(adjustment.status)}
+                      </span>
+                      {adjustment.reviewedBy && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {adjustment.status === 'rejected' ? 'Rejected' : 'Approved'} by {adjustment.reviewedBy.username}
+                        </div>
+                      )}
+                      {adjustment.rejectionReason && (
+                        <div className="text-xs text-red-600">{adjustment.rejectionReason}</div>
+                      )}
+                    </td>
+                    {isAdmin && (
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {adjustment.status === 'pending' ? (
+                          <div className="flex items-center gap-3 text-sm">
+                            <button
+                              onClick={() => handleApprove(adjustment)}
+                              disabled={processingId === adjustment._id}
+                              className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => setRejectingAdjustment(adjustment)}
+                              disabled={processingId === adjustment._id}
+                              className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        ) : (
+                          <span className="text-gray-400 text-sm">-</span>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={filteredAdjustments}
+          itemsPerPage={10}
+          onPageChange={setPaginatedAdjustments}
+        />
+      </div>
+
+      {showFormModal && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={closeFormModal}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">New Stock Adjustment</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">Product *</label>
+                <Select
+                  options={products.map(p => ({ value: p._id, label: p.name }))}
+                  value={selectedProduct ? { value: selectedProduct._id, label: selectedProduct.name } : null}
+                  onChange={(option) => setForm({ ...form, product: option?.value || '', uom: '', serialNumbers: [] })}
+                  isSearchable
+                  placeholder="Search product..."
+                  className="react-select-container"
+                  classNamePrefix="react-select"
+                />
+                {selectedProduct && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    On hand{selectedLocation ? ` at ${selectedLocation.name}` : ''}: {formatQuantity(selectedLocation
+                      ? selectedProduct.locationStock?.find(entry => entry.location === selectedLocation._id)?.quantity || 0
+                      : selectedProduct.stockQuantity)} {selectedProduct.unit || 'units'}
+                  </p>
+                )}
+              </div>
+
+              {locations.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Location *</label>
+                  <select
+                    value={form.location}
+                    onChange={(e) => setForm({ ...form, location: e.target.value, serialNumbers: [] })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Reason *</label>
+                <select
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value, serialNumbers: [] })}
+                  className="w-full px-3 py-2 border rounded-lg"
+                >
+                  {ADJUSTMENT_REASONS.map(reason => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  {selectedReason?.direction === 'increase' ? 'Adds the quantity to stock' : 'Takes the quantity out of stock'}
+                </p>
+              </div>
+
+              {isSerialized ? (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Units *</label>
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setShowSerialPicker(true)}
+                      className="px-3 py-2 border rounded-lg hover:bg-gray-50"
+                    >
+                      Pick Serial Numbers
+                    </button>
+                    <span className="text-sm text-gray-600">{form.serialNumbers.length} selected</span>
+                  </div>
+                  {form.serialNumbers.length > 0 && (
+                    <p className="text-xs text-gray-500 font-mono mt-1">{form.serialNumbers.join(', ')}</p>
+                  )}
+                  {isIncrease && (
+                    <p className="text-xs text-gray-500 mt-1">Only units written off before can be found; new units are received as a delivery.</p>
+                  )}
+                </div>
+              ) : (
+                <div className="flex gap-2">
+                  <div className="flex-1">
+                    <label className="block text-sm font-medium mb-1">Quantity *</label>
+                    <input
+                      type="number"
+                      min={0}
+                      step={precision > 0 ? 10 ** -precision : 1}
+                      value={form.quantity}
+                      onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  {selectedProduct?.uoms?.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Unit</label>
+                      <select
+                        value={form.uom}
+                        onChange={(e) => setForm({ ...form, uom: e.target.value })}
+                        className="px-3 py-2 border rounded-lg"
+                      >
+                        <option value="">{selectedProduct.unit || 'Base unit'}</option>
+                        {selectedProduct.uoms.map(uom => (
+                          <option key={uom.name} value={uom.name}>{uom.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  maxLength={500}
+                  rows={3}
+                  className="w-full px-3 py-2 border rounded-lg"
+                  placeholder="What happened?"
+                />
+              </div>
+
+              {needsApproval && (
+                <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2">
+                  Stock will change once an admin approves this adjustment.
+                </p>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={closeFormModal}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? 'Saving...' : needsApproval ? 'Submit for Approval' : 'Post Adjustment'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <SerialPickerModal
+        isOpen={showSerialPicker}
+        onClose={() => setShowSerialPicker(false)}
+        onConfirm={(serialNumbers) => {
+          setForm({ ...form, serialNumbers });
+          setShowSerialPicker(false);
+        }}
+        product={isSerialized ? selectedProduct : null}
+        selected={form.serialNumbers}
+        status={isIncrease ? 'written_off' : 'in_stock'}
+        location={isIncrease ? undefined : form.location}
+        action={isIncrease ? 'found' : 'written off'}
+      />
+
+      <InputModal
+        isOpen={!!rejectingAdjustment}
+        onClose={() => setRejectingAdjustment(null)}
+        onConfirm={handleReject}
+        title="Reject Adjustment"
+        message={rejectingAdjustment ? `Reject ${rejectingAdjustment.adjustmentNumber}? Stock will not change.` : ''}
+        inputLabel="Reason for rejecting"
+        inputType="text"
+        inputPlaceholder="e.g. Item found on shelf"
+        confirmText="Reject"
+        variant="danger"
+        isLoading={!!processingId}
+      />
+    </div>
+  );
+};
+
+export default StockAdjustments;
@@ -0,0 +1,563 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import Select from 'react-select';
+import { useAuth } from '../context/AuthContext';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import InputModal from '../components/InputModal';
+import SerialPickerModal from '../components/SerialPickerModal';
+import { TRANSFER_STATUSES, getTransferStatusLabel } from '../constants/locations';
+import { getQuantityPrecision } from '../constants/units';
+import { formatDate, formatQuantity } from '../utils/utils';
+
+const emptyForm = () => ({ fromLocation: '', toLocation: '', notes: '', lines: [] });
+const emptyLine = () => ({ product: '', uom: '', quantity: '', serialNumbers: [] });
+
+const getStatusClassName = (status) =>
+  TRANSFER_STATUSES.find(s => s.value === status)?.className || 'bg-gray-100 text-gray-700';
+
+const StockTransfers = () => {
+  const { user, isAdmin } = useAuth();
+  const [transfers, setTransfers] = useState([]);
+  const [paginatedTransfers, setPaginatedTransfers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [line, setLine] = useState(emptyLine());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showSerialPicker, setShowSerialPicker] = useState(false);
+  const [receivingTransfer, setReceivingTransfer] = useState(null);
+  const [cancellingTransfer, setCancellingTransfer] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  useEffect(() => {
+    fetchTransfers();
+    fetchOptions();
+  }, []);
+
+  // Reset pagination when the filters change
+  useEffect(() => {
+    setPaginatedTransfers([]);
+  }, [statusFilter, locationFilter]);
+
+  const fetchTransfers = async () => {
+    try {
+      const response = await axios.get('/stock-transfers');
+      setTransfers(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [productsResponse, locationsResponse] = await Promise.all([
+        axios.get('/products?isActive=true'),
+        axios.get('/locations?isActive=true')
+      ]);
+      setProducts(productsResponse.data.data);
+      setLocations(locationsResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getOnHand = (product, locationId) =>
+    product?.locationStock?.find(entry => entry.location === locationId)?.quantity || 0;
+
+  const selectedProduct = products.find(p => p._id === line.product);
+  const fromLocation = locations.find(l => l._id === form.fromLocation);
+  const precision = selectedProduct ? getQuantityPrecision(selectedProduct, line.uom) : 0;
+  // Serialized units are sent by serial number, picked from what the source has in stock
+  const isSerialized = selectedProduct?.tracking === 'serial';
+
+  const openFormModal = () => {
+    setForm(emptyForm());
+    setLine(emptyLine());
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => {
+    if (isSubmitting) return;
+    setShowFormModal(false);
+  };
+
+  const addLine = () => {
+    if (!line.product) {
+      toast.error('Please select a product');
+      return;
+    }
+    if (isSerialized) {
+      if (line.serialNumbers.length === 0) {
+        toast.error('Pick the units being sent');
+        return;
+      }
+      setForm({ ...form, lines: [...form.lines, { ...line, uom: '', quantity: line.serialNumbers.length }] });
+      setLine(emptyLine());
+      return;
+    }
+    if (!(parseFloat(line.quantity) > 0)) {
+      toast.error('Enter a quantity greater than zero');
+      return;
+    }
+    setForm({ ...form, lines: [...form.lines, { ...line, quantity: parseFloat(line.quantity), serialNumbers: [] }] });
+    setLine(emptyLine());
+  };
+
+  const removeLine = (index) => {
+    setForm({ ...form, lines: form.lines.filter((_, i) => i !== index) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.fromLocation || !form.toLocation) {
+      toast.error('Choose where the stock is sent from and to');
+      return;
+    }
+    if (form.fromLocation === form.toLocation) {
+      toast.error('Source and destination must be different locations');
+      return;
+    }
+    if (form.lines.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/stock-transfers', {
+        fromLocation: form.fromLocation,
+        toLocation: form.toLocation,
+        notes: form.notes,
+        lines: form.lines.map(item => ({
+          product: item.product,
+          uom: item.uom || undefined,
+          quantity: item.quantity,
+          serialNumbers: item.serialNumbers.length > 0 ? item.serialNumbers : undefined
+        }))
+      });
+      toast.success(response.data.message);
+      setShowFormModal(false);
+      fetchTransfers();
+      fetchOptions();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReceive = async () => {
+    setIsProcessing(true);
+    try {
+      const response = await axios.post(`/stock-transfers/${receivingTransfer._id}/receive`);
+      toast.success(response.data.message);
+      setReceivingTransfer(null);
+      fetchTransfers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCancel = async (reason) => {
+    setIsProcessing(true);
+    try {
+      const response = await axios.post(`/stock-transfers/${cancellingTransfer._id}/cancel`, { reason });
+      toast.success(response.data.message);
+      setCancellingTransfer(null);
+      fetchTransfers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Staff can only receive what was sent to their own location
+  const canReceive = (transfer) =>
+    transfer.status === 'in_transit' && (isAdmin || user?.location === transfer.toLocation?._id);
+
+  const filteredTransfers = transfers.filter(transfer =>
+    (!statusFilter || transfer.status === statusFilter) &&
+    (!locationFilter || transfer.fromLocation?._id === locationFilter || transfer.toLocation?._id === locationFilter)
+  );
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Stock Transfers</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Move stock between locations; it stays in transit until the destination receives it
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2 w-full sm:w-auto">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All statuses</option>
+            {TRANSFER_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+          <select
+            value={locationFilter}
+            onChange={(e) => setLocationFilter(e.target.value)}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value="">All locations</option>
+            {locations.map(location => (
+              <option key={location._id} value={location._id}>{location.name}</option>
+            ))}
+          </select>
+          {isAdmin && (
+            <button
+              onClick={openFormModal}
+              disabled={locations.length < 2}
+              title={locations.length < 2 ? 'Add at least two locations first' : undefined}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex-1 sm:flex-none"
+            >
+              New Transfer
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Transfer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">From → To</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Products</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedTransfers.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                    No stock transfers found
+                  </td>
+                </tr>
+              ) : (
+                paginatedTransfers.map((transfer) => (
+                  <tr key={transfer._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{transfer.transferNumber}</div>
+                      <div className="text-xs text-gray-500">{formatDate(transfer.dispatchedAt)}</div>
+                      <div className="text-xs text-gray-500">by {transfer.dispatchedBy?.username || 'Unknown'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {transfer.fromLocation?.name || '-'} → {transfer.toLocation?.name || '-'}
+                    </td>
+                    <td className="px-6 py-4">
+                      {transfer.lines.map(item => (
+                        <div key={item._id} className="text-sm">
+                          {formatQuantity(item.uom ? item.uomQuantity : item.quantity)} {item.uom || item.unit || ''} · {item.product?.name || item.productName}
+                          {item.serialNumbers?.length > 0 && (
+                            <div className="text-xs text-gray-500 font-mono">{item.serialNumbers.join(', ')}</div>
+                          )}
+                        </div>
+                      ))}
+                      {transfer.notes && (
+                        <div className="text-xs text-gray-500 mt-1">{transfer.notes}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs rounded-full ${getStatusClassName(transfer.status)}`}>
+                        {getTransferStatusLabel(transfer.status)}
+                      </span>
+                      {transfer.receivedBy && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Received by {transfer.receivedBy.username} · {formatDate(transfer.receivedAt)}
+                        </div>
+                      )}
+                      {transfer.cancelledBy && (
+                        <div className="text-xs text-gray-500 mt-1">Cancelled by {transfer.cancelledBy.username}</div>
+                      )}
+                      {transfer.cancellationReason && (
+                        <div className="text-xs text-red-600">{transfer.cancellationReason}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {transfer.status === 'in_transit' ? (
+                        <div className="flex items-center gap-3 text-sm">
+                          {canReceive(transfer) && (
+                            <button
+                              onClick={() => setReceivingTransfer(transfer)}
+                              className="text-green-600 hover:text-green-800"
+                            >
+                              Receive
+                            </button>
+                          )}
+                          {isAdmin && (
+                            <button
+                              onClick={() => setCancellingTransfer(transfer)}
+                              className="text-red-600 hover:text-red-800"
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-gray-400 text-sm">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={filteredTransfers}
+          itemsPerPage={10}
+          onPageChange={setPaginatedTransfers}
+        />
+      </div>
+
+      {showFormModal && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={closeFormModal}
+        >
+          <div
+            className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">New Stock Transfer</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">From *</label>
+                  <select
+                    value={form.fromLocation}
+                    onChange={(e) => {
+                      // Serials picked at the old source are not in stock at the new one
+                      setForm({ ...form, fromLocation: e.target.value, lines: form.lines.filter(item => item.serialNumbers.length === 0) });
+                      setLine({ ...line, serialNumbers: [] });
+                    }}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Select location</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">To *</label>
+                  <select
+                    value={form.toLocation}
+                    onChange={(e) => setForm({ ...form, toLocation: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Select location</option>
+                    {locations.filter(location => location._id !== form.fromLocation).map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="border rounded-lg p-3 space-y-3">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Product</label>
+                  <Select
+                    options={products.map(p => ({ value: p._id, label: p.name }))}
+                    value={selectedProduct ? { value: selectedProduct._id, label: selectedProduct.name } : null}
+                    onChange={(option) => setLine({ ...line, product: option?.value || '', uom: '', serialNumbers: [] })}
+                    isSearchable
+                    placeholder="Search product..."
+                    className="react-select-container"
+                    classNamePrefix="react-select"
+                  />
+                  {selectedProduct && fromLocation && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      On hand at {fromLocation.name}: {formatQuantity(getOnHand(selectedProduct, fromLocation._id))} {selectedProduct.unit || 'units'}
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2 items-end">
+                  {isSerialized ? (
+                    <div className="flex-1">
+                      <label className="block text-sm font-medium mb-1">Units</label>
+                      <div className="flex items-center gap-2">
+                        <button
+                          type="button"
+                          onClick={() => setShowSerialPicker(true)}
+                          disabled={!fromLocation}
+                          title={!fromLocation ? 'Choose where the stock is sent from first' : undefined}
+                          className="px-3 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          Pick Serial Numbers
+                        </button>
+                        <span className="text-sm text-gray-600">{line.serialNumbers.length} selected</span>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex-1">
+                      <label className="block text-sm font-medium mb-1">Quantity</label>
+                      <input
+                        type="number"
+                        min={0}
+                        step={precision > 0 ? 10 ** -precision : 1}
+                        value={line.quantity}
+                        onChange={(e) => setLine({ ...line, quantity: e.target.value })}
+                        className="w-full px-3 py-2 border rounded-lg"
+                      />
+                    </div>
+                  )}
+                  {!isSerialized && selectedProduct?.uoms?.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Unit</label>
+                      <select
+                        value={line.uom}
+                        onChange={(e) => setLine({ ...line, uom: e.target.value })}
+                        className="px-3 py-2 border rounded-lg"
+                      >
+                        <option value="">{selectedProduct.unit || 'Base unit'}</option>
+                        {selectedProduct.uoms.map(uom => (
+                          <option key={uom.name} value={uom.name}>{uom.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    onClick={addLine}
+                    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
+                  >
+                    Add
+                  </button>
+                </div>
+
+                {form.lines.length > 0 && (
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <tbody className="divide-y divide-gray-200">
+                      {form.lines.map((item, index) => {
+                        const product = products.find(p => p._id === item.product);
+                        return (
+                          <tr key={index}>
+                            <td className="py-2 text-sm">
+                              {product?.name}
+                              {item.serialNumbers.length > 0 && (
+                                <div className="text-xs text-gray-500 font-mono">{item.serialNumbers.join(', ')}</div>
+                              )}
+                            </td>
+                            <td className="py-2 text-sm text-right whitespace-nowrap">
+                              {formatQuantity(item.quantity)} {item.uom || product?.unit || ''}
+                            </td>
+                            <td className="py-2 text-right">
+                              <button
+                                type="button"
+                                onClick={() => removeLine(index)}
+                                className="text-red-600 hover:text-red-800 text-sm"
+                              >
+                                Remove
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                  maxLength={500}
+                  rows={2}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={closeFormModal}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? 'Dispatching...' : 'Dispatch Transfer'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <SerialPickerModal
+        isOpen={showSerialPicker}
+        onClose={() => setShowSerialPicker(false)}
+        onConfirm={(serialNumbers) => {
+          setLine({ ...line, serialNumbers });
+          setShowSerialPicker(false);
+        }}
+        product={isSerialized ? selectedProduct : null}
+        selected={line.serialNumbers}
+        excluded={form.lines
+          .filter(item => item.product === line.product)
+          .flatMap(item => item.serialNumbers)}
+        location={form.fromLocation}
+        action="sent"
+      />
+
+      <ConfirmModal
+        isOpen={!!receivingTransfer}
+        onClose={() => setReceivingTransfer(null)}
+        onConfirm={handleReceive}
+        title="Receive Transfer"
+        message={receivingTransfer ? `Receive ${receivingTransfer.transferNumber} into ${receivingTransfer.toLocation?.name}? The stock becomes available there.` : ''}
+        confirmText="Receive"
+        variant="info"
+        isLoading={isProcessing}
+      />
+
+      <InputModal
+        isOpen={!!cancellingTransfer}
+        onClose={() => setCancellingTransfer(null)}
+        onConfirm={handleCancel}
+        title="Cancel Transfer"
+        message={cancellingTransfer ? `Cancel ${cancellingTransfer.transferNumber}? The stock goes back to ${cancellingTransfer.fromLocation?.name}.` : ''}
+        inputLabel="Reason for cancelling"
+        inputType="text"
+        inputPlaceholder="e.g. Sent to the wrong branch"
+        confirmText="Cancel Transfer"
+        variant="danger"
+        isLoading={isProcessing}
+      />
+    </div>
+  );
+};
+
+export default StockTransfers;
@@ -108,6 +108,7 @@ const Suppliers = () => {
         contactEmail: data.contactEmail,
         address,
         productSupplied,
+        leadTimeDays: data.leadTimeDays !== '' && data.leadTimeDays !== undefined ? parseInt(data.leadTimeDays) : 7,
         isActive: data.isActive !== undefined ? data.isActive : true
       };
       
@@ -152,6 +153,7 @@ const Suppliers = () => {
       zipcode: supplier.address?.zipcode || '',
       rootCategory,
       subCategory,
+      leadTimeDays: supplier.leadTimeDays ?? 7,
       isActive: supplier.isActive !== false // Default to true if undefined
     });
     setShowModal(true);
@@ -176,7 +178,7 @@ const Suppliers = () => {
               setEditingSupplier(null);
               setSelectedRootCategory('');
               setSelectedSubCategory('');
-              reset();
+              reset({ leadTimeDays: 7 });
               setShowModal(true);
             }}
             className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
@@ -374,6 +376,10 @@ const Suppliers = () => {
                   <label className="block text-sm font-medium text-gray-500 mb-1">Product Supplied</label>
                   <p className="text-sm text-gray-900">{viewingSupplier.productSupplied || '-'}</p>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-1">Lead Time</label>
+                  <p className="text-sm text-gray-900">{viewingSupplier.leadTimeDays ?? 7} days</p>
+                </div>
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-500 mb-1">Address</label>
@@ -668,6 +674,23 @@ const Suppliers = () => {
                   </div>
                 </div>
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Lead Time (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="365"
+                  {...register('leadTimeDays', {
+                    min: { value: 0, message: 'Lead time cannot be negative' },
+                    max: { value: 365, message: 'Lead time cannot exceed 365 days' }
+                  })}
+                  className="w-full px-3 py-1.5 border rounded-lg text-sm"
+                />
+                <p className="text-gray-500 text-xs mt-0.5">Days from ordering to delivery; used for reorder points</p>
+                {errors.leadTimeDays && (
+                  <p className="text-red-600 text-xs mt-0.5">{errors.leadTimeDays.message}</p>
+                )}
+              </div>
               {editingSupplier && (
                 <div className="flex items-center gap-2">
                   <input
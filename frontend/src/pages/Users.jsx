@@ -17,13 +17,24 @@ const Users = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isResettingAccount, setIsResettingAccount] = useState(false);
   const [passwordFormat, setPasswordFormat] = useState(null);
+  const [locations, setLocations] = useState([]);
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
   useEffect(() => {
     fetchUsers();
     fetchPasswordFormat();
+    fetchLocations();
   }, []);
 
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/locations?isActive=true');
+      setLocations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
   const fetchPasswordFormat = async () => {
     try {
       const response = await axios.get('/settings/password-format');
@@ -94,6 +105,7 @@ const Users = () => {
       email: user.email,
       phone: user.phone,
       role: user.role, 
+      location: user.location?._id || '',
       isActive: user.isActive ? 'true' : 'false'
     });
     setShowModal(true);
@@ -180,6 +192,7 @@ const Users = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Phone</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account Locked</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
@@ -188,7 +201,7 @@ const Users = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {paginatedUsers.length === 0 ? (
               <tr>
-                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
                   No users found
                 </td>
               </tr>
@@ -201,6 +214,7 @@ const Users = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">{user.phone || '-'}</td>
                   <td className="px-6 py-4 whitespace-nowrap capitalize">{user.role}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{user.location?.name || '-'}</td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {user.isActive ? (
                       <span className="px-2 py-1 bg-green-100 text-green-800 rounded text-xs">Active</span>
@@ -381,6 +395,10 @@ const Users = () => {
                   <label className="block text-sm font-medium text-gray-500 mb-1">Role</label>
                   <p className="text-base text-gray-900 capitalize">{viewingUser.role}</p>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-500 mb-1">Location</label>
+                  <p className="text-base text-gray-900">{viewingUser.location?.name || 'Default location'}</p>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-500 mb-1">Status</label>
                   <p className="text-base">
@@ -576,6 +594,23 @@ const Users = () => {
                   <p className="text-red-600 text-sm">{errors.role.message}</p>
                 )}
               </div>
+              {locations.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium mb-1">Location</label>
+                  <select
+                    {...register('location')}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  >
+                    <option value="">Default location</option>
+                    {locations.map(location => (
+                      <option key={location._id} value={location._id}>{location.name}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Sales rung up by this user deduct stock from this location
+                  </p>
+                </div>
+              )}
               {editingUser && (
                 <div>
                   <label className="block text-sm font-medium mb-1">Status *</label>
@@ -36,6 +36,28 @@ export const formatCurrencyDisplay = (value) => {
   return `₱${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 };
 
+/**
+ * Rounds a quantity to a number of decimal places
+ * Keeps fractional quantities (e.g., 2.5 m, 1.75 kg) free of floating-point drift
+ * @param {number} value - The quantity to round
+ * @param {number} [decimals=4] - Decimal places to keep
+ * @returns {number} Rounded quantity
+ */
+export const roundQuantity = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round((value + Math.sign(value) * Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Formats a quantity without trailing zeros
+ * @param {number|string} value - The quantity to format
+ * @returns {string} Formatted quantity (e.g., "2.5", "1.75", "3")
+ */
+export const formatQuantity = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return roundQuantity(numValue).toLocaleString('en-US', { maximumFractionDigits: 4 });
+};
+
 /**
  * Formats a payment method string to a human-readable format
  * @param {string} method - The payment method code
@@ -46,7 +68,9 @@ export const formatPaymentMethod = (method) => {
     cash: 'Cash',
     card: 'Card',
     mobile_payment: 'Mobile Payment',
-    other: 'Other'
+    other: 'Other',
+    charge: 'Charge to Account',
+    split: 'Split Tender'
   };
   return methods[method] || method;
 };
@@ -61,4 +85,3 @@ export const formatDate = (date) => {
   const dateObj = date instanceof Date ? date : new Date(date);
   return dateObj.toLocaleDateString();
 };
-